@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import { assert, runChecks } from './checks.js';
+import { SensorDataStore } from '../src/SensorDataStore.js';
+
+/**
+ * 监测数据存储的检查
+ * 核对累计变化量、变化速率的计算，CSV/JSON 导入，项目文件中的数据段读写，以及删除、恢复单个测点的数据
+ * 用法：node bin/check-data-store.js
+ */
+function store(readings = { 1: [['2026-01-01', 10], ['2026-01-03', 14], ['2026-01-04', 11]] }) {
+    const data = new SensorDataStore();
+    Object.entries(readings).forEach(([id, rows]) => data.addReadings(id, rows.map(([time, value]) => ({ time, value }))));
+    return data;
+}
+
+function main() {
+    return runChecks([
+        ['未设置初始值时取首次观测值，变化速率按相邻两次观测的天数计算', () => {
+            const stats = store().getStatistics(1);
+            assert.equal(stats.initialValue, 10);
+            assert.equal(stats.cumulativeChange, 1);
+            assert.equal(stats.dailyRate, -3);
+            assert.equal(stats.maxCumulativeChange, 4);
+            assert.equal(stats.maxDailyRate, -3);
+            assert.deepEqual(stats.series.map(s => s.rate), [null, 2, -3]);
+        }],
+        ['设置的初始值优先，清空后恢复取首次观测值', () => {
+            const data = store();
+            data.setInitialValue(1, '9');
+            assert.equal(data.getStatistics(1).cumulativeChange, 2);
+            data.setInitialValue(1, '');
+            assert.equal(data.getStatistics(1).initialValue, 10);
+        }],
+        ['同一时刻的重复观测以最后一次为准，观测值按时间排序', () => {
+            const data = store({ 1: [['2026-01-03', 5], ['2026-01-01', 1], ['2026-01-03', 6]] });
+            assert.deepEqual(data.getReadings(1).map(r => r.value), [1, 6]);
+        }],
+        ['CSV导入：跳过表头和无效行，无法匹配的测点单独列出', () => {
+            const data = new SensorDataStore();
+            const result = data.importCSV([
+                '测点编号,时间,数值',
+                'S1,2026/01/01,1.5',
+                'S1，2026-01-02，2.5',
+                'S2,not-a-date,3',
+                'X9,2026-01-01,4'
+            ].join('\n'), code => ({ S1: 1, S2: 2 })[code] ?? null);
+            assert.deepEqual(result, { imported: 2, skipped: 2, points: ['1'], unmatched: ['X9'] });
+            assert.equal(data.getStatistics(1).cumulativeChange, 1);
+        }],
+        ['JSON导入：平铺数组和按测点分组两种格式，分组格式带初始值', () => {
+            const data = new SensorDataStore();
+            data.importJSON([{ point: 1, time: '2026-01-01', value: 1 }, { time: '2026-01-01', value: 2 }]);
+            data.importJSON({ points: [{ id: 2, initialValue: 5, readings: [{ time: '2026-01-01', value: 7 }] }] });
+            assert.equal(data.getReadings(1).length, 1);
+            assert.equal(data.getStatistics(2).cumulativeChange, 2);
+            assert.throws(() => data.importJSON({ rows: [] }), /无法识别的监测数据格式/);
+        }],
+        ['项目文件中的数据段读写后数据不变', () => {
+            const data = store();
+            data.setInitialValue(1, 9.5);
+            const copy = new SensorDataStore();
+            copy.load(JSON.parse(JSON.stringify(data.toJSON())));
+            assert.deepEqual(copy.getStatistics(1), data.getStatistics(1));
+        }],
+        ['删除单个测点的数据不影响其他测点，恢复后与删除前相同', () => {
+            const data = store({ 1: [['2026-01-01', 1]], 2: [['2026-01-01', 2], ['2026-01-02', 3]] });
+            const saved = data.getPoint(2);
+            data.removePoint(2);
+            assert.equal(data.hasData(2), false);
+            assert.equal(data.hasData(1), true);
+            data.setPoint(2, saved);
+            assert.deepEqual(data.getPoint(2), saved);
+        }]
+    ]);
+}
+
+process.exitCode = main();
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+import { assert, createValidator, runChecks } from './checks.js';
+import { MonitoringFrequencyPlanner } from '../src/MonitoringFrequencyPlanner.js';
+import { ConstructionTimeline } from '../src/ConstructionTimeline.js';
+
+/**
+ * 监测频率计划的检查
+ * 按默认施工进度（准备、三层开挖、底板、拆除1道支撑、结构、回填）核对表7.0.3的取值、
+ * 三级基坑按二级编制并注明可适当降低、宜测可测项目的间隔，以及出现预警时提高频率（7.0.4）
+ * 用法：node bin/check-frequency-plan.js
+ */
+const START = '2026-03-01';
+
+function config(safetyLevel) {
+    return { type: 'soil', safetyLevel, dimensions: { length: 30, width: 20, depth: 9 } };
+}
+
+function main() {
+    const validator = createValidator();
+    const timeline = new ConstructionTimeline().createDefault(config(1), START, 1);
+    const planner = new MonitoringFrequencyPlanner(validator, timeline);
+    const format = frequency => planner.formatFrequency(frequency);
+    const plans = Object.fromEntries([1, 2, 3].map(level => [level, planner.plan(config(level))]));
+    const periodsOf = (plan, type) => plan.periods.filter(period => period.stageType === type);
+    const required = plans[1].items.find(item => item.category === 'required').type;
+
+    return runChecks([
+        ['一级基坑开挖期按 h/H 分段取表7.0.3的频率，底板浇筑按开挖至设计深度', () => {
+            assert.deepEqual(periodsOf(plans[1], 'excavation').map(period => format(period.baseFrequency)),
+                ['1次/2d', '1次/1d', '2次/1d']);
+            assert.equal(format(periodsOf(plans[1], 'base-slab')[0].baseFrequency), '2次/1d');
+        }],
+        ['底板浇筑后按天数分段', () => {
+            const [first] = periodsOf(plans[1], 'structure');
+            assert.equal(first.description, '底板浇筑后0～7d');
+            assert.equal(format(first.baseFrequency), '1次/1d');
+            assert.equal(format(periodsOf(plans[2], 'structure')[0].baseFrequency), '1次/2d');
+        }],
+        ['三级基坑按二级基坑的频率编制，不自动降低，并注明可视具体情况适当降低', () => {
+            assert.deepEqual(plans[3].periods.map(period => period.baseFrequency),
+                plans[2].periods.map(period => period.baseFrequency));
+            assert.equal(plans[3].notes.length, 1);
+            assert.match(plans[3].notes[0], /可视具体情况适当降低/);
+            assert.deepEqual(plans[1].notes, []);
+            assert.deepEqual(plans[2].notes, []);
+        }],
+        ['宜测、可测项目的间隔取应测项目的2倍', () => {
+            const others = plans[1].items.filter(item => item.category !== 'required');
+            assert.ok(others.length > 0, '一级基坑没有宜测、可测项目');
+            const [last] = periodsOf(plans[1], 'excavation').slice(-1);
+            assert.equal(format(last.frequencies[required]), '2次/1d');
+            others.forEach(item => assert.equal(format(last.frequencies[item.type]), '1次/1d', item.type));
+        }],
+        ['支撑拆除至拆除完成后3d为1次/1d', () => {
+            const stage = timeline.getStages().find(s => s.type === 'support-removal');
+            const [period] = periodsOf(plans[2], 'support-removal');
+            assert.equal(format(period.baseFrequency), '1次/1d');
+            assert.equal(period.end, timeline.addDays(stage.end, 3));
+        }],
+        ['出现预警的项目自生效日期起提高频率：异常2次/1d，危险连续监测', () => {
+            const types = plans[2].items.map(item => item.type);
+            const from = timeline.getStages().find(s => s.type === 'base-slab').start;
+            const escalated = planner.applyWarnings(plans[2], {
+                results: [
+                    { sensorId: 1, type: types[0], state: 'abnormal' },
+                    { sensorId: 2, type: types[1], state: 'danger' },
+                    { sensorId: 3, type: types[1], state: 'abnormal' }
+                ]
+            }, from);
+            assert.deepEqual(escalated.escalations[types[0]].sensorIds, [1]);
+            assert.deepEqual(escalated.escalations[types[1]].sensorIds, [2]);
+            const [before] = periodsOf(escalated, 'excavation');
+            const [after] = periodsOf(escalated, 'structure');
+            assert.equal(before.frequencies[types[0]].escalated, undefined);
+            assert.equal(format(after.frequencies[types[0]]), '2次/1d');
+            assert.equal(format(after.frequencies[types[1]]), '连续监测');
+        }],
+        ['监测日历按间隔安排观测日', () => {
+            const [first] = periodsOf(plans[1], 'excavation');
+            const days = planner.buildCalendar(plans[1])
+                .filter(day => day.date >= first.start && day.date < timeline.addDays(first.start, 6))
+                .filter(day => day.items.some(item => item.type === required))
+                .map(day => day.date);
+            assert.deepEqual(days, [0, 2, 4].map(offset => timeline.addDays(first.start, offset)));
+        }]
+    ]);
+}
+
+process.exitCode = main();
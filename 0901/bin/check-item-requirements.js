@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+import { assert, createValidator, runChecks } from './checks.js';
+import { ProtectedObjects } from '../src/ProtectedObjects.js';
+import { RulePackRegistry } from '../src/RulePacks.js';
+import { EXPLAINED_ISSUE_KINDS } from '../src/MonitoringItemTables.js';
+
+/**
+ * 监测项目要求的检查
+ * 核对周边建筑监测项目只在监测范围内有建筑时要求：未记录周边环境的基坑按无保护对象处理，
+ * 界面为新项目显示的示例对象不参与验证；以及与规范表4.2.1、4.2.2的核对能发现验证器采用的要求偏离表格
+ * 用法：node bin/check-item-requirements.js
+ */
+const CONFIG = { type: 'soil', safetyLevel: 1, dimensions: { length: 30, width: 20, depth: 10 } };
+const BUILDING_ITEMS = ['building-settlement', 'building-horizontal', 'building-tilt', 'building-crack'];
+
+function building(x, cracks = 0) {
+    return { environment: { objects: [{ kind: 'building', x, z: 0, length: 8, width: 6, height: 12, cracks }] } };
+}
+
+function monitored(requirements) {
+    return [...requirements.required, ...requirements.recommended, ...requirements.optional];
+}
+
+function main() {
+    const validator = createValidator();
+
+    return runChecks([
+        ['未记录周边环境时没有周边建筑、管线监测项目', () => {
+            assert.equal(ProtectedObjects.forConfig(CONFIG).objects.length, 0);
+            const requirements = validator.getRequirements(CONFIG);
+            assert.deepEqual(monitored(requirements).filter(type => BUILDING_ITEMS.includes(type)), []);
+            assert.deepEqual(requirements.inapplicable, [...BUILDING_ITEMS, 'pipeline-displacement']);
+        }],
+        ['未记录周边环境时验证不要求布置建筑测点', () => {
+            const results = validator.validateLayout(CONFIG, []);
+            const names = BUILDING_ITEMS.map(type => validator.getSensorTypeName(type));
+            const mentioned = [...results.errors, ...results.warnings].filter(message => names.some(name => message.includes(name)));
+            assert.deepEqual(mentioned, []);
+        }],
+        ['界面的示例对象不在基坑配置中时不影响监测项目', () => {
+            assert.ok(ProtectedObjects.createDefault(30, 20).objects.length > 0);
+            assert.deepEqual(validator.getRequirements(CONFIG), validator.getRequirements({ ...CONFIG, environment: null }));
+        }],
+        ['监测范围内有建筑时要求建筑监测项目，建筑有裂缝时才要求裂缝监测', () => {
+            const plain = validator.getRequirements({ ...CONFIG, ...building(25) });
+            assert.ok(monitored(plain).includes('building-settlement'), '缺少建筑竖向位移');
+            assert.ok(plain.inapplicable.includes('building-crack'), '建筑无裂缝时仍要求裂缝监测');
+            const cracked = validator.getRequirements({ ...CONFIG, ...building(25, 2) });
+            assert.ok(monitored(cracked).includes('building-crack'), '建筑有裂缝时未要求裂缝监测');
+        }],
+        ['监测范围以外的建筑不要求建筑监测项目', () => {
+            const requirements = validator.getRequirements({ ...CONFIG, ...building(200) });
+            assert.deepEqual(monitored(requirements).filter(type => BUILDING_ITEMS.includes(type)), []);
+        }],
+        ['验证器采用的要求与表4.2.1、4.2.2一致，差异均可由支护形式、周边环境解释', () => {
+            const report = validator.getConsistencyReport({ ...CONFIG, retainingSystem: 'soil-nailing' });
+            const unexplained = report.issues.filter(issue => !EXPLAINED_ISSUE_KINDS.includes(issue.kind));
+            assert.deepEqual(unexplained.map(issue => issue.message), []);
+            assert.equal(report.consistent, true);
+            assert.ok(report.issues.some(issue => issue.kind === 'excluded'), '土钉墙未列出不设的支撑项目');
+        }],
+        ['验证器的要求偏离表格时核对结果为不一致', () => {
+            const sabotaged = createValidator();
+            const tables = sabotaged.monitoringRequirements.soil[1];
+            tables.required.splice(tables.required.indexOf('horizontal-displacement'), 1);
+            tables.optional.push('horizontal-displacement');
+            const report = sabotaged.getConsistencyReport(CONFIG);
+            assert.equal(report.consistent, false);
+            const drift = report.issues.filter(issue => issue.kind === 'drift');
+            assert.deepEqual(drift.map(({ pitType, level, type, expected, actual }) => ({ pitType, level, type, expected, actual })),
+                [{ pitType: 'soil', level: 1, type: 'horizontal-displacement', expected: 'required', actual: 'optional' }]);
+        }],
+        ['规则包提高的类别按规则包解释，不判为不一致', () => {
+            const rulePacks = new RulePackRegistry([{
+                format: 'excavation-rule-pack', id: 'test', code: 'TEST 1-2020',
+                items: [{ type: 'soil-pressure', category: 'required', clause: '6.1.3' }]
+            }]);
+            const report = createValidator({ rulePacks }).getConsistencyReport({ ...CONFIG, rulePacks: ['test'] });
+            assert.equal(report.consistent, true);
+            assert.ok(report.issues.some(issue => issue.kind === 'rule-pack' && issue.type === 'soil-pressure'), '未列出规则包提高的类别');
+        }],
+        ['同一配置只核对一次，配置改变后重新核对', () => {
+            const report = validator.getConsistencyReport(CONFIG);
+            assert.equal(validator.getConsistencyReport({ ...CONFIG }), report);
+            assert.notEqual(validator.getConsistencyReport({ ...CONFIG, retainingSystem: 'soil-nailing' }), report);
+        }]
+    ]);
+}
+
+process.exitCode = main();
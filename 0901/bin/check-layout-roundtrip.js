@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as THREE from 'three';
+import { GB50497Validator } from '../src/GB50497Validator.js';
+import { ExcavationMonitoringSystem } from '../src/ExcavationMonitoringSystem.js';
+import { LayoutGenerator } from '../src/LayoutGenerator.js';
+import { RETAINING_SYSTEMS } from '../src/RetainingSystems.js';
+
+/**
+ * 自动布置与验证的一致性检查
+ * 对各基坑类型、支护形式、安全等级和几种平面尺寸，按自动布置生成测点后重新验证，
+ * 验证结论应无"不符合规范要求"和"建议改进"项。全部通过时退出码为0，否则列出各组合的结论并返回1
+ * 用法：node bin/check-layout-roundtrip.js
+ */
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const PIT_TYPES = ['soil', 'rock', 'soil-rock'];
+const SAFETY_LEVELS = [1, 2, 3];
+// 小基坑、边长大于50m的大基坑（长边增设测斜孔）和L形基坑（含阴角）
+const SHAPES = [
+    { name: '30m×20m', dimensions: { length: 30, width: 20, depth: 8 } },
+    { name: '80m×60m', dimensions: { length: 80, width: 60, depth: 16 } },
+    {
+        name: 'L形',
+        dimensions: { length: 60, width: 40, depth: 12 },
+        outline: [
+            { x: 30, z: -20 }, { x: 30, z: 20 }, { x: -30, z: 20 },
+            { x: -30, z: 0 }, { x: 0, z: 0 }, { x: 0, z: -20 }
+        ]
+    }
+];
+
+function checkCase(validator, generator, config) {
+    const system = new ExcavationMonitoringSystem(new THREE.Scene());
+    system.generateExcavation(config);
+    const layout = generator.generate(config, system.getLayoutGeometry());
+    layout.points.forEach(point => {
+        const { x, y, z } = point.position;
+        system.placeSensor(point.type, new THREE.Vector3(x, y, z), { host: point.host, metadata: point.metadata });
+    });
+    const results = validator.validateLayout(config, system.getSensors());
+    return [
+        ...results.errors.map(message => `不符合：${message}`),
+        ...results.warnings.map(message => `建议改进：${message}`)
+    ];
+}
+
+function main() {
+    const validator = new GB50497Validator({
+        itemTables: fs.readFileSync(path.join(root, 'GB504972019/规范原文/4监测项目.md'), 'utf8')
+    });
+    const generator = new LayoutGenerator(validator);
+
+    // 模型生成过程的日志与检查结果无关
+    const log = console.log;
+    console.log = () => {};
+    const failures = [];
+    let total = 0;
+    try {
+        PIT_TYPES.forEach(type => Object.entries(RETAINING_SYSTEMS).forEach(([id, { name }]) => SAFETY_LEVELS.forEach(safetyLevel => {
+            SHAPES.forEach(shape => {
+                const config = {
+                    type,
+                    safetyLevel,
+                    retainingSystem: id,
+                    dimensions: { ...shape.dimensions },
+                    ...(shape.outline ? { outline: shape.outline } : {})
+                };
+                total++;
+                const findings = checkCase(validator, generator, config);
+                if (findings.length > 0) {
+                    failures.push({ title: `${type} ${safetyLevel}级 ${name} ${shape.name}`, findings });
+                }
+            });
+        })));
+    } finally {
+        console.log = log;
+    }
+
+    failures.forEach(({ title, findings }) => {
+        console.log(`✗ ${title}`);
+        findings.forEach(finding => console.log(`    ${finding}`));
+    });
+    console.log(`共${total}个组合，${total - failures.length}个通过，${failures.length}个不通过`);
+    return failures.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
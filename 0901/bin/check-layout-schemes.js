@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+import * as THREE from 'three';
+import { assert, createValidator, runChecks } from './checks.js';
+import { LayoutSchemes } from '../src/LayoutSchemes.js';
+import { ExcavationMonitoringSystem } from '../src/ExcavationMonitoringSystem.js';
+import { LayoutGenerator } from '../src/LayoutGenerator.js';
+
+/**
+ * 布置方案的检查
+ * 核对方案间的测点差异（按传感器ID对应，删除测点重新编号后不误判为移动）和方案对比的指标与得分
+ * 用法：node bin/check-layout-schemes.js
+ */
+const CONFIG = { type: 'soil', safetyLevel: 2, retainingSystem: 'soil-nailing', dimensions: { length: 30, width: 20, depth: 8 } };
+
+function sensor(id, code, x, type = 'horizontal-displacement') {
+    return { id, code, type, position: { x, y: 0, z: -10 }, host: null, timestamp: null, metadata: {} };
+}
+
+/**
+ * 按自动布置生成的一套符合规范的传感器
+ */
+function generateSensors(validator, config) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const system = new ExcavationMonitoringSystem(new THREE.Scene());
+        system.generateExcavation(config);
+        const layout = new LayoutGenerator(validator).generate(config, system.getLayoutGeometry());
+        layout.points.forEach(point => {
+            const { x, y, z } = point.position;
+            system.placeSensor(point.type, new THREE.Vector3(x, y, z), { host: point.host, metadata: point.metadata });
+        });
+        return LayoutSchemes.snapshot(system.getSensors());
+    } finally {
+        console.log = log;
+    }
+}
+
+function codes(sensors) {
+    return sensors.map(s => s.code).sort();
+}
+
+function main() {
+    const validator = createValidator();
+    const base = [sensor(1, 'S1', -10), sensor(2, 'S2', 0), sensor(3, 'S3', 10)];
+
+    return runChecks([
+        ['删除测点后其余测点重新编号，按ID对应不判为移动', () => {
+            // 删除 S1 后 S2、S3 重新编号为 S1、S2
+            const other = [sensor(2, 'S1', 0), sensor(3, 'S2', 10)];
+            const diff = LayoutSchemes.diff(base, other);
+            assert.deepEqual(codes(diff.removed), ['S1']);
+            assert.equal(diff.removed[0].id, 1);
+            assert.equal(diff.added.length, 0);
+            assert.equal(diff.moved.length, 0);
+            assert.equal(diff.unchanged, 2);
+        }],
+        ['位置相差超过容许值的测点判为移动', () => {
+            const diff = LayoutSchemes.diff(base, [sensor(1, 'S1', -10), sensor(2, 'S2', 3), sensor(3, 'S3', 10.3)]);
+            assert.equal(diff.moved.length, 1);
+            assert.equal(diff.moved[0].to.id, 2);
+            assert.equal(diff.moved[0].distance, 3);
+            assert.equal(diff.unchanged, 2);
+        }],
+        ['没有ID的测点按测点编号对应', () => {
+            const other = [sensor(null, 'S2', 0), sensor(null, 'S4', 20)];
+            const diff = LayoutSchemes.diff(base, other);
+            assert.deepEqual(codes(diff.added), ['S4']);
+            assert.deepEqual(codes(diff.removed), ['S1', 'S3']);
+            assert.equal(diff.unchanged, 1);
+        }],
+        ['两方都有ID而ID不同的测点不按编号对应', () => {
+            const diff = LayoutSchemes.diff(base, [sensor(9, 'S1', -10)]);
+            assert.deepEqual(diff.added.map(s => s.id), [9]);
+            assert.equal(diff.removed.length, 3);
+        }],
+        ['不同监测项目的测点不对应', () => {
+            const diff = LayoutSchemes.diff(base, [sensor(1, 'S1', -10, 'vertical-displacement')]);
+            assert.equal(diff.added.length, 1);
+            assert.equal(diff.removed.length, 3);
+        }],
+        ['方案对比：自动布置的方案满足全部应测项目，得分高于空方案', () => {
+            const generated = generateSensors(validator, CONFIG);
+            const [empty, complete] = LayoutSchemes.compare(validator, CONFIG, [
+                { id: 1, name: '方案A', sensors: [] },
+                { id: 2, name: '方案B', sensors: generated }
+            ]);
+            assert.equal(empty.metrics.total, 0);
+            assert.equal(empty.metrics.requiredMet, 0);
+            assert.equal(empty.isValid, false);
+            assert.equal(complete.metrics.total, generated.length);
+            assert.equal(complete.metrics.requiredMet, complete.metrics.requiredTotal);
+            assert.equal(complete.metrics.errors, 0);
+            assert.equal(complete.isValid, true);
+            assert.ok(complete.score > empty.score, `方案B ${complete.score} 不高于方案A ${empty.score}`);
+            [empty, complete].forEach(result => assert.ok(result.score >= 0 && result.score <= 100, `得分 ${result.score} 超出0～100`));
+        }],
+        ['方案对比：权重可覆盖，只计一项时得分为该项得分', () => {
+            const weights = { required: 0, recommended: 0, errors: 0, warnings: 0, density: 0, range: 1 };
+            const [result] = LayoutSchemes.compare(validator, CONFIG, [{ id: 1, name: '方案A', sensors: base }], { weights });
+            assert.equal(result.score, result.scores.range * 100);
+        }]
+    ]);
+}
+
+process.exitCode = main();
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+import { assert, runChecks } from './checks.js';
+import { ProjectSerializer, PROJECT_FILE_FORMAT, PROJECT_SCHEMA_VERSION } from '../src/ProjectSerializer.js';
+
+/**
+ * 项目文件的检查
+ * 核对各早期版本的项目文件能迁移到当前版本，保存后重新读取的项目与原项目一致，
+ * 以及基坑类型、安全等级、监测项目等无效的文件不导入并说明原因
+ * 用法：node bin/check-project-files.js
+ */
+const CONFIG = { type: 'rock', safetyLevel: 2, retainingSystem: 'soil-nailing', dimensions: { length: 40, width: 25, depth: 8 } };
+
+function sensor(id, type = 'horizontal-displacement') {
+    return { id, type, position: { x: id, y: 0, z: -10 }, timestamp: 1700000000000, metadata: {} };
+}
+
+function main() {
+    const serializer = new ProjectSerializer();
+
+    return runChecks([
+        ['仅含传感器数组的文件（含空数组）按默认基坑导入', () => {
+            [[], [sensor(0), sensor(1, 'vertical-displacement')]].forEach(legacy => {
+                const project = serializer.deserialize(JSON.stringify(legacy));
+                assert.equal(project.version, PROJECT_SCHEMA_VERSION);
+                assert.deepEqual(project.config, { type: 'soil', safetyLevel: 1, dimensions: { length: 30, width: 20, depth: 10 } });
+                assert.equal(project.sensors.length, legacy.length);
+            });
+        }],
+        ['v0 文件的传感器ID改为从1开始，监测数据随之对应', () => {
+            const project = serializer.deserialize({ config: CONFIG, sensors: [sensor(0), sensor(1)] });
+            assert.deepEqual(project.sensors.map(s => s.id), [1, 2]);
+            const v4 = serializer.deserialize({
+                format: PROJECT_FILE_FORMAT, version: 4, config: CONFIG, sensors: [sensor(0)],
+                data: { points: [{ id: '0', initialValue: null, readings: [] }] },
+                warning: { supportCategory: 'rigid', thresholds: {} }, timeline: { stages: [] }
+            });
+            assert.equal(v4.sensors[0].id, 1);
+            assert.equal(v4.data.points[0].id, '1');
+        }],
+        ['迁移补齐各版本增加的数据段', () => {
+            const project = serializer.deserialize({ config: CONFIG, sensors: [] });
+            assert.deepEqual(project.data, { points: [] });
+            assert.deepEqual(project.warning, { supportCategory: 'rigid', thresholds: {} });
+            assert.deepEqual(project.timeline, { stages: [] });
+        }],
+        ['基坑类型、安全等级无效的文件不导入', () => {
+            assert.throws(() => serializer.deserialize({ config: { ...CONFIG, type: 'clay' }, sensors: [] }), /基坑类型无效：clay/);
+            assert.throws(() => serializer.deserialize({ config: { ...CONFIG, safetyLevel: 5 }, sensors: [] }), /安全等级无效：5/);
+            assert.throws(() => serializer.deserialize({ config: { ...CONFIG, safetyLevel: '1' }, sensors: [] }), /安全等级无效/);
+        }],
+        ['监测项目无效的传感器（含布置方案中的传感器）不导入', () => {
+            assert.throws(() => serializer.deserialize({ config: CONFIG, sensors: [sensor(0, 'foo')] }), /第1个传感器的监测项目无效：foo/);
+            const saved = serializer.serialize(CONFIG, [], undefined, undefined, undefined, null, null, [],
+                { activeId: 1, schemes: [{ id: 1, name: '方案A', sensors: [{ ...sensor(1), type: 'foo' }] }] });
+            assert.throws(() => serializer.deserialize(saved), /布置方案"方案A"中第1个传感器的监测项目无效/);
+        }],
+        ['高于当前版本的文件不导入', () => {
+            assert.throws(() => serializer.deserialize({ format: PROJECT_FILE_FORMAT, version: PROJECT_SCHEMA_VERSION + 1 }),
+                /高于当前支持的/);
+        }],
+        ['保存后重新读取的项目与原项目一致', () => {
+            const sensors = [{ ...sensor(3), code: 'S3', host: null }];
+            const data = { points: [{ id: '3', initialValue: 1.5, readings: [{ time: '2026-01-01T00:00:00.000Z', value: 2 }] }] };
+            const warning = { supportCategory: 'flexible', dangerFactor: 1.5, thresholds: {} };
+            const saved = serializer.serialize(CONFIG, sensors, data, warning);
+            const project = serializer.deserialize(JSON.stringify(saved));
+            assert.deepEqual(project.config, CONFIG);
+            assert.deepEqual(project.sensors, saved.sensors);
+            assert.deepEqual(project.data, data);
+            assert.deepEqual(project.warning, warning);
+        }]
+    ]);
+}
+
+process.exitCode = main();
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { assert, root, createValidator, runChecks } from './checks.js';
+import { RulePackRegistry, RuleSet, parseRulePack, describeRuleSource, BASE_STANDARD } from '../src/RulePacks.js';
+import { RETAINING_SYSTEMS } from '../src/RetainingSystems.js';
+import { WarningEngine } from '../src/WarningEngine.js';
+
+/**
+ * 规则包的检查
+ * 核对规则来源的说明、取较严者的规则（与 GB50497 相同时保留 GB50497 的来源），
+ * 以及 rule-packs/ 中随系统加载的规则包：每条规则注明条文号，并且至少在一种基坑上比 GB50497 严
+ * （与 GB50497 相同的规则不改变任何要求，不应随系统提供）
+ * 用法：node bin/check-rule-packs.js
+ */
+const CONFIGS = ['soil', 'rock', 'soil-rock'].flatMap(type => [1, 2, 3].flatMap(safetyLevel =>
+    Object.keys(RETAINING_SYSTEMS).map(retainingSystem => ({
+        type, safetyLevel, retainingSystem, dimensions: { length: 30, width: 20, depth: 10 }
+    }))));
+
+function pack(rules) {
+    return parseRulePack({ format: 'excavation-rule-pack', id: 'test', code: 'TEST 1-2020', ...rules });
+}
+
+function readPacks(dir) {
+    return fs.readdirSync(dir).filter(file => file.endsWith('.json'))
+        .map(file => ({ file, source: fs.readFileSync(path.join(dir, file), 'utf8') }));
+}
+
+/**
+ * 规则包中在某种基坑上生效（比 GB50497 严）的规则，未生效的规则在返回值之外
+ */
+function effectiveRules(source) {
+    const registry = new RulePackRegistry([source]);
+    const [loaded] = registry.list();
+    const validator = createValidator({ rulePacks: registry });
+    const engine = new WarningEngine({ rulePacks: registry });
+    // 规则的适用范围（pitTypes、safetyLevels、retainingSystems）按 RuleSet 的筛选判断
+    const applies = (rule, config) => new RuleSet([{ items: [rule] }]).rules('items', config).length > 0;
+    const decided = {
+        items: (rule, config) => validator.getRequirements(config)?.sources[rule.type]?.source,
+        minCounts: (rule, config) => validator.getCountRule(config, rule.type, rule.scope).source,
+        spacings: (rule, config) => validator.getSpacingRule(config, rule.type).source,
+        warnings: (rule, config) => ['rigid', 'flexible'].some(supportCategory => {
+            const threshold = engine.getDefaultThreshold(rule.type, { ...config, supportCategory });
+            return threshold && [threshold.sources.cumulative.source, threshold.sources.rate.source].includes(loaded.code);
+        }) ? loaded.code : BASE_STANDARD,
+        range: (rule, config) => validator.getMonitoringRange(config).source
+    };
+    const rules = [
+        ...['items', 'minCounts', 'spacings', 'warnings'].flatMap(kind => loaded[kind].map(rule => ({ kind, rule }))),
+        ...(loaded.range ? [{ kind: 'range', rule: loaded.range }] : [])
+    ];
+    return {
+        loaded,
+        rules,
+        effective: rules.filter(({ kind, rule }) => CONFIGS.some(config => {
+            const scoped = { ...config, rulePacks: [loaded.id] };
+            return applies(rule, scoped) && decided[kind](rule, scoped) === loaded.code;
+        }))
+    };
+}
+
+function main() {
+    const builtin = readPacks(path.join(root, 'rule-packs'));
+    const examples = readPacks(path.join(root, 'rule-packs/examples'));
+    const config = CONFIGS[0];
+
+    return runChecks([
+        ['规则来源的说明：条文号写作"第X条"，其他出处加括号，无条文号时只写标准编号', () => {
+            assert.equal(describeRuleSource('DG/TJ 08-2001-2016', '5.2.1'), 'DG/TJ 08-2001-2016 第5.2.1条');
+            assert.equal(describeRuleSource('TEST 1-2020', '条文说明引述'), 'TEST 1-2020（条文说明引述）');
+            assert.equal(describeRuleSource(BASE_STANDARD, null), BASE_STANDARD);
+        }],
+        ['最少测点数与 GB50497 相同时保留 GB50497 的来源和条文号', () => {
+            const rules = new RuleSet([pack({ minCounts: [{ type: 'horizontal-displacement', scope: 'side', min: 3, clause: '6.1.1' }] })]);
+            assert.deepEqual(rules.getMinCount(config, 'horizontal-displacement', 'side', { value: 3, clause: '5.2.1' }),
+                { value: 3, clause: '5.2.1', source: BASE_STANDARD });
+        }],
+        ['最少测点数较大的规则包取代 GB50497', () => {
+            const rules = new RuleSet([pack({ minCounts: [{ type: 'horizontal-displacement', scope: 'side', min: 4, clause: '6.1.1' }] })]);
+            assert.deepEqual(rules.getMinCount(config, 'horizontal-displacement', 'side', { value: 3, clause: '5.2.1' }),
+                { value: 4, clause: '6.1.1', source: 'TEST 1-2020' });
+        }],
+        ['最大间距取较小者，相同时保留 GB50497', () => {
+            const base = { value: 20, clause: '5.2.1' };
+            const same = new RuleSet([pack({ spacings: [{ type: 'vertical-displacement', max: 20, clause: '6.1.2' }] })]);
+            const smaller = new RuleSet([pack({ spacings: [{ type: 'vertical-displacement', max: 15, clause: '6.1.2' }] })]);
+            assert.equal(same.getMaxSpacing(config, 'vertical-displacement', base).source, BASE_STANDARD);
+            assert.deepEqual(smaller.getMaxSpacing(config, 'vertical-displacement', base),
+                { value: 15, clause: '6.1.2', source: 'TEST 1-2020' });
+        }],
+        ['预警值的累计值和速率分别取较小者，未取代的一项保留表8.0.4的条文号', () => {
+            const rules = new RuleSet([pack({ warnings: [{ type: 'horizontal-displacement', cumulative: 30, rate: 1, clause: '6.2.1' }] })]);
+            const picked = rules.getWarningThreshold(config, 'horizontal-displacement',
+                { cumulative: 25, rate: 2, clause: '8.0.4' }, 'rigid');
+            assert.deepEqual(picked.cumulative, { value: 25, clause: '8.0.4', source: BASE_STANDARD });
+            assert.deepEqual(picked.rate, { value: 1, clause: '6.2.1', source: 'TEST 1-2020' });
+        }],
+        ['规则只用于限定的安全等级', () => {
+            const rules = new RuleSet([pack({ items: [{ type: 'wall-internal-force', category: 'required', clause: '6.1.3', safetyLevels: [1] }] })]);
+            assert.equal(rules.getItemCategories({ ...config, safetyLevel: 1 })['wall-internal-force']?.category, 'required');
+            assert.equal(rules.getItemCategories({ ...config, safetyLevel: 2 })['wall-internal-force'], undefined);
+        }],
+        ['与 GB50497 相同的规则判为不生效', () => {
+            const { effective } = effectiveRules({
+                format: 'excavation-rule-pack', id: 'tie', code: 'TIE 1-2020',
+                minCounts: [{ type: 'horizontal-displacement', scope: 'side', min: 3, clause: '6.1.1' }],
+                range: { factor: 2, clause: '6.1.4' }
+            });
+            assert.equal(effective.length, 0);
+        }],
+        ['示例规则包格式正确', () => {
+            examples.forEach(({ file, source }) => assert.doesNotThrow(() => parseRulePack(source), file));
+        }],
+        ...builtin.map(({ file, source }) => [`随系统加载的规则包 ${file}：各条规则注明条文号并且比 GB50497 严`, () => {
+            const { loaded, rules, effective } = effectiveRules(source);
+            const unsourced = rules.filter(({ rule }) => !rule.clause);
+            assert.ok(unsourced.length === 0, `${loaded.code} 中${unsourced.length}条规则没有条文号`);
+            const idle = rules.filter(item => !effective.includes(item));
+            assert.ok(idle.length === 0, `${loaded.code} 中以下规则在任何基坑上都不比 GB50497 严：` +
+                idle.map(({ kind, rule }) => `${kind} ${rule.type || ''}`).join('、'));
+        }])
+    ]);
+}
+
+process.exitCode = main();
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GB50497Validator } from '../src/GB50497Validator.js';
+
+/**
+ * 命令行检查脚本的公共部分
+ * 每项检查为 [说明, 函数]，函数中断言不成立或抛出异常即为不通过
+ */
+export { assert };
+
+export const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 按规范原文的监测项目表格创建验证器
+ * @param {Object} options 其余构造参数，如 rulePacks
+ */
+export function createValidator(options = {}) {
+    return new GB50497Validator({
+        itemTables: fs.readFileSync(path.join(root, 'GB504972019/规范原文/4监测项目.md'), 'utf8'),
+        ...options
+    });
+}
+
+/**
+ * 逐项运行检查，列出不通过的项目
+ * @param {Array} checks [[说明, 函数]]
+ * @returns {number} 退出码，全部通过时为0
+ */
+export function runChecks(checks) {
+    const failures = [];
+    checks.forEach(([title, check]) => {
+        try {
+            check();
+        } catch (error) {
+            failures.push({ title, message: error.message });
+        }
+    });
+
+    failures.forEach(({ title, message }) => {
+        console.log(`✗ ${title}`);
+        message.split('\n').filter(line => line.trim()).forEach(line => console.log(`    ${line}`));
+    });
+    console.log(`共${checks.length}项检查，${checks.length - failures.length}项通过，${failures.length}项不通过`);
+    return failures.length > 0 ? 1 : 0;
+}
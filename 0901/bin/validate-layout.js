@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BatchValidator } from '../src/BatchValidator.js';
+
+/**
+ * 命令行批量验证保存的项目文件
+ * 用法：node bin/validate-layout.js [--format markdown|json] [--output 报告文件] [--rule-pack 规则包.json]... <项目文件或目录>...
+ * 目录按其中的 .json 文件逐个验证；全部符合要求时退出码为0，有不符合要求或无法读取的文件时为1，参数错误时为2
+ */
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const USAGE = `用法：node bin/validate-layout.js [选项] <项目文件或目录>...
+
+选项：
+  --format <markdown|json>  报告格式，默认 markdown
+  --output <文件>           报告写入文件，默认输出到标准输出
+  --rule-pack <文件>        另行加载规则包（可多次指定），rule-packs/ 中的规则包和项目文件中的规则包自动加载
+  --help                    显示本说明`;
+
+function parseArgs(argv) {
+    const args = { format: 'markdown', output: null, rulePacks: [], inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} 缺少参数`);
+            return argv[++i];
+        };
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--format') args.format = value();
+        else if (arg === '--output') args.output = value();
+        else if (arg === '--rule-pack') args.rulePacks.push(value());
+        else if (arg.startsWith('--')) throw new Error(`未知选项 ${arg}`);
+        else args.inputs.push(arg);
+    }
+    if (!['markdown', 'json'].includes(args.format)) throw new Error('--format 应为 markdown 或 json');
+    return args;
+}
+
+// 目录展开为其中的 .json 文件（按文件名排序）
+function listFiles(inputs) {
+    return inputs.flatMap(input => {
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            return fs.readdirSync(input)
+                .filter(name => name.toLowerCase().endsWith('.json'))
+                .sort()
+                .map(name => path.join(input, name));
+        }
+        return [input];
+    });
+}
+
+function readJsonFiles(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.inputs.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let validator;
+    try {
+        validator = new BatchValidator({
+            itemTables: fs.readFileSync(path.join(root, 'GB504972019/规范原文/4监测项目.md'), 'utf8'),
+            rulePacks: [
+                ...readJsonFiles(path.join(root, 'rule-packs')),
+                ...args.rulePacks.map(file => fs.readFileSync(file, 'utf8'))
+            ]
+        });
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const entries = listFiles(args.inputs).map(file => {
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            return { file, isValid: false, error: `无法读取文件：${error.message}`, rulePacks: [], counts: null, findings: [] };
+        }
+        return validator.validateProject(source, file);
+    });
+
+    const report = validator.summarize(entries);
+    const text = args.format === 'json' ? JSON.stringify(report, null, 2) : validator.toMarkdown(report);
+    if (args.output) {
+        fs.writeFileSync(args.output, `${text}\n`);
+        console.error(`报告已写入 ${args.output}：共${report.summary.total}个项目文件，${report.summary.failed}个不符合要求`);
+    } else {
+        console.log(text);
+    }
+    return report.summary.failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,151 @@
+import { GB50497Validator } from './GB50497Validator.js';
+import { ProjectSerializer } from './ProjectSerializer.js';
+import { RulePackRegistry, BASE_STANDARD, parseRulePack, describeRuleSource } from './RulePacks.js';
+import { getRetainingSystem } from './RetainingSystems.js';
+
+/**
+ * 项目文件批量验证
+ * 不依赖 DOM 和 THREE：逐个解析保存的项目文件，按文件中的基坑配置、绘制的监测断面和选用的规则包重新验证，
+ * 汇总为 JSON 或 Markdown 报告，供规则更新后复核历史方案（命令行入口见 bin/validate-layout.js）
+ */
+const SEVERITY_NAMES = {
+    error: '不符合',
+    warning: '建议改进',
+    suggestion: '提示'
+};
+
+const PIT_TYPE_NAMES = {
+    'soil': '土质基坑',
+    'rock': '岩体基坑',
+    'soil-rock': '土岩组合基坑'
+};
+
+export class BatchValidator {
+    /**
+     * @param {Object} options options.itemTables 为规范原文第4章 Markdown 文本（表4.2.1、4.2.2）；
+     *                         options.rulePacks 为附带和另行指定的规则包（JSON 文本或对象），格式错误时抛出异常
+     */
+    constructor(options = {}) {
+        this.itemTables = options.itemTables;
+        this.rulePacks = (options.rulePacks || []).map(parseRulePack);
+        this.serializer = new ProjectSerializer();
+    }
+
+    /**
+     * 验证一个项目文件
+     * @param {string|Object} source 项目文件内容
+     * @param {string} name 文件名，用于报告
+     * @returns {Object} { file, isValid, error?, project?, rulePacks, counts, findings }
+     */
+    validateProject(source, name) {
+        let project;
+        try {
+            project = this.serializer.deserialize(source);
+        } catch (error) {
+            return { file: name, isValid: false, error: error.message, rulePacks: [], counts: null, findings: [] };
+        }
+
+        // 每个项目使用独立的规则包登记表，项目附带的规则包不影响其他项目
+        const registry = new RulePackRegistry(this.rulePacks);
+        ((project.rulePacks && project.rulePacks.packs) || []).forEach(pack => registry.register(pack, true));
+        const validator = new GB50497Validator({ itemTables: this.itemTables, rulePacks: registry });
+
+        const { config, sensors } = project;
+        const options = project.sections ? { sections: project.sections.sections } : {};
+        const results = validator.validateLayout(config, sensors, options);
+
+        const codes = new Map(sensors.map(sensor => [sensor.id, sensor.code || `#${sensor.id}`]));
+        return {
+            file: name,
+            isValid: results.isValid,
+            project: {
+                type: config.type,
+                safetyLevel: config.safetyLevel,
+                retainingSystem: getRetainingSystem(config).name,
+                dimensions: { ...config.dimensions },
+                sensors: sensors.length,
+                savedAt: project.savedAt || null
+            },
+            rulePacks: results.rulePacks,
+            counts: {
+                errors: results.errors.length,
+                warnings: results.warnings.length,
+                suggestions: results.suggestions.length
+            },
+            findings: results.findings.map(finding => ({
+                severity: finding.severity,
+                message: finding.message,
+                clause: finding.clause || null,
+                source: finding.source,
+                sensors: finding.sensorIds.map(id => codes.get(id) || `#${id}`)
+            }))
+        };
+    }
+
+    /**
+     * 汇总各项目的验证结果
+     * @param {Array} entries validateProject() 的结果
+     */
+    summarize(entries) {
+        const passed = entries.filter(entry => entry.isValid).length;
+        return {
+            standard: BASE_STANDARD,
+            generatedAt: new Date().toISOString(),
+            summary: { total: entries.length, passed, failed: entries.length - passed },
+            files: entries
+        };
+    }
+
+    /**
+     * Markdown 格式的报告
+     * @param {Object} report summarize() 的结果
+     */
+    toMarkdown(report) {
+        const { total, passed, failed } = report.summary;
+        const lines = [
+            '# 监测点布置批量验证报告',
+            '',
+            `依据《建筑基坑工程监测技术标准》GB 50497-2019，验证时间 ${report.generatedAt}`,
+            '',
+            `共${total}个项目文件，${passed}个符合要求，${failed}个不符合要求或无法读取。`,
+            ''
+        ];
+
+        report.files.forEach(entry => {
+            lines.push(`## ${entry.isValid ? '✅' : '❌'} ${entry.file}`, '');
+            if (entry.error) {
+                lines.push(`无法读取：${entry.error}`, '');
+                return;
+            }
+            const { project, counts } = entry;
+            const { length, width, depth } = project.dimensions;
+            lines.push(
+                `- 基坑：${PIT_TYPE_NAMES[project.type] || project.type}，${project.safetyLevel}级，${project.retainingSystem}，` +
+                `${length}m×${width}m，开挖深度${depth}m`,
+                `- 传感器：${project.sensors}个`,
+                `- 适用标准：GB 50497-2019${entry.rulePacks.map(pack => `、${pack.code}`).join('')}`,
+                `- 结论：${counts.errors}项不符合，${counts.warnings}项建议改进，${counts.suggestions}项提示`,
+                ''
+            );
+            if (entry.findings.length === 0) return;
+
+            lines.push('| 类别 | 依据 | 内容 | 涉及测点 |', '| --- | --- | --- | --- |');
+            entry.findings.forEach(finding => {
+                const basis = finding.source === BASE_STANDARD
+                    ? (finding.clause || '—')
+                    : describeRuleSource(finding.source, finding.clause);
+                const sensors = finding.sensors.length > 8
+                    ? `${finding.sensors.slice(0, 8).join('、')} 等${finding.sensors.length}个`
+                    : finding.sensors.join('、') || '—';
+                lines.push(`| ${SEVERITY_NAMES[finding.severity]} | ${escapeCell(basis)} | ${escapeCell(finding.message)} | ${escapeCell(sensors)} |`);
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+}
+
+function escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
@@ -0,0 +1,86 @@
+/**
+ * 操作历史（撤销/重做）
+ * 每条命令为 { label, undo(), redo() }，命令只通过传感器ID等稳定标识引用对象，
+ * 因此重新生成基坑模型后历史仍然有效
+ */
+export class CommandHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        // 历史变化时的回调，用于刷新撤销/重做按钮
+        this.onChange = null;
+    }
+
+    /**
+     * 执行命令并记入历史
+     */
+    execute(command) {
+        command.redo();
+        this.push(command);
+    }
+
+    /**
+     * 记录已经执行过的命令
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * 撤销最近一次操作
+     * @returns {Object|null} 被撤销的命令
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    /**
+     * 重做最近一次撤销的操作
+     * @returns {Object|null} 被重做的命令
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.redo();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this);
+    }
+}
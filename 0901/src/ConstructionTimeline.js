@@ -0,0 +1,193 @@
+/**
+ * 基坑施工进度计划
+ * 按施工阶段（分层开挖、底板浇筑、支撑拆除、回填等）描述工程进程，日期统一使用 YYYY-MM-DD
+ * 并可推算每个阶段的开挖深度和支撑施工、拆除状态
+ */
+export const STAGE_TYPES = {
+    'preparation': '开挖前准备',
+    'excavation': '分层开挖',
+    'base-slab': '底板浇筑',
+    'support-removal': '支撑拆除',
+    'structure': '地下结构施工',
+    'backfill': '基坑回填'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 开挖至支撑中心标高以下该深度后施作该道支撑
+const SUPPORT_INSTALL_CLEARANCE = 0.5;
+
+export class ConstructionTimeline {
+    constructor(stages = []) {
+        this.stages = [];
+        this.nextId = 1;
+        stages.forEach(stage => this.addStage(stage));
+    }
+
+    /**
+     * 根据基坑配置生成默认进度：准备 → 三层开挖 → 底板 → 逐道拆撑与地下结构施工 → 回填
+     * @param {Object} config 基坑配置
+     * @param {string} startDate 开始日期
+     * @param {number} supportLevelCount 支撑道数
+     */
+    createDefault(config, startDate = this.formatDate(Date.now()), supportLevelCount = 0) {
+        const { depth } = config.dimensions;
+        const layers = 3;
+        this.stages = [];
+        this.nextId = 1;
+
+        let cursor = startDate;
+        const next = (type, name, days, extra = {}) => {
+            const end = this.addDays(cursor, days);
+            this.addStage({ type, name, start: cursor, end, ...extra });
+            cursor = end;
+        };
+
+        next('preparation', '开挖前准备', 7);
+        for (let layer = 1; layer <= layers; layer++) {
+            next('excavation', `第${layer}层开挖`, 10, { depth: +(depth * layer / layers).toFixed(2) });
+        }
+        next('base-slab', '底板浇筑', 3, { depth });
+
+        // 自下而上随地下结构施工逐道拆除支撑
+        for (let level = supportLevelCount - 1; level >= 0; level--) {
+            next('structure', `地下结构施工至第${level + 1}道支撑下`, 15, { depth });
+            next('support-removal', `拆除第${level + 1}道支撑`, 5, { depth, supportLevel: level });
+        }
+        next('structure', '地下结构施工', supportLevelCount > 0 ? 15 : 60, { depth });
+        next('backfill', '基坑回填', 10, { depth });
+        return this;
+    }
+
+    addStage(stage) {
+        const normalized = {
+            id: stage.id ?? this.nextId,
+            name: stage.name || STAGE_TYPES[stage.type] || '施工阶段',
+            type: STAGE_TYPES[stage.type] ? stage.type : 'excavation',
+            start: stage.start,
+            end: stage.end || stage.start,
+            depth: this.toNumberOrNull(stage.depth),
+            // 支撑拆除阶段拆除的支撑道次（从0开始），为空表示拆除全部剩余支撑
+            supportLevel: this.toNumberOrNull(stage.supportLevel)
+        };
+        this.nextId = Math.max(this.nextId, Number(normalized.id) + 1);
+        this.stages.push(normalized);
+        return normalized;
+    }
+
+    updateStage(id, changes) {
+        const stage = this.stages.find(s => s.id === id);
+        if (!stage) return null;
+        Object.assign(stage, changes);
+        ['depth', 'supportLevel'].forEach(key => {
+            if (key in changes) stage[key] = this.toNumberOrNull(changes[key]);
+        });
+        return stage;
+    }
+
+    removeStage(id) {
+        this.stages = this.stages.filter(s => s.id !== id);
+    }
+
+    /**
+     * 按开始日期排序的阶段列表
+     */
+    getStages() {
+        return [...this.stages].sort((a, b) => this.parseDate(a.start) - this.parseDate(b.start));
+    }
+
+    /**
+     * 底板浇筑日期，用于计算"底板浇筑后时间"
+     */
+    getBaseSlabDate() {
+        const slab = this.getStages().find(s => s.type === 'base-slab');
+        return slab ? slab.end : null;
+    }
+
+    /**
+     * 推算第 index 个阶段（按时间排序）完成时的工况
+     * @param {number} index 阶段序号
+     * @param {Object} config 基坑配置
+     * @param {Array} supportLevels [{ level, y }]，见 ExcavationMonitoringSystem.getSupportLevels()
+     * @returns {Object|null} { index, stage, excavatedDepth, installedLevels, removedLevels }
+     */
+    getStageState(index, config, supportLevels = []) {
+        const stages = this.getStages();
+        if (index < 0 || index >= stages.length) return null;
+
+        const designDepth = config.dimensions.depth;
+        let excavatedDepth = 0;
+        const installed = new Set();
+        const removed = new Set();
+
+        for (let i = 0; i <= index; i++) {
+            const stage = stages[i];
+            switch (stage.type) {
+                case 'preparation':
+                    break;
+                case 'support-removal':
+                    if (stage.supportLevel === null) {
+                        installed.forEach(level => removed.add(level));
+                    } else {
+                        removed.add(stage.supportLevel);
+                    }
+                    break;
+                case 'excavation':
+                    excavatedDepth = Math.max(excavatedDepth, Math.min(stage.depth ?? designDepth, designDepth));
+                    break;
+                default:
+                    // 底板浇筑及之后的阶段均已开挖至设计深度
+                    excavatedDepth = designDepth;
+            }
+
+            supportLevels.forEach(({ level, y }) => {
+                if (!removed.has(level) && -y + SUPPORT_INSTALL_CLEARANCE <= excavatedDepth + 1e-6) {
+                    installed.add(level);
+                }
+            });
+        }
+
+        return {
+            index,
+            stage: stages[index],
+            excavatedDepth,
+            installedLevels: [...installed].filter(level => !removed.has(level)).sort((a, b) => a - b),
+            removedLevels: [...removed].sort((a, b) => a - b)
+        };
+    }
+
+    toJSON() {
+        return { stages: this.getStages().map(stage => ({ ...stage })) };
+    }
+
+    load(data) {
+        this.stages = [];
+        this.nextId = 1;
+        ((data && data.stages) || []).forEach(stage => this.addStage(stage));
+    }
+
+    toNumberOrNull(value) {
+        return value === null || value === undefined || value === '' || !Number.isFinite(Number(value))
+            ? null : Number(value);
+    }
+
+    parseDate(date) {
+        return Date.parse(`${date}T00:00:00`);
+    }
+
+    formatDate(time) {
+        const date = new Date(time);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    addDays(date, days) {
+        const result = new Date(this.parseDate(date));
+        result.setDate(result.getDate() + days);
+        return this.formatDate(result.getTime());
+    }
+
+    daysBetween(from, to) {
+        return Math.round((this.parseDate(to) - this.parseDate(from)) / MS_PER_DAY);
+    }
+}
@@ -1,16 +1,36 @@
 import * as THREE from 'three';
+import { PitOutline } from './PitOutline.js';
+import { Stratigraphy, SOIL_CLASSES } from './Stratigraphy.js';
+import { getRetainingSystem } from './RetainingSystems.js';
+import { GroundAnchors } from './GroundAnchors.js';
+import { SupportSystem } from './SupportSystem.js';
+import { ProtectedObjects } from './ProtectedObjects.js';
+import { UndergroundPipelines } from './UndergroundPipelines.js';
+import { SENSOR_TYPES, getSensorType } from './SensorTypes.js';
 
 export class ExcavationMonitoringSystem {
     constructor(scene) {
         this.scene = scene;
         this.excavationGroup = new THREE.Group();
         this.sensorGroup = new THREE.Group();
+        // 测斜管及其变形曲线，不参与拾取和测点动画
+        this.inclinometerGroup = new THREE.Group();
+        // 监测断面的剖切线及标注，见 setMonitoringSections()
+        this.sectionGroup = new THREE.Group();
         this.interactableObjects = [];
         this.sensors = [];
+        this.nextSensorId = 1;
         this.config = null;
+        this.outline = null;
+        this.outlinePreview = null;
+        this.constructionState = null;
+        this.wallThickness = 0.8;
+        this.anchorLayout = [];
         
         this.scene.add(this.excavationGroup);
         this.scene.add(this.sensorGroup);
+        this.scene.add(this.inclinometerGroup);
+        this.scene.add(this.sectionGroup);
         
         this.initMaterials();
         this.createGround();
@@ -37,21 +57,96 @@ export class ExcavationMonitoringSystem {
             shininess: 30
         });
 
+        // 型钢水泥土墙材料
+        this.smwMaterial = new THREE.MeshPhongMaterial({
+            color: 0xA9A99A,
+            shininess: 10
+        });
+
+        // 旋喷桩止水帷幕材料
+        this.curtainMaterial = new THREE.MeshLambertMaterial({
+            color: 0xB0C4DE,
+            transparent: true,
+            opacity: 0.5
+        });
+
+        // 放坡坡面、土钉墙喷射混凝土面层材料
+        this.slopeMaterial = new THREE.MeshLambertMaterial({
+            color: 0xC19A6B,
+            side: THREE.DoubleSide
+        });
+        this.shotcreteMaterial = new THREE.MeshLambertMaterial({
+            color: 0xA0A0A0,
+            side: THREE.DoubleSide
+        });
+
+        // 土钉、锚杆材料
+        this.tendonMaterial = new THREE.MeshPhongMaterial({
+            color: 0x8B0000,
+            shininess: 60
+        });
+
+        // 锚杆锚固段（注浆体）材料
+        this.groutMaterial = new THREE.MeshLambertMaterial({
+            color: 0x9E9E9E
+        });
+
         // 支撑材料
         this.supportMaterial = new THREE.MeshPhongMaterial({ 
             color: 0x4169E1,
             shininess: 50
         });
 
-        // 传感器材料
-        this.sensorMaterials = {
-            'horizontal-displacement': new THREE.MeshPhongMaterial({ color: 0xFF0000 }),
-            'vertical-displacement': new THREE.MeshPhongMaterial({ color: 0x00FF00 }),
-            'deep-horizontal': new THREE.MeshPhongMaterial({ color: 0x0000FF }),
-            'support-force': new THREE.MeshPhongMaterial({ color: 0xFFFF00 }),
-            'anchor-force': new THREE.MeshPhongMaterial({ color: 0xFF00FF }),
-            'water-level': new THREE.MeshPhongMaterial({ color: 0x00FFFF }),
-            'ground-settlement': new THREE.MeshPhongMaterial({ color: 0xFFA500 })
+        // 传感器材料和图标形状按监测项目登记表生成
+        this.sensorMaterials = {};
+        this.sensorGeometries = {};
+        Object.entries(SENSOR_TYPES).forEach(([type, definition]) => {
+            this.sensorMaterials[type] = new THREE.MeshPhongMaterial({ color: definition.color });
+            this.sensorGeometries[type] = this.createSensorGlyph(definition.glyph);
+        });
+
+        // 测斜管、变形曲线及最大位移标记材料
+        this.inclinometerTubeMaterial = new THREE.MeshLambertMaterial({
+            color: SENSOR_TYPES['deep-horizontal'].color,
+            transparent: true,
+            opacity: 0.45
+        });
+        this.profileMaterial = new THREE.LineBasicMaterial({ color: 0xDC3545 });
+        this.profileMaxMaterial = new THREE.MeshBasicMaterial({ color: 0xDC3545 });
+
+        // 验证结论涉及的传感器高亮材料
+        this.highlightMaterial = new THREE.MeshPhongMaterial({ color: 0xE040FB, emissive: 0x6A1B9A });
+
+        // 拖动到不允许的位置时的传感器材料
+        this.invalidSensorMaterial = new THREE.MeshPhongMaterial({
+            color: 0x999999,
+            transparent: true,
+            opacity: 0.5
+        });
+
+        // 周边建筑按重要性着色
+        this.buildingColors = {
+            general: 0xC8B89A,
+            important: 0xD9A066,
+            critical: 0xC96A5A
+        };
+
+        // 地下管线按类别着色（行业通用色）
+        this.pipelineColors = {
+            water: 0x1E90FF,
+            gas: 0xFFD700,
+            heat: 0xFF4500,
+            drain: 0x00CED1,
+            sewer: 0x8B4513,
+            power: 0xDC143C,
+            telecom: 0x32CD32
+        };
+
+        // 预警状态材料（正常/异常/危险）
+        this.warningMaterials = {
+            'normal': new THREE.MeshPhongMaterial({ color: 0x28A745 }),
+            'abnormal': new THREE.MeshPhongMaterial({ color: 0xFFC107, emissive: 0x332200 }),
+            'danger': new THREE.MeshPhongMaterial({ color: 0xDC3545, emissive: 0x440000 })
         };
 
         // 地面材料
@@ -69,7 +164,9 @@ export class ExcavationMonitoringSystem {
         ground.rotation.x = -Math.PI / 2;
         ground.position.y = 0;
         ground.receiveShadow = true;
+        ground.userData = { type: 'ground' };
         this.scene.add(ground);
+        this.groundMesh = ground;
 
         // 添加网格
         const gridHelper = new THREE.GridHelper(200, 20, 0x888888, 0xAAAAAA);
@@ -80,39 +177,51 @@ export class ExcavationMonitoringSystem {
     generateExcavation(config) {
         console.log('开始生成基坑模型:', config);
         this.config = config;
+        this.outline = new PitOutline(config);
         this.clearExcavation();
         
-        const { length, width, depth } = config.dimensions;
-        console.log('基坑尺寸:', { length, width, depth });
+        const { depth } = config.dimensions;
+        const { length, width } = this.outline.bounds;
+        console.log('基坑尺寸:', { length, width, depth, vertices: this.outline.vertices.length });
         
-        // 创建基坑主体
-        this.createExcavationPit(length, width, depth);
+        // 创建基坑主体，放坡时坑底边线向内收进
+        const system = getRetainingSystem(config);
+        const toe = system.wall ? this.outline.vertices : this.getSlopeToe(this.outline, depth, system);
+        this.createExcavationPit(this.outline, toe, depth);
         
-        // 根据基坑类型创建不同的地质结构
-        switch (config.type) {
-            case 'soil':
-                this.createSoilLayers(length, width, depth);
-                break;
-            case 'rock':
-                this.createRockLayers(length, width, depth);
-                break;
-            case 'soil-rock':
-                this.createSoilRockLayers(length, width, depth);
-                break;
-        }
+        // 地质结构：按钻孔资料绘制，未导入时按基坑类型取典型地层
+        const strata = config.strata
+            ? Stratigraphy.fromJSON(config.strata)
+            : Stratigraphy.createDefault(config.type, depth);
+        this.createStrata(strata, length, width);
         
         try {
             // 创建围护结构
-            this.createRetainingWalls(length, width, depth);
+            this.createRetainingStructure(this.outline, toe, depth, system);
             console.log('围护结构创建完成');
             
             // 创建支撑系统
-            this.createSupportSystem(length, width, depth, config.safetyLevel);
-            console.log('支撑系统创建完成');
+            if (system.struts) {
+                this.createSupportSystem(config, depth);
+                console.log('支撑系统创建完成');
+            }
+            const anchors = GroundAnchors.forConfig(config);
+            this.anchorLayout = [];
+            if (anchors.rows.length > 0) {
+                this.createAnchors(this.outline, anchors);
+                console.log('锚杆创建完成');
+            }
             
             // 创建周边环境
-            this.createSurroundingEnvironment(length, width);
+            this.createSurroundingEnvironment(config);
+            this.createPipelines(config);
             console.log('周边环境创建完成');
+
+            // 保持当前施工阶段的显示
+            this.applyConstructionState(this.constructionState);
+
+            // 测斜管深度随围护墙和开挖深度变化
+            this.sensors.forEach(sensor => this.updateInclinometer(sensor));
             
             console.log('基坑模型生成完成，共有', this.excavationGroup.children.length, '个子对象');
         } catch (error) {
@@ -120,159 +229,373 @@ export class ExcavationMonitoringSystem {
         }
     }
 
-    createExcavationPit(length, width, depth) {
-        // 创建基坑开挖空间的可视化边界
-        const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(length, depth, width));
+    createExcavationPit(outline, toe, depth) {
+        // 创建基坑开挖空间的可视化边界：坑顶、坑底边线及各角点连线
+        const points = [];
+        outline.vertices.forEach((start, i) => {
+            const next = (i + 1) % outline.vertices.length;
+            const end = outline.vertices[next];
+            points.push(
+                new THREE.Vector3(start.x, 0, start.z), new THREE.Vector3(end.x, 0, end.z),
+                new THREE.Vector3(toe[i].x, -depth, toe[i].z), new THREE.Vector3(toe[next].x, -depth, toe[next].z),
+                new THREE.Vector3(start.x, 0, start.z), new THREE.Vector3(toe[i].x, -depth, toe[i].z)
+            );
+        });
+        const edges = new THREE.BufferGeometry().setFromPoints(points);
         const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x000000 }));
-        line.position.set(0, -depth/2, 0);
         this.excavationGroup.add(line);
+
+        // 坑底面，供布置坑底隆起测点
+        const bottom = new THREE.Mesh(
+            new THREE.ShapeGeometry(new THREE.Shape(toe.map(v => new THREE.Vector2(v.x, -v.z)))),
+            new THREE.MeshLambertMaterial({ color: 0xBCAAA4, transparent: true, opacity: 0.35, side: THREE.DoubleSide })
+        );
+        bottom.geometry.rotateX(-Math.PI / 2);
+        bottom.position.y = -depth + 0.02;
+        bottom.userData = { type: 'pit-bottom' };
+        this.excavationGroup.add(bottom);
+        this.interactableObjects.push(bottom);
     }
 
-    createSoilLayers(length, width, depth) {
-        const layers = [
-            { height: depth * 0.3, color: 0xD2691E, name: '填土层' },
-            { height: depth * 0.4, color: 0xCD853F, name: '粘土层' },
-            { height: depth * 0.3, color: 0x8B4513, name: '砂土层' }
-        ];
+    /**
+     * 测点图标：位移类为球，测斜、分层沉降为竖管，内力类为方块，压力类为八面体，水位、隆起为锥，倾斜、裂缝为四面体
+     */
+    createSensorGlyph(glyph) {
+        switch (glyph) {
+            case 'box':
+                return new THREE.BoxGeometry(0.8, 0.8, 0.8);
+            case 'cylinder':
+                return new THREE.CylinderGeometry(0.35, 0.35, 1.2, 10);
+            case 'cone':
+                return new THREE.ConeGeometry(0.5, 1, 10);
+            case 'octahedron':
+                return new THREE.OctahedronGeometry(0.6);
+            case 'tetrahedron':
+                return new THREE.TetrahedronGeometry(0.65);
+            default:
+                return new THREE.SphereGeometry(0.5, 8, 6);
+        }
+    }
 
-        let currentY = 0;
-        layers.forEach((layer, index) => {
-            const geometry = new THREE.BoxGeometry(length + 10, layer.height, width + 10);
-            const material = new THREE.MeshLambertMaterial({ 
-                color: layer.color,
-                transparent: true,
-                opacity: 0.6
-            });
+    /**
+     * 放坡坑底边线：坑顶边线按坡率向内收进，收进量不超过基坑短边的0.4倍
+     */
+    getSlopeToe(outline, depth, system) {
+        return outline.offsetVertices(-this.getSlopeSetback(outline, depth, system));
+    }
+
+    getSlopeSetback(outline, depth, system) {
+        return Math.min(system.slopeRatio * depth, Math.min(outline.bounds.length, outline.bounds.width) * 0.4);
+    }
+
+    createStrata(strata, length, width) {
+        strata.layers.forEach(layer => {
+            const height = layer.top - layer.bottom;
+            const soilClass = SOIL_CLASSES[layer.soilClass];
+            const isRock = soilClass.category === 'rock';
+            const geometry = new THREE.BoxGeometry(length + 10, height, width + 10);
+            const material = isRock
+                ? this.rockMaterial
+                : new THREE.MeshLambertMaterial({ color: soilClass.color, transparent: true, opacity: 0.6 });
             
             const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.set(0, currentY - layer.height/2, 0);
+            mesh.position.set(0, layer.top - height / 2, 0);
             mesh.receiveShadow = true;
-            mesh.userData = { type: 'soil-layer', name: layer.name };
+            mesh.userData = { type: isRock ? 'rock-layer' : 'soil-layer', name: layer.name, soilClass: layer.soilClass };
             
             this.excavationGroup.add(mesh);
-            currentY -= layer.height;
         });
+
+        // 地下水位面
+        if (strata.groundwaterLevel !== null) {
+            const geometry = new THREE.PlaneGeometry(length + 10, width + 10);
+            const material = new THREE.MeshLambertMaterial({
+                color: 0x1E90FF,
+                transparent: true,
+                opacity: 0.35,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.y = strata.groundwaterLevel;
+            mesh.userData = { type: 'groundwater', level: strata.groundwaterLevel };
+            this.excavationGroup.add(mesh);
+        }
     }
 
-    createRockLayers(length, width, depth) {
-        const geometry = new THREE.BoxGeometry(length + 10, depth, width + 10);
-        const mesh = new THREE.Mesh(geometry, this.rockMaterial);
-        mesh.position.set(0, -depth/2, 0);
-        mesh.receiveShadow = true;
-        mesh.userData = { type: 'rock-layer', name: '岩体' };
-        
-        this.excavationGroup.add(mesh);
+    createRetainingStructure(outline, toe, depth, system) {
+        switch (system.wall) {
+            case 'continuous':
+                this.createRetainingWalls(outline, depth, this.wallMaterial);
+                break;
+            case 'smw':
+                this.createRetainingWalls(outline, depth, this.smwMaterial);
+                break;
+            case 'pile':
+                this.createPileWall(outline, depth, system.curtain);
+                break;
+            default:
+                this.createSlopes(outline, toe, depth, system);
+        }
+
+        // 冠梁
+        if (system.crownBeam) {
+            this.createCrownBeam(outline);
+        }
     }
 
-    createSoilRockLayers(length, width, depth) {
-        // 上部土层
-        const soilHeight = depth * 0.6;
-        const soilGeometry = new THREE.BoxGeometry(length + 10, soilHeight, width + 10);
-        const soilMesh = new THREE.Mesh(soilGeometry, this.soilMaterial);
-        soilMesh.position.set(0, -soilHeight/2, 0);
-        soilMesh.receiveShadow = true;
-        soilMesh.userData = { type: 'soil-layer', name: '土层' };
-        this.excavationGroup.add(soilMesh);
-
-        // 下部岩层
-        const rockHeight = depth * 0.4;
-        const rockGeometry = new THREE.BoxGeometry(length + 10, rockHeight, width + 10);
-        const rockMesh = new THREE.Mesh(rockGeometry, this.rockMaterial);
-        rockMesh.position.set(0, -soilHeight - rockHeight/2, 0);
-        rockMesh.receiveShadow = true;
-        rockMesh.userData = { type: 'rock-layer', name: '岩层' };
-        this.excavationGroup.add(rockMesh);
-    }
-
-    createRetainingWalls(length, width, depth) {
-        const wallThickness = 0.8;
-        const wallHeight = depth + 2; // 围护墙高出地面
+    createRetainingWalls(outline, depth, material) {
+        const wallThickness = this.wallThickness;
+        const wallHeight = depth + 2; // 围护墙高出地面1m，嵌入坑底以下1m
+        const wallY = 1 - wallHeight / 2;
         
-        // 四面围护墙
-        const walls = [
-            { pos: [length/2 + wallThickness/2, wallHeight/2 - 1, 0], size: [wallThickness, wallHeight, width] },
-            { pos: [-length/2 - wallThickness/2, wallHeight/2 - 1, 0], size: [wallThickness, wallHeight, width] },
-            { pos: [0, wallHeight/2 - 1, width/2 + wallThickness/2], size: [length, wallHeight, wallThickness] },
-            { pos: [0, wallHeight/2 - 1, -width/2 - wallThickness/2], size: [length, wallHeight, wallThickness] }
-        ];
-
-        walls.forEach((wall, index) => {
-            const geometry = new THREE.BoxGeometry(...wall.size);
-            const mesh = new THREE.Mesh(geometry, this.wallMaterial);
-            mesh.position.set(...wall.pos);
+        // 沿基坑每条边布置一段围护墙，编号与边的序号一致；阳角处延长一个墙厚封闭转角
+        outline.edges.forEach(edge => {
+            const mesh = this.createEdgeMember(outline, edge, {
+                height: wallHeight,
+                thickness: wallThickness,
+                y: wallY,
+                offset: wallThickness / 2,
+                extension: { convex: wallThickness, concave: 0 },
+                material
+            });
             mesh.castShadow = true;
             mesh.receiveShadow = true;
-            mesh.userData = { type: 'retaining-wall', id: index };
+            mesh.userData = { type: 'retaining-wall', id: edge.index };
             
             this.excavationGroup.add(mesh);
             this.interactableObjects.push(mesh);
         });
+    }
+
+    /**
+     * 排桩：桩径同墙厚，沿各边等间距布置，编号与所在边一致；有止水帷幕时在桩后设旋喷桩帷幕
+     */
+    createPileWall(outline, depth, curtain) {
+        const pileSpacing = 1.2;
+        const radius = this.wallThickness / 2;
+        const pileHeight = depth + 2; // 桩顶位于冠梁底，嵌入坑底以下1m
+        const geometry = new THREE.CylinderGeometry(radius, radius, pileHeight, 12);
+
+        outline.edges.forEach(edge => {
+            const count = Math.max(2, Math.round(edge.length / pileSpacing));
+            for (let k = 0; k < count; k++) {
+                const along = edge.length * (k + 0.5) / count;
+                const mesh = new THREE.Mesh(geometry, this.wallMaterial);
+                mesh.position.set(
+                    edge.start.x + edge.direction.x * along + edge.outward.x * radius,
+                    1 - pileHeight / 2,
+                    edge.start.z + edge.direction.z * along + edge.outward.z * radius
+                );
+                mesh.castShadow = true;
+                mesh.userData = { type: 'retaining-wall', id: edge.index, pile: k };
+
+                this.excavationGroup.add(mesh);
+                this.interactableObjects.push(mesh);
+            }
+
+            if (curtain) {
+                const curtainThickness = 0.6;
+                const wall = this.createEdgeMember(outline, edge, {
+                    height: pileHeight,
+                    thickness: curtainThickness,
+                    y: 1 - pileHeight / 2,
+                    offset: this.wallThickness + curtainThickness / 2,
+                    extension: { convex: this.wallThickness + curtainThickness, concave: 0 },
+                    material: this.curtainMaterial
+                });
+                wall.userData = { type: 'curtain', id: edge.index };
+                this.excavationGroup.add(wall);
+            }
+        });
+    }
+
+    /**
+     * 放坡、土钉墙：各边坡面连接坑顶与坑底边线，坡顶设条形测点基座（编号与所在边一致）
+     */
+    createSlopes(outline, toe, depth, system) {
+        const material = system.soilNails ? this.shotcreteMaterial : this.slopeMaterial;
+        const count = outline.vertices.length;
+
+        outline.edges.forEach(edge => {
+            const next = (edge.index + 1) % count;
+            const crestStart = new THREE.Vector3(edge.start.x, 0, edge.start.z);
+            const crestEnd = new THREE.Vector3(edge.end.x, 0, edge.end.z);
+            const toeStart = new THREE.Vector3(toe[edge.index].x, -depth, toe[edge.index].z);
+            const toeEnd = new THREE.Vector3(toe[next].x, -depth, toe[next].z);
+
+            const geometry = new THREE.BufferGeometry().setFromPoints([
+                crestStart, crestEnd, toeEnd,
+                crestStart, toeEnd, toeStart
+            ]);
+            geometry.computeVertexNormals();
+            const face = new THREE.Mesh(geometry, material);
+            face.receiveShadow = true;
+            face.userData = { type: 'slope', id: edge.index };
+            this.excavationGroup.add(face);
+
+            const crest = this.createEdgeMember(outline, edge, {
+                height: 0.3,
+                thickness: 0.6,
+                y: 0.15,
+                offset: this.wallThickness / 2,
+                extension: { convex: 0.7, concave: 0.7 }
+            });
+            crest.userData = { type: 'slope-crest', id: edge.index };
+            this.excavationGroup.add(crest);
+            this.interactableObjects.push(crest);
+        });
 
-        // 冠梁
-        this.createCrownBeam(length, width);
+        if (system.soilNails) {
+            this.createSoilNails(outline, depth, system);
+        }
     }
 
-    createCrownBeam(length, width) {
+    /**
+     * 土钉：竖向、水平间距均为2m，长0.7倍开挖深度（不小于4m），向下倾斜10°打入坡面后土体
+     */
+    createSoilNails(outline, depth, system) {
+        const spacing = 2;
+        const length = Math.max(4, depth * 0.7);
+        const inclination = THREE.MathUtils.degToRad(10);
+        const setback = this.getSlopeSetback(outline, depth, system);
+        const geometry = new THREE.CylinderGeometry(0.06, 0.06, length, 6);
+        let id = 0;
+
+        outline.edges.forEach(edge => {
+            const columns = Math.max(1, Math.floor(edge.length / spacing) - 1);
+            for (let row = 0, y = -1; y > -depth + 0.5; row++, y -= spacing) {
+                // 坡面随深度向坑内收进
+                const inset = setback * (-y / depth);
+                for (let k = 0; k < columns; k++) {
+                    const along = edge.length * (k + 1) / (columns + 1);
+                    const head = new THREE.Vector3(
+                        edge.start.x + edge.direction.x * along - edge.outward.x * inset,
+                        y,
+                        edge.start.z + edge.direction.z * along - edge.outward.z * inset
+                    );
+                    const direction = new THREE.Vector3(
+                        edge.outward.x * Math.cos(inclination),
+                        -Math.sin(inclination),
+                        edge.outward.z * Math.cos(inclination)
+                    );
+                    const end = head.clone().addScaledVector(direction, length);
+                    this.addTendon(geometry, head, end, {
+                        type: 'soil-nail', id: id++, edge: edge.index, row,
+                        start: head.toArray(), end: end.toArray()
+                    }, true);
+                }
+            }
+        });
+    }
+
+    /**
+     * 锚杆：自由段细、锚固段粗，两段均可布置锚杆轴力测点，编号相同
+     */
+    createAnchors(outline, anchors) {
+        this.anchorLayout = anchors.layout(outline);
+        const segments = anchors.rows.map(row => ({
+            free: new THREE.CylinderGeometry(0.08, 0.08, row.freeLength, 6),
+            bonded: new THREE.CylinderGeometry(0.15, 0.15, row.bondedLength, 8)
+        }));
+
+        this.anchorLayout.forEach(anchor => {
+            const head = new THREE.Vector3(anchor.head.x, anchor.head.y, anchor.head.z);
+            const freeEnd = new THREE.Vector3(anchor.freeEnd.x, anchor.freeEnd.y, anchor.freeEnd.z);
+            const end = new THREE.Vector3(anchor.end.x, anchor.end.y, anchor.end.z);
+            const userData = {
+                type: 'anchor', id: anchor.id, level: anchor.row, edge: anchor.edge,
+                start: head.toArray(), end: end.toArray()
+            };
+            this.addTendon(segments[anchor.row].free, head, freeEnd, { ...userData, segment: 'free' }, true);
+            this.addTendon(segments[anchor.row].bonded, freeEnd, end, { ...userData, segment: 'bonded' }, true, this.groutMaterial);
+        });
+    }
+
+    /**
+     * 土钉、锚杆等杆体，圆柱轴线由 start 指向 end
+     */
+    addTendon(geometry, start, end, userData, interactable, material = this.tendonMaterial) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(start).add(end).multiplyScalar(0.5);
+        mesh.setRotationFromQuaternion(new THREE.Quaternion().setFromUnitVectors(
+            new THREE.Vector3(0, 1, 0), end.clone().sub(start).normalize()
+        ));
+        mesh.userData = userData;
+        this.excavationGroup.add(mesh);
+        if (interactable) this.interactableObjects.push(mesh);
+        return mesh;
+    }
+
+    createCrownBeam(outline) {
         const beamSize = 0.6;
-        const beamPositions = [
-            [length/2 + 0.4, 1 + beamSize/2, 0, length + 0.8, beamSize, beamSize],
-            [-length/2 - 0.4, 1 + beamSize/2, 0, length + 0.8, beamSize, beamSize],
-            [0, 1 + beamSize/2, width/2 + 0.4, beamSize, beamSize, width + 0.8],
-            [0, 1 + beamSize/2, -width/2 - 0.4, beamSize, beamSize, width + 0.8]
-        ];
-
-        beamPositions.forEach((pos, index) => {
-            const geometry = new THREE.BoxGeometry(pos[3], pos[4], pos[5]);
-            const mesh = new THREE.Mesh(geometry, this.wallMaterial);
-            mesh.position.set(pos[0], pos[1], pos[2]);
+        outline.edges.forEach(edge => {
+            const mesh = this.createEdgeMember(outline, edge, {
+                height: beamSize,
+                thickness: beamSize,
+                y: 1 + beamSize / 2,
+                offset: this.wallThickness / 2,
+                // 阴角处与相邻边的冠梁搭接
+                extension: { convex: 0.8, concave: (this.wallThickness + beamSize) / 2 }
+            });
             mesh.castShadow = true;
-            mesh.userData = { type: 'crown-beam', id: index };
+            mesh.userData = { type: 'crown-beam', id: edge.index };
             
             this.excavationGroup.add(mesh);
             this.interactableObjects.push(mesh);
         });
     }
 
-    createSupportSystem(length, width, depth, safetyLevel) {
-        if (safetyLevel === 3 && depth < 8) return; // 三级基坑较浅时可能不需要支撑
+    /**
+     * 沿基坑边线的条形构件（围护墙、冠梁），长度方向为构件局部 x 轴
+     * @param {Object} options { height, thickness, y, offset 中线外偏距离, extension 阳角/阴角端的延长量, material }
+     */
+    createEdgeMember(outline, edge, options) {
+        const count = outline.corners.length;
+        const extendStart = outline.corners[edge.index].convex ? options.extension.convex : options.extension.concave;
+        const extendEnd = outline.corners[(edge.index + 1) % count].convex ? options.extension.convex : options.extension.concave;
+        const length = edge.length + extendStart + extendEnd;
+        const along = (extendEnd - extendStart) / 2;
 
-        const supportLevels = Math.min(Math.floor(depth / 4), 3); // 最多3层支撑
-        
-        for (let level = 0; level < supportLevels; level++) {
-            const y = -2 - level * (depth / (supportLevels + 1));
-            
-            // 水平支撑
-            this.createHorizontalSupports(length, width, y, level);
-            
-            // 立柱
-            if (level === 0) {
-                this.createColumns(length, width, depth);
-            }
-        }
+        const geometry = new THREE.BoxGeometry(length, options.height, options.thickness);
+        const mesh = new THREE.Mesh(geometry, options.material || this.wallMaterial);
+        mesh.position.set(
+            edge.midpoint.x + edge.direction.x * along + edge.outward.x * options.offset,
+            options.y,
+            edge.midpoint.z + edge.direction.z * along + edge.outward.z * options.offset
+        );
+        mesh.rotation.y = Math.atan2(-edge.direction.z, edge.direction.x);
+        return mesh;
+    }
+
+    /**
+     * 各道水平支撑及立柱，支撑记录道次、杆件序号和估算轴力，立柱记录交汇支撑数，见 SupportSystem
+     */
+    createSupportSystem(config, depth) {
+        const supports = SupportSystem.forConfig(config);
+        const members = supports.members();
+        if (members.length === 0) return;
+
+        this.createHorizontalSupports(members);
+        this.createColumns(supports.columns(), depth);
+    }
+
+    /**
+     * 各道支撑的标高
+     * @param {Object} config 基坑配置
+     * @returns {Array} [{ level, y }]，y 为支撑中心标高（地面为0，向下为负）
+     */
+    getSupportLevels(config) {
+        return SupportSystem.forConfig(config).levels();
     }
 
-    createHorizontalSupports(length, width, y, level) {
+    createHorizontalSupports(members) {
         const supportRadius = 0.3;
-        const supportPositions = [];
-
-        // 根据基坑大小确定支撑布置
-        if (length > 20 || width > 20) {
-            // 大型基坑：十字形支撑
-            supportPositions.push(
-                { start: [-length/2, y, 0], end: [length/2, y, 0] },
-                { start: [0, y, -width/2], end: [0, y, width/2] }
-            );
-        } else {
-            // 中小型基坑：对角支撑
-            supportPositions.push(
-                { start: [-length/2 + 2, y, -width/2 + 2], end: [length/2 - 2, y, width/2 - 2] },
-                { start: [-length/2 + 2, y, width/2 - 2], end: [length/2 - 2, y, -width/2 + 2] }
-            );
-        }
 
-        supportPositions.forEach((support, index) => {
-            const start = new THREE.Vector3(...support.start);
-            const end = new THREE.Vector3(...support.end);
+        members.forEach(member => {
+            const start = new THREE.Vector3(member.start.x, member.start.y, member.start.z);
+            const end = new THREE.Vector3(member.end.x, member.end.y, member.end.z);
             const distance = start.distanceTo(end);
             
             const geometry = new THREE.CylinderGeometry(supportRadius, supportRadius, distance);
@@ -288,97 +611,176 @@ export class ExcavationMonitoringSystem {
             mesh.setRotationFromQuaternion(quaternion);
             
             mesh.castShadow = true;
-            mesh.userData = { type: 'support', level: level, id: index };
+            mesh.userData = {
+                type: 'support', level: member.level, id: member.id, role: member.role, force: member.force,
+                start: start.toArray(), end: end.toArray()
+            };
             
             this.excavationGroup.add(mesh);
             this.interactableObjects.push(mesh);
         });
     }
 
-    createColumns(length, width, depth) {
+    createColumns(columns, depth) {
         const columnRadius = 0.4;
-        const columnPositions = [
-            [0, 0, 0], // 中心立柱
-        ];
-
-        // 根据基坑大小添加更多立柱
-        if (length > 25 || width > 25) {
-            columnPositions.push(
-                [-length/4, 0, -width/4],
-                [length/4, 0, -width/4],
-                [-length/4, 0, width/4],
-                [length/4, 0, width/4]
-            );
-        }
 
-        columnPositions.forEach((pos, index) => {
+        columns.forEach(column => {
             const geometry = new THREE.CylinderGeometry(columnRadius, columnRadius, depth + 2);
             const mesh = new THREE.Mesh(geometry, this.supportMaterial);
-            mesh.position.set(pos[0], -depth/2, pos[2]);
+            mesh.position.set(column.x, -depth/2, column.z);
             mesh.castShadow = true;
-            mesh.userData = { type: 'column', id: index };
+            mesh.userData = { type: 'column', id: column.id, crossings: column.crossings, load: column.load };
             
             this.excavationGroup.add(mesh);
             this.interactableObjects.push(mesh);
         });
     }
 
-    createSurroundingEnvironment(length, width) {
-        // 创建周边建筑物（简化表示）
-        const buildingPositions = [
-            { pos: [length/2 + 15, 6, width/2 + 10], size: [8, 12, 6] },
-            { pos: [-length/2 - 12, 4, -width/2 - 8], size: [6, 8, 5] },
-            { pos: [length/2 + 20, 8, -width/2 - 15], size: [10, 16, 8] }
-        ];
-
-        buildingPositions.forEach((building, index) => {
-            const geometry = new THREE.BoxGeometry(...building.size);
-            const material = new THREE.MeshLambertMaterial({ 
-                color: new THREE.Color().setHSL(Math.random() * 0.1 + 0.1, 0.3, 0.6)
-            });
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.set(...building.pos);
-            mesh.position.y = building.size[1] / 2;
-            mesh.castShadow = true;
-            mesh.userData = { type: 'building', id: index };
-            
+    /**
+     * 周边保护对象：建筑为实体，可布置建筑监测点；道路为路面；隧道为地面以下的半透明箱体
+     */
+    createSurroundingEnvironment(config) {
+        ProtectedObjects.forConfig(config).objects.forEach(object => {
+            let mesh;
+            switch (object.kind) {
+                case 'road': {
+                    mesh = new THREE.Mesh(
+                        new THREE.BoxGeometry(object.length, object.height, object.width),
+                        new THREE.MeshLambertMaterial({ color: 0x333333 })
+                    );
+                    mesh.position.set(object.x, object.height / 2, object.z);
+                    mesh.receiveShadow = true;
+                    break;
+                }
+                case 'tunnel': {
+                    mesh = new THREE.Mesh(
+                        new THREE.BoxGeometry(object.length, object.height, object.width),
+                        new THREE.MeshLambertMaterial({ color: 0x708090, transparent: true, opacity: 0.45 })
+                    );
+                    mesh.position.set(object.x, -object.burialDepth - object.height / 2, object.z);
+                    break;
+                }
+                default: {
+                    mesh = new THREE.Mesh(
+                        new THREE.BoxGeometry(object.length, object.height, object.width),
+                        new THREE.MeshLambertMaterial({ color: this.buildingColors[object.importance] })
+                    );
+                    mesh.position.set(object.x, object.height / 2, object.z);
+                    mesh.castShadow = true;
+                }
+            }
+            mesh.userData = { type: object.kind, id: object.id, name: object.name };
             this.excavationGroup.add(mesh);
+            if (object.kind !== 'tunnel') this.interactableObjects.push(mesh);
         });
+    }
 
-        // 创建道路
-        this.createRoads(length, width);
+    /**
+     * 地下管线：按管径、管顶埋深绘制在地面以下，地表绘出管线走向（略高于路面，以便在道路下方拾取）
+     */
+    createPipelines(config) {
+        const traceTop = 0.25;
+        UndergroundPipelines.forConfig(config).pipes.forEach(pipe => {
+            const color = this.pipelineColors[pipe.use];
+            const radius = Math.max(0.15, pipe.diameter / 2000);
+            const bodyMaterial = new THREE.MeshPhongMaterial({ color, shininess: 40 });
+            const traceMaterial = new THREE.MeshLambertMaterial({ color, transparent: true, opacity: 0.6 });
+            UndergroundPipelines.segments(pipe).forEach(segment => {
+                const userData = {
+                    type: 'pipeline',
+                    id: pipe.id,
+                    name: pipe.name,
+                    segment: segment.index,
+                    start: [segment.start.x, 0, segment.start.z],
+                    end: [segment.end.x, 0, segment.end.z],
+                    depth: pipe.depth
+                };
+                const axisY = -pipe.depth - radius;
+                const start = new THREE.Vector3(segment.start.x, axisY, segment.start.z);
+                const end = new THREE.Vector3(segment.end.x, axisY, segment.end.z);
+                this.addTendon(new THREE.CylinderGeometry(radius, radius, segment.length + radius, 12),
+                    start, end, { ...userData }, true, bodyMaterial);
+
+                const trace = new THREE.Mesh(
+                    new THREE.BoxGeometry(segment.length, 0.04, Math.max(0.6, radius * 2 + 0.3)),
+                    traceMaterial
+                );
+                trace.position.set((segment.start.x + segment.end.x) / 2, traceTop - 0.02, (segment.start.z + segment.end.z) / 2);
+                trace.rotation.y = -Math.atan2(segment.direction.z, segment.direction.x);
+                trace.userData = { ...userData };
+                this.excavationGroup.add(trace);
+                this.interactableObjects.push(trace);
+            });
+        });
     }
 
-    createRoads(length, width) {
-        const roadWidth = 8;
-        const roadThickness = 0.2;
-        
-        // 主要道路
-        const roads = [
-            { pos: [0, roadThickness/2, width/2 + 15], size: [length + 40, roadThickness, roadWidth] },
-            { pos: [length/2 + 15, roadThickness/2, 0], size: [roadWidth, roadThickness, width + 40] }
-        ];
-
-        roads.forEach((road, index) => {
-            const geometry = new THREE.BoxGeometry(...road.size);
-            const material = new THREE.MeshLambertMaterial({ color: 0x333333 });
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.set(...road.pos);
-            mesh.receiveShadow = true;
-            mesh.userData = { type: 'road', id: index };
-            
-            this.excavationGroup.add(mesh);
-            this.interactableObjects.push(mesh);
+    /**
+     * 标出位于监测范围内的保护对象（红色边框）并绘制监测范围线
+     * @param {Array} assessments ProtectedObjects.assess() 的结果
+     * @param {number} range 监测范围（m）
+     */
+    markProtectedObjects(assessments, range) {
+        const previous = this.excavationGroup.children.filter(child =>
+            child.userData.type === 'zone-flag' || child.userData.type === 'influence-zone'
+        );
+        previous.forEach(child => {
+            this.excavationGroup.remove(child);
+            child.geometry.dispose();
+        });
+        if (!this.outline) return;
+
+        const material = new THREE.LineBasicMaterial({ color: 0xFF0000 });
+        assessments.filter(assessment => assessment.inZone).forEach(({ object }) => {
+            const mesh = this.excavationGroup.children.find(child =>
+                child.userData.type === object.kind && child.userData.id === object.id
+            );
+            if (!mesh) return;
+            const flag = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry), material);
+            flag.position.copy(mesh.position);
+            flag.scale.setScalar(1.02);
+            flag.userData = { type: 'zone-flag', id: object.id };
+            this.excavationGroup.add(flag);
         });
+
+        const ring = this.outline.offsetVertices(range).map(v => new THREE.Vector3(v.x, 0.04, v.z));
+        const line = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(ring),
+            new THREE.LineDashedMaterial({ color: 0xFF6F00, dashSize: 2, gapSize: 1 })
+        );
+        line.computeLineDistances();
+        line.userData = { type: 'influence-zone', range };
+        this.excavationGroup.add(line);
     }
 
-    placeSensor(type, position) {
+    /**
+     * 布置传感器
+     * @param {string} type 传感器类型
+     * @param {THREE.Vector3} position 位置
+     * @param {Object} options { id, code, timestamp, metadata, host }，导入项目时用于恢复原有标识；
+     *                          force 为 true 时不检查位置（撤销删除时恢复原测点）
+     * @returns {Object|null} 新传感器记录，位置不合适时返回 null
+     */
+    placeSensor(type, position, options = {}) {
         // 检查位置是否合适
-        if (!this.isValidSensorPosition(type, position)) {
-            return false;
+        if (!options.force && !this.isValidSensorPosition(type, position)) {
+            return null;
+        }
+
+        const timestamp = options.timestamp || Date.now();
+
+        // 传感器ID一经分配不再改变
+        let id = Number(options.id);
+        if (!Number.isInteger(id) || id <= 0 || this.getSensorById(id)) {
+            id = this.nextSensorId;
+        }
+        this.nextSensorId = Math.max(this.nextSensorId, id + 1);
+
+        let code = typeof options.code === 'string' ? options.code.trim() : '';
+        if (!code || this.findSensorByCode(code)) {
+            code = this.generateSensorCode(type);
         }
 
-        const sensorGeometry = new THREE.SphereGeometry(0.5, 8, 6);
+        const sensorGeometry = this.sensorGeometries[type] || this.createSensorGlyph('sphere');
         const sensorMaterial = this.sensorMaterials[type] || this.sensorMaterials['horizontal-displacement'];
         
         const sensor = new THREE.Mesh(sensorGeometry, sensorMaterial);
@@ -387,18 +789,480 @@ export class ExcavationMonitoringSystem {
         sensor.userData = { 
             type: type, 
             position: position.clone(),
-            timestamp: Date.now()
+            timestamp: timestamp,
+            sensorId: id
         };
 
         this.sensorGroup.add(sensor);
-        this.sensors.push({
+        const record = {
             type: type,
             position: position.clone(),
             mesh: sensor,
-            id: this.sensors.length
+            id: id,
+            code: code,
+            // 测点依附的构件 { type, id, level }，见 snapSensorPosition()
+            host: options.host || null,
+            warningState: null,
+            highlighted: false,
+            timestamp: timestamp,
+            metadata: { ...(options.metadata || {}) },
+            // 测斜孔的测斜管和变形曲线，见 updateInclinometer()
+            inclinometer: null,
+            profile: null
+        };
+        this.sensors.push(record);
+        this.updateInclinometer(record);
+
+        return record;
+    }
+
+    /**
+     * 测斜管长度（m，自孔口向下）：测点属性中指定时取指定值；否则按5.2.2，
+     * 设在围护墙内时不小于围护墙深度，设在土体中时不小于基坑开挖深度的1.5倍
+     */
+    getInclinometerDepth(sensor) {
+        const specified = Number(sensor.metadata.tubeDepth);
+        if (specified > 0) return specified;
+
+        const walls = this.excavationGroup.children.filter(child => child.userData.type === 'retaining-wall');
+        const inWall = sensor.host && ['crown-beam', 'retaining-wall'].includes(sensor.host.type) && walls.length > 0;
+        if (inWall) {
+            const bottom = Math.min(...walls.map(wall => new THREE.Box3().setFromObject(wall).min.y));
+            return sensor.position.y - bottom;
+        }
+        return (this.config ? this.config.dimensions.depth : 10) * 1.5;
+    }
+
+    /**
+     * 按测点位置和测斜管长度重建深层水平位移测点的测斜管，保留已显示的变形曲线
+     */
+    updateInclinometer(sensor) {
+        if (sensor.type !== 'deep-horizontal') return;
+        if (sensor.inclinometer) this.inclinometerGroup.remove(sensor.inclinometer);
+
+        const length = this.getInclinometerDepth(sensor);
+        const group = new THREE.Group();
+        group.position.copy(sensor.position);
+        const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, length, 8), this.inclinometerTubeMaterial);
+        tube.position.y = -length / 2;
+        group.add(tube);
+        group.userData = { type: 'inclinometer', sensorId: sensor.id, length };
+        sensor.inclinometer = group;
+        this.inclinometerGroup.add(group);
+
+        if (sensor.profile) this.setInclinometerProfile(sensor.id, sensor.profile.epoch, sensor.profile.exaggeration);
+    }
+
+    /**
+     * 在测斜管旁绘制放大后的变形曲线：位移向基坑内为正，沿最近基坑边的内法线方向偏移，并标出最大位移所在深度
+     * @param {number} id 传感器ID
+     * @param {Object|null} epoch 一期观测 { time, readings: [{ depth, displacement }] }，null 时移除曲线
+     * @param {number} exaggeration 位移放大倍数（位移以mm计，放大后按m绘制）
+     */
+    setInclinometerProfile(id, epoch, exaggeration = 100) {
+        const sensor = this.getSensorById(id);
+        if (!sensor || !sensor.inclinometer || !this.outline) return;
+        const previous = sensor.inclinometer.getObjectByName('profile');
+        if (previous) sensor.inclinometer.remove(previous);
+        sensor.profile = null;
+        if (!epoch || epoch.readings.length === 0) return;
+
+        const edge = this.outline.edges.reduce((best, candidate) =>
+            this.outline.distanceToEdge(sensor.position, candidate) < this.outline.distanceToEdge(sensor.position, best)
+                ? candidate : best
+        );
+        const scale = exaggeration / 1000;
+        const offset = reading => new THREE.Vector3(
+            -edge.outward.x * reading.displacement * scale,
+            -reading.depth,
+            -edge.outward.z * reading.displacement * scale
+        );
+
+        const profile = new THREE.Group();
+        profile.name = 'profile';
+        profile.add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(epoch.readings.map(offset)),
+            this.profileMaterial
+        ));
+        const max = epoch.readings.reduce((best, reading) =>
+            Math.abs(reading.displacement) > Math.abs(best.displacement) ? reading : best
+        );
+        const marker = new THREE.Mesh(new THREE.SphereGeometry(0.25, 12, 8), this.profileMaxMaterial);
+        marker.position.copy(offset(max));
+        marker.userData = { type: 'profile-max', depth: max.depth, displacement: max.displacement };
+        profile.add(marker);
+
+        sensor.inclinometer.add(profile);
+        sensor.profile = { epoch, exaggeration };
+    }
+
+    /**
+     * 按类型自动生成测点编号，如 ZQS-01、CX-02，取该前缀下未被占用的最小序号
+     */
+    generateSensorCode(type) {
+        const prefix = getSensorType(type)?.code || 'JC';
+        const used = new Set(this.sensors.map(sensor => sensor.code.toUpperCase()));
+        let number = 1;
+        while (used.has(`${prefix}-${String(number).padStart(2, '0')}`)) number++;
+        return `${prefix}-${String(number).padStart(2, '0')}`;
+    }
+
+    getSensorById(id) {
+        return this.sensors.find(sensor => sensor.id === id) || null;
+    }
+
+    findSensorByCode(code) {
+        const normalized = String(code).trim().toUpperCase();
+        return this.sensors.find(sensor => sensor.code.toUpperCase() === normalized) || null;
+    }
+
+    /**
+     * 修改测点编号，编号不得为空且不得与其他测点重复
+     * @returns {string|null} 错误信息，成功时返回 null
+     */
+    setSensorCode(id, code) {
+        const sensor = this.getSensorById(id);
+        if (!sensor) return '测点不存在';
+
+        const trimmed = String(code || '').trim();
+        if (!trimmed) return '测点编号不能为空';
+
+        const existing = this.findSensorByCode(trimmed);
+        if (existing && existing.id !== id) return `测点编号 ${trimmed} 已被使用`;
+
+        sensor.code = trimmed;
+        return null;
+    }
+
+    /**
+     * 更新测点属性（仪器型号、埋设日期、设计值、备注等）
+     */
+    updateSensorMetadata(id, changes) {
+        const sensor = this.getSensorById(id);
+        if (!sensor) return;
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === '' || value === null || value === undefined) {
+                delete sensor.metadata[key];
+            } else {
+                sensor.metadata[key] = value;
+            }
+        });
+        if ('tubeDepth' in changes) this.updateInclinometer(sensor);
+    }
+
+    /**
+     * 将射线拾取结果吸附到该类测点应依附的构件上
+     * @param {string} type 传感器类型
+     * @param {Array} intersects Raycaster.intersectObjects() 的结果（按距离排序）
+     * @param {Object} options 管线位移测点的 method：direct 为直接法（测点在管顶），indirect 为间接法（测点在管线轴线对应的地表）
+     * @returns {Object} { valid, position, host, message }，不允许布置时 valid 为 false 并给出原因
+     */
+    snapSensorPosition(type, intersects, options = {}) {
+        // 各类测点允许依附的构件见监测项目登记表（GB50497-2019 第5章）
+        const rule = getSensorType(type);
+        if (intersects.length === 0) {
+            return { valid: false, position: null, host: null, message: '未拾取到构件' };
+        }
+
+        if (!rule) {
+            const hit = intersects[0];
+            return { valid: true, position: hit.point.clone(), host: this.describeHost(hit.object), message: null };
+        }
+
+        // 取第一个允许的构件，透明地面等遮挡物不影响拾取坑内支撑
+        for (const hit of intersects) {
+            const hostType = hit.object.userData.type;
+            if (!rule.hosts.includes(hostType)) continue;
+
+            const position = this.snapToMember(hit.object, hit.point, type, options);
+            if (hostType === 'ground' || hostType === 'road') {
+                const inside = this.isInsidePit(position);
+                if (rule.outsidePit && inside) continue;
+                // 深层水平位移测点布置在土体中时须在坑外
+                if (type === 'deep-horizontal' && inside) continue;
+            }
+            return { valid: true, position, host: this.describeHost(hit.object), message: null };
+        }
+
+        return { valid: false, position: intersects[0].point.clone(), host: null, message: rule.hostMessage };
+    }
+
+    /**
+     * 按构件几何吸附：冠梁、坡顶、围护墙取顶面中线（排桩取桩顶，墙体内力、土压力测点取拾取点），
+     * 支撑、立柱、锚杆、土钉取轴线（立柱竖向位移测点取柱顶），地面、道路取表面，
+     * 建筑取最近的外墙面：竖向位移测点位于墙脚（±0.5m），倾斜、裂缝测点保留拾取高度；
+     * 管线取轴线，直接法位于管顶，间接法位于地表
+     */
+    snapToMember(mesh, point, sensorType = null, options = {}) {
+        const { type } = mesh.userData;
+        const params = mesh.geometry.parameters;
+
+        switch (type) {
+            case 'retaining-wall':
+                // 墙体内力、土压力测点位于拾取深度处的墙面
+                if (sensorType === 'wall-internal-force' || sensorType === 'soil-pressure') {
+                    return point.clone();
+                }
+                if (mesh.geometry.type === 'CylinderGeometry') {
+                    return mesh.position.clone().setY(mesh.position.y + params.height / 2);
+                }
+                // 连续墙同冠梁
+                // falls through
+            case 'crown-beam':
+            case 'slope-crest': {
+                // 构件可沿任意方向布置，按局部长度方向投影
+                const along = params.width >= params.depth ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+                const axis = along.applyQuaternion(mesh.quaternion);
+                const half = Math.max(params.width, params.depth) / 2;
+                const t = THREE.MathUtils.clamp(point.clone().sub(mesh.position).dot(axis), -half, half);
+                const position = mesh.position.clone().addScaledVector(axis, t);
+                position.y += params.height / 2;
+                return position;
+            }
+
+            case 'column':
+                // 立柱竖向位移测点位于柱顶
+                if (sensorType === 'column-settlement') {
+                    return mesh.position.clone().setY(mesh.position.y + params.height / 2);
+                }
+                // falls through
+            case 'support':
+            case 'anchor':
+            case 'soil-nail': {
+                const axis = new THREE.Vector3(0, 1, 0).applyQuaternion(mesh.quaternion);
+                const half = params.height / 2;
+                const t = THREE.MathUtils.clamp(point.clone().sub(mesh.position).dot(axis), -half, half);
+                return mesh.position.clone().addScaledVector(axis, t);
+            }
+
+            case 'road':
+                return new THREE.Vector3(point.x, mesh.position.y + params.height / 2, point.z);
+
+            case 'building': {
+                const hx = params.width / 2;
+                const hz = params.depth / 2;
+                const local = point.clone().sub(mesh.position);
+                const x = THREE.MathUtils.clamp(local.x, -hx, hx);
+                const z = THREE.MathUtils.clamp(local.z, -hz, hz);
+                // 推到最近的外墙面
+                const gaps = [hx - x, x + hx, hz - z, z + hz];
+                const nearest = gaps.indexOf(Math.min(...gaps));
+                const position = new THREE.Vector3(
+                    nearest === 0 ? hx : nearest === 1 ? -hx : x,
+                    0,
+                    nearest === 2 ? hz : nearest === 3 ? -hz : z
+                ).add(mesh.position);
+                position.y = sensorType === 'building-settlement'
+                    ? 0.5
+                    : THREE.MathUtils.clamp(point.y, 0.5, params.height - 0.5);
+                return position;
+            }
+
+            case 'pipeline': {
+                const start = new THREE.Vector3(...mesh.userData.start);
+                const end = new THREE.Vector3(...mesh.userData.end);
+                const axis = end.clone().sub(start);
+                const length = axis.length();
+                axis.normalize();
+                const t = THREE.MathUtils.clamp(new THREE.Vector3(point.x, 0, point.z).sub(start).dot(axis), 0, length);
+                const position = start.addScaledVector(axis, t);
+                position.y = options.method === 'direct' ? -mesh.userData.depth : 0;
+                return position;
+            }
+
+            case 'ground':
+                return new THREE.Vector3(point.x, mesh.position.y, point.z);
+
+            default:
+                return point.clone();
+        }
+    }
+
+    /**
+     * 自动布置所需的几何信息
+     * @returns {Object} { edges, topHostType, crownBeamTop, crownBeamOffset, wallTop, supports, columns, anchors, nails, surfaces }
+     *   edges 为基坑边线（hostId 为该边的围护墙、冠梁或坡顶编号，outward 为外法线），
+     *   topHostType 为墙顶测点的依附构件（有冠梁时为冠梁，放坡、土钉墙为坡顶），
+     *   supports 为全部支撑杆件（含当前施工阶段尚未施工的，force 为估算轴力），columns 为立柱（load 为受力指标，见 SupportSystem），
+     *   anchors 为锚杆（见 GroundAnchors.layout()），
+     *   nails 为土钉，surfaces 为地表以上的道路面
+     */
+    getLayoutGeometry() {
+        const meshes = this.excavationGroup.children;
+        const top = meshes.find(mesh => mesh.userData.type === 'crown-beam')
+            || meshes.find(mesh => mesh.userData.type === 'slope-crest');
+        const wall = meshes.find(mesh => mesh.userData.type === 'retaining-wall');
+        const toPoint = ([x, y, z]) => ({ x, y, z });
+
+        return {
+            edges: this.outline.edges.map(edge => ({
+                start: { ...edge.start },
+                end: { ...edge.end },
+                outward: { ...edge.outward },
+                hostId: edge.index,
+                convexStart: this.outline.corners[edge.index].convex
+            })),
+            topHostType: top.userData.type,
+            crownBeamTop: top.position.y + top.geometry.parameters.height / 2,
+            crownBeamOffset: this.wallThickness / 2,
+            wallTop: wall ? wall.position.y + wall.geometry.parameters.height / 2 : 0,
+            supports: meshes
+                .filter(mesh => mesh.userData.type === 'support')
+                .map(mesh => {
+                    const { id, level, role, force, start, end } = mesh.userData;
+                    return { id, level, role, force, start: toPoint(start), end: toPoint(end) };
+                }),
+            columns: meshes
+                .filter(mesh => mesh.userData.type === 'column')
+                .map(mesh => ({
+                    id: mesh.userData.id,
+                    load: mesh.userData.load,
+                    x: mesh.position.x,
+                    z: mesh.position.z,
+                    top: mesh.position.y + mesh.geometry.parameters.height / 2
+                })),
+            anchors: this.anchorLayout.map(anchor => ({ ...anchor })),
+            nails: meshes
+                .filter(mesh => mesh.userData.type === 'soil-nail')
+                .map(mesh => {
+                    const { id, edge, row, start, end } = mesh.userData;
+                    return { id, edge, row, start: toPoint(start), end: toPoint(end) };
+                }),
+            surfaces: meshes
+                .filter(mesh => mesh.userData.type === 'road')
+                .map(mesh => {
+                    const { width: sizeX, height, depth: sizeZ } = mesh.geometry.parameters;
+                    return {
+                        type: 'road',
+                        id: mesh.userData.id,
+                        minX: mesh.position.x - sizeX / 2,
+                        maxX: mesh.position.x + sizeX / 2,
+                        minZ: mesh.position.z - sizeZ / 2,
+                        maxZ: mesh.position.z + sizeZ / 2,
+                        top: mesh.position.y + height / 2
+                    };
+                })
+        };
+    }
+
+    /**
+     * 绘制基坑轮廓时的预览折线
+     * @param {Array} points [{ x, z }]
+     */
+    showOutlinePreview(points) {
+        this.clearOutlinePreview();
+        if (points.length === 0) return;
+
+        const vertices = points.map(p => new THREE.Vector3(p.x, 0.05, p.z));
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(vertices),
+            new THREE.LineBasicMaterial({ color: 0xE040FB })
+        );
+        const markers = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints(vertices),
+            new THREE.PointsMaterial({ color: 0x6A1B9A, size: 0.8 })
+        );
+        this.outlinePreview = new THREE.Group();
+        this.outlinePreview.add(line, markers);
+        this.scene.add(this.outlinePreview);
+    }
+
+    clearOutlinePreview() {
+        if (!this.outlinePreview) return;
+        this.scene.remove(this.outlinePreview);
+        this.outlinePreview.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.outlinePreview = null;
+    }
+
+    /**
+     * 显示监测断面：高于冠梁（坡顶）的剖切线，两端为剖切符号和断面名称
+     * @param {Array} sections [{ id, name, start: { x, z }, end: { x, z } }]
+     * @param {Object} options { selectedId 突出显示的断面, inferred 是否为自动划分（以虚线显示） }
+     */
+    setMonitoringSections(sections, options = {}) {
+        this.sectionGroup.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        this.sectionGroup.clear();
+        if (!this.outline) return;
+
+        const top = this.excavationGroup.children.find(mesh =>
+            mesh.userData.type === 'crown-beam' || mesh.userData.type === 'slope-crest'
+        );
+        const y = (top ? top.position.y + top.geometry.parameters.height / 2 : 0) + 0.3;
+
+        sections.forEach(section => {
+            const selected = section.id === options.selectedId;
+            const color = selected ? 0xE040FB : 0x6A1B9A;
+            const start = new THREE.Vector3(section.start.x, y, section.start.z);
+            const end = new THREE.Vector3(section.end.x, y, section.end.z);
+            const material = options.inferred
+                ? new THREE.LineDashedMaterial({ color, dashSize: 1.2, gapSize: 0.6 })
+                : new THREE.LineBasicMaterial({ color });
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([start, end]), material);
+            line.computeLineDistances();
+            line.userData = { type: 'monitoring-section', id: section.id };
+            this.sectionGroup.add(line);
+
+            // 剖切符号：两端垂直于断面线的短粗线
+            const direction = new THREE.Vector3().subVectors(end, start).normalize();
+            const normal = new THREE.Vector3(-direction.z, 0, direction.x).multiplyScalar(1.5);
+            const ticks = [start, end].flatMap(point => [point.clone().sub(normal), point.clone().add(normal)]);
+            const tickLines = new THREE.LineSegments(
+                new THREE.BufferGeometry().setFromPoints(ticks),
+                new THREE.LineBasicMaterial({ color })
+            );
+            this.sectionGroup.add(tickLines);
+
+            [start, end].forEach(point => {
+                const label = this.createTextSprite(section.name, selected ? '#E040FB' : '#6A1B9A');
+                label.position.copy(point).add(new THREE.Vector3(0, 1.5, 0));
+                this.sectionGroup.add(label);
+            });
         });
+    }
+
+    /**
+     * 始终面向相机的文字标注
+     */
+    createTextSprite(text, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        context.font = 'bold 40px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 6;
+        context.strokeStyle = '#FFFFFF';
+        context.strokeText(text, 64, 32);
+        context.fillStyle = color;
+        context.fillText(text, 64, 32);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false
+        }));
+        sprite.scale.set(4, 2, 1);
+        return sprite;
+    }
+
+    describeHost(object) {
+        const { type, id, level } = object.userData;
+        return { type: type || null, id: id ?? null, level: level ?? null };
+    }
 
-        return true;
+    isInsidePit(position) {
+        if (!this.outline) return false;
+        // 含围护墙厚度
+        return this.outline.signedDistance(position) < this.wallThickness;
     }
 
     isValidSensorPosition(type, position) {
@@ -431,24 +1295,147 @@ export class ExcavationMonitoringSystem {
         }
     }
 
-    removeSensor(index) {
-        if (index >= 0 && index < this.sensors.length) {
+    /**
+     * 移动传感器到新位置
+     * @param {number} id 传感器ID
+     * @param {THREE.Vector3} position 新位置
+     * @param {Object|null} host 依附的构件
+     */
+    moveSensor(id, position, host = null) {
+        const sensor = this.getSensorById(id);
+        if (!sensor) return;
+        sensor.position = position.clone();
+        sensor.host = host;
+        sensor.mesh.position.copy(position);
+        sensor.mesh.userData.position = position.clone();
+        sensor.mesh.material = this.getSensorMaterial(sensor);
+        this.updateInclinometer(sensor);
+    }
+
+    /**
+     * 拖动过程中预览传感器位置，不允许的位置显示为半透明灰色
+     */
+    previewSensorPosition(id, position, valid) {
+        const sensor = this.getSensorById(id);
+        if (!sensor) return;
+        if (position) sensor.mesh.position.copy(position);
+        if (position && sensor.inclinometer) sensor.inclinometer.position.copy(position);
+        sensor.mesh.material = valid ? this.getSensorMaterial(sensor) : this.invalidSensorMaterial;
+    }
+
+    cancelSensorPreview(id) {
+        const sensor = this.getSensorById(id);
+        if (!sensor) return;
+        sensor.mesh.position.copy(sensor.position);
+        if (sensor.inclinometer) sensor.inclinometer.position.copy(sensor.position);
+        sensor.mesh.material = this.getSensorMaterial(sensor);
+    }
+
+    getSensorMeshes() {
+        return this.sensors.map(sensor => sensor.mesh);
+    }
+
+    removeSensor(id) {
+        const index = this.sensors.findIndex(sensor => sensor.id === id);
+        if (index >= 0) {
             const sensor = this.sensors[index];
             this.sensorGroup.remove(sensor.mesh);
+            if (sensor.inclinometer) this.inclinometerGroup.remove(sensor.inclinometer);
             this.sensors.splice(index, 1);
-            
-            // 更新剩余传感器的ID
-            this.sensors.forEach((s, i) => s.id = i);
         }
     }
 
+    /**
+     * 之后新布置的传感器ID大于 id（其他布置方案中已使用的ID不再分配，方案对比按ID对应测点）
+     */
+    reserveSensorIds(id) {
+        this.nextSensorId = Math.max(this.nextSensorId, id + 1);
+    }
+
     clearAllSensors() {
         this.sensors.forEach(sensor => {
             this.sensorGroup.remove(sensor.mesh);
         });
+        this.inclinometerGroup.clear();
         this.sensors = [];
     }
 
+    /**
+     * 按预警状态为传感器着色
+     * @param {Object} states 传感器ID -> 预警状态（normal/abnormal/danger），无数据的测点保持原色
+     */
+    setSensorStates(states) {
+        this.sensors.forEach(sensor => {
+            const state = states[sensor.id];
+            sensor.warningState = this.warningMaterials[state] ? state : null;
+            sensor.mesh.material = this.getSensorMaterial(sensor);
+        });
+    }
+
+    /**
+     * 高亮指定传感器（如验证结论涉及的测点），传入空数组取消高亮
+     */
+    setHighlightedSensors(ids) {
+        const highlighted = new Set(ids);
+        this.sensors.forEach(sensor => {
+            sensor.highlighted = highlighted.has(sensor.id);
+            sensor.mesh.material = this.getSensorMaterial(sensor);
+        });
+    }
+
+    getSensorMaterial(sensor) {
+        if (sensor.highlighted) return this.highlightMaterial;
+        return sensor.warningState
+            ? this.warningMaterials[sensor.warningState]
+            : (this.sensorMaterials[sensor.type] || this.sensorMaterials['horizontal-displacement']);
+    }
+
+    clearSensorStates() {
+        this.setSensorStates({});
+    }
+
+    /**
+     * 显示某一施工阶段的工况：坑内剩余土体、已施工的支撑
+     * @param {Object|null} state ConstructionTimeline.getStageState() 的结果，null 表示完工后的完整模型
+     */
+    applyConstructionState(state) {
+        this.constructionState = state;
+        const removed = this.excavationGroup.children.filter(child => child.userData.type === 'remaining-soil');
+        removed.forEach(child => this.excavationGroup.remove(child));
+
+        this.excavationGroup.children.forEach(child => {
+            if (child.userData.type === 'support') {
+                child.visible = !state || state.installedLevels.includes(child.userData.level);
+            }
+            // 土钉、锚杆随开挖逐排施工
+            if (child.userData.type === 'soil-nail' || child.userData.type === 'anchor') {
+                child.visible = !state || child.userData.start[1] >= -state.excavatedDepth;
+            }
+        });
+
+        if (!state || !this.config) return;
+
+        // 坑内尚未开挖的土体
+        const { depth } = this.config.dimensions;
+        const remaining = depth - state.excavatedDepth;
+        if (remaining > 0.01) {
+            // 按基坑轮廓拉伸，形状坐标 (x, z) 绕 x 轴旋转后沿 -y 方向拉伸；放坡时取开挖面处的坡面边线
+            const system = getRetainingSystem(this.config);
+            const vertices = system.wall
+                ? this.outline.vertices
+                : this.outline.offsetVertices(-this.getSlopeSetback(this.outline, depth, system) * state.excavatedDepth / depth);
+            const shape = new THREE.Shape(vertices.map(v => new THREE.Vector2(v.x, v.z)));
+            const geometry = new THREE.ExtrudeGeometry(shape, { depth: remaining, bevelEnabled: false });
+            geometry.rotateX(Math.PI / 2);
+            const material = this.config.type === 'rock' ? this.rockMaterial : this.soilMaterial;
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(0, -state.excavatedDepth, 0);
+            mesh.receiveShadow = true;
+            mesh.userData = { type: 'remaining-soil' };
+            this.excavationGroup.add(mesh);
+        }
+    }
+
     clearExcavation() {
         this.excavationGroup.clear();
         this.interactableObjects = [];
@@ -462,12 +1449,17 @@ export class ExcavationMonitoringSystem {
         return this.sensors.map(sensor => ({
             type: sensor.type,
             position: sensor.position,
-            id: sensor.id
+            id: sensor.id,
+            code: sensor.code,
+            host: sensor.host,
+            timestamp: sensor.timestamp,
+            metadata: sensor.metadata
         }));
     }
 
     getInteractableObjects() {
-        return this.interactableObjects;
+        // 尚未施工（隐藏）的构件不可交互；地面用于布置地表测点
+        return [...this.interactableObjects.filter(object => object.visible), this.groundMesh];
     }
 
     update() {
@@ -475,8 +1467,15 @@ export class ExcavationMonitoringSystem {
         this.sensors.forEach((sensor, index) => {
             if (sensor.mesh) {
                 sensor.mesh.rotation.y += 0.01;
-                // 简单的呼吸效果
-                const scale = 1 + Math.sin(Date.now() * 0.003 + index) * 0.1;
+                // 简单的呼吸效果，异常和危险测点脉动更明显
+                let scale = 1 + Math.sin(Date.now() * 0.003 + index) * 0.1;
+                if (sensor.highlighted) {
+                    scale = 1.6 + Math.sin(Date.now() * 0.008) * 0.3;
+                } else if (sensor.warningState === 'danger') {
+                    scale = 1.4 + Math.sin(Date.now() * 0.012) * 0.4;
+                } else if (sensor.warningState === 'abnormal') {
+                    scale = 1.2 + Math.sin(Date.now() * 0.006) * 0.2;
+                }
                 sensor.mesh.scale.setScalar(scale);
             }
         });
@@ -1,119 +1,43 @@
+import { PitOutline } from './PitOutline.js';
+import { Stratigraphy, SOIL_CLASSES } from './Stratigraphy.js';
+import { getRetainingSystem } from './RetainingSystems.js';
+import { GroundAnchors } from './GroundAnchors.js';
+import { SupportSystem, describeSupportMember } from './SupportSystem.js';
+import { ProtectedObjects, PROTECTED_OBJECT_KINDS } from './ProtectedObjects.js';
+import { UndergroundPipelines, PIPELINE_USES, PIPELINE_MATERIALS, JOINT_TYPES } from './UndergroundPipelines.js';
+import { SENSOR_TYPES, getSensorTypeName } from './SensorTypes.js';
+import { MonitoringSections, SECTION_COMPANIONS } from './MonitoringSections.js';
+import { RulePackRegistry, BASE_STANDARD, CATEGORY_RANK } from './RulePacks.js';
+import { parseItemTables, buildMonitoringRequirements, compareWithTables, unmodelledItems, EXPLAINED_ISSUE_KINDS, ITEM_TABLES, CATEGORY_NAMES } from './MonitoringItemTables.js';
+
 /**
  * GB50497-2019 建筑基坑工程监测技术标准验证器
- * 根据规范要求验证传感器布置的合理性
+ * 根据规范要求验证传感器布置的合理性；项目选用地方标准、行业标准规则包（config.rulePacks）时，
+ * 监测项目、测点数量、间距和监测范围取 GB50497 与规则包中较严者，验证结论注明来源
  */
 export class GB50497Validator {
-    constructor() {
-        // 根据GB50497-2019标准定义监测项目要求
-        this.monitoringRequirements = {
-            soil: {
-                1: { // 一级基坑
-                    required: [
-                        'horizontal-displacement',  // 围护墙顶部水平位移
-                        'vertical-displacement',    // 围护墙顶部竖向位移
-                        'deep-horizontal',         // 深层水平位移
-                        'support-force',           // 支撑轴力
-                        'water-level',             // 地下水位
-                        'ground-settlement'        // 周边地表竖向位移
-                    ],
-                    recommended: ['anchor-force'], // 锚杆轴力
-                    optional: ['wall-internal-force', 'pore-pressure', 'soil-pressure']
-                },
-                2: { // 二级基坑
-                    required: [
-                        'horizontal-displacement',
-                        'vertical-displacement',
-                        'deep-horizontal',
-                        'support-force',
-                        'water-level',
-                        'ground-settlement'
-                    ],
-                    recommended: ['anchor-force'],
-                    optional: ['wall-internal-force', 'pore-pressure']
-                },
-                3: { // 三级基坑
-                    required: [
-                        'horizontal-displacement',
-                        'vertical-displacement',
-                        'water-level'
-                    ],
-                    recommended: ['deep-horizontal', 'support-force', 'ground-settlement'],
-                    optional: ['anchor-force']
-                }
-            },
-            rock: {
-                1: {
-                    required: [
-                        'horizontal-displacement',
-                        'vertical-displacement',
-                        'anchor-force',
-                        'ground-settlement'
-                    ],
-                    recommended: ['water-level'],
-                    optional: []
-                },
-                2: {
-                    required: [
-                        'horizontal-displacement',
-                        'ground-settlement'
-                    ],
-                    recommended: ['vertical-displacement', 'anchor-force', 'water-level'],
-                    optional: []
-                },
-                3: {
-                    required: ['horizontal-displacement'],
-                    recommended: ['ground-settlement'],
-                    optional: ['vertical-displacement', 'anchor-force']
-                }
-            },
-            'soil-rock': {
-                // 土岩组合基坑按土质基坑和岩体基坑要求组合
-                1: {
-                    required: [
-                        'horizontal-displacement',
-                        'vertical-displacement',
-                        'deep-horizontal',
-                        'support-force',
-                        'anchor-force',
-                        'water-level',
-                        'ground-settlement'
-                    ],
-                    recommended: [],
-                    optional: ['wall-internal-force', 'pore-pressure']
-                },
-                2: {
-                    required: [
-                        'horizontal-displacement',
-                        'vertical-displacement',
-                        'deep-horizontal',
-                        'support-force',
-                        'water-level',
-                        'ground-settlement'
-                    ],
-                    recommended: ['anchor-force'],
-                    optional: []
-                },
-                3: {
-                    required: [
-                        'horizontal-displacement',
-                        'vertical-displacement',
-                        'water-level'
-                    ],
-                    recommended: ['deep-horizontal', 'support-force', 'ground-settlement'],
-                    optional: ['anchor-force']
-                }
-            }
-        };
+    /**
+     * @param {Object} options options.itemTables 为规范原文第4章（4监测项目.md）的文本，
+     *                         监测项目要求由其中的表4.2.1、4.2.2生成；
+     *                         options.rulePacks 为已加载的规则包（RulePackRegistry）
+     */
+    constructor(options = {}) {
+        // 未提供规范原文时没有监测项目要求，验证时报错，不按不完整的要求判定合规
+        this.itemTables = options.itemTables ? parseItemTables(options.itemTables) : {};
+        this.monitoringRequirements = buildMonitoringRequirements(this.itemTables);
+        this.rulePacks = options.rulePacks || new RulePackRegistry();
 
         // 传感器布置要求（基于规范第5章）
         this.layoutRequirements = {
             'horizontal-displacement': {
                 minPointsPerSide: 3,  // 每边不少于3点
+                maxSpacing: 20, // 水平间距不宜大于20m
                 preferredLocations: ['middle', 'corner'], // 中部、阳角处
                 description: '围护墙顶部水平位移监测点'
             },
             'vertical-displacement': {
                 minPointsPerSide: 3,
+                maxSpacing: 20,
                 preferredLocations: ['middle', 'corner'],
                 description: '围护墙顶部竖向位移监测点'
             },
@@ -124,8 +48,14 @@ export class GB50497Validator {
             },
             'support-force': {
                 minPointsPerLevel: 2, // 每层支撑至少2个监测点
+                preferredForceRatio: 0.7, // 测点杆件的估算轴力低于未监测杆件最大值的70%时提示
                 description: '支撑轴力监测点'
             },
+            'column-settlement': {
+                minRatio: 0.05, // 不少于立柱总根数的5%
+                minPoints: 3, // 且不少于3根
+                description: '立柱竖向位移监测点'
+            },
             'ground-settlement': {
                 monitoringRange: 3, // 1-3倍基坑深度范围
                 description: '周边地表竖向位移监测点'
@@ -135,39 +65,282 @@ export class GB50497Validator {
                 description: '地下水位监测点'
             }
         };
+
+        // 各监测项目布点规则所在条文（第5章），见监测项目登记表
+        this.placementClauses = Object.fromEntries(
+            Object.entries(SENSOR_TYPES).map(([type, definition]) => [type, definition.clauses.placement])
+        );
+
+        // 周边环境监测项目仅在监测范围内有相应的保护对象时要求，建筑裂缝仅在建筑有需观测的裂缝时要求
+        this.environmentItems = {
+            building: ['building-settlement', 'building-horizontal', 'building-tilt', 'building-crack'],
+            pipeline: ['pipeline-displacement']
+        };
+
+        // 管线监测点间距（m）
+        this.pipelineSpacing = { min: 15, max: 25 };
+
+        // 最近一次核对监测项目表的配置和结果，见 getConsistencyReport()
+        this.consistencyCache = null;
+    }
+
+    /**
+     * 按基坑类型、安全等级和支护形式确定的监测项目（表4.2.1、4.2.2）：
+     * 支护结构中没有的构件不设对应的监测项目；监测范围内有周边建筑时才要求建筑监测项目，
+     * 有地下管线时才要求管线位移
+     * @returns {Object|null} { required, recommended, optional, excluded, inapplicable, sources }，
+     *   excluded 为支护形式不设的项目，inapplicable 为监测范围内没有对应监测对象而不要求的项目
+     */
+    getRequirements(config) {
+        const tables = this.monitoringRequirements[config.type]?.[config.safetyLevel];
+        if (!tables) return null;
+        const { sources, ...base } = this.applyItemRules(config, tables);
+
+        const system = getRetainingSystem(config);
+        const absent = [];
+        if (!system.struts) absent.push('support-force', 'column-settlement', 'column-force');
+        const anchored = GroundAnchors.forConfig(config).rows.length > 0 || system.soilNails;
+        if (!anchored) absent.push('anchor-force');
+        if (!system.wall) absent.push('wall-internal-force', 'soil-pressure');
+        const excluded = absent.filter(type => [...base.required, ...base.recommended, ...base.optional].includes(type));
+
+        const buildings = this.assessProtectedObjects(config)
+            .filter(assessment => assessment.inZone && assessment.object.kind === 'building');
+        const inapplicable = [];
+        if (buildings.length === 0) {
+            inapplicable.push(...this.environmentItems.building);
+        } else if (!buildings.some(({ object }) => object.cracks > 0)) {
+            inapplicable.push('building-crack');
+        }
+        if (!this.assessPipelines(config).some(assessment => assessment.inZone)) {
+            inapplicable.push(...this.environmentItems.pipeline);
+        }
+
+        const keep = type => !excluded.includes(type) && !inapplicable.includes(type);
+        return {
+            required: base.required.filter(keep),
+            recommended: base.recommended.filter(keep),
+            optional: base.optional.filter(keep),
+            excluded,
+            inapplicable: inapplicable.filter(type => !excluded.includes(type)),
+            sources
+        };
+    }
+
+    /**
+     * 按选用的规则包提高监测项目类别
+     * @returns {Object} { required, recommended, optional, sources }，sources 为类别由规则包确定的项目 -> { source, clause }
+     */
+    applyItemRules(config, tables) {
+        const lists = {
+            required: [...tables.required],
+            recommended: [...tables.recommended],
+            optional: [...tables.optional]
+        };
+        const sources = {};
+        Object.entries(this.getRules(config).getItemCategories(config)).forEach(([type, rule]) => {
+            const current = Object.keys(lists).find(category => lists[category].includes(type));
+            if (current && CATEGORY_RANK[current] >= CATEGORY_RANK[rule.category]) return;
+            if (current) lists[current].splice(lists[current].indexOf(type), 1);
+            lists[rule.category].push(type);
+            sources[type] = { source: rule.source, clause: rule.clause };
+        });
+        return { ...lists, sources };
+    }
+
+    /**
+     * 项目选用的规则包合成的规则集
+     * @returns {RuleSet}
+     */
+    getRules(config) {
+        return this.rulePacks.resolve(config.rulePacks || []);
+    }
+
+    /**
+     * 生效的最少测点数：GB50497 与规则包中较大者
+     * @param {string} scope total 全部、side 每边、level 每道支撑（锚杆为每排）
+     * @returns {Object} { value, clause, source }
+     */
+    getCountRule(config, type, scope = 'total') {
+        const base = {
+            total: { value: SENSOR_TYPES[type]?.minCount || 1, clause: this.placementClauses[type] || null },
+            side: { value: this.layoutRequirements[type]?.minPointsPerSide ?? null, clause: '5.2.1' },
+            level: type === 'anchor-force'
+                ? { value: 3, clause: '5.2.6' }
+                : { value: this.layoutRequirements[type]?.minPointsPerLevel ?? null, clause: '5.2.4' }
+        }[scope];
+        return this.getRules(config).getMinCount(config, type, scope, base);
+    }
+
+    /**
+     * 生效的测点最大间距：GB50497 与规则包中较小者
+     * @returns {Object} { value, clause, source }
+     */
+    getSpacingRule(config, type) {
+        const base = type === 'pipeline-displacement'
+            ? { value: this.pipelineSpacing.max, clause: '5.3.7' }
+            : { value: this.layoutRequirements[type]?.maxSpacing ?? null, clause: this.placementClauses[type] || null };
+        return this.getRules(config).getMaxSpacing(config, type, base);
+    }
+
+    /**
+     * 核对按该配置（支护形式、周边环境、选用的规则包）实际采用的各类型、各等级基坑的监测项目要求
+     * 与规范表4.2.1、4.2.2是否一致；同一配置和规则包只核对一次
+     * @returns {Object} compareWithTables() 的结果
+     */
+    getConsistencyReport(config) {
+        const key = JSON.stringify([config, this.getRules(config).packs]);
+        if (this.consistencyCache?.key !== key) {
+            const report = compareWithTables(this.itemTables,
+                (type, safetyLevel) => this.getRequirements({ ...config, type, safetyLevel }));
+            this.consistencyCache = { key, report };
+        }
+        return this.consistencyCache.report;
+    }
+
+    /**
+     * 绘制的监测断面，未绘制时按测点自动划分
+     * @param {Array|null} sections [{ id, name, start, end }]
+     * @returns {Object} { sections: MonitoringSections, inferred }
+     */
+    getSections(config, sensors, sections = null) {
+        if (sections && sections.length > 0) {
+            return { sections: new MonitoringSections(sections), inferred: false };
+        }
+        const { range } = this.getMonitoringRange(config);
+        return { sections: MonitoringSections.infer(new PitOutline(config), sensors, { outer: range }), inferred: true };
+    }
+
+    /**
+     * 同一监测断面上应有相互印证的监测项目（5.1.3）：断面上的项目缺少本项目要求或已布置的配套项目时提示；
+     * 绘制了断面时，未位于任何断面上的深层水平位移测点也予提示
+     * @returns {Array} [{ id, name, inferred, items: { 类型: 测点数 }, missing: [{ type, companion }] }]
+     */
+    checkSections(config, sensors, requirements, sections, results) {
+        const { sections: defined, inferred } = this.getSections(config, sensors, sections);
+        const assignment = defined.assign(sensors);
+        const placedTypes = new Set(sensors.map(sensor => sensor.type));
+        const expected = type => placedTypes.has(type) ||
+            requirements.required.includes(type) || requirements.recommended.includes(type);
+
+        const compliance = defined.sections.map(section => {
+            const members = assignment.get(section.id);
+            const items = {};
+            members.forEach(sensor => { items[sensor.type] = (items[sensor.type] || 0) + 1; });
+            const types = Object.keys(items);
+            const missing = [];
+            types.forEach(type => (SECTION_COMPANIONS[type] || [])
+                .filter(companion => !items[companion] && expected(companion))
+                .forEach(companion => missing.push({ type, companion })));
+
+            const prefix = `${inferred ? '自动划分的' : ''}断面${section.name}`;
+            missing.forEach(({ type, companion }) => {
+                const codes = members.filter(sensor => sensor.type === type).map(sensor => sensor.code).filter(Boolean);
+                this.addFinding(results, 'warning',
+                    `${prefix}的${this.getSensorTypeName(type)}${codes.length > 0 ? `（${codes.join('、')}）` : ''}` +
+                    `缺少配套的${this.getSensorTypeName(companion)}测点，宜布置在同一监测断面上以便相互印证`,
+                    '5.1.3', this.sensorIds(members));
+            });
+            if (types.length === 1 && missing.length === 0) {
+                this.addFinding(results, 'suggestion',
+                    `${prefix}仅有${this.getSensorTypeName(types[0])}一个监测项目，无法相互印证`,
+                    '5.1.3', this.sensorIds(members));
+            } else if (types.length === 0 && !inferred) {
+                this.addFinding(results, 'suggestion', `${prefix}上没有监测点`, '5.1.3');
+            }
+            return { id: section.id, name: section.name, inferred, items, missing };
+        });
+
+        if (!inferred) {
+            const assigned = new Set([...assignment.values()].flat());
+            const outside = sensors.filter(sensor => sensor.type === 'deep-horizontal' && !assigned.has(sensor));
+            if (outside.length > 0) {
+                this.addFinding(results, 'suggestion',
+                    `${outside.length}个深层水平位移测点未位于任何监测断面上`, '5.1.3', this.sensorIds(outside));
+            }
+        }
+        return compliance;
+    }
+
+    /**
+     * 周边保护对象与监测范围（5.3.1）
+     * @returns {Array} ProtectedObjects.assess() 的结果
+     */
+    assessProtectedObjects(config) {
+        const { range } = this.getMonitoringRange(config);
+        return ProtectedObjects.forConfig(config).assess(new PitOutline(config), config.dimensions.depth, range);
+    }
+
+    /**
+     * 地下管线位于监测范围内的管段（5.3.1）
+     * @returns {Array} UndergroundPipelines.assess() 的结果
+     */
+    assessPipelines(config) {
+        const { range } = this.getMonitoringRange(config);
+        return UndergroundPipelines.forConfig(config).assess(new PitOutline(config), range);
     }
 
     /**
      * 验证传感器布置是否符合GB50497-2019标准
      * @param {Object} config 基坑配置
      * @param {Array} sensors 已布置的传感器
+     * @param {Object} options 可选项；options.stage 为施工阶段工况，按该阶段已施工的构件验证；
+     *                          options.sections 为绘制的监测断面 [{ id, name, start, end }]，未提供时按测点自动划分
      * @returns {Object} 验证结果
      */
-    validateLayout(config, sensors) {
+    validateLayout(config, sensors, options = {}) {
         const results = {
             isValid: true,
             errors: [],
             warnings: [],
             suggestions: [],
+            // 结构化的验证结论 { severity, message, clause, sensorIds }，errors 等为其文字形式
+            findings: [],
             compliance: {}
         };
 
+        // 选用的规则包
+        const rules = this.getRules(config);
+        results.rulePacks = rules.packs.map(({ id, code, name }) => ({ id, code, name }));
+        rules.missing.forEach(id => {
+            this.addFinding(results, 'warning', `项目选用的规则包 ${id} 未加载，未按其要求验证`);
+        });
+
         // 获取该类型基坑的监测要求
-        const requirements = this.monitoringRequirements[config.type][config.safetyLevel];
+        let requirements = this.getRequirements(config);
         if (!requirements) {
-            results.errors.push(`未找到${config.type}类型${config.safetyLevel}级基坑的监测要求`);
+            this.addFinding(results, 'error', `未找到${config.type}类型${config.safetyLevel}级基坑的监测要求`);
             results.isValid = false;
             return results;
         }
+        if (requirements.excluded.length > 0) {
+            const names = requirements.excluded.map(type => this.getSensorTypeName(type)).join('、');
+            this.addFinding(results, 'suggestion', `支护形式为${getRetainingSystem(config).name}，不设${names}监测`, this.getItemClause(config));
+        }
+
+        // 核对监测项目要求与规范表格
+        this.checkItemTables(config, results);
+
+        // 按钻孔资料复核基坑类型
+        this.checkStrata(config, results);
+
+        // 按施工阶段筛选：尚未施工的构件上的监测项目暂不要求
+        if (options.stage) {
+            ({ requirements, sensors } = this.applyStage(requirements, sensors, options.stage, results));
+        }
 
         // 检查必测项目
-        results.compliance.required = this.checkRequiredSensors(requirements.required, sensors, results);
+        const itemClause = this.getItemClause(config);
+        results.compliance.required = this.checkRequiredSensors(config, requirements, sensors, results, itemClause);
         
         // 检查建议测量项目
-        results.compliance.recommended = this.checkRecommendedSensors(requirements.recommended, sensors, results);
+        results.compliance.recommended = this.checkRecommendedSensors(requirements, sensors, results, itemClause);
 
         // 检查传感器布置的合理性
-        results.compliance.layout = this.checkSensorLayout(config, sensors, results);
+        results.compliance.layout = this.checkSensorLayout(config, sensors, results, requirements);
+
+        // 检查监测断面上的配套监测项目
+        results.compliance.sections = this.checkSections(config, sensors, requirements, options.sections, results);
 
         // 检查传感器数量是否合理
         results.compliance.quantity = this.checkSensorQuantity(config, sensors, results);
@@ -184,120 +357,741 @@ export class GB50497Validator {
         return results;
     }
 
-    checkRequiredSensors(requiredTypes, sensors, results) {
-        const sensorTypes = sensors.map(s => s.type);
+    /**
+     * 按施工阶段调整监测要求和参与验证的传感器
+     * @param {Object} requirements 监测项目要求
+     * @param {Array} sensors 已布置的传感器
+     * @param {Object} stage { name, excavatedDepth, installedLevels, supportLevels: [{ level, y }] }
+     * @param {Object} results 验证结果
+     */
+    applyStage(requirements, sensors, stage, results) {
+        const installed = stage.installedLevels || [];
+        const supportLevels = stage.supportLevels || [];
+        results.stage = {
+            name: stage.name,
+            excavatedDepth: stage.excavatedDepth,
+            installedLevels: [...installed]
+        };
+
+        const stageRequirements = {
+            required: [...requirements.required],
+            recommended: [...requirements.recommended],
+            optional: [...requirements.optional],
+            sources: requirements.sources
+        };
+
+        // 支撑轴力测点在支撑施工后才存在
+        if (installed.length === 0) {
+            ['required', 'recommended'].forEach(key => {
+                const index = stageRequirements[key].indexOf('support-force');
+                if (index >= 0) {
+                    stageRequirements[key].splice(index, 1);
+                    this.addFinding(results, 'suggestion', `${stage.name}阶段尚无已施工的支撑，支撑轴力监测暂不要求`);
+                }
+            });
+        }
+
+        const stageSensors = sensors.filter(sensor => {
+            if (sensor.type !== 'support-force') return true;
+            // 依附构件记录了道次时按道次，否则取标高最近的一道
+            const host = sensor.host;
+            if (host && host.type === 'support' && host.level !== null && host.level !== undefined) {
+                return installed.includes(host.level);
+            }
+            if (supportLevels.length === 0) return true;
+            const nearest = supportLevels.reduce((best, level) =>
+                Math.abs(level.y - sensor.position.y) < Math.abs(best.y - sensor.position.y) ? level : best
+            );
+            return installed.includes(nearest.level);
+        });
+
+        const excluded = sensors.filter(sensor => !stageSensors.includes(sensor));
+        if (excluded.length > 0) {
+            this.addFinding(results, 'suggestion',
+                `${excluded.length}个支撑轴力测点所在支撑在${stage.name}阶段尚未施工或已拆除，未计入本阶段验证`,
+                null, this.sensorIds(excluded));
+        }
+
+        return { requirements: stageRequirements, sensors: stageSensors };
+    }
+
+    /**
+     * 监测项目要求与表4.2.1、4.2.2不一致时给出警告；表中本等级应测、宜测但未建模的项目提示人工核查
+     */
+    checkItemTables(config, results) {
+        const itemClause = this.getItemClause(config);
+        const drift = this.getConsistencyReport(config).issues
+            .filter(issue => !EXPLAINED_ISSUE_KINDS.includes(issue.kind) && (!issue.pitType || issue.pitType === config.type));
+        if (drift.length > 0) {
+            this.addFinding(results, 'warning',
+                `监测项目要求与规范表格不一致（${drift.length}处）：${drift.map(issue => issue.message).join('；')}`, itemClause);
+        }
+
+        const tables = config.type === 'soil-rock' ? Object.values(ITEM_TABLES) : [ITEM_TABLES[config.type]];
+        const unchecked = {};
+        unmodelledItems(this.itemTables)
+            .filter(row => tables.includes(row.table))
+            .forEach(row => {
+                const category = row.categories[config.safetyLevel];
+                if (category === 'required' || (category === 'recommended' && unchecked[row.item] !== 'required')) {
+                    unchecked[row.item] = category;
+                }
+            });
+        Object.entries(unchecked).forEach(([item, category]) => {
+            this.addFinding(results, 'suggestion',
+                `${item}为${config.safetyLevel}级基坑${CATEGORY_NAMES[category]}项目，本系统未纳入自动验证，需人工核查`, itemClause);
+        });
+    }
+
+    /**
+     * 应测项目是否布置及测点数量；由规则包提高为应测的项目注明来源
+     */
+    checkRequiredSensors(config, requirements, sensors, results, clause = null) {
         const compliance = {};
+        const sources = requirements.sources || {};
 
-        requiredTypes.forEach(type => {
-            const count = sensorTypes.filter(t => t === type).length;
+        requirements.required.forEach(type => {
+            const typeSensors = sensors.filter(s => s.type === type);
+            const count = typeSensors.length;
             compliance[type] = count;
+            const minimum = this.getCountRule(config, type);
 
             if (count === 0) {
-                results.errors.push(`缺少必测项目：${this.getSensorTypeName(type)}`);
-            } else if (count < this.getMinimumSensorCount(type)) {
-                results.warnings.push(`${this.getSensorTypeName(type)}数量不足，建议增加至${this.getMinimumSensorCount(type)}个以上`);
+                const source = sources[type];
+                this.addFinding(results, 'error', `缺少必测项目：${this.getSensorTypeName(type)}`,
+                    source ? source.clause : clause, [], source ? source.source : BASE_STANDARD);
+            } else if (count < minimum.value) {
+                this.addRuleFinding(results, 'warning',
+                    `${this.getSensorTypeName(type)}数量不足，建议增加至${minimum.value}个以上`,
+                    minimum, typeSensors);
             }
         });
 
         return compliance;
     }
 
-    checkRecommendedSensors(recommendedTypes, sensors, results) {
+    checkRecommendedSensors(requirements, sensors, results, clause = null) {
         const sensorTypes = sensors.map(s => s.type);
         const compliance = {};
+        const sources = requirements.sources || {};
 
-        recommendedTypes.forEach(type => {
+        requirements.recommended.forEach(type => {
             const count = sensorTypes.filter(t => t === type).length;
             compliance[type] = count;
 
             if (count === 0) {
-                results.suggestions.push(`建议增加：${this.getSensorTypeName(type)}`);
+                const source = sources[type];
+                this.addFinding(results, 'suggestion', `建议增加：${this.getSensorTypeName(type)}`,
+                    source ? source.clause : clause, [], source ? source.source : BASE_STANDARD);
             }
         });
 
         return compliance;
     }
 
-    checkSensorLayout(config, sensors, results) {
-        const { length, width, depth } = config.dimensions;
+    /**
+     * 各监测项目的测点布置；只检查应测和宜测的项目（施工阶段验证时为该阶段的要求），
+     * 不要求监测的项目（如岩体基坑的深层水平位移）不提示布置不足
+     */
+    checkSensorLayout(config, sensors, results, requirements = this.getRequirements(config)) {
+        const outline = new PitOutline(config);
         const layoutResults = {};
+        const monitored = [...requirements.required, ...requirements.recommended];
 
         // 检查围护墙顶部位移监测点布置
-        this.checkWallDisplacementLayout(sensors, length, width, results, layoutResults);
+        if (monitored.includes('horizontal-displacement') || monitored.includes('vertical-displacement')) {
+            this.checkWallDisplacementLayout(sensors, outline, config, results, layoutResults);
+        }
 
         // 检查深层水平位移监测点
-        this.checkDeepHorizontalLayout(sensors, length, width, results, layoutResults);
+        if (monitored.includes('deep-horizontal')) {
+            this.checkDeepHorizontalLayout(sensors, outline, config, results, layoutResults);
+        }
+
+        // 检查支撑轴力、立柱监测点
+        if (monitored.includes('support-force')) {
+            this.checkSupportForceLayout(sensors, config, results, layoutResults);
+        }
+        this.checkColumnLayout(sensors, config, results, layoutResults, monitored);
+
+        // 检查锚杆轴力监测点
+        if (monitored.includes('anchor-force')) {
+            this.checkAnchorForceLayout(sensors, outline, config, results, layoutResults);
+        }
 
         // 检查地表沉降监测点
-        this.checkGroundSettlementLayout(sensors, length, width, depth, results, layoutResults);
+        if (monitored.includes('ground-settlement')) {
+            this.checkGroundSettlementLayout(sensors, outline, config, results, layoutResults);
+        }
+
+        // 检查周边保护对象的监测点
+        this.checkProtectedObjects(sensors, config, results, layoutResults, monitored);
+
+        // 检查地下管线监测点
+        this.checkPipelines(sensors, config, results, layoutResults, monitored);
 
         return layoutResults;
     }
 
-    checkWallDisplacementLayout(sensors, length, width, results, layoutResults) {
+    /**
+     * 5.2.1 围护墙顶部位移：每边点数、间距、中部和阳角测点；每边点数和间距按规则包取较严者
+     */
+    checkWallDisplacementLayout(sensors, outline, config, results, layoutResults) {
         const wallSensors = sensors.filter(s => 
             s.type === 'horizontal-displacement' || s.type === 'vertical-displacement'
         );
+        const perSide = this.getCountRule(config, 'horizontal-displacement', 'side');
+        const spacing = this.getSpacingRule(config, 'horizontal-displacement');
 
         layoutResults.wallDisplacement = {
             total: wallSensors.length,
-            distribution: this.analyzeSensorDistribution(wallSensors, length, width)
+            distribution: this.analyzeSensorDistribution(wallSensors, outline)
         };
 
-        if (wallSensors.length < 12) { // 4边 × 3点/边
-            results.warnings.push('围护墙位移监测点数量偏少，建议每边至少布置3个监测点');
+        if (wallSensors.length < outline.edges.length * perSide.value) {
+            this.addRuleFinding(results, 'warning', `围护墙位移监测点数量偏少，建议每边至少布置${perSide.value}个监测点`,
+                perSide, wallSensors);
         }
+        if (wallSensors.length === 0) return;
 
-        // 检查是否在关键位置（中部、阳角）布置
-        const criticalPositions = this.identifyCriticalPositions(wallSensors, length, width);
-        if (criticalPositions.missingMiddle > 0) {
-            results.warnings.push(`有${criticalPositions.missingMiddle}边缺少中部监测点`);
-        }
-        if (criticalPositions.missingCorner > 0) {
-            results.warnings.push(`有${criticalPositions.missingCorner}个阳角缺少监测点`);
-        }
+        // 逐边检查点数、间距和中部测点，逐个阳角检查角点
+        const criticalPositions = this.identifyCriticalPositions(wallSensors, outline);
+        criticalPositions.sides.forEach(side => {
+            if (side.sensors.length < perSide.value) {
+                this.addRuleFinding(results, 'warning',
+                    `${this.describeEdge(side.edge)}仅有${side.sensors.length}个围护墙位移监测点，每边不宜少于${perSide.value}个`,
+                    perSide, side.sensors);
+            }
+            const stations = side.sensors.map(sensor => outline.positionAlongEdge(sensor.position, side.edge))
+                .sort((a, b) => a - b);
+            const gaps = stations.slice(1).map((station, i) => station - stations[i]);
+            const widest = Math.max(0, ...gaps);
+            if (widest > spacing.value) {
+                this.addRuleFinding(results, 'warning',
+                    `${this.describeEdge(side.edge)}围护墙位移监测点最大间距${widest.toFixed(1)}m，不宜大于${spacing.value}m`,
+                    spacing, side.sensors);
+            }
+            if (!side.hasMiddle) {
+                this.addFinding(results, 'warning', `${this.describeEdge(side.edge)}缺少中部监测点`,
+                    '5.2.1', this.sensorIds(side.sensors));
+            }
+        });
+        criticalPositions.missingCorners.forEach(corner => {
+            this.addFinding(results, 'warning',
+                `阳角 J${corner.index + 1}（${corner.point.x.toFixed(1)}, ${corner.point.z.toFixed(1)}）缺少监测点`, '5.2.1');
+        });
     }
 
-    checkDeepHorizontalLayout(sensors, length, width, results, layoutResults) {
+    checkDeepHorizontalLayout(sensors, outline, config, results, layoutResults) {
         const deepSensors = sensors.filter(s => s.type === 'deep-horizontal');
         
         layoutResults.deepHorizontal = {
             total: deepSensors.length,
-            distribution: this.analyzeSensorDistribution(deepSensors, length, width)
+            distribution: this.analyzeSensorDistribution(deepSensors, outline)
         };
 
-        const maxEdgeLength = Math.max(length, width);
-        const recommendedCount = maxEdgeLength > 50 ? 6 : 4; // 大于50m的边适当增设
+        // 每边1个，边长大于规定间距（GB50497 为50m）的边适当增设
+        const spacing = this.getSpacingRule(config, 'deep-horizontal');
+        const longEdges = outline.edges.filter(edge => edge.length > spacing.value).length;
+        const recommendedCount = outline.edges.length + longEdges;
 
         if (deepSensors.length < recommendedCount) {
-            results.warnings.push(`深层水平位移监测点建议增加至${recommendedCount}个`);
+            this.addRuleFinding(results, 'warning', `深层水平位移监测点建议增加至${recommendedCount}个`,
+                spacing, deepSensors);
+        }
+        if (deepSensors.length === 0) return;
+
+        layoutResults.deepHorizontal.distribution.edges.forEach(({ edge, count }) => {
+            if (count === 0) {
+                this.addFinding(results, 'warning', `${this.describeEdge(outline.edges[edge])}缺少深层水平位移监测孔`, '5.2.2');
+            }
+        });
+    }
+
+    /**
+     * 5.2.4 支撑轴力：测点应对应到具体杆件，每道支撑不少于 minPointsPerLevel 个，
+     * 宜布置在轴力较大的杆件（对撑、角撑中估算轴力较大者）上；施工阶段验证时只检查已施工的各道支撑
+     */
+    checkSupportForceLayout(sensors, config, results, layoutResults) {
+        const forceSensors = sensors.filter(s => s.type === 'support-force');
+        const installed = results.stage ? results.stage.installedLevels : null;
+        const members = SupportSystem.forConfig(config).members()
+            .filter(member => !installed || installed.includes(member.level));
+        layoutResults.supportForce = { total: forceSensors.length, levels: [] };
+        if (forceSensors.length === 0 || members.length === 0) return;
+
+        const requirement = this.layoutRequirements['support-force'];
+        const perLevel = this.getCountRule(config, 'support-force', 'level');
+        const memberOf = sensor => this.findSupportMember(sensor, members);
+        const unbound = forceSensors.filter(sensor => !memberOf(sensor));
+        if (unbound.length > 0) {
+            this.addFinding(results, 'warning', `${unbound.length}个支撑轴力测点未布置在支撑杆件上`,
+                '5.2.4', this.sensorIds(unbound));
+        }
+
+        const levels = [...new Set(members.map(member => member.level))].sort((a, b) => a - b);
+        const uncovered = [];
+        levels.forEach(level => {
+            const levelMembers = members.filter(member => member.level === level);
+            const levelSensors = forceSensors.filter(sensor => memberOf(sensor)?.level === level);
+            const monitored = levelMembers.filter(member => levelSensors.some(sensor => memberOf(sensor) === member));
+            layoutResults.supportForce.levels.push({
+                level,
+                members: levelMembers.length,
+                points: levelSensors.length,
+                monitored: monitored.map(member => member.id)
+            });
+
+            if (levelSensors.length === 0) {
+                uncovered.push(level);
+                return;
+            }
+            if (levelSensors.length < perLevel.value) {
+                this.addRuleFinding(results, 'warning',
+                    `第${level + 1}道支撑仅有${levelSensors.length}个轴力监测点，每道支撑不应少于${perLevel.value}个`,
+                    perLevel, levelSensors);
+            }
+
+            // 受力较大的杆件未监测而测点位于受力较小的杆件上
+            const unmonitored = levelMembers.filter(member => !monitored.includes(member));
+            if (unmonitored.length === 0) return;
+            const heaviest = unmonitored.reduce((max, member) => (member.force > max.force ? member : max));
+            const light = monitored.filter(member => member.force < heaviest.force * requirement.preferredForceRatio);
+            if (light.length > 0) {
+                this.addFinding(results, 'suggestion',
+                    `${light.map(member => describeSupportMember(member, `估算轴力约${member.force}kN`)).join('、')}受力较小，` +
+                    `轴力监测点宜布置在轴力较大的杆件上，如${describeSupportMember(heaviest, `估算轴力约${heaviest.force}kN`)}`,
+                    '5.2.4', this.sensorIds(levelSensors.filter(sensor => light.includes(memberOf(sensor)))));
+            }
+        });
+
+        if (uncovered.length > 0) {
+            this.addRuleFinding(results, 'warning',
+                `${uncovered.map(level => `第${level + 1}道`).join('、')}支撑未设轴力监测点`, perLevel);
+        }
+    }
+
+    /**
+     * 测点所在的支撑杆件：按依附构件（道次、杆件序号）确定，未记录依附构件的测点取1m以内的杆件
+     */
+    findSupportMember(sensor, members) {
+        const host = sensor.host;
+        if (host && host.type === 'support') {
+            return members.find(member => member.id === host.id && member.level === host.level) || null;
         }
+        if (host) return null;
+
+        const { x, y, z } = sensor.position;
+        return members.find(member => Math.abs(member.start.y - y) <= 1
+            && this.distanceToSegment({ x, z }, SupportSystem.segment(member)) <= 1) || null;
     }
 
-    checkGroundSettlementLayout(sensors, length, width, depth, results, layoutResults) {
+    /**
+     * 5.2.5 立柱：测点应对应到具体立柱；竖向位移测点不少于立柱总根数的5%且不少于3根，
+     * 竖向位移、内力测点宜布置在基坑中部、多根支撑交汇等受力较大的立柱上
+     */
+    checkColumnLayout(sensors, config, results, layoutResults, monitored) {
+        const columns = SupportSystem.forConfig(config).columns();
+        layoutResults.columns = { total: columns.length, items: {} };
+        if (columns.length === 0) return;
+
+        ['column-settlement', 'column-force'].filter(type => monitored.includes(type)).forEach(type => {
+            const typeSensors = sensors.filter(s => s.type === type);
+            if (typeSensors.length === 0) return;
+            const name = this.getSensorTypeName(type);
+
+            const columnOf = sensor => this.findColumn(sensor, columns);
+            const unbound = typeSensors.filter(sensor => !columnOf(sensor));
+            if (unbound.length > 0) {
+                this.addFinding(results, 'warning', `${unbound.length}个${name}测点未布置在立柱上`,
+                    '5.2.5', this.sensorIds(unbound));
+            }
+
+            const monitored = columns.filter(column => typeSensors.some(sensor => columnOf(sensor) === column));
+            layoutResults.columns.items[type] = { monitored: monitored.map(column => column.id) };
+
+            const requirement = this.layoutRequirements[type];
+            if (requirement) {
+                const minimum = Math.min(columns.length,
+                    Math.max(requirement.minPoints, Math.ceil(columns.length * requirement.minRatio)));
+                if (monitored.length < minimum) {
+                    this.addFinding(results, 'warning',
+                        `仅有${monitored.length}根立柱设${name}监测点，不应少于立柱总根数的5%且不少于3根（本基坑共${columns.length}根，应不少于${minimum}根）`,
+                        '5.2.5', this.sensorIds(typeSensors));
+                }
+            }
+
+            // 多根支撑交汇的立柱未监测而测点位于交汇支撑较少的立柱上
+            const unmonitored = columns.filter(column => !monitored.includes(column));
+            if (unmonitored.length === 0) return;
+            const heaviest = unmonitored.reduce((max, column) => (column.load > max.load ? column : max));
+            const light = monitored.filter(column => column.crossings < heaviest.crossings);
+            if (light.length > 0) {
+                this.addFinding(results, 'suggestion',
+                    `${light.map(column => `第${column.id + 1}根立柱`).join('、')}交汇的支撑较少，` +
+                    `${name}监测点宜布置在基坑中部、多根支撑交汇处受力较大的立柱上，如第${heaviest.id + 1}根立柱（${heaviest.crossings}根支撑交汇）`,
+                    '5.2.5', this.sensorIds(typeSensors.filter(sensor => light.includes(columnOf(sensor)))));
+            }
+        });
+    }
+
+    /**
+     * 测点所在的立柱：按依附构件确定，未记录依附构件的测点取水平距离1m以内的立柱
+     */
+    findColumn(sensor, columns) {
+        const host = sensor.host;
+        if (host && host.type === 'column') return columns.find(column => column.id === host.id) || null;
+        if (host) return null;
+        return columns.find(column => this.planDistance(column, sensor.position) <= 1) || null;
+    }
+
+    /**
+     * 5.2.6 锚杆轴力：测点应对应到具体锚杆，每层不少于3根（且不少于该层锚杆总数的1%），
+     * 靠近锚头，各层监测点竖向位置一致
+     */
+    checkAnchorForceLayout(sensors, outline, config, results, layoutResults) {
+        const anchorSensors = sensors.filter(s => s.type === 'anchor-force');
+        const anchorRows = GroundAnchors.forConfig(config);
+        const anchors = anchorRows.layout(outline);
+        layoutResults.anchorForce = { total: anchorSensors.length, rows: [] };
+        if (anchorSensors.length === 0) return;
+
+        const anchorOf = sensor => (sensor.host && sensor.host.type === 'anchor' ? anchors[sensor.host.id] : null);
+        const unbound = anchorSensors.filter(sensor => !anchorOf(sensor) && !(sensor.host && sensor.host.type === 'soil-nail'));
+        if (unbound.length > 0) {
+            this.addFinding(results, 'warning', `${unbound.length}个锚杆轴力测点未布置在锚杆上`,
+                '5.2.6', this.sensorIds(unbound));
+        }
+        if (anchors.length === 0) return;
+
+        const bound = anchorSensors.filter(sensor => anchorOf(sensor));
+
+        // 每层锚杆的监测数量
+        const perRow = this.getCountRule(config, 'anchor-force', 'level');
+        anchorRows.rows.forEach((row, index) => {
+            const rowAnchors = anchors.filter(anchor => anchor.row === index);
+            const monitored = new Set(bound.filter(sensor => anchorOf(sensor).row === index).map(sensor => sensor.host.id));
+            const minimum = Math.max(perRow.value, Math.ceil(rowAnchors.length * 0.01));
+            layoutResults.anchorForce.rows.push({ row: index, anchors: rowAnchors.length, monitored: monitored.size });
+            if (monitored.size < minimum) {
+                this.addRuleFinding(results, 'warning',
+                    `第${index + 1}排锚杆（标高${row.elevation}m）仅有${monitored.size}根设轴力监测点，每层不应少于${minimum}根`, perRow);
+            }
+        });
+
+        // 测点靠近锚头
+        const distant = bound.filter(sensor => {
+            const { head } = anchorOf(sensor);
+            const { x, y, z } = sensor.position;
+            return Math.hypot(x - head.x, y - head.y, z - head.z) > 2;
+        });
+        if (distant.length > 0) {
+            this.addFinding(results, 'warning', `${distant.length}个锚杆轴力测点距锚头较远，宜设置在锚头附近`,
+                '5.2.6', this.sensorIds(distant));
+        }
+
+        // 各层竖向位置一致：同一边上各排测点沿边的位置应相互对应
+        const tolerance = Math.max(...anchorRows.rows.map(row => row.spacing)) / 2;
+        outline.edges.forEach(edge => {
+            const edgeSensors = bound.filter(sensor => anchorOf(sensor).edge === edge.index);
+            const byRow = new Map();
+            edgeSensors.forEach(sensor => {
+                const anchor = anchorOf(sensor);
+                if (!byRow.has(anchor.row)) byRow.set(anchor.row, []);
+                byRow.get(anchor.row).push(outline.positionAlongEdge(anchor.head, edge));
+            });
+            if (byRow.size < 2) return;
+
+            const rows = [...byRow.values()];
+            const consistent = rows.every(positions => rows.every(other =>
+                positions.every(position => other.some(p => Math.abs(p - position) <= tolerance))
+            ));
+            if (!consistent) {
+                this.addFinding(results, 'warning', `${this.describeEdge(edge)}各排锚杆轴力测点竖向位置不一致`,
+                    '5.2.6', this.sensorIds(edgeSensors));
+            }
+        });
+    }
+
+    /**
+     * 5.3.1 监测范围内的保护对象；5.3.3～5.3.6 周边建筑的竖向位移、倾斜、裂缝监测点
+     */
+    checkProtectedObjects(sensors, config, results, layoutResults, monitored) {
+        const assessments = this.assessProtectedObjects(config).filter(assessment => assessment.inZone);
+        layoutResults.protectedObjects = assessments.map(({ object, distance, zone }) => ({
+            id: object.id, name: object.name, kind: object.kind, distance, zone
+        }));
+
+        assessments.forEach(({ object, distance, range }) => {
+            const note = object.kind === 'tunnel' ? '，应会同其管理单位确定专项监测要求' : '';
+            this.addFinding(results, 'suggestion',
+                `${object.name}（${PROTECTED_OBJECT_KINDS[object.kind]}）距基坑边线${distance.toFixed(1)}m，位于监测范围（${range.toFixed(1)}m）内，应作为监测对象${note}`,
+                '5.3.1');
+
+            const onObject = type => sensors.filter(sensor =>
+                sensor.type === type && sensor.host && sensor.host.type === object.kind && sensor.host.id === object.id
+            );
+            if (object.kind === 'building') {
+                if (monitored.includes('building-settlement')) {
+                    this.checkBuildingSettlement(object, onObject('building-settlement'), results);
+                }
+                if (monitored.includes('building-tilt')) {
+                    this.checkBuildingTilt(object, onObject('building-tilt'), results);
+                }
+                const cracks = onObject('building-crack');
+                if (monitored.includes('building-crack') && object.cracks > 0 && cracks.length < object.cracks * 2) {
+                    this.addFinding(results, 'warning',
+                        `${object.name}有${object.cracks}条需观测的裂缝，裂缝监测点不应少于${object.cracks * 2}个（现有${cracks.length}个）`,
+                        '5.3.6', this.sensorIds(cracks));
+                }
+            }
+            if (object.kind === 'road' && monitored.includes('ground-settlement')) {
+                const onRoad = sensors.filter(sensor =>
+                    sensor.type === 'ground-settlement' && ProtectedObjects.contains(object, sensor.position)
+                );
+                if (onRoad.length === 0) {
+                    this.addFinding(results, 'warning', `${object.name}位于监测范围内，路面缺少竖向位移监测点`, '4.2.1');
+                }
+            }
+        });
+    }
+
+    /**
+     * 5.3.3 建筑四角设监测点；5.3.4 沿外墙间距不大于15m，每侧不少于3点
+     */
+    checkBuildingSettlement(object, sensors, results) {
+        if (sensors.length === 0) {
+            this.addFinding(results, 'warning', `${object.name}缺少竖向位移监测点`, '5.3.3');
+            return;
+        }
+
+        const corners = ProtectedObjects.footprint(object);
+        const missing = corners.filter(corner => !sensors.some(sensor => this.planDistance(sensor.position, corner) <= 1.5));
+        if (missing.length > 0) {
+            this.addFinding(results, 'warning', `${object.name}有${missing.length}个墙角缺少竖向位移监测点`,
+                '5.3.3', this.sensorIds(sensors));
+        }
+
+        const sideNames = ['东', '北', '西', '南'];
+        ProtectedObjects.sides(object).forEach(side => {
+            const onSide = sensors.filter(sensor => this.distanceToSegment(sensor.position, side) <= 1);
+            const minimum = Math.max(3, Math.ceil(side.length / 15) + 1);
+            if (onSide.length < minimum) {
+                this.addFinding(results, 'warning',
+                    `${object.name}${sideNames[side.index]}侧外墙仅有${onSide.length}个竖向位移监测点，不宜少于${minimum}个`,
+                    '5.3.4', this.sensorIds(onSide));
+            }
+        });
+    }
+
+    /**
+     * 5.3.5 倾斜监测点上、下对应布置在同一竖直线上，至少2组
+     */
+    checkBuildingTilt(object, sensors, results) {
+        const paired = new Set();
+        let pairs = 0;
+        sensors.forEach((upper, i) => {
+            sensors.slice(i + 1).forEach(lower => {
+                if (this.planDistance(upper.position, lower.position) <= 0.5 &&
+                    Math.abs(upper.position.y - lower.position.y) >= object.height / 2) {
+                    pairs++;
+                    paired.add(upper).add(lower);
+                }
+            });
+        });
+
+        if (pairs < 2) {
+            this.addFinding(results, 'warning', `${object.name}倾斜监测点仅有${pairs}组，宜在建筑角点布置不少于2组上、下对应的监测点`,
+                '5.3.5', this.sensorIds(sensors));
+        }
+        const single = sensors.filter(sensor => !paired.has(sensor));
+        if (single.length > 0) {
+            this.addFinding(results, 'warning', `${object.name}有${single.length}个倾斜监测点未与另一监测点上、下对应布置在同一竖直线上`,
+                '5.3.5', this.sensorIds(single));
+        }
+    }
+
+    /**
+     * 5.3.7 管线监测点：监测范围内的各管段均应有监测点，间距宜为15m～25m；
+     * 转角、阀门处设监测点，非焊接管线的监测点设在接头处；压力管线宜设直接监测点
+     */
+    checkPipelines(sensors, config, results, layoutResults, monitored) {
+        const pipelineSensors = sensors.filter(sensor => sensor.type === 'pipeline-displacement');
+        const pipelines = UndergroundPipelines.forConfig(config);
+        const assessments = this.assessPipelines(config).filter(assessment => assessment.inZone);
+        const checkPoints = monitored.includes('pipeline-displacement');
+        layoutResults.pipelines = [];
+
+        const unbound = pipelineSensors.filter(sensor =>
+            !(sensor.host && sensor.host.type === 'pipeline' && pipelines.get(sensor.host.id))
+        );
+        if (checkPoints && unbound.length > 0) {
+            this.addFinding(results, 'warning', `${unbound.length}个管线位移测点未布置在地下管线上`,
+                '5.3.7', this.sensorIds(unbound));
+        }
+
+        const { min } = this.pipelineSpacing;
+        const spacing = this.getSpacingRule(config, 'pipeline-displacement');
+        const max = spacing.value;
+        assessments.forEach(({ pipe, distance, sections, crossesPit }) => {
+            const title = `${pipe.name}（${PIPELINE_USES[pipe.use]}，DN${pipe.diameter} ${PIPELINE_MATERIALS[pipe.material]}）`;
+            this.addFinding(results, 'suggestion',
+                `${title}距基坑边线${distance.toFixed(1)}m，位于监测范围内，应作为监测对象`, '5.3.1');
+            if (crossesPit) {
+                this.addFinding(results, 'warning', `${pipe.name}穿越基坑开挖范围，开挖前应迁改或采取悬吊保护措施`);
+            }
+            if (!checkPoints) return;
+
+            const points = pipelineSensors
+                .filter(sensor => sensor.host && sensor.host.type === 'pipeline' && sensor.host.id === pipe.id)
+                .map(sensor => ({ sensor, chainage: UndergroundPipelines.project(pipe, sensor.position).chainage }))
+                .sort((a, b) => a.chainage - b.chainage);
+            const method = sensor => sensor.metadata?.method || (sensor.position.y < -0.2 ? 'direct' : 'indirect');
+            layoutResults.pipelines.push({
+                id: pipe.id,
+                name: pipe.name,
+                sections: sections.map(section => ({ ...section })),
+                points: points.length,
+                direct: points.filter(({ sensor }) => method(sensor) === 'direct').length
+            });
+
+            sections.forEach(({ from, to }) => {
+                const range = `${from.toFixed(1)}～${to.toFixed(1)}m`;
+                const inside = points.filter(({ chainage }) => chainage >= from - 1 && chainage <= to + 1);
+                if (inside.length === 0) {
+                    this.addFinding(results, 'warning', `${pipe.name}位于监测范围内的管段（里程${range}）没有监测点`, '5.3.7');
+                    return;
+                }
+
+                const chainages = inside.map(point => point.chainage);
+                const gaps = chainages.slice(1).map((chainage, i) => chainage - chainages[i]);
+                const widest = Math.max(0, ...gaps);
+                if (widest > max) {
+                    this.addRuleFinding(results, 'warning',
+                        `${pipe.name}管段（里程${range}）监测点最大间距${widest.toFixed(1)}m，宜为${Math.min(min, max)}m～${max}m`,
+                        spacing, inside.map(point => point.sensor));
+                }
+                const ends = Math.max(chainages[0] - from, to - chainages[chainages.length - 1]);
+                if (ends > max / 2) {
+                    this.addFinding(results, 'warning',
+                        `${pipe.name}管段（里程${range}）端部${ends.toFixed(1)}m范围内无监测点，监测点宜延伸至监测范围边界`,
+                        '5.3.7', this.sensorIds(inside.map(point => point.sensor)));
+                }
+
+                const features = UndergroundPipelines.features(pipe)
+                    .filter(feature => feature.chainage >= from && feature.chainage <= to);
+                const missing = features.filter(feature => !chainages.some(chainage => Math.abs(chainage - feature.chainage) <= 1.5));
+                if (missing.length > 0) {
+                    const names = { bend: '转角', valve: '阀门' };
+                    const list = missing.map(feature => `${names[feature.kind]}（里程${feature.chainage.toFixed(1)}m）`).join('、');
+                    this.addFinding(results, 'warning', `${pipe.name}的${list}处缺少监测点`, '5.3.7');
+                }
+
+                const joints = UndergroundPipelines.joints(pipe);
+                if (joints.length > 0) {
+                    const offJoint = inside.filter(({ chainage }) =>
+                        !joints.some(joint => Math.abs(joint - chainage) <= 0.5) &&
+                        !features.some(feature => Math.abs(feature.chainage - chainage) <= 1.5)
+                    );
+                    if (offJoint.length > 0) {
+                        this.addFinding(results, 'suggestion',
+                            `${pipe.name}为${pipe.segmentLength}m管节${JOINT_TYPES[pipe.joint]}接口，${offJoint.length}个监测点未设在接头处，宜设在接头、阀门等凸出部位`,
+                            '5.3.7', this.sensorIds(offJoint.map(point => point.sensor)));
+                    }
+                }
+            });
+
+            if (UndergroundPipelines.isPressure(pipe) && points.length > 0 &&
+                !points.some(({ sensor }) => method(sensor) === 'direct')) {
+                this.addFinding(results, 'warning',
+                    `${pipe.name}为压力管线，宜设置直接监测点（抱箍法、套管法），现均为间接监测点`,
+                    '5.3.7', this.sensorIds(points.map(point => point.sensor)));
+            }
+        });
+    }
+
+    /**
+     * 点到线段 { start, direction, length } 的水平距离
+     */
+    distanceToSegment(point, segment) {
+        const dx = point.x - segment.start.x;
+        const dz = point.z - segment.start.z;
+        const t = Math.max(0, Math.min(segment.length, dx * segment.direction.x + dz * segment.direction.z));
+        return Math.hypot(dx - segment.direction.x * t, dz - segment.direction.z * t);
+    }
+
+    checkGroundSettlementLayout(sensors, outline, config, results, layoutResults) {
         const settlementSensors = sensors.filter(s => s.type === 'ground-settlement');
         
         layoutResults.groundSettlement = {
             total: settlementSensors.length,
-            range: this.calculateMonitoringRange(settlementSensors, length, width)
+            range: this.calculateMonitoringRange(settlementSensors, outline)
         };
 
-        const requiredRange = depth * 2; // 建议监测范围为2倍基坑深度
+        const monitoringRange = this.getMonitoringRange(config);
+        const { range: requiredRange, reason } = monitoringRange;
         const actualRange = layoutResults.groundSettlement.range;
 
         if (actualRange < requiredRange) {
-            results.warnings.push(`地表沉降监测范围不足，建议扩大至基坑边线外${requiredRange}m`);
+            this.addFinding(results, 'warning',
+                `地表沉降监测范围不足，建议扩大至基坑边线外${requiredRange.toFixed(1)}m${reason ? `（${reason}）` : ''}`,
+                monitoringRange.clause, this.sensorIds(settlementSensors), monitoringRange.source);
         }
 
         if (settlementSensors.length < 8) {
-            results.warnings.push('周边地表沉降监测点数量偏少，建议在重要保护对象周边加密布置');
+            this.addFinding(results, 'warning', '周边地表沉降监测点数量偏少，建议在重要保护对象周边加密布置',
+                '5.3.8', this.sensorIds(settlementSensors));
+        }
+    }
+
+    /**
+     * 周边环境监测范围（5.3.1）：一般取2倍开挖深度，软弱或对降水敏感的地层取3倍；
+     * 选用的规则包规定的倍数更大时从其规定
+     * @returns {Object} { factor, range, reason, clause, source }
+     */
+    getMonitoringRange(config) {
+        const { depth } = config.dimensions;
+        const sensitive = config.strata
+            ? Stratigraphy.fromJSON(config.strata).getSensitiveLayers(depth)
+            : [];
+        const names = [...new Set(sensitive.map(layer => layer.name))].join('、');
+        const base = sensitive.length === 0
+            ? { value: 2, clause: '5.3.1', reason: null }
+            : { value: 3, clause: '5.3.1', reason: `${names}属软弱或对降水敏感的地层，取3倍开挖深度` };
+
+        const rule = this.getRules(config).getRangeFactor(config, base);
+        const reason = rule.source === BASE_STANDARD ? base.reason : `按${rule.source}取${rule.value}倍开挖深度`;
+        return { factor: rule.value, range: depth * rule.value, reason, clause: rule.clause, source: rule.source };
+    }
+
+    /**
+     * 按钻孔资料复核基坑类型，检查钻孔是否揭露至坑底
+     */
+    checkStrata(config, results) {
+        if (!config.strata) return;
+        const strata = Stratigraphy.fromJSON(config.strata);
+        const { depth } = config.dimensions;
+
+        const classification = strata.classifyPit(depth);
+        if (classification && classification !== config.type) {
+            const names = strata.getLayersBetween(0, -depth)
+                .map(layer => `${layer.name}（${SOIL_CLASSES[layer.soilClass].name}）`).join('、');
+            this.addFinding(results, 'warning',
+                `按钻孔资料，开挖深度范围内为${names}，应按${this.getPitTypeName(classification)}确定监测项目，当前为${this.getPitTypeName(config.type)}`,
+                this.getItemClause({ type: classification }));
+        }
+        if (strata.getBottom() > -depth) {
+            this.addFinding(results, 'suggestion', `钻孔资料仅揭露至${strata.getBottom()}m，未达到坑底标高-${depth}m`);
         }
     }
 
+    getPitTypeName(type) {
+        return { soil: '土质基坑', rock: '岩体基坑', 'soil-rock': '土岩组合基坑' }[type] || type;
+    }
+
     checkSensorQuantity(config, sensors, results) {
-        const { length, width, depth } = config.dimensions;
-        const perimeter = 2 * (length + width);
-        const area = length * width;
+        const outline = new PitOutline(config);
+        const perimeter = outline.edges.reduce((sum, edge) => sum + edge.length, 0);
 
         // 基于基坑规模的传感器密度建议
         const recommendedDensity = this.calculateRecommendedDensity(config);
@@ -312,25 +1106,23 @@ export class GB50497Validator {
     }
 
     checkMonitoringRange(config, sensors, results) {
-        const { length, width, depth } = config.dimensions;
+        const { length, width } = config.dimensions;
+        const outline = new PitOutline(config);
         const maxDistance = Math.max(length, width) * 1.5; // 1-3倍基坑深度
 
-        const outsideSensors = sensors.filter(sensor => {
-            const distance = Math.sqrt(sensor.position.x ** 2 + sensor.position.z ** 2);
-            return distance > Math.max(length, width) / 2;
-        });
+        // 按到基坑边线的距离区分坑内、坑外测点
+        const distances = sensors.map(sensor => outline.signedDistance(sensor.position));
+        const outsideSensors = sensors.filter((sensor, index) => distances[index] > 0);
 
         const coverage = {
             total: sensors.length,
             outside: outsideSensors.length,
-            maxDistance: Math.max(...sensors.map(s => 
-                Math.sqrt(s.position.x ** 2 + s.position.z ** 2)
-            ), 0),
+            maxDistance: Math.max(...distances, 0),
             recommendedMaxDistance: maxDistance
         };
 
         if (coverage.outside < sensors.length * 0.3) {
-            results.warnings.push('建议在基坑周边环境中布置更多监测点');
+            this.addFinding(results, 'warning', '建议在基坑周边环境中布置更多监测点', '5.3.1');
         }
 
         return coverage;
@@ -342,126 +1134,128 @@ export class GB50497Validator {
         // 根据3.0.1条检查是否需要监测
         if (config.safetyLevel <= 2) {
             // 一、二级基坑必须监测
-            results.suggestions.push('该基坑属于一、二级基坑，必须实施监测');
+            this.addFinding(results, 'suggestion', '该基坑属于一、二级基坑，必须实施监测', '3.0.1');
         } else if (depth >= 5) {
             // 开挖深度≥5m的基坑需要监测
-            results.suggestions.push('基坑开挖深度≥5m，应实施监测');
+            this.addFinding(results, 'suggestion', '基坑开挖深度≥5m，应实施监测', '3.0.1');
         } else {
-            results.suggestions.push('基坑开挖深度<5m且为三级基坑，可根据现场情况决定是否监测');
+            this.addFinding(results, 'suggestion', '基坑开挖深度<5m且为三级基坑，可根据现场情况决定是否监测', '3.0.1');
         }
     }
 
     // 辅助方法
+
+    /**
+     * 记录一条验证结论
+     * @param {Object} results 验证结果
+     * @param {string} severity error / warning / suggestion
+     * @param {string} message 结论说明
+     * @param {string|null} clause 依据的条文号，如 5.2.1
+     * @param {Array} sensorIds 涉及的传感器ID
+     * @param {string} source 规则来源的标准编号，默认为 GB50497-2019
+     */
+    addFinding(results, severity, message, clause = null, sensorIds = [], source = BASE_STANDARD) {
+        results.findings.push({ severity, message, clause, sensorIds, source });
+        results[`${severity}s`].push(message);
+    }
+
+    /**
+     * 按生效规则（getCountRule() 等的结果）记录验证结论，条文号和来源取自规则
+     */
+    addRuleFinding(results, severity, message, rule, sensors = []) {
+        this.addFinding(results, severity, message, rule.clause, this.sensorIds(sensors), rule.source);
+    }
+
+    /**
+     * 监测项目选择依据的条文：表4.2.1（土质）、表4.2.2（岩体）、4.2.3（土岩组合）
+     */
+    getItemClause(config) {
+        return { soil: '4.2.1', rock: '4.2.2', 'soil-rock': '4.2.3' }[config.type] || null;
+    }
+
+    sensorIds(sensors) {
+        return sensors.map(sensor => sensor.id).filter(id => id !== undefined);
+    }
+
     getSensorTypeName(type) {
-        const names = {
-            'horizontal-displacement': '围护墙顶部水平位移',
-            'vertical-displacement': '围护墙顶部竖向位移',
-            'deep-horizontal': '深层水平位移',
-            'support-force': '支撑轴力',
-            'anchor-force': '锚杆轴力',
-            'water-level': '地下水位',
-            'ground-settlement': '周边地表竖向位移'
-        };
-        return names[type] || type;
-    }
-
-    getMinimumSensorCount(type) {
-        const minimums = {
-            'horizontal-displacement': 8,
-            'vertical-displacement': 8,
-            'deep-horizontal': 4,
-            'support-force': 4,
-            'anchor-force': 2,
-            'water-level': 2,
-            'ground-settlement': 6
-        };
-        return minimums[type] || 1;
+        return getSensorTypeName(type);
     }
 
-    analyzeSensorDistribution(sensors, length, width) {
-        // 分析传感器在基坑周边的分布情况
-        const distribution = {
-            north: 0, south: 0, east: 0, west: 0,
-            corners: 0, middle: 0
-        };
+    /**
+     * 最少测点数，给出基坑配置时计入选用的规则包
+     */
+    getMinimumSensorCount(type, config = null) {
+        return config ? this.getCountRule(config, type).value : SENSOR_TYPES[type]?.minCount || 1;
+    }
 
-        sensors.forEach(sensor => {
-            const { x, z } = sensor.position;
-            
-            // 判断位置
-            if (Math.abs(x - length/2) < 2) distribution.east++;
-            else if (Math.abs(x + length/2) < 2) distribution.west++;
-            else if (Math.abs(z - width/2) < 2) distribution.north++;
-            else if (Math.abs(z + width/2) < 2) distribution.south++;
-
-            // 判断是否在角部或中部
-            const isCorner = (Math.abs(Math.abs(x) - length/2) < 3) && 
-                           (Math.abs(Math.abs(z) - width/2) < 3);
-            const isMiddle = (Math.abs(x) < length/4) || (Math.abs(z) < width/4);
-
-            if (isCorner) distribution.corners++;
-            if (isMiddle) distribution.middle++;
-        });
+    /**
+     * 按基坑边线统计测点分布，测点距某边2m以内即属于该边，阳角处的测点同属相邻两边
+     * @returns {Object} { edges: [{ edge, count }], corners, middle }
+     */
+    analyzeSensorDistribution(sensors, outline) {
+        const sides = this.assignSensorsToEdges(sensors, outline);
+        return {
+            edges: sides.map(side => ({ edge: side.edge.index, count: side.sensors.length })),
+            corners: sensors.filter(sensor =>
+                outline.convexCorners.some(corner => this.planDistance(sensor.position, corner.point) < 3)
+            ).length,
+            middle: sensors.filter(sensor => sides.some(side => this.isNearMiddle(sensor, side.edge, outline))).length
+        };
+    }
 
-        return distribution;
-    }
-
-    identifyCriticalPositions(sensors, length, width) {
-        // 识别关键位置的传感器布置情况
-        const sides = [
-            { name: 'east', sensors: [] },
-            { name: 'west', sensors: [] },
-            { name: 'north', sensors: [] },
-            { name: 'south', sensors: [] }
-        ];
-
-        // 将传感器分配到各边
-        sensors.forEach(sensor => {
-            const { x, z } = sensor.position;
-            if (Math.abs(x - length/2) < 2) sides[0].sensors.push(sensor);
-            else if (Math.abs(x + length/2) < 2) sides[1].sensors.push(sensor);
-            else if (Math.abs(z - width/2) < 2) sides[2].sensors.push(sensor);
-            else if (Math.abs(z + width/2) < 2) sides[3].sensors.push(sensor);
-        });
+    assignSensorsToEdges(sensors, outline) {
+        return outline.edges.map(edge => ({
+            edge,
+            sensors: sensors.filter(sensor => outline.distanceToEdge(sensor.position, edge) < 2)
+        }));
+    }
 
-        let missingMiddle = 0;
-        let missingCorner = 0;
+    /**
+     * 识别关键位置（每边中部、阳角）的测点布置情况
+     * @returns {Object} { sides: [{ edge, sensors, hasMiddle }], missingCorners: [corner] }
+     */
+    identifyCriticalPositions(sensors, outline) {
+        const sides = this.assignSensorsToEdges(sensors, outline).map(side => ({
+            ...side,
+            hasMiddle: side.sensors.some(sensor => this.isNearMiddle(sensor, side.edge, outline))
+        }));
 
-        sides.forEach(side => {
-            if (side.sensors.length < 3) missingMiddle++;
-        });
+        // 阴角处变形受两侧约束，规范只要求阳角设点
+        const missingCorners = outline.convexCorners.filter(corner =>
+            !sensors.some(sensor => this.planDistance(sensor.position, corner.point) < 5)
+        );
 
-        // 检查四个角点
-        const corners = [
-            [length/2, width/2], [-length/2, width/2],
-            [-length/2, -width/2], [length/2, -width/2]
-        ];
-
-        corners.forEach(corner => {
-            const hasCornerSensor = sensors.some(sensor => {
-                const distance = Math.sqrt(
-                    (sensor.position.x - corner[0]) ** 2 + 
-                    (sensor.position.z - corner[1]) ** 2
-                );
-                return distance < 5;
-            });
-            if (!hasCornerSensor) missingCorner++;
-        });
+        return { sides, missingCorners };
+    }
 
-        return { missingMiddle, missingCorner };
+    /**
+     * 测点是否位于某边中部：距中点不超过边长的1/6（至少3m）
+     */
+    isNearMiddle(sensor, edge, outline) {
+        if (outline.distanceToEdge(sensor.position, edge) >= 2) return false;
+        const offset = Math.abs(outline.positionAlongEdge(sensor.position, edge) - edge.length / 2);
+        return offset <= Math.max(3, edge.length / 6);
     }
 
-    calculateMonitoringRange(sensors, length, width) {
-        // 计算监测范围
-        const pitCenter = [0, 0];
-        const pitBoundary = Math.max(length, width) / 2;
+    planDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
 
-        const maxDistance = Math.max(...sensors.map(sensor => {
-            const distance = Math.sqrt(sensor.position.x ** 2 + sensor.position.z ** 2);
-            return distance - pitBoundary;
-        }), 0);
+    /**
+     * 边的描述，如"第2边（北侧，长30.0m）"，方位按外法线确定
+     */
+    describeEdge(edge) {
+        const directions = ['东', '东北', '北', '西北', '西', '西南', '南', '东南'];
+        const angle = Math.atan2(edge.outward.z, edge.outward.x);
+        const sector = ((Math.round(angle / (Math.PI / 4)) % 8) + 8) % 8;
+        return `第${edge.index + 1}边（${directions[sector]}侧，长${edge.length.toFixed(1)}m）`;
+    }
 
-        return maxDistance;
+    /**
+     * 监测范围：坑外测点到基坑边线的最大距离
+     */
+    calculateMonitoringRange(sensors, outline) {
+        return Math.max(...sensors.map(sensor => outline.signedDistance(sensor.position)), 0);
     }
 
     calculateRecommendedDensity(config) {
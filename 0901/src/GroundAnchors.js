@@ -0,0 +1,140 @@
+import { getRetainingSystem } from './RetainingSystems.js';
+
+/**
+ * 锚杆
+ * 锚杆按排布置，每排给定标高、水平间距、倾角（向下为正，°）及自由段、锚固段长度，
+ * 沿基坑各边等间距布置，锚头位于围护墙内侧面，杆体穿过围护墙伸入坑外土体。
+ * 供三维模型绘制锚杆，供验证器按5.2.6检查锚杆轴力测点
+ */
+export const DEFAULT_ANCHOR_ROW = { spacing: 2.4, inclination: 15, freeLength: 5, bondedLength: 10 };
+
+export class GroundAnchors {
+    /**
+     * @param {Array} rows [{ elevation, spacing, inclination, freeLength, bondedLength }]
+     */
+    constructor(rows = []) {
+        this.rows = rows
+            .map(row => ({ elevation: row.elevation, ...DEFAULT_ANCHOR_ROW, ...row }))
+            .sort((a, b) => b.elevation - a.elevation);
+    }
+
+    /**
+     * 默认锚杆：第一排位于地面下2m，排距4m，最下一排距坑底不小于1.5m
+     */
+    static createDefault(depth) {
+        const rows = [];
+        for (let elevation = -2; elevation > -depth + 1.5; elevation -= 4) {
+            rows.push({ elevation });
+        }
+        if (rows.length === 0) rows.push({ elevation: -depth / 2 });
+        return new GroundAnchors(rows);
+    }
+
+    /**
+     * 基坑配置中的锚杆：按 config.anchors 布置，未指定时排桩＋锚杆取默认锚杆；放坡、土钉墙无围护墙，不设锚杆
+     */
+    static forConfig(config) {
+        const system = getRetainingSystem(config);
+        if (!system.wall) return new GroundAnchors();
+        if (config.anchors) return GroundAnchors.fromJSON(config.anchors);
+        return system.anchors ? GroundAnchors.createDefault(config.dimensions.depth) : new GroundAnchors();
+    }
+
+    /**
+     * 解析锚杆参数文本，每行一排：标高,水平间距,倾角,自由段长度,锚固段长度；标高以外的各项可省略，取默认值
+     */
+    static parse(text) {
+        const rows = [];
+        text.split(/\r?\n/).map(line => line.trim()).forEach((line, index) => {
+            if (!line) return;
+            const cells = line.split(/[,，\s]+/);
+            const values = cells.map(cell => (cell === '' ? undefined : Number(cell)));
+            if (values.some(value => value !== undefined && !Number.isFinite(value))) {
+                throw new Error(`锚杆第${index + 1}行格式错误，应为"标高,水平间距,倾角,自由段长度,锚固段长度"`);
+            }
+            const [elevation, spacing, inclination, freeLength, bondedLength] = values;
+            const row = { elevation };
+            Object.entries({ spacing, inclination, freeLength, bondedLength }).forEach(([key, value]) => {
+                if (value !== undefined) row[key] = value;
+            });
+            rows.push(row);
+        });
+        return new GroundAnchors(rows);
+    }
+
+    static fromJSON(data) {
+        return new GroundAnchors(data.rows || []);
+    }
+
+    toJSON() {
+        return { rows: this.rows.map(row => ({ ...row })) };
+    }
+
+    format() {
+        return this.rows
+            .map(row => [row.elevation, row.spacing, row.inclination, row.freeLength, row.bondedLength].join(', '))
+            .join('\n');
+    }
+
+    /**
+     * @param {number} depth 开挖深度
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validate(depth) {
+        for (let i = 0; i < this.rows.length; i++) {
+            const row = this.rows[i];
+            const name = `第${i + 1}排锚杆`;
+            if (!Number.isFinite(row.elevation) || row.elevation >= 0 || row.elevation <= -depth) {
+                return `${name}的标高应位于地面与坑底之间`;
+            }
+            if (!(row.spacing >= 0.5)) return `${name}的水平间距不应小于0.5m`;
+            if (!(row.inclination >= 0 && row.inclination <= 45)) return `${name}的倾角应为0°～45°`;
+            if (!(row.freeLength > 0) || !(row.bondedLength > 0)) return `${name}的自由段、锚固段长度应大于0`;
+            if (this.rows[i + 1] && row.elevation - this.rows[i + 1].elevation < 1) return `${name}与下一排的排距过小`;
+        }
+        return null;
+    }
+
+    /**
+     * 锚杆平面布置：各排沿每边等间距布置，两端距角点不小于半个间距
+     * @param {PitOutline} outline 基坑轮廓
+     * @returns {Array} [{ id, row, edge, column, head, freeEnd, end }]，点坐标为 { x, y, z }
+     */
+    layout(outline) {
+        const anchors = [];
+        this.rows.forEach((row, rowIndex) => {
+            const angle = row.inclination * Math.PI / 180;
+            outline.edges.forEach(edge => {
+                const columns = Math.max(1, Math.floor(edge.length / row.spacing) - 1);
+                for (let column = 0; column < columns; column++) {
+                    const along = edge.length * (column + 1) / (columns + 1);
+                    const head = {
+                        x: edge.start.x + edge.direction.x * along,
+                        y: row.elevation,
+                        z: edge.start.z + edge.direction.z * along
+                    };
+                    const direction = {
+                        x: edge.outward.x * Math.cos(angle),
+                        y: -Math.sin(angle),
+                        z: edge.outward.z * Math.cos(angle)
+                    };
+                    const at = length => ({
+                        x: head.x + direction.x * length,
+                        y: head.y + direction.y * length,
+                        z: head.z + direction.z * length
+                    });
+                    anchors.push({
+                        id: anchors.length,
+                        row: rowIndex,
+                        edge: edge.index,
+                        column,
+                        head,
+                        freeEnd: at(row.freeLength),
+                        end: at(row.freeLength + row.bondedLength)
+                    });
+                }
+            });
+        });
+        return anchors;
+    }
+}
@@ -0,0 +1,140 @@
+import { InclinometerProfiles } from './InclinometerProfiles.js';
+
+/**
+ * 测斜孔位移—深度曲线
+ * 在 canvas 上绘制各期水平位移沿深度的分布，纵轴为深度（向下），横轴为位移（向基坑内为正），
+ * 突出显示所选期次及其最大位移所在深度
+ */
+export class InclinometerProfileChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 36, right: 20, bottom: 24, left: 48 };
+    }
+
+    /**
+     * 绘制曲线
+     * @param {Array} epochs InclinometerProfiles.getEpochs() 的结果
+     * @param {Object} options { selectedTime 突出显示的期次（默认最新一期）, limit 累计位移预警值(mm), tubeDepth 测斜管深度(m), excavatedDepth 开挖深度(m) }
+     */
+    render(epochs, options = {}) {
+        const { ctx, canvas, padding } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (!epochs || epochs.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '12px Microsoft YaHei, Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('该测斜孔暂无测斜数据', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const selected = epochs.find(epoch => epoch.time === options.selectedTime) || epochs[epochs.length - 1];
+        const plotWidth = canvas.width - padding.left - padding.right;
+        const plotHeight = canvas.height - padding.top - padding.bottom;
+
+        const readings = epochs.flatMap(epoch => epoch.readings);
+        const maxDepth = Math.max(options.tubeDepth || 0, ...readings.map(r => r.depth));
+        const limit = Number.isFinite(options.limit) ? options.limit : 0;
+        // 横轴关于零点对称，覆盖全部观测值和预警值
+        const span = Math.max(1, limit, ...readings.map(r => Math.abs(r.displacement))) * 1.1;
+
+        const toX = value => padding.left + (value + span) / (2 * span) * plotWidth;
+        const toY = depth => padding.top + depth / maxDepth * plotHeight;
+
+        // 坐标轴：位移轴在顶部，深度轴在左侧
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+        ctx.strokeStyle = '#ddd';
+        ctx.beginPath();
+        ctx.moveTo(toX(0), padding.top);
+        ctx.lineTo(toX(0), padding.top + plotHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = '#555';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        [-span, -span / 2, 0, span / 2, span].forEach(value => {
+            ctx.fillText(value.toFixed(1), toX(value), padding.top - 6);
+        });
+        ctx.fillText('位移(mm)，向坑内为正', padding.left + plotWidth / 2, padding.top - 20);
+        ctx.textAlign = 'right';
+        const step = maxDepth > 20 ? 5 : 2;
+        for (let depth = 0; depth <= maxDepth + 1e-6; depth += step) {
+            ctx.fillText(`${depth}`, padding.left - 4, toY(depth) + 3);
+        }
+        ctx.save();
+        ctx.translate(12, padding.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('深度(m)', 0, 0);
+        ctx.restore();
+
+        // 开挖面和预警值
+        ctx.setLineDash([4, 3]);
+        if (options.excavatedDepth > 0 && options.excavatedDepth <= maxDepth) {
+            ctx.strokeStyle = '#8B4513';
+            ctx.beginPath();
+            ctx.moveTo(padding.left, toY(options.excavatedDepth));
+            ctx.lineTo(padding.left + plotWidth, toY(options.excavatedDepth));
+            ctx.stroke();
+            ctx.fillStyle = '#8B4513';
+            ctx.textAlign = 'left';
+            ctx.fillText('开挖面', padding.left + 4, toY(options.excavatedDepth) - 3);
+        }
+        if (limit > 0) {
+            ctx.strokeStyle = '#dc3545';
+            [-limit, limit].forEach(value => {
+                ctx.beginPath();
+                ctx.moveTo(toX(value), padding.top);
+                ctx.lineTo(toX(value), padding.top + plotHeight);
+                ctx.stroke();
+            });
+        }
+        ctx.setLineDash([]);
+
+        // 各期曲线，未选中的期次按时间由浅到深
+        epochs.forEach((epoch, index) => {
+            if (epoch === selected) return;
+            const shade = Math.round(200 - 120 * (index + 1) / epochs.length);
+            this.drawCurve(epoch, toX, toY, `rgb(${shade}, ${shade}, 230)`, 1);
+        });
+        this.drawCurve(selected, toX, toY, '#667eea', 2.5);
+
+        // 最大位移所在深度
+        const max = InclinometerProfiles.maxDisplacement(selected);
+        const x = toX(max.displacement);
+        const y = toY(max.depth);
+        ctx.strokeStyle = '#dc3545';
+        ctx.setLineDash([2, 2]);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(padding.left + plotWidth, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#dc3545';
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = 'bold 11px Microsoft YaHei, Arial';
+        ctx.textAlign = x > padding.left + plotWidth / 2 ? 'right' : 'left';
+        ctx.fillText(`最大 ${max.displacement.toFixed(2)}mm @ ${max.depth.toFixed(1)}m`,
+            x + (ctx.textAlign === 'left' ? 8 : -8), y - 6);
+    }
+
+    drawCurve(epoch, toX, toY, color, width) {
+        const { ctx } = this;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        epoch.readings.forEach((reading, index) => {
+            const x = toX(reading.displacement);
+            const y = toY(reading.depth);
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+}
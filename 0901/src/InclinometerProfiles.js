@@ -0,0 +1,204 @@
+/**
+ * 测斜孔深层水平位移剖面
+ * 按测点保存各观测期次沿孔深的水平位移（GB50497-2019 6.4），位移以向基坑内为正（mm），
+ * 深度自孔口向下计（m）。供二维位移—深度曲线、三维变形曲线和时程数据使用
+ */
+export class InclinometerProfiles {
+    constructor() {
+        // 测点编号 -> epochs: [{ time, readings: [{ depth, displacement }] }]，按时间升序，readings 按深度升序
+        this.points = new Map();
+    }
+
+    /**
+     * 添加一期观测，同一时刻的观测以最后一次为准
+     * @param {string|number} pointId 测点编号
+     * @param {string|number|Date} time 观测时间
+     * @param {Array} readings [{ depth, displacement }]
+     * @returns {boolean} 是否写入
+     */
+    addEpoch(pointId, time, readings) {
+        const parsedTime = this.parseTime(time);
+        const valid = readings
+            .map(reading => ({ depth: Number(reading.depth), displacement: Number(reading.displacement) }))
+            .filter(reading => Number.isFinite(reading.depth) && reading.depth >= 0 && Number.isFinite(reading.displacement))
+            .sort((a, b) => a.depth - b.depth);
+        if (parsedTime === null || valid.length === 0) return false;
+
+        const key = this.key(pointId);
+        if (!this.points.has(key)) this.points.set(key, []);
+        const epochs = this.points.get(key);
+        const existing = epochs.find(epoch => epoch.time === parsedTime);
+        if (existing) {
+            existing.readings = valid;
+        } else {
+            epochs.push({ time: parsedTime, readings: valid });
+        }
+        epochs.sort((a, b) => a.time - b.time);
+        return true;
+    }
+
+    getEpochs(pointId) {
+        const epochs = this.points.get(this.key(pointId)) || [];
+        return epochs.map(epoch => ({ time: epoch.time, readings: epoch.readings.map(r => ({ ...r })) }));
+    }
+
+    getLatestEpoch(pointId) {
+        const epochs = this.getEpochs(pointId);
+        return epochs.length > 0 ? epochs[epochs.length - 1] : null;
+    }
+
+    hasData(pointId) {
+        return (this.points.get(this.key(pointId)) || []).length > 0;
+    }
+
+    /**
+     * 一期观测中绝对值最大的位移及其深度
+     * @returns {Object|null} { depth, displacement }
+     */
+    static maxDisplacement(epoch) {
+        if (!epoch || epoch.readings.length === 0) return null;
+        return epoch.readings.reduce((max, reading) =>
+            Math.abs(reading.displacement) > Math.abs(max.displacement) ? reading : max
+        );
+    }
+
+    /**
+     * 各期最大位移组成的时程，写入 SensorDataStore 供预警评估
+     * @returns {Array} [{ time, value }]
+     */
+    getMaxSeries(pointId) {
+        return this.getEpochs(pointId).map(epoch => ({
+            time: epoch.time,
+            value: InclinometerProfiles.maxDisplacement(epoch).displacement
+        }));
+    }
+
+    /**
+     * 导出单个测点的数据副本，用于撤销删除
+     */
+    getPoint(pointId) {
+        return this.hasData(pointId) ? this.getEpochs(pointId) : null;
+    }
+
+    setPoint(pointId, epochs) {
+        this.points.set(this.key(pointId), epochs.map(epoch => ({
+            time: epoch.time,
+            readings: epoch.readings.map(r => ({ ...r }))
+        })));
+    }
+
+    removePoint(pointId) {
+        this.points.delete(this.key(pointId));
+    }
+
+    clear() {
+        this.points.clear();
+    }
+
+    /**
+     * 导入CSV测斜数据，列：测点编号,时间,深度(m),位移(mm)（首行可为表头），同一测点同一时间的各行为一期
+     * @param {string} text CSV文本
+     * @param {Function} resolvePoint 可选，将文件中的测点编号转换为存储键，返回 null 表示无法匹配
+     * @returns {Object} { imported, skipped, points, unmatched }，imported 为写入的期次数
+     */
+    importCSV(text, resolvePoint = null) {
+        const rows = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const grouped = {};
+        let skipped = 0;
+
+        rows.forEach((line, index) => {
+            const cells = line.split(/[,，;\t]/).map(cell => cell.trim());
+            if (index === 0 && !Number.isFinite(Number(cells[3]))) return; // 表头
+
+            const [pointId, time, depth, displacement] = cells;
+            if (!pointId || this.parseTime(time) === null
+                || !Number.isFinite(Number(depth)) || !Number.isFinite(Number(displacement))) {
+                skipped++;
+                return;
+            }
+            const epochs = grouped[pointId] = grouped[pointId] || {};
+            (epochs[time] = epochs[time] || []).push({ depth, displacement });
+        });
+
+        const points = Object.fromEntries(Object.entries(grouped).map(([pointId, epochs]) => [
+            pointId,
+            Object.entries(epochs).map(([time, readings]) => ({ time, readings }))
+        ]));
+        return this.importGrouped(points, skipped, resolvePoint);
+    }
+
+    /**
+     * 导入JSON测斜数据：{ points: [{ id, epochs: [{ time, readings: [{ depth, displacement }] }] }] }
+     * @param {string|Object} source JSON文本或对象
+     * @param {Function} resolvePoint 同 importCSV
+     */
+    importJSON(source, resolvePoint = null) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+        if (!data || !Array.isArray(data.points)) {
+            throw new Error('无法识别的测斜数据格式');
+        }
+        const points = {};
+        data.points.forEach(point => {
+            points[point.id] = (points[point.id] || []).concat(point.epochs || []);
+        });
+        return this.importGrouped(points, 0, resolvePoint);
+    }
+
+    importGrouped(grouped, skipped, resolvePoint) {
+        let imported = 0;
+        const points = [];
+        const unmatched = [];
+        Object.entries(grouped).forEach(([pointId, epochs]) => {
+            const key = resolvePoint ? resolvePoint(pointId) : pointId;
+            if (key === null || key === undefined) {
+                unmatched.push(pointId);
+                skipped += epochs.length;
+                return;
+            }
+            epochs.forEach(epoch => {
+                if (this.addEpoch(key, epoch.time, epoch.readings || [])) {
+                    imported++;
+                } else {
+                    skipped++;
+                }
+            });
+            points.push(this.key(key));
+        });
+        return { imported, skipped, points, unmatched };
+    }
+
+    /**
+     * 序列化为项目文件中的测斜数据段
+     */
+    toJSON() {
+        return {
+            points: Array.from(this.points.entries()).map(([id, epochs]) => ({
+                id,
+                epochs: epochs.map(epoch => ({
+                    time: new Date(epoch.time).toISOString(),
+                    readings: epoch.readings.map(r => ({ ...r }))
+                }))
+            }))
+        };
+    }
+
+    load(data) {
+        this.clear();
+        if (data && Array.isArray(data.points)) {
+            this.importJSON(data);
+        }
+    }
+
+    key(pointId) {
+        return String(pointId);
+    }
+
+    parseTime(time) {
+        if (time instanceof Date) return Number.isNaN(time.getTime()) ? null : time.getTime();
+        if (typeof time === 'number') return Number.isFinite(time) ? time : null;
+        if (typeof time !== 'string' || time.length === 0) return null;
+
+        const parsed = Date.parse(time.replace(/\//g, '-'));
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+}
@@ -0,0 +1,558 @@
+import { PitOutline } from './PitOutline.js';
+import { ProtectedObjects } from './ProtectedObjects.js';
+import { UndergroundPipelines } from './UndergroundPipelines.js';
+import { BASE_STANDARD } from './RulePacks.js';
+
+/**
+ * GB50497-2019 监测点自动布置
+ * 按基坑类型、安全等级确定的监测项目（第4章）和第5章的布点规则生成一套基准布置方案，
+ * 每个测点记录其布置依据，供设计人员在此基础上调整；
+ * 项目选用规则包时，间距、每道支撑测点数按验证器给出的生效规则（较严者）布置
+ */
+export class LayoutGenerator {
+    constructor(validator) {
+        this.validator = validator;
+
+        this.options = {
+            // 5.2.1 围护墙顶部位移监测点间距不宜大于20m
+            wallPointSpacing: 20,
+            // 5.2.2 边长大于50m时每边增设深层水平位移监测孔
+            longSideLength: 50,
+            // 5.2.10 坑外地下水位监测点间距宜为20m～50m，位于止水帷幕外侧约2m
+            waterLevelSpacing: 50,
+            waterLevelOffset: 2,
+            // 5.3.1 监测范围为基坑边线外1～3倍开挖深度，默认取2倍；
+            // 未指定时按地层确定，见 GB50497Validator.getMonitoringRange()
+            settlementRangeFactor: null,
+            // 5.3.8 每个监测剖面上的监测点不宜少于5个，按距坑边的比例布置
+            settlementSectionRatios: [0.1, 0.25, 0.5, 0.75, 1],
+            // 共用位置的不同监测项目沿坑边错开，便于在三维视图中分别选取
+            typeOffsets: {
+                'vertical-displacement': 1,
+                'deep-horizontal': -1.5
+            }
+        };
+    }
+
+    /**
+     * 生成布置方案
+     * @param {Object} config 基坑配置
+     * @param {Object} geometry ExcavationMonitoringSystem.getLayoutGeometry() 的结果
+     * @param {Object} options 覆盖默认参数
+     * @returns {Object} { points: [{ type, position, host, rules: [{ clause, text }], metadata? }], skipped: [type] }
+     */
+    generate(config, geometry, options = {}) {
+        const settings = { ...this.options, ...options };
+        // 未指定间距时按生效规则，规则包较严时在依据中注明来源
+        [['wallPointSpacing', 'horizontal-displacement'], ['longSideLength', 'deep-horizontal']].forEach(([key, type]) => {
+            if (key in options) return;
+            const rule = this.validator.getSpacingRule(config, type);
+            if (rule.value === null) return;
+            settings[key] = rule.value;
+            if (rule.source !== BASE_STANDARD) settings[`${key}Source`] = rule.source;
+        });
+        settings.wallPointsPerSide = this.validator.getCountRule(config, 'horizontal-displacement', 'side').value || 3;
+        settings.supportPointsPerLevel = this.validator.getCountRule(config, 'support-force', 'level').value || 2;
+        settings.pipelineSpacing = this.validator.getSpacingRule(config, 'pipeline-displacement').value;
+        const monitoringRange = this.validator.getMonitoringRange(config);
+        if (!settings.settlementRangeFactor) {
+            settings.settlementRangeFactor = monitoringRange.factor;
+            settings.settlementRangeReason = monitoringRange.reason;
+        }
+        const requirements = this.validator.getRequirements(config);
+        if (!requirements) {
+            throw new Error(`未找到${config.type}类型${config.safetyLevel}级基坑的监测要求`);
+        }
+
+        const placers = {
+            'horizontal-displacement': () => this.placeWallTopPoints('horizontal-displacement', geometry, settings),
+            'vertical-displacement': () => this.placeWallTopPoints('vertical-displacement', geometry, settings),
+            'deep-horizontal': () => this.placeInclinometers(geometry, settings),
+            'column-settlement': () => this.placeColumnSettlementPoints(geometry),
+            'support-force': () => this.placeSupportForcePoints(geometry, settings),
+            'anchor-force': () => this.placeAnchorForcePoints(geometry),
+            'water-level': () => this.placeWaterLevelPoints(config, geometry, settings),
+            'ground-settlement': () => this.placeSettlementSections(config, geometry, settings),
+            'building-settlement': () => this.placeBuildingSettlementPoints(config),
+            'building-tilt': () => this.placeBuildingTiltPoints(config),
+            'pipeline-displacement': () => this.placePipelinePoints(config, settings)
+        };
+
+        const itemClause = this.validator.getItemClause(config);
+        const points = [];
+        const skipped = [];
+        [...requirements.required, ...requirements.recommended].forEach(type => {
+            if (!placers[type]) {
+                skipped.push(type);
+                return;
+            }
+            const category = requirements.required.includes(type) ? '应测项目' : '宜测项目';
+            placers[type]().forEach(point => {
+                point.rules.unshift({ clause: itemClause, text: `${config.safetyLevel}级基坑${category}` });
+                points.push(point);
+            });
+        });
+
+        return { points, skipped };
+    }
+
+    /**
+     * 5.2.1 围护墙顶部水平、竖向位移：阳角处、每边中部，间距不大于20m，每边不少于3点
+     */
+    placeWallTopPoints(type, geometry, settings) {
+        const points = [];
+        const shift = settings.typeOffsets[type] || 0;
+        const shared = type === 'vertical-displacement'
+            ? [{ clause: '5.2.1', text: '与水平位移监测点共用位置' }]
+            : [];
+
+        geometry.edges.forEach((edge, index) => {
+            const length = this.edgeLength(edge);
+            // 阳角点归属于以该角点为起点的边
+            if (edge.convexStart) {
+                const previous = geometry.edges[(index + geometry.edges.length - 1) % geometry.edges.length];
+                const corner = this.offsetCorner(edge, previous, geometry.crownBeamOffset);
+                points.push(this.point(type, this.along(corner, edge, shift), geometry.crownBeamTop,
+                    { type: geometry.topHostType, id: edge.hostId, level: null },
+                    [{ clause: '5.2.1', text: '阳角处' }, ...shared]));
+            }
+
+            // 区间数取偶数，保证每边中部有测点；长边取4的倍数，使1/4、3/4处增设的测斜孔有配套的水平位移测点。
+            // 阳角测点在冠梁外角，与相邻测点的间距比区间长度多出冠梁半宽。
+            // 每边自有的测点（起点阳角和边上测点）不少于每边测点数，总数满足"每边不少于3点"的合计要求
+            const multiple = length > settings.longSideLength ? 4 : 2;
+            const minimum = Math.max(settings.wallPointsPerSide + 1 - (edge.convexStart ? 1 : 0), 2);
+            const intervals = Math.ceil(Math.max(length / (settings.wallPointSpacing - geometry.crownBeamOffset), minimum) / multiple) * multiple;
+            for (let k = 1; k < intervals; k++) {
+                const t = k / intervals;
+                const rules = k * 2 === intervals
+                    ? [{ clause: '5.2.1', text: '每边中部' }]
+                    : [{ clause: '5.2.1', text: `间距不宜大于${settings.wallPointSpacing}m${this.sourceNote(settings.wallPointSpacingSource)}，每边不少于${settings.wallPointsPerSide}点` }];
+                points.push(this.point(type, this.onEdge(edge, t, geometry.crownBeamOffset, shift), geometry.crownBeamTop,
+                    { type: geometry.topHostType, id: edge.hostId, level: null }, [...rules, ...shared]));
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * 5.2.2 深层水平位移：每边中部设监测孔，边长大于50m时在1/4、3/4处增设
+     */
+    placeInclinometers(geometry, settings) {
+        const points = [];
+        const shift = settings.typeOffsets['deep-horizontal'];
+
+        geometry.edges.forEach(edge => {
+            const host = { type: geometry.topHostType, id: edge.hostId, level: null };
+            points.push(this.point('deep-horizontal', this.onEdge(edge, 0.5, geometry.crownBeamOffset, shift),
+                geometry.crownBeamTop, host, [{ clause: '5.2.2', text: '每侧中部' }]));
+
+            if (this.edgeLength(edge) > settings.longSideLength) {
+                [0.25, 0.75].forEach(t => {
+                    points.push(this.point('deep-horizontal', this.onEdge(edge, t, geometry.crownBeamOffset, shift),
+                        geometry.crownBeamTop, host,
+                        [{ clause: '5.2.2', text: `边长大于${settings.longSideLength}m${this.sourceNote(settings.longSideLengthSource)}，适当增设监测孔` }]));
+                });
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * 5.2.5 立柱竖向位移：基坑中部、多根支撑交汇处的立柱，不少于立柱总根数的5%且不少于3根
+     */
+    placeColumnSettlementPoints(geometry) {
+        const count = geometry.edges.length;
+        const center = geometry.edges.reduce((sum, edge) => ({
+            x: sum.x + edge.start.x / count,
+            z: sum.z + edge.start.z / count
+        }), { x: 0, z: 0 });
+        // 受力较大（多根支撑交汇）的立柱优先，其次靠近基坑中部
+        const columns = [...geometry.columns]
+            .sort((a, b) => (b.load || 0) - (a.load || 0)
+                || Math.hypot(a.x - center.x, a.z - center.z) - Math.hypot(b.x - center.x, b.z - center.z));
+        const required = Math.max(3, Math.ceil(columns.length * 0.05));
+
+        return columns.slice(0, required).map(column => this.point('column-settlement', column, column.top,
+            { type: 'column', id: column.id, level: null },
+            [
+                { clause: '5.2.5', text: '基坑中部、多根支撑交汇处的立柱' },
+                { clause: '5.2.5', text: '不少于立柱总根数的5%且不少于3根' }
+            ]));
+    }
+
+    /**
+     * 5.2.4 支撑轴力：每道支撑取估算轴力最大的杆件（GB50497 为2个，规则包可提高），截面位于立柱支点间第一跨的1/3处，各道竖向一致
+     */
+    placeSupportForcePoints(geometry, settings) {
+        const perLevel = settings.supportPointsPerLevel;
+        const points = [];
+        const byLevel = new Map();
+        geometry.supports.forEach(member => {
+            if (!byLevel.has(member.level)) byLevel.set(member.level, []);
+            byLevel.get(member.level).push(member);
+        });
+
+        byLevel.forEach((levelMembers, level) => {
+            // 优先选取估算轴力较大的杆件，轴力相同时对撑优先于角撑
+            const members = [...levelMembers].sort((a, b) => (b.force || 0) - (a.force || 0)
+                || (a.role === 'corner-brace') - (b.role === 'corner-brace'));
+            // 支撑在中心立柱处分为两跨，第一跨的1/3处即杆件全长的1/6处
+            // 杆件不足时在受力最大的杆件两端第一跨各设一个截面
+            const sections = members.slice(0, perLevel).map(member => ({ member, t: 1 / 6 }));
+            for (let i = 0; sections.length < perLevel && i < members.length; i++) {
+                sections.push({ member: members[i], t: 5 / 6 });
+            }
+
+            sections.forEach(({ member, t }) => {
+                const position = {
+                    x: member.start.x + (member.end.x - member.start.x) * t,
+                    y: member.start.y + (member.end.y - member.start.y) * t,
+                    z: member.start.z + (member.end.z - member.start.z) * t
+                };
+                points.push({
+                    type: 'support-force',
+                    position,
+                    host: { type: 'support', id: member.id, level },
+                    rules: [
+                        { clause: '5.2.4', text: `第${level + 1}道支撑，每道不少于${perLevel}个监测点` },
+                        { clause: '5.2.4', text: '两相邻立柱支点间杆件的1/3部位，各道竖向位置一致' }
+                    ]
+                });
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * 5.2.6 锚杆轴力：每排锚杆取每边中部的一根，测点靠近锚头，各排竖向位置一致；土钉墙取每边中部的土钉
+     */
+    placeAnchorForcePoints(geometry) {
+        if (geometry.nails.length > 0) return this.placeSoilNailForcePoints(geometry);
+
+        const points = [];
+        const rows = [...new Set(geometry.anchors.map(anchor => anchor.row))].sort((a, b) => a - b);
+        geometry.edges.forEach(edge => {
+            const middle = { x: (edge.start.x + edge.end.x) / 2, z: (edge.start.z + edge.end.z) / 2 };
+            const offset = anchor => Math.hypot(anchor.head.x - middle.x, anchor.head.z - middle.z);
+
+            rows.forEach(row => {
+                const candidates = geometry.anchors.filter(anchor => anchor.edge === edge.hostId && anchor.row === row);
+                if (candidates.length === 0) return;
+                const anchor = candidates.reduce((nearest, candidate) => (offset(candidate) < offset(nearest) ? candidate : nearest));
+                points.push({
+                    type: 'anchor-force',
+                    position: this.alongTendon(anchor.head, anchor.freeEnd, 0.5),
+                    host: { type: 'anchor', id: anchor.id, level: row },
+                    rules: [
+                        { clause: '5.2.6', text: `第${row + 1}排锚杆，每边中部靠近锚头` },
+                        { clause: '5.2.6', text: '各层监测点竖向位置一致' }
+                    ]
+                });
+            });
+        });
+        return points;
+    }
+
+    /**
+     * 杆体上距起点 distance 处的点
+     */
+    alongTendon(start, end, distance) {
+        const length = Math.hypot(end.x - start.x, end.y - start.y, end.z - start.z);
+        const t = Math.min(1, distance / length);
+        return {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t,
+            z: start.z + (end.z - start.z) * t
+        };
+    }
+
+    placeSoilNailForcePoints(geometry) {
+        const points = [];
+        geometry.edges.forEach(edge => {
+            const middle = { x: (edge.start.x + edge.end.x) / 2, z: (edge.start.z + edge.end.z) / 2 };
+            const nails = geometry.nails.filter(nail => nail.edge === edge.hostId);
+            const rows = [...new Set(nails.map(nail => nail.row))].sort((a, b) => a - b);
+
+            rows.forEach(row => {
+                // 同一列土钉在各排的平面位置相同，取最靠近边中点的一根
+                const offset = nail => Math.hypot(nail.start.x - middle.x, nail.start.z - middle.z);
+                const nail = nails
+                    .filter(candidate => candidate.row === row)
+                    .reduce((nearest, candidate) => (offset(candidate) < offset(nearest) ? candidate : nearest));
+                points.push({
+                    type: 'anchor-force',
+                    position: this.alongTendon(nail.start, nail.end, 1),
+                    host: { type: 'soil-nail', id: nail.id, level: null },
+                    rules: [
+                        { clause: '5.2.6', text: `第${row + 1}排土钉，每边中部靠近钉头` },
+                        { clause: '5.2.6', text: '各层监测点竖向位置一致' }
+                    ]
+                });
+            });
+        });
+        return points;
+    }
+
+    /**
+     * 5.2.10 地下水位：坑外沿基坑周边布置，每侧至少1个，间距不大于50m，位于帷幕外侧约2m；
+     * 土质基坑在基坑中央增设1个检验降水效果
+     */
+    placeWaterLevelPoints(config, geometry, settings) {
+        const points = [];
+        const offset = geometry.crownBeamOffset * 2 + settings.waterLevelOffset;
+
+        geometry.edges.forEach(edge => {
+            const length = this.edgeLength(edge);
+            const count = Math.max(1, Math.ceil(length / settings.waterLevelSpacing));
+            for (let k = 0; k < count; k++) {
+                // 避开坑边中部的地表沉降监测剖面
+                const shift = count % 2 === 1 && k * 2 + 1 === count ? 3 : 0;
+                const { x, z } = this.onEdge(edge, (k + 0.5) / count, offset, shift);
+                points.push(this.point('water-level', { x, z }, this.surfaceHeight(geometry, x, z),
+                    { type: 'ground', id: null, level: null },
+                    [{ clause: '5.2.10', text: `坑外帷幕外侧约${settings.waterLevelOffset}m，每侧至少1个，间距不大于${settings.waterLevelSpacing}m` }]));
+            }
+        });
+
+        if (config.type !== 'rock') {
+            points.push(this.point('water-level', new PitOutline(config).interiorPoint(), 0, { type: 'ground', id: null, level: null },
+                [{ clause: '5.2.10', text: '基坑中央，检验降水效果' }]));
+        }
+
+        return points;
+    }
+
+    /**
+     * 5.3.8 周边地表竖向位移：每边中部设垂直于坑边的监测剖面，每剖面5点，延伸至1～3倍开挖深度
+     */
+    placeSettlementSections(config, geometry, settings) {
+        const points = [];
+        const range = config.dimensions.depth * settings.settlementRangeFactor;
+        const outline = new PitOutline(config);
+
+        geometry.edges.forEach(edge => {
+            settings.settlementSectionRatios.forEach((ratio, index) => {
+                const distance = Math.max(range * ratio, geometry.crownBeamOffset * 2 + 1);
+                const { x, z } = this.onEdge(edge, 0.5, distance, 0);
+                // 有阴角的基坑，剖面可能穿过基坑的另一部分
+                if (outline.signedDistance({ x, z }) < geometry.crownBeamOffset * 2) return;
+                const rules = [{ clause: '5.3.8', text: `坑边中部监测剖面，垂直坑边，第${index + 1}点` }];
+                if (index === settings.settlementSectionRatios.length - 1) {
+                    rules.push({
+                        clause: '5.3.1',
+                        text: settings.settlementRangeReason
+                            ? `延伸至坑边外${range.toFixed(1)}m，${settings.settlementRangeReason}`
+                            : `延伸至坑边外${settings.settlementRangeFactor}倍开挖深度（${range.toFixed(1)}m）`
+                    });
+                }
+                points.push(this.point('ground-settlement', { x, z }, this.surfaceHeight(geometry, x, z),
+                    this.surfaceHost(geometry, x, z), rules));
+            });
+        });
+
+        // 监测剖面未经过的监测范围内道路，在路面靠近基坑处补充测点
+        this.protectedObjectsInZone(config, 'road').forEach(road => {
+            if (points.some(point => ProtectedObjects.contains(road, point.position))) return;
+            const corners = ProtectedObjects.footprint(road);
+            const nearest = corners.reduce((best, corner) =>
+                (outline.distanceToOutline(corner) < outline.distanceToOutline(best) ? corner : best));
+            const x = nearest.x + (road.x - nearest.x) * 0.1;
+            const z = nearest.z + (road.z - nearest.z) * 0.1;
+            points.push(this.point('ground-settlement', { x, z }, this.surfaceHeight(geometry, x, z),
+                this.surfaceHost(geometry, x, z), [{ clause: '4.2.1', text: `${road.name}位于监测范围内，路面竖向位移` }]));
+        });
+
+        return points;
+    }
+
+    /**
+     * 5.3.3、5.3.4 周边建筑竖向位移：监测范围内建筑的四角及沿外墙间距不大于15m，每侧不少于3点，位于墙脚
+     */
+    placeBuildingSettlementPoints(config) {
+        const points = [];
+        this.protectedObjectsInZone(config, 'building').forEach(building => {
+            const host = { type: 'building', id: building.id, level: null };
+            ProtectedObjects.sides(building).forEach(side => {
+                const intervals = Math.max(2, Math.ceil(side.length / 15));
+                // 各侧终点为下一侧的起点，不重复布置
+                for (let k = 0; k < intervals; k++) {
+                    const along = side.length * k / intervals;
+                    const rules = k === 0
+                        ? [{ clause: '5.3.3', text: '建筑四角' }]
+                        : [{ clause: '5.3.4', text: '沿外墙间距不大于15m，每侧不少于3点' }];
+                    points.push(this.point('building-settlement', {
+                        x: side.start.x + side.direction.x * along,
+                        z: side.start.z + side.direction.z * along
+                    }, 0.5, host, rules));
+                }
+            });
+        });
+        return points;
+    }
+
+    /**
+     * 5.3.5 周边建筑倾斜：靠近基坑的两个角点，顶部、底部上下对应布置
+     */
+    placeBuildingTiltPoints(config) {
+        const points = [];
+        const outline = new PitOutline(config);
+        this.protectedObjectsInZone(config, 'building').forEach(building => {
+            const host = { type: 'building', id: building.id, level: null };
+            ProtectedObjects.footprint(building)
+                .sort((a, b) => outline.distanceToOutline(a) - outline.distanceToOutline(b))
+                .slice(0, 2)
+                .forEach(corner => {
+                    [1, building.height - 0.5].forEach((y, index) => {
+                        points.push(this.point('building-tilt', corner, y, host, [
+                            { clause: '5.3.5', text: `靠近基坑的建筑角点，${index === 0 ? '底部' : '顶部'}` },
+                            { clause: '5.3.5', text: '上、下监测点布置在同一竖直线上' }
+                        ]));
+                    });
+                });
+        });
+        return points;
+    }
+
+    /**
+     * 5.3.7 管线监测点：监测范围内的管段两端和转角、阀门处设点，其间按不大于25m加密，非焊接管线取最近的接头；
+     * 压力管线采用直接法（测点在管顶），其他管线采用间接法（测点在管线轴线对应的地表）
+     */
+    placePipelinePoints(config, settings) {
+        const points = [];
+        const max = settings.pipelineSpacing;
+        this.validator.assessPipelines(config).filter(assessment => assessment.inZone).forEach(({ pipe, sections }) => {
+            const host = { type: 'pipeline', id: pipe.id, level: null };
+            const method = UndergroundPipelines.isPressure(pipe) ? 'direct' : 'indirect';
+            const methodRule = method === 'direct'
+                ? { clause: '5.3.7', text: '压力管线，直接法（管顶）' }
+                : { clause: '5.3.7', text: '间接法（管线轴线对应的地表）' };
+            const joints = UndergroundPipelines.joints(pipe);
+            // 移至接头后间距仍不大于规定值
+            const spacing = Math.max(5, Math.min(20, max - (joints.length > 0 ? pipe.segmentLength : 0)));
+
+            sections.forEach(({ from, to }) => {
+                const names = { bend: '管线转角', valve: '阀门' };
+                const stations = UndergroundPipelines.features(pipe)
+                    .filter(feature => feature.chainage >= from && feature.chainage <= to)
+                    .map(feature => ({ chainage: feature.chainage, text: names[feature.kind] }));
+                const inset = Math.min(5, (to - from) / 2);
+                [from + inset, to - inset].forEach(chainage => {
+                    if (!stations.some(station => Math.abs(station.chainage - chainage) < 3)) {
+                        stations.push({ chainage, text: '监测范围内管段端部' });
+                    }
+                });
+                stations.sort((a, b) => a.chainage - b.chainage);
+
+                const filled = [];
+                stations.forEach((station, i) => {
+                    const previous = stations[i - 1];
+                    if (previous) {
+                        const gap = station.chainage - previous.chainage;
+                        const count = Math.ceil(gap / spacing) - 1;
+                        for (let k = 1; k <= count; k++) {
+                            filled.push({ chainage: previous.chainage + gap * k / (count + 1), text: `间距不大于${max}m` });
+                        }
+                    }
+                    filled.push(station);
+                });
+
+                filled.forEach(station => {
+                    const rules = [{ clause: '5.3.7', text: station.text }];
+                    let { chainage } = station;
+                    if (joints.length > 0 && station.text !== names.bend && station.text !== names.valve) {
+                        const joint = joints
+                            .filter(candidate => candidate >= from && candidate <= to)
+                            .reduce((best, candidate) =>
+                                (best === null || Math.abs(candidate - chainage) < Math.abs(best - chainage) ? candidate : best), null);
+                        if (joint !== null && Math.abs(joint - chainage) <= pipe.segmentLength / 2) {
+                            chainage = joint;
+                            rules.push({ clause: '5.3.7', text: '设在管线接头处' });
+                        }
+                    }
+                    if (points.some(point => point.host.id === pipe.id && Math.abs(point.chainage - chainage) < 1)) return;
+                    rules.push(methodRule);
+                    const point = this.point('pipeline-displacement', UndergroundPipelines.pointAt(pipe, chainage),
+                        method === 'direct' ? -pipe.depth : 0, host, rules);
+                    point.chainage = chainage;
+                    point.metadata = { method };
+                    points.push(point);
+                });
+            });
+        });
+        return points.map(({ chainage, ...point }) => point);
+    }
+
+    protectedObjectsInZone(config, kind) {
+        return this.validator.assessProtectedObjects(config)
+            .filter(assessment => assessment.inZone && assessment.object.kind === kind)
+            .map(assessment => assessment.object);
+    }
+
+    point(type, { x, z }, y, host, rules) {
+        return { type, position: { x, y, z }, host, rules };
+    }
+
+    edgeLength(edge) {
+        return Math.hypot(edge.end.x - edge.start.x, edge.end.z - edge.start.z);
+    }
+
+    /**
+     * 取自规则包的参数在布置依据中注明标准编号
+     */
+    sourceNote(source) {
+        return source ? `（${source}）` : '';
+    }
+
+    /**
+     * 边上参数 t 处向外偏移 offset、沿边错开 shift 的平面位置
+     */
+    onEdge(edge, t, offset, shift) {
+        const length = this.edgeLength(edge);
+        const dx = (edge.end.x - edge.start.x) / length;
+        const dz = (edge.end.z - edge.start.z) / length;
+        return {
+            x: edge.start.x + dx * (length * t + shift) + edge.outward.x * offset,
+            z: edge.start.z + dz * (length * t + shift) + edge.outward.z * offset
+        };
+    }
+
+    along(position, edge, shift) {
+        const length = this.edgeLength(edge);
+        return {
+            x: position.x + (edge.end.x - edge.start.x) / length * shift,
+            z: position.z + (edge.end.z - edge.start.z) / length * shift
+        };
+    }
+
+    /**
+     * 角点处冠梁中线交点：沿相邻两边的外法线各偏移 offset
+     */
+    offsetCorner(edge, previous, offset) {
+        return {
+            x: edge.start.x + (edge.outward.x + previous.outward.x) * offset,
+            z: edge.start.z + (edge.outward.z + previous.outward.z) * offset
+        };
+    }
+
+    surfaceHeight(geometry, x, z) {
+        const surface = this.findSurface(geometry, x, z);
+        return surface ? surface.top : 0;
+    }
+
+    surfaceHost(geometry, x, z) {
+        const surface = this.findSurface(geometry, x, z);
+        return surface
+            ? { type: surface.type, id: surface.id, level: null }
+            : { type: 'ground', id: null, level: null };
+    }
+
+    findSurface(geometry, x, z) {
+        return (geometry.surfaces || []).find(s =>
+            x >= s.minX && x <= s.maxX && z >= s.minZ && z <= s.maxZ
+        ) || null;
+    }
+}
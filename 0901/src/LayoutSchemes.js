@@ -0,0 +1,220 @@
+/**
+ * 同一基坑配置下的多个测点布置方案
+ * 各方案保存一套传感器（与项目文件中的传感器格式相同），当前方案的传感器在三维模型中编辑，
+ * 切换方案时写回。提供方案间的测点差异（增加、删除、移动）和按验证结果计算的对比指标与加权得分
+ */
+
+// 同一测点在两方案中的位置相差不大于该值（m）时视为未移动
+export const MOVE_TOLERANCE = 0.5;
+
+// 加权得分的各项权重及含义；各项得分为0～1，加权平均后乘以100
+export const SCORE_WEIGHTS = {
+    required: 40,     // 应测项目满足最少测点数的比例
+    recommended: 15,  // 宜测项目已布置的比例
+    errors: 20,       // 无"不符合规范要求"的结论，每项扣0.2
+    warnings: 10,     // "建议改进"的结论，每项扣0.05
+    density: 10,      // 测点密度达到建议密度的比例（checkSensorQuantity）
+    range: 5          // 坑外测点占比达到30%的比例（checkMonitoringRange）
+};
+
+export const SCORE_ITEM_NAMES = {
+    required: '应测项目',
+    recommended: '宜测项目',
+    errors: '不符合项',
+    warnings: '建议改进项',
+    density: '测点密度',
+    range: '周边环境测点'
+};
+
+export class LayoutSchemes {
+    /**
+     * @param {Array} schemes [{ id, name, sensors }]
+     * @param {number|null} activeId 当前方案，未指定时取第一个方案
+     */
+    constructor(schemes = [], activeId = null) {
+        this.schemes = [];
+        this.nextId = 1;
+        schemes.forEach(scheme => this.add(scheme.name, scheme.sensors, scheme.id));
+        this.activeId = this.get(activeId) ? activeId : (this.schemes[0] ? this.schemes[0].id : null);
+    }
+
+    static fromJSON(data) {
+        return new LayoutSchemes(data.schemes || [], data.activeId ?? null);
+    }
+
+    toJSON() {
+        return {
+            activeId: this.activeId,
+            schemes: this.schemes.map(({ id, name, sensors }) => ({ id, name, sensors: LayoutSchemes.snapshot(sensors) }))
+        };
+    }
+
+    /**
+     * 增加方案
+     * @param {string} name 方案名称，为空时按方案A、方案B……命名
+     * @param {Array} sensors 方案的传感器
+     * @param {number} id 方案ID，缺省或重复时自动分配
+     */
+    add(name, sensors = [], id = null) {
+        const schemeId = Number.isInteger(id) && id > 0 && !this.get(id) ? id : this.nextId;
+        this.nextId = Math.max(this.nextId, schemeId + 1);
+        const scheme = {
+            id: schemeId,
+            name: (name || '').trim() || this.defaultName(),
+            sensors: LayoutSchemes.snapshot(sensors)
+        };
+        this.schemes.push(scheme);
+        return scheme;
+    }
+
+    defaultName() {
+        for (let i = 0; ; i++) {
+            const name = `方案${i < 26 ? String.fromCharCode(65 + i) : i + 1}`;
+            if (!this.schemes.some(scheme => scheme.name === name)) return name;
+        }
+    }
+
+    get(id) {
+        return this.schemes.find(scheme => scheme.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    setActive(id) {
+        if (this.get(id)) this.activeId = id;
+    }
+
+    rename(id, name) {
+        const scheme = this.get(id);
+        if (scheme && name.trim()) scheme.name = name.trim();
+    }
+
+    /**
+     * 更新方案的传感器（切换方案或保存前写回当前方案）
+     */
+    update(id, sensors) {
+        const scheme = this.get(id);
+        if (scheme) scheme.sensors = LayoutSchemes.snapshot(sensors);
+    }
+
+    /**
+     * 删除方案，至少保留一个；删除当前方案时改为第一个方案
+     * @returns {boolean} 是否已删除
+     */
+    remove(id) {
+        if (this.schemes.length <= 1 || !this.get(id)) return false;
+        this.schemes = this.schemes.filter(scheme => scheme.id !== id);
+        if (this.activeId === id) this.activeId = this.schemes[0].id;
+        return true;
+    }
+
+    /**
+     * 传感器的独立副本，坐标取为普通对象
+     */
+    static snapshot(sensors) {
+        return sensors.map(sensor => ({
+            id: sensor.id,
+            code: sensor.code || null,
+            type: sensor.type,
+            position: { x: sensor.position.x, y: sensor.position.y, z: sensor.position.z },
+            host: sensor.host ? { ...sensor.host } : null,
+            timestamp: sensor.timestamp || null,
+            metadata: { ...(sensor.metadata || {}) }
+        }));
+    }
+
+    /**
+     * 两方案的测点差异：同类测点按传感器ID（复制方案时保留）对应，一方没有ID时按测点编号对应；
+     * 测点编号按布置顺序生成，删除测点后会重新编号，不作为主要依据。位置相差大于 MOVE_TOLERANCE 视为移动
+     * @param {Array} base 基准方案的传感器
+     * @param {Array} other 对比方案的传感器
+     * @returns {Object} { added, removed, moved: [{ from, to, distance }], unchanged }，
+     *   added 为对比方案增加的测点，removed 为对比方案删除的测点
+     */
+    static diff(base, other, tolerance = MOVE_TOLERANCE) {
+        const remaining = new Set(base);
+        const pairs = new Map();
+        [sensor => sensor.id, sensor => sensor.code].forEach((field, pass) => {
+            const keyOf = sensor => (field(sensor) ? `${sensor.type}|${field(sensor)}` : null);
+            const candidates = new Map([...remaining].filter(keyOf).map(sensor => [keyOf(sensor), sensor]));
+            other.filter(sensor => !pairs.has(sensor) && keyOf(sensor)).forEach(sensor => {
+                const match = candidates.get(keyOf(sensor));
+                if (!match || !remaining.has(match)) return;
+                // 两方都有ID而ID不同的测点不按编号对应
+                if (pass > 0 && sensor.id && match.id) return;
+                remaining.delete(match);
+                pairs.set(sensor, match);
+            });
+        });
+
+        const added = [];
+        const moved = [];
+        let unchanged = 0;
+        other.forEach(sensor => {
+            const match = pairs.get(sensor);
+            if (!match) {
+                added.push(sensor);
+                return;
+            }
+            const distance = Math.hypot(sensor.position.x - match.position.x,
+                sensor.position.y - match.position.y, sensor.position.z - match.position.z);
+            if (distance > tolerance) moved.push({ from: match, to: sensor, distance });
+            else unchanged++;
+        });
+
+        return { added, removed: [...remaining], moved, unchanged };
+    }
+
+    /**
+     * 各方案的对比指标和加权得分
+     * @param {GB50497Validator} validator 验证器
+     * @param {Object} config 基坑配置
+     * @param {Array} schemes [{ id, name, sensors }]
+     * @param {Object} options options.sections 为绘制的监测断面；options.weights 覆盖默认权重
+     * @returns {Array} [{ id, name, metrics, scores, score, isValid }]
+     */
+    static compare(validator, config, schemes, options = {}) {
+        const weights = { ...SCORE_WEIGHTS, ...(options.weights || {}) };
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+        return schemes.map(scheme => {
+            const results = validator.validateLayout(config, scheme.sensors,
+                options.sections ? { sections: options.sections } : {});
+            const { required, recommended, quantity, range } = results.compliance;
+            const requiredTypes = Object.keys(required || {});
+            const recommendedTypes = Object.keys(recommended || {});
+
+            const metrics = {
+                total: quantity.total,
+                density: quantity.density,
+                recommendedDensity: quantity.recommended,
+                outside: range.outside,
+                maxDistance: range.maxDistance,
+                requiredMet: requiredTypes.filter(type =>
+                    required[type] >= validator.getMinimumSensorCount(type, config)).length,
+                requiredTotal: requiredTypes.length,
+                recommendedMet: recommendedTypes.filter(type => recommended[type] > 0).length,
+                recommendedTotal: recommendedTypes.length,
+                errors: results.errors.length,
+                warnings: results.warnings.length
+            };
+
+            const ratio = (part, whole) => (whole > 0 ? Math.min(1, part / whole) : 1);
+            const scores = {
+                required: ratio(metrics.requiredMet, metrics.requiredTotal),
+                recommended: ratio(metrics.recommendedMet, metrics.recommendedTotal),
+                errors: Math.max(0, 1 - metrics.errors * 0.2),
+                warnings: Math.max(0, 1 - metrics.warnings * 0.05),
+                density: ratio(metrics.density, metrics.recommendedDensity),
+                range: metrics.total > 0 ? ratio(metrics.outside / metrics.total, 0.3) : 0
+            };
+            const score = totalWeight > 0
+                ? Object.keys(scores).reduce((sum, key) => sum + scores[key] * (weights[key] || 0), 0) / totalWeight * 100
+                : 0;
+
+            return { id: scheme.id, name: scheme.name, metrics, scores, score, isValid: results.isValid };
+        });
+    }
+}
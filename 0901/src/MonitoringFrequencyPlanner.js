@@ -0,0 +1,301 @@
+/**
+ * GB50497-2019 第7章 监测频率计划
+ * 根据安全等级、施工阶段和开挖深度确定各监测项目的监测频率（表7.0.3），
+ * 出现预警时按7.0.4提高监测频率
+ */
+export class MonitoringFrequencyPlanner {
+    constructor(validator, timeline) {
+        this.validator = validator;
+        this.timeline = timeline;
+
+        // 表7.0.3 现场仪器监测的监测频率（应测项目），区间取较密的一端
+        // 表中只列一、二级，三级基坑按二级取值，见 levelThreeNote
+        // count 次 / days 天
+        this.frequencyTable = {
+            1: {
+                // 开挖深度 h 与设计深度 H 之比
+                excavation: [
+                    { maxRatio: 1 / 3, frequency: { count: 1, days: 2 } },
+                    { maxRatio: 2 / 3, frequency: { count: 1, days: 1 } },
+                    { maxRatio: Infinity, frequency: { count: 2, days: 1 } }
+                ],
+                // 底板浇筑后时间（d）
+                afterSlab: [
+                    { maxDays: 7, frequency: { count: 1, days: 1 } },
+                    { maxDays: 14, frequency: { count: 1, days: 3 } },
+                    { maxDays: 28, frequency: { count: 1, days: 5 } },
+                    { maxDays: Infinity, frequency: { count: 1, days: 7 } }
+                ]
+            },
+            2: {
+                excavation: [
+                    { maxRatio: 1 / 3, frequency: { count: 1, days: 3 } },
+                    { maxRatio: 2 / 3, frequency: { count: 1, days: 2 } },
+                    { maxRatio: Infinity, frequency: { count: 1, days: 1 } }
+                ],
+                afterSlab: [
+                    { maxDays: 7, frequency: { count: 1, days: 2 } },
+                    { maxDays: 14, frequency: { count: 1, days: 3 } },
+                    { maxDays: 28, frequency: { count: 1, days: 7 } },
+                    { maxDays: Infinity, frequency: { count: 1, days: 10 } }
+                ]
+            }
+        };
+
+        // 表7.0.3注：支撑结构开始拆除到拆除完成后3d内监测频率加密为1次/1d
+        this.supportRemovalFrequency = { count: 1, days: 1 };
+        this.supportRemovalExtraDays = 3;
+
+        // 条文说明7.0.3：宜测、可测项目可取应测项目监测频率值的2倍～3倍（间隔）
+        this.nonRequiredIntervalFactor = 2;
+        // 表7.0.3注：安全等级为三级时，监测频率可视具体情况适当降低。
+        // 是否降低、降低多少由设计方确定，计划中不自动放大间隔，只给出说明
+        this.levelThreeNote = '安全等级为三级，按表7.0.3二级基坑的监测频率编制；' +
+            '根据表7.0.3注，三级基坑的监测频率可视具体情况适当降低，是否降低由设计方确定';
+
+        // 7.0.4：出现预警情况时提高监测频率
+        this.escalatedFrequencies = {
+            abnormal: { count: 2, days: 1 },
+            danger: { continuous: true }
+        };
+    }
+
+    /**
+     * 获取监测项目及其类别（应测/宜测/可测）
+     */
+    getItems(config) {
+        const requirements = this.validator.getRequirements(config);
+        if (!requirements) return [];
+
+        return [
+            ...requirements.required.map(type => ({ type, category: 'required', label: '应测' })),
+            ...requirements.recommended.map(type => ({ type, category: 'recommended', label: '宜测' })),
+            ...requirements.optional.map(type => ({ type, category: 'optional', label: '可测' }))
+        ];
+    }
+
+    /**
+     * 生成监测频率计划
+     * @param {Object} config 基坑配置
+     * @returns {Object} { items, periods, notes }，periods 为按时间排列的计划时段，notes 为编制说明
+     */
+    plan(config) {
+        const items = this.getItems(config);
+        const periods = this.buildPeriods(config);
+
+        periods.forEach(period => {
+            period.frequencies = {};
+            items.forEach(item => {
+                period.frequencies[item.type] = this.adjustForItem(period.baseFrequency, item);
+            });
+        });
+
+        const notes = config.safetyLevel >= 3 ? [this.levelThreeNote] : [];
+        return { items, periods, notes };
+    }
+
+    buildPeriods(config) {
+        const { depth } = config.dimensions;
+        const table = this.frequencyTable[Math.min(config.safetyLevel, 2)];
+        const slabDate = this.timeline.getBaseSlabDate();
+        const periods = [];
+
+        this.timeline.getStages().forEach(stage => {
+            const base = { stageId: stage.id, stageName: stage.name, stageType: stage.type };
+
+            switch (stage.type) {
+                case 'preparation':
+                    periods.push({
+                        ...base, start: stage.start, end: stage.end,
+                        description: '开挖前测定初始值',
+                        baseFrequency: { initial: true }
+                    });
+                    break;
+
+                case 'excavation':
+                case 'base-slab': {
+                    const h = stage.depth ?? depth;
+                    const ratio = h / depth;
+                    const band = table.excavation.find(b => ratio <= b.maxRatio + 0.005);
+                    periods.push({
+                        ...base, start: stage.start, end: stage.end,
+                        description: `开挖深度 ${h.toFixed(1)}m（h/H=${ratio.toFixed(2)}）`,
+                        baseFrequency: { ...band.frequency }
+                    });
+                    break;
+                }
+
+                case 'support-removal':
+                    periods.push({
+                        ...base, start: stage.start,
+                        end: this.timeline.addDays(stage.end, this.supportRemovalExtraDays),
+                        description: `支撑拆除至拆除完成后${this.supportRemovalExtraDays}d`,
+                        baseFrequency: { ...this.supportRemovalFrequency }
+                    });
+                    break;
+
+                default: {
+                    // 地下结构施工、回填：按底板浇筑后时间分段
+                    const reference = slabDate || stage.start;
+                    let cursor = stage.start;
+                    let lowerDays = 0;
+                    table.afterSlab.forEach(band => {
+                        const bandEnd = band.maxDays === Infinity
+                            ? stage.end
+                            : this.timeline.addDays(reference, band.maxDays);
+                        const start = this.maxDate(cursor, this.timeline.addDays(reference, lowerDays));
+                        const end = this.minDate(stage.end, bandEnd);
+                        if (this.timeline.parseDate(end) > this.timeline.parseDate(start)) {
+                            periods.push({
+                                ...base, start, end,
+                                description: band.maxDays === Infinity
+                                    ? `底板浇筑后>${lowerDays}d`
+                                    : `底板浇筑后${lowerDays}～${band.maxDays}d`,
+                                baseFrequency: { ...band.frequency }
+                            });
+                            cursor = end;
+                        }
+                        lowerDays = band.maxDays;
+                    });
+                }
+            }
+        });
+
+        return periods;
+    }
+
+    adjustForItem(frequency, item) {
+        if (frequency.initial || frequency.continuous || item.category === 'required') {
+            return { ...frequency };
+        }
+        return this.stretch(frequency, this.nonRequiredIntervalFactor);
+    }
+
+    /**
+     * 将监测间隔放大 factor 倍
+     */
+    stretch(frequency, factor) {
+        const interval = frequency.days / frequency.count * factor;
+        return interval >= 1
+            ? { count: 1, days: Math.round(interval) }
+            : { count: Math.round(1 / interval), days: 1 };
+    }
+
+    /**
+     * 按预警结果提高监测频率（7.0.4），自 fromDate 起生效
+     * @param {Object} plan plan() 的结果
+     * @param {Object} warningResults WarningEngine.evaluateAll() 的结果
+     * @param {string} fromDate 生效日期
+     * @returns {Object} 新的计划，escalations 记录提高原因
+     */
+    applyWarnings(plan, warningResults, fromDate = this.timeline.formatDate(Date.now())) {
+        const escalations = {};
+        warningResults.results.forEach(result => {
+            const frequency = this.escalatedFrequencies[result.state];
+            if (!frequency) return;
+            const current = escalations[result.type];
+            if (!current || this.compare(frequency, current.frequency) > 0) {
+                escalations[result.type] = { state: result.state, frequency, sensorIds: [] };
+            }
+        });
+        warningResults.results.forEach(result => {
+            if (escalations[result.type] && escalations[result.type].state === result.state) {
+                escalations[result.type].sensorIds.push(result.sensorId);
+            }
+        });
+
+        const from = this.timeline.parseDate(fromDate);
+        const periods = plan.periods.map(period => {
+            if (this.timeline.parseDate(period.end) < from) return period;
+
+            const frequencies = { ...period.frequencies };
+            const escalated = [];
+            Object.entries(escalations).forEach(([type, escalation]) => {
+                if (type in frequencies && this.compare(escalation.frequency, frequencies[type]) > 0) {
+                    frequencies[type] = { ...escalation.frequency, escalated: true };
+                    escalated.push(type);
+                }
+            });
+            return { ...period, frequencies, escalated };
+        });
+
+        return { ...plan, periods, escalations };
+    }
+
+    /**
+     * 生成逐日监测日历：同一天被多个时段覆盖时取较密的频率
+     * @returns {Array} [{ date, items: [{ type, times }] }]
+     */
+    buildCalendar(plan) {
+        if (plan.periods.length === 0) return [];
+
+        const timeline = this.timeline;
+        const first = Math.min(...plan.periods.map(p => timeline.parseDate(p.start)));
+        const last = Math.max(...plan.periods.map(p => timeline.parseDate(p.end)));
+        const calendar = [];
+
+        for (let date = timeline.formatDate(first); timeline.parseDate(date) <= last; date = timeline.addDays(date, 1)) {
+            const time = timeline.parseDate(date);
+            const items = [];
+
+            plan.items.forEach(item => {
+                let chosen = null;
+                plan.periods.forEach(period => {
+                    if (time < timeline.parseDate(period.start) || time > timeline.parseDate(period.end)) return;
+                    const frequency = period.frequencies[item.type];
+                    if (!chosen || this.compare(frequency, chosen.frequency) > 0) {
+                        chosen = { frequency, period };
+                    }
+                });
+                if (!chosen) return;
+
+                const { frequency, period } = chosen;
+                if (frequency.continuous) {
+                    items.push({ type: item.type, times: '连续' });
+                } else if (frequency.initial) {
+                    items.push({ type: item.type, times: '初始值' });
+                } else {
+                    const offset = timeline.daysBetween(period.start, date);
+                    if (offset % frequency.days === 0) {
+                        items.push({ type: item.type, times: frequency.count });
+                    }
+                }
+            });
+
+            if (items.length > 0) calendar.push({ date, items });
+        }
+
+        return calendar;
+    }
+
+    /**
+     * 比较两个频率的疏密，返回正数表示 a 更密
+     */
+    compare(a, b) {
+        return this.rate(a) - this.rate(b);
+    }
+
+    rate(frequency) {
+        if (!frequency) return -1;
+        if (frequency.continuous) return Infinity;
+        if (frequency.initial) return 0;
+        return frequency.count / frequency.days;
+    }
+
+    formatFrequency(frequency) {
+        if (!frequency) return '—';
+        if (frequency.continuous) return '连续监测';
+        if (frequency.initial) return '测定初始值';
+        return frequency.days === 1
+            ? `${frequency.count}次/1d`
+            : `${frequency.count}次/${frequency.days}d`;
+    }
+
+    maxDate(a, b) {
+        return this.timeline.parseDate(a) >= this.timeline.parseDate(b) ? a : b;
+    }
+
+    minDate(a, b) {
+        return this.timeline.parseDate(a) <= this.timeline.parseDate(b) ? a : b;
+    }
+}
@@ -0,0 +1,230 @@
+import { SENSOR_TYPES, findSensorTypeByStandardItem } from './SensorTypes.js';
+
+/**
+ * GB50497-2019 表4.2.1、4.2.2 仪器监测项目表
+ * 从随项目附带的规范原文（GB504972019/规范原文/4监测项目.md）中解析监测项目表，
+ * 生成验证器采用的监测项目要求，并核对验证器与规范表格是否一致
+ */
+
+// 表格中的选择类别：应测、宜测、可测
+export const ITEM_CATEGORIES = {
+    '应测': 'required',
+    '宜测': 'recommended',
+    '可测': 'optional'
+};
+
+export const CATEGORY_NAMES = {
+    required: '应测',
+    recommended: '宜测',
+    optional: '可测'
+};
+
+// 基坑类型对应的表号；土岩组合基坑按两表选择（4.2.3），取两者中较严的类别
+export const ITEM_TABLES = {
+    soil: '4.2.1',
+    rock: '4.2.2'
+};
+
+const PIT_TYPE_NAMES = {
+    soil: '土质',
+    rock: '岩体',
+    'soil-rock': '土岩组合'
+};
+
+const CATEGORY_ORDER = ['required', 'recommended', 'optional'];
+// 类别的严格程度，不要求为0
+const rank = category => (category ? CATEGORY_ORDER.length - CATEGORY_ORDER.indexOf(category) : 0);
+const LEVELS = [1, 2, 3];
+const TABLE_TITLE_PATTERN = /^\*\*表\s*(\d+\.\d+\.\d+)/;
+
+/**
+ * 解析第4章 Markdown 中的监测项目表
+ * 分项行（如"周边建筑"下的"倾斜"）的项目名称为分组名与分项名相连，即"周边建筑倾斜"
+ * @param {string} markdown 4监测项目.md 的文本
+ * @returns {Object} 表号 -> [{ item, categories: { 1: 'required', 2: ..., 3: ... } }]
+ */
+export function parseItemTables(markdown) {
+    const tables = {};
+    let rows = null;
+    let group = '';
+
+    markdown.split(/\r?\n/).forEach(line => {
+        const title = line.trim().match(TABLE_TITLE_PATTERN);
+        if (title) {
+            rows = tables[title[1]] = [];
+            group = '';
+            return;
+        }
+        if (!rows) return;
+        if (!line.trim().startsWith('|')) {
+            // 表格之后的第一个非空行结束该表
+            if (line.trim() && rows.length > 0) rows = null;
+            return;
+        }
+
+        const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(normalizeCell);
+        if (cells.length < 5 || cells[0] === '监测项目' || cells.every(cell => /^:?-*:?$/.test(cell))) return;
+
+        const [name, sub, ...levels] = cells;
+        if (name) group = sub || levels.every(cell => !cell) ? name : '';
+        const item = sub ? group + sub : name;
+        const categories = {};
+        LEVELS.forEach((level, index) => {
+            if (ITEM_CATEGORIES[levels[index]]) categories[level] = ITEM_CATEGORIES[levels[index]];
+        });
+        if (item && Object.keys(categories).length > 0) rows.push({ item, categories });
+    });
+
+    return tables;
+}
+
+function normalizeCell(cell) {
+    return cell.replace(/\*\*/g, '').replace(/（/g, '(').replace(/）/g, ')').replace(/\s+/g, '');
+}
+
+/**
+ * 同一监测项目对应多行（如管线竖向位移、水平位移）时取较严的类别
+ */
+function stricter(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return CATEGORY_ORDER.indexOf(a) <= CATEGORY_ORDER.indexOf(b) ? a : b;
+}
+
+/**
+ * 按表格确定各基坑类型、各安全等级下每个监测项目的类别
+ * @returns {Object} { 基坑类型: { 安全等级: { 监测项目: 类别 } } }，缺少表格的基坑类型不出现
+ */
+export function tableCategories(tables) {
+    const result = {};
+    Object.entries(ITEM_TABLES).forEach(([pitType, table]) => {
+        if (!tables[table]) return;
+        result[pitType] = {};
+        LEVELS.forEach(level => {
+            const categories = {};
+            tables[table].forEach(row => {
+                const type = findSensorTypeByStandardItem(row.item);
+                if (type) categories[type] = stricter(categories[type], row.categories[level]);
+            });
+            result[pitType][level] = categories;
+        });
+    });
+
+    if (result.soil && result.rock) {
+        result['soil-rock'] = {};
+        LEVELS.forEach(level => {
+            const categories = { ...result.soil[level] };
+            Object.entries(result.rock[level]).forEach(([type, category]) => {
+                categories[type] = stricter(categories[type], category);
+            });
+            result['soil-rock'][level] = categories;
+        });
+    }
+    return result;
+}
+
+/**
+ * 生成验证器的监测项目要求，项目按登记表顺序排列
+ * @returns {Object} { 基坑类型: { 安全等级: { required, recommended, optional } } }
+ */
+export function buildMonitoringRequirements(tables) {
+    const categories = tableCategories(tables);
+    const requirements = {};
+    Object.entries(categories).forEach(([pitType, byLevel]) => {
+        requirements[pitType] = {};
+        Object.entries(byLevel).forEach(([level, byType]) => {
+            const entry = { required: [], recommended: [], optional: [] };
+            Object.keys(SENSOR_TYPES).forEach(type => {
+                if (byType[type]) entry[byType[type]].push(type);
+            });
+            requirements[pitType][level] = entry;
+        });
+    });
+    return requirements;
+}
+
+/**
+ * 表格中没有对应监测项目（未建模）的行
+ * @returns {Array} [{ table, item, categories }]
+ */
+export function unmodelledItems(tables) {
+    return Object.values(ITEM_TABLES).flatMap(table => (tables[table] || [])
+        .filter(row => !findSensorTypeByStandardItem(row.item))
+        .map(row => ({ table, ...row })));
+}
+
+// 可由支护形式、周边环境或规则包解释的差异，以及未建模的项目，不影响一致性
+export const EXPLAINED_ISSUE_KINDS = ['excluded', 'inapplicable', 'rule-pack', 'unmodelled'];
+
+/**
+ * 核对验证器实际采用的监测项目要求与规范表格是否一致
+ * @param {Object} tables parseItemTables() 的结果
+ * @param {Function} resolve (pitType, level) => GB50497Validator.getRequirements() 的结果
+ * @returns {Object} { consistent, issues: [{ kind, pitType, level, type, item, expected, actual, message }] }
+ *   kind: missing-table 缺少表格；drift 类别与表格不一致；extra 表格中没有该项目；
+ *   excluded 支护形式不设该项目；inapplicable 监测范围内没有对应的保护对象或管线；rule-pack 规则包提高了类别；
+ *   unmodelled 表格项目未建模
+ */
+export function compareWithTables(tables, resolve) {
+    const issues = [];
+    const expected = tableCategories(tables);
+    const pitTypes = [...Object.keys(ITEM_TABLES), 'soil-rock'];
+
+    Object.entries(ITEM_TABLES).forEach(([pitType, table]) => {
+        if (!tables[table]) {
+            issues.push({ kind: 'missing-table', pitType, message: `未能从规范原文中解析出表${table}` });
+        }
+    });
+
+    pitTypes.forEach(pitType => {
+        if (!expected[pitType]) return;
+        const table = ITEM_TABLES[pitType] || `${ITEM_TABLES.soil}、${ITEM_TABLES.rock}`;
+        LEVELS.forEach(level => {
+            const actual = {};
+            const entry = resolve(pitType, level) || {};
+            CATEGORY_ORDER.forEach(category => (entry[category] || []).forEach(type => {
+                actual[type] = category;
+            }));
+
+            const types = new Set([...Object.keys(expected[pitType][level]), ...Object.keys(actual)]);
+            types.forEach(type => {
+                const want = expected[pitType][level][type] || null;
+                const have = actual[type] || null;
+                if (want === have) return;
+                const name = SENSOR_TYPES[type]?.name || type;
+                const prefix = `${PIT_TYPE_NAMES[pitType]}${level}级基坑的${name}`;
+                const source = entry.sources?.[type];
+                const tabled = want ? `表${table}为${CATEGORY_NAMES[want]}` : `表${table}未列该项目`;
+                let kind;
+                let message;
+                if (!have && (entry.excluded || []).includes(type)) {
+                    kind = 'excluded';
+                    message = `${tabled}，支护结构中没有对应构件，不设该项目`;
+                } else if (!have && (entry.inapplicable || []).includes(type)) {
+                    kind = 'inapplicable';
+                    message = `${tabled}，监测范围内没有对应的监测对象，不要求`;
+                } else if (source && rank(have) > rank(want)) {
+                    kind = 'rule-pack';
+                    message = `${tabled}，按${source.source}为${CATEGORY_NAMES[have]}`;
+                } else {
+                    kind = want ? 'drift' : 'extra';
+                    message = `${tabled}，验证器为${have ? CATEGORY_NAMES[have] : '不要求'}`;
+                }
+                issues.push({ kind, pitType, level, type, expected: want, actual: have, message: `${prefix}：${message}` });
+            });
+        });
+    });
+
+    unmodelledItems(tables).forEach(row => {
+        const levels = LEVELS.map(level => CATEGORY_NAMES[row.categories[level]] || '—').join('/');
+        issues.push({
+            kind: 'unmodelled', item: row.item,
+            message: `表${row.table}中的${row.item}（一/二/三级：${levels}）没有对应的监测项目，未纳入自动验证`
+        });
+    });
+
+    return {
+        consistent: issues.every(issue => EXPLAINED_ISSUE_KINDS.includes(issue.kind)),
+        issues
+    };
+}
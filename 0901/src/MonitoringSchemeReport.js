@@ -0,0 +1,543 @@
+import { SENSOR_TYPES, getSensorType, getHostName } from './SensorTypes.js';
+import { CATEGORY_NAMES, ITEM_TABLES } from './MonitoringItemTables.js';
+import { PitOutline } from './PitOutline.js';
+import { Stratigraphy, SOIL_CLASSES } from './Stratigraphy.js';
+import { getRetainingSystem } from './RetainingSystems.js';
+import { GroundAnchors } from './GroundAnchors.js';
+import { PROTECTED_OBJECT_KINDS, IMPORTANCE_LEVELS } from './ProtectedObjects.js';
+import { UndergroundPipelines, PIPELINE_USES } from './UndergroundPipelines.js';
+import { BASE_STANDARD, describeRuleSource } from './RulePacks.js';
+
+/**
+ * 基坑监测方案文档
+ * 由当前基坑配置、测点布置、验证结论、监测频率计划和预警值汇编成可直接打印的 HTML 文档：
+ * 工程概况、监测点平面布置图、监测点一览表、监测项目及符合性、布置验证结论、监测频率和监测预警值。
+ * 平面图为按坐标绘制的 SVG，+x 为东、+z 为北
+ */
+
+const SEVERITY_NAMES = {
+    error: '不符合',
+    warning: '建议改进',
+    suggestion: '提示'
+};
+
+const ZONE_NAMES = {
+    primary: '主要影响区',
+    secondary: '次要影响区'
+};
+
+// 平面图绘图区宽度和最大高度（px）
+const PLAN_WIDTH = 680;
+const PLAN_MAX_HEIGHT = 820;
+const PLAN_MARGIN = 40;
+
+export class MonitoringSchemeReport {
+    /**
+     * @param {GB50497Validator} validator
+     * @param {WarningEngine} warningEngine
+     * @param {MonitoringFrequencyPlanner} frequencyPlanner
+     */
+    constructor(validator, warningEngine, frequencyPlanner) {
+        this.validator = validator;
+        this.warningEngine = warningEngine;
+        this.frequencyPlanner = frequencyPlanner;
+    }
+
+    /**
+     * 生成监测方案 HTML 文档
+     * @param {Object} options
+     *   config 基坑配置；sensors 已布置的传感器（position 为 { x, y, z }）；
+     *   geometry ExcavationMonitoringSystem.getLayoutGeometry() 的结果；
+     *   sections 绘制的监测断面（未绘制时按测点自动划分）；
+     *   plan 监测频率计划（默认按 frequencyPlanner.plan() 生成）；title 文档标题；date 编制日期
+     * @returns {string} 完整的 HTML 文档
+     */
+    build({ config, sensors, geometry, sections = null, plan = null, title = '基坑工程监测方案', date = new Date().toISOString().slice(0, 10) }) {
+        const validation = this.validator.validateLayout(config, sensors, sections ? { sections } : {});
+        const sectionView = this.validator.getSections(config, sensors, sections);
+        const requirements = this.validator.getRequirements(config);
+        const frequencyPlan = plan || this.frequencyPlanner.plan(config);
+
+        const chapters = [
+            this.renderProject(config, geometry),
+            this.renderPlan(config, sensors, geometry, sectionView.sections),
+            this.renderSchedule(sensors, sectionView),
+            this.renderItems(config, requirements, sensors),
+            this.renderFindings(validation, sensors),
+            this.renderFrequency(frequencyPlan),
+            this.renderThresholds(config, requirements, sensors)
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">打印 / 另存为PDF</button></div>
+<header>
+    <h1>${escapeHtml(title)}</h1>
+    <p>依据《建筑基坑工程监测技术标准》GB 50497-2019${(validation.rulePacks || []).map(pack =>
+        `、${escapeHtml(pack.name === pack.code ? pack.code : `《${pack.name}》${pack.code}`)}`).join('')}　编制日期：${escapeHtml(date)}</p>
+    <p class="${validation.isValid ? 'status-ok' : 'status-error'}">布置验证：${validation.isValid
+        ? '符合规范要求'
+        : `${validation.errors.length}项不符合规范要求`}，${validation.warnings.length}项建议改进</p>
+</header>
+${chapters.map((chapter, index) => `
+<section>
+    <h2>${index + 1}　${chapter.title}</h2>
+    ${chapter.body}
+</section>`).join('')}
+</body>
+</html>`;
+    }
+
+    renderProject(config, geometry) {
+        const { length, width, depth } = config.dimensions;
+        const outline = new PitOutline(config);
+        const system = getRetainingSystem(config);
+        const monitoringRange = this.validator.getMonitoringRange(config);
+        const supportLevels = new Set(geometry.supports.map(support => support.level)).size;
+        const anchorRows = GroundAnchors.forConfig(config).rows.length;
+        const shape = config.outline
+            ? `多边形（${outline.vertices.length}个顶点，外包尺寸 ${length.toFixed(1)}m × ${width.toFixed(1)}m）`
+            : `矩形 ${length.toFixed(1)}m × ${width.toFixed(1)}m`;
+
+        const structure = [system.name];
+        if (supportLevels > 0) structure.push(`${supportLevels}道内支撑、${geometry.columns.length}根立柱`);
+        if (anchorRows > 0) structure.push(`${anchorRows}排锚杆`);
+        if (system.soilNails) structure.push(`${new Set(geometry.nails.map(nail => nail.row)).size}排土钉`);
+
+        const rows = [
+            ['基坑类型', this.validator.getPitTypeName(config.type)],
+            ['安全等级', `${config.safetyLevel}级`],
+            ['平面形状', shape],
+            ['开挖深度', `${depth.toFixed(1)}m`],
+            ['支护形式', structure.join('，')],
+            ['监测范围', `基坑边线以外${monitoringRange.range.toFixed(1)}m（${monitoringRange.factor}倍开挖深度${
+                monitoringRange.reason ? `，${monitoringRange.reason}` : ''}，${describeBasis(monitoringRange.source, monitoringRange.clause)}）`]
+        ];
+
+        return {
+            title: '工程概况',
+            body: `
+    ${table(['项目', '内容'], rows.map(([name, value]) => [name, escapeHtml(value)]), 'params')}
+    ${this.renderStrata(config)}
+    ${this.renderEnvironment(config)}`
+        };
+    }
+
+    renderStrata(config) {
+        if (!config.strata) {
+            return '<h3>场地地层</h3><p>未导入钻孔资料，按基坑类型取典型地层。</p>';
+        }
+        const strata = Stratigraphy.fromJSON(config.strata);
+        const rows = strata.layers.map(layer => [
+            escapeHtml(layer.name),
+            layer.top.toFixed(2),
+            layer.bottom.toFixed(2),
+            SOIL_CLASSES[layer.soilClass]?.name || escapeHtml(layer.soilClass)
+        ]);
+        const water = strata.groundwaterLevel !== null ? `地下水位标高 ${strata.groundwaterLevel}m。` : '未测得地下水位。';
+        return `<h3>场地地层</h3>${table(['地层', '顶标高(m)', '底标高(m)', '岩土类别'], rows)}<p>${water}</p>`;
+    }
+
+    renderEnvironment(config) {
+        const objects = this.validator.assessProtectedObjects(config)
+            .filter(assessment => assessment.inZone)
+            .map(({ object, distance, zone }) => [
+                escapeHtml(object.name),
+                PROTECTED_OBJECT_KINDS[object.kind],
+                IMPORTANCE_LEVELS[object.importance] || '',
+                distance.toFixed(1),
+                ZONE_NAMES[zone]
+            ]);
+        const pipes = this.validator.assessPipelines(config)
+            .filter(assessment => assessment.inZone)
+            .map(({ pipe, distance }) => [
+                escapeHtml(pipe.name),
+                `${PIPELINE_USES[pipe.use] || ''}管线 DN${pipe.diameter}`,
+                `埋深${pipe.depth}m`,
+                distance.toFixed(1),
+                distance <= config.dimensions.depth ? ZONE_NAMES.primary : ZONE_NAMES.secondary
+            ]);
+        const rows = [...objects, ...pipes];
+
+        return `<h3>监测范围内的周边环境</h3>${rows.length > 0
+            ? table(['名称', '类别', '重要性/规格', '距基坑边线(m)', '影响分区'], rows)
+            : '<p>监测范围内无周边保护对象和地下管线。</p>'}`;
+    }
+
+    /**
+     * 监测点平面布置图
+     */
+    renderPlan(config, sensors, geometry, sections) {
+        const outline = new PitOutline(config);
+        const { range } = this.validator.getMonitoringRange(config);
+        const rangeOutline = outline.offsetVertices(range);
+        const objects = this.validator.assessProtectedObjects(config).filter(assessment => assessment.inZone);
+        const pipes = UndergroundPipelines.forConfig(config).pipes;
+
+        const points = [
+            ...rangeOutline,
+            ...sensors.map(sensor => sensor.position),
+            ...objects.flatMap(({ object }) => [
+                { x: object.x - object.length / 2, z: object.z - object.width / 2 },
+                { x: object.x + object.length / 2, z: object.z + object.width / 2 }
+            ])
+        ];
+        const minX = Math.min(...points.map(p => p.x));
+        const maxX = Math.max(...points.map(p => p.x));
+        const minZ = Math.min(...points.map(p => p.z));
+        const maxZ = Math.max(...points.map(p => p.z));
+        const scale = Math.min(
+            (PLAN_WIDTH - PLAN_MARGIN * 2) / Math.max(maxX - minX, 1),
+            (PLAN_MAX_HEIGHT - PLAN_MARGIN * 2) / Math.max(maxZ - minZ, 1)
+        );
+        const height = Math.ceil((maxZ - minZ) * scale + PLAN_MARGIN * 2);
+        // 北向为 +z，图纸上方为北
+        const px = x => (PLAN_MARGIN + (x - minX) * scale).toFixed(1);
+        const py = z => (PLAN_MARGIN + (maxZ - z) * scale).toFixed(1);
+        const polyline = list => list.map(p => `${px(p.x)},${py(p.z)}`).join(' ');
+
+        const parts = [];
+        parts.push(`<polygon points="${polyline(rangeOutline)}" class="range"/>`);
+        objects.forEach(({ object }) => {
+            const x = px(object.x - object.length / 2);
+            const y = py(object.z + object.width / 2);
+            parts.push(`<rect x="${x}" y="${y}" width="${(object.length * scale).toFixed(1)}" height="${(object.width * scale).toFixed(1)}" class="object object-${object.kind}"/>`);
+            parts.push(`<text x="${px(object.x)}" y="${py(object.z)}" class="object-label">${escapeHtml(object.name)}</text>`);
+        });
+        pipes.forEach(pipe => {
+            parts.push(`<polyline points="${polyline(pipe.route)}" class="pipeline"/>`);
+            parts.push(`<text x="${px(pipe.route[0].x)}" y="${py(pipe.route[0].z)}" class="pipeline-label">${escapeHtml(pipe.name)}</text>`);
+        });
+        parts.push(`<polygon points="${polyline(outline.vertices)}" class="pit"/>`);
+        sections.sections.forEach(section => {
+            parts.push(`<line x1="${px(section.start.x)}" y1="${py(section.start.z)}" x2="${px(section.end.x)}" y2="${py(section.end.z)}" class="section"/>`);
+            [section.start, section.end].forEach(point => {
+                parts.push(`<text x="${px(point.x)}" y="${py(point.z)}" class="section-label">${escapeHtml(section.name)}</text>`);
+            });
+        });
+        geometry.supports
+            .filter(support => support.level === 0)
+            .forEach(({ start, end }) => {
+                parts.push(`<line x1="${px(start.x)}" y1="${py(start.z)}" x2="${px(end.x)}" y2="${py(end.z)}" class="support"/>`);
+            });
+        geometry.columns.forEach(column => {
+            parts.push(`<rect x="${(Number(px(column.x)) - 2).toFixed(1)}" y="${(Number(py(column.z)) - 2).toFixed(1)}" width="4" height="4" class="column"/>`);
+        });
+        sensors.forEach(sensor => {
+            const color = hexColor(getSensorType(sensor.type)?.color);
+            const x = px(sensor.position.x);
+            const y = py(sensor.position.z);
+            parts.push(`<circle cx="${x}" cy="${y}" r="3.5" fill="${color}" class="sensor"/>`);
+            parts.push(`<text x="${(Number(x) + 5).toFixed(1)}" y="${(Number(y) - 4).toFixed(1)}" class="sensor-label">${escapeHtml(sensor.code)}</text>`);
+        });
+        parts.push(this.renderNorthArrow(PLAN_WIDTH - 30, 20));
+        parts.push(this.renderScaleBar(PLAN_MARGIN, height - 14, scale));
+
+        const legend = Object.entries(SENSOR_TYPES)
+            .map(([type, definition]) => ({ type, definition, count: sensors.filter(s => s.type === type).length }))
+            .filter(entry => entry.count > 0)
+            .map(({ definition, count }) => `<span class="legend-item"><i style="background:${hexColor(definition.color)}"></i>${definition.name}（${definition.code}）${count}个</span>`)
+            .join('');
+
+        return {
+            title: '监测点平面布置图',
+            body: `
+    <svg class="plan" viewBox="0 0 ${PLAN_WIDTH} ${height}" width="${PLAN_WIDTH}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        ${parts.join('\n        ')}
+    </svg>
+    <div class="legend">${legend || '尚未布置监测点'}</div>
+    <p class="note">图中粗实线为基坑边线，点划线为监测范围（${range.toFixed(1)}m），紫色线为监测断面，灰线为第1道支撑，小方块为立柱，阴影为监测范围内的周边保护对象，蓝线为地下管线。</p>`
+        };
+    }
+
+    renderNorthArrow(x, y) {
+        return `<g class="north"><path d="M${x},${y} l-6,18 l6,-5 l6,5 z"/><text x="${x}" y="${y + 30}">北</text></g>`;
+    }
+
+    renderScaleBar(x, y, scale) {
+        // 比例尺取约占图宽1/5的整数长度
+        const target = (PLAN_WIDTH - PLAN_MARGIN * 2) / 5 / scale;
+        const length = [1, 2, 5, 10, 20, 50, 100, 200].find(value => value >= target) || 500;
+        const width = length * scale;
+        return `<g class="scale"><path d="M${x},${y - 4} v4 h${width.toFixed(1)} v-4"/><text x="${(x + width + 4).toFixed(1)}" y="${y}">${length}m</text></g>`;
+    }
+
+    /**
+     * 监测点一览表，按监测项目分组，并列出各监测断面上的测点
+     */
+    renderSchedule(sensors, sectionView) {
+        const groups = Object.keys(SENSOR_TYPES)
+            .map(type => ({ type, sensors: sensors.filter(sensor => sensor.type === type) }))
+            .filter(group => group.sensors.length > 0);
+        if (groups.length === 0) {
+            return { title: '监测点一览表', body: '<p>尚未布置监测点。</p>' };
+        }
+
+        const sectionOf = new Map();
+        sectionView.sections.sections.forEach(section => {
+            sectionView.sections.assign(sensors).get(section.id).forEach(sensor => sectionOf.set(sensor.id, section.name));
+        });
+
+        const body = groups.map(({ type, sensors: group }) => {
+            const definition = SENSOR_TYPES[type];
+            const rows = [...group]
+                .sort((a, b) => a.code.localeCompare(b.code, 'zh-CN', { numeric: true }))
+                .map(sensor => {
+                    const { metadata = {} } = sensor;
+                    const remarks = [];
+                    if (Number(metadata.tubeDepth) > 0) remarks.push(`测斜管深${Number(metadata.tubeDepth).toFixed(1)}m`);
+                    if (metadata.designValue !== undefined && metadata.designValue !== '') remarks.push(`设计值${metadata.designValue}`);
+                    if (metadata.notes) remarks.push(metadata.notes);
+                    return [
+                        escapeHtml(sensor.code),
+                        sensor.position.x.toFixed(2),
+                        sensor.position.z.toFixed(2),
+                        sensor.position.y.toFixed(2),
+                        escapeHtml(getHostName(sensor.host)),
+                        escapeHtml(sectionOf.get(sensor.id) || ''),
+                        escapeHtml(metadata.instrumentModel || ''),
+                        escapeHtml(metadata.installDate || ''),
+                        escapeHtml(remarks.join('；'))
+                    ];
+                });
+            return `
+    <h3>${definition.name}（${definition.code}，${group.length}个，布点见${definition.clauses.placement}条）</h3>
+    ${table(['测点编号', 'X(m)', 'Z(m)', '标高(m)', '依附构件', '断面', '仪器型号', '埋设日期', '备注'], rows, 'schedule')}`;
+        }).join('');
+
+        return { title: '监测点一览表', body: body + this.renderSections(sectionView, sensors) };
+    }
+
+    /**
+     * 各监测断面上的监测项目（5.1.3）
+     */
+    renderSections({ sections, inferred }, sensors) {
+        if (sections.sections.length === 0) return '';
+        const assignment = sections.assign(sensors);
+        const rows = sections.sections.map(section => {
+            const members = assignment.get(section.id);
+            const items = Object.keys(SENSOR_TYPES)
+                .map(type => ({ type, codes: members.filter(sensor => sensor.type === type).map(sensor => sensor.code) }))
+                .filter(item => item.codes.length > 0)
+                .map(item => `${SENSOR_TYPES[item.type].name}：${item.codes.join('、')}`);
+            return [escapeHtml(section.name), escapeHtml(items.join('；')) || '—'];
+        });
+        return `
+    <h3>监测断面（5.1.3${inferred ? '，按深层水平位移等墙体测点自动划分' : ''}）</h3>
+    ${table(['断面', '断面上的监测项目及测点'], rows, 'sections')}`;
+    }
+
+    /**
+     * 监测项目表及各项目测点的符合情况
+     */
+    renderItems(config, requirements, sensors) {
+        if (!requirements) {
+            return { title: '监测项目', body: `<p>未找到${escapeHtml(this.validator.getPitTypeName(config.type))}${config.safetyLevel}级基坑的监测要求。</p>` };
+        }
+
+        const rows = ['required', 'recommended', 'optional'].flatMap(category => requirements[category].map(type => {
+            const count = sensors.filter(sensor => sensor.type === type).length;
+            const minimum = this.validator.getMinimumSensorCount(type, config);
+            let status;
+            if (category === 'required') {
+                if (count === 0) status = '<span class="status-error">缺少</span>';
+                else if (count < minimum) status = '<span class="status-warning">数量不足</span>';
+                else status = '<span class="status-ok">满足</span>';
+            } else if (count === 0) {
+                status = category === 'recommended' ? '<span class="status-warning">未布置</span>' : '未布置';
+            } else {
+                status = '<span class="status-ok">已布置</span>';
+            }
+            const source = requirements.sources && requirements.sources[type];
+            const categoryName = source
+                ? `${CATEGORY_NAMES[category]}（${escapeHtml(describeRuleSource(source.source, source.clause))}）`
+                : CATEGORY_NAMES[category];
+            return [this.validator.getSensorTypeName(type), categoryName, count, minimum, status];
+        }));
+
+        const tables = config.type === 'soil-rock'
+            ? `表${ITEM_TABLES.soil}、${ITEM_TABLES.rock}（4.2.3）`
+            : `表${ITEM_TABLES[config.type]}`;
+        const excluded = requirements.excluded.length > 0
+            ? `<p>支护形式为${escapeHtml(getRetainingSystem(config).name)}，不设${requirements.excluded.map(type => this.validator.getSensorTypeName(type)).join('、')}监测。</p>`
+            : '';
+
+        return {
+            title: '监测项目',
+            body: `
+    <p>${escapeHtml(this.validator.getPitTypeName(config.type))}${config.safetyLevel}级，按${tables}选择监测项目；周边环境监测项目按监测范围内的保护对象确定。</p>
+    ${table(['监测项目', '类别', '测点数', '最少测点数', '符合情况'], rows)}
+    ${excluded}`
+        };
+    }
+
+    renderFindings(validation, sensors) {
+        const codes = new Map(sensors.map(sensor => [sensor.id, sensor.code]));
+        const findings = ['error', 'warning', 'suggestion']
+            .flatMap(severity => validation.findings.filter(finding => finding.severity === severity));
+        if (findings.length === 0) {
+            return { title: '布置验证结论', body: '<p class="status-ok">传感器布置符合 GB50497-2019 标准要求。</p>' };
+        }
+
+        const rows = findings.map((finding, index) => [
+            index + 1,
+            `<span class="severity-${finding.severity}">${SEVERITY_NAMES[finding.severity]}</span>`,
+            escapeHtml(describeBasis(finding.source, finding.clause)) || '—',
+            escapeHtml(finding.message),
+            escapeHtml(finding.sensorIds.map(id => codes.get(id) ?? `#${id}`).join('、'))
+        ]);
+        const summary = validation.isValid
+            ? '传感器布置符合规范的强制性布置要求，以下为改进建议和提示。'
+            : `传感器布置有${validation.errors.length}项不符合规范要求，应调整后再实施。`;
+
+        return {
+            title: '布置验证结论',
+            body: `<p>${summary}</p>${table(['序号', '类别', '依据', '内容', '涉及测点'], rows, 'findings')}`
+        };
+    }
+
+    renderFrequency(plan) {
+        if (plan.periods.length === 0 || plan.items.length === 0) {
+            return { title: '监测频率', body: '<p>未编制施工进度，监测频率按表7.0.3确定。</p>' };
+        }
+
+        const header = ['施工阶段', '时间', '工况', ...plan.items.map(item =>
+            `${this.validator.getSensorTypeName(item.type)}<br>（${item.label}）`)];
+        const rows = plan.periods.map(period => [
+            escapeHtml(period.stageName),
+            `${period.start}～${period.end}`,
+            escapeHtml(period.description),
+            ...plan.items.map(item => {
+                const frequency = period.frequencies[item.type];
+                const text = this.frequencyPlanner.formatFrequency(frequency);
+                return frequency && frequency.escalated ? `<strong>${text}</strong>` : text;
+            })
+        ]);
+
+        return {
+            title: '监测频率',
+            body: `<p>按表7.0.3并结合施工进度确定；加粗者为因预警提高的频率（7.0.4）。</p>${
+                (plan.notes || []).map(note => `<p class="note">${escapeHtml(note)}</p>`).join('')}${table(header, rows, 'frequency')}`
+        };
+    }
+
+    /**
+     * 监测预警值：生效的累计值和变化速率，自定义值注明
+     */
+    renderThresholds(config, requirements, sensors) {
+        const types = Object.keys(SENSOR_TYPES).filter(type =>
+            sensors.some(sensor => sensor.type === type) ||
+            (requirements && [...requirements.required, ...requirements.recommended].includes(type)));
+        const custom = this.warningEngine.getSettings().thresholds;
+
+        const rows = types.map(type => {
+            const definition = SENSOR_TYPES[type];
+            const threshold = this.warningEngine.getThreshold(type, config);
+            const set = value => value !== null && value !== undefined;
+            let cumulative = '由设计确定';
+            if (set(threshold.cumulative)) cumulative = `${threshold.cumulative.toFixed(1)}${definition.unit}`;
+            else if (threshold.designRatio) cumulative = `设计值的${Math.round(threshold.designRatio * 100)}%`;
+            const rate = set(threshold.rate) ? `${threshold.rate.toFixed(1)}${definition.unit}/d` : '—';
+            const sources = [...new Set([threshold.sources.cumulative, threshold.sources.rate]
+                .filter(item => item && item.source !== BASE_STANDARD && item.source !== 'custom')
+                .map(item => describeRuleSource(item.source, item.clause)))];
+            let source = sources.length > 0 ? escapeHtml(sources.join('、')) : `${definition.clauses.warning}条`;
+            if (custom[type]) source = '自定义';
+            return [definition.name, cumulative, rate, source];
+        });
+
+        const category = this.warningEngine.getSupportCategory(config) === 'flexible'
+            ? '放坡、土钉墙、复合土钉墙、锚喷支护、水泥土墙'
+            : '灌注桩、地下连续墙、钢板桩、型钢水泥土墙';
+
+        return {
+            title: '监测预警值',
+            body: `
+    <p>支护结构类别：${category}（表8.0.4）。累计值取绝对值和相对基坑设计深度控制值的较小值；累计值和变化速率应同时控制（8.0.3）。</p>
+    ${table(['监测项目', '累计值', '变化速率', '依据'], rows)}`
+        };
+    }
+}
+
+/**
+ * 验证结论、监测范围的依据：GB50497 的规则只列条文号，规则包的规则注明标准编号
+ */
+function describeBasis(source, clause) {
+    if (!source || source === BASE_STANDARD) return clause || '';
+    return describeRuleSource(source, clause);
+}
+
+function table(headers, rows, className = '') {
+    return `<table${className ? ` class="${className}"` : ''}>
+        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function hexColor(color) {
+    return `#${(color ?? 0x666666).toString(16).padStart(6, '0')}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+const STYLES = `
+    @page { size: A4; margin: 18mm 15mm; }
+    body { font-family: "SimSun", "Songti SC", "Microsoft YaHei", serif; font-size: 12px; color: #000; max-width: 760px; margin: 0 auto; padding: 20px; }
+    header { text-align: center; border-bottom: 2px solid #000; margin-bottom: 16px; }
+    h1 { font-size: 22px; margin: 10px 0; }
+    h2 { font-size: 16px; border-bottom: 1px solid #999; padding-bottom: 4px; margin-top: 24px; }
+    h3 { font-size: 13px; margin: 14px 0 6px; }
+    table { width: 100%; border-collapse: collapse; margin: 6px 0 10px; }
+    th, td { border: 1px solid #666; padding: 3px 5px; text-align: center; vertical-align: top; }
+    th { background: #eee; }
+    table.params td:first-child { width: 90px; background: #f6f6f6; }
+    table.params td:last-child, table.findings td:nth-child(4), table.sections td:last-child { text-align: left; }
+    table.frequency { font-size: 10px; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    .plan { display: block; margin: 0 auto; border: 1px solid #999; background: #fff; }
+    .plan .range { fill: none; stroke: #999; stroke-dasharray: 8 3 2 3; }
+    .plan .pit { fill: #f3eee6; stroke: #000; stroke-width: 2; }
+    .plan .support { stroke: #888; stroke-width: 1.5; }
+    .plan .column { fill: #555; }
+    .plan .object { fill: #ddd; stroke: #666; }
+    .plan .object-road { fill: #eee; stroke-dasharray: 4 2; }
+    .plan .object-label, .plan .pipeline-label { font-size: 9px; fill: #444; text-anchor: middle; }
+    .plan .pipeline { fill: none; stroke: #1e6fd9; stroke-width: 1.5; stroke-dasharray: 6 3; }
+    .plan .pipeline-label { fill: #1e6fd9; text-anchor: start; }
+    .plan .section { stroke: #6a1b9a; stroke-width: 1.5; stroke-dasharray: 10 3 2 3; }
+    .plan .section-label { font-size: 10px; font-weight: bold; fill: #6a1b9a; text-anchor: middle; }
+    .plan .sensor { stroke: #000; stroke-width: 0.5; }
+    .plan .sensor-label { font-size: 8px; font-family: Arial, sans-serif; }
+    .plan .north path { fill: #000; }
+    .plan .north text, .plan .scale text { font-size: 10px; text-anchor: middle; }
+    .plan .scale path { fill: none; stroke: #000; }
+    .plan .scale text { text-anchor: start; }
+    .legend { margin: 6px 0; }
+    .legend-item { display: inline-block; margin-right: 12px; white-space: nowrap; }
+    .legend-item i { display: inline-block; width: 9px; height: 9px; border-radius: 50%; border: 1px solid #000; margin-right: 3px; }
+    .note { color: #444; font-size: 11px; }
+    .status-ok { color: #1a7f37; }
+    .status-warning, .severity-warning { color: #9a6700; }
+    .status-error, .severity-error { color: #cf222e; font-weight: bold; }
+    .severity-suggestion { color: #555; }
+    .toolbar { text-align: right; }
+    .toolbar button { padding: 6px 14px; font-size: 13px; cursor: pointer; }
+    @media print {
+        .toolbar { display: none; }
+        body { padding: 0; max-width: none; }
+        section { page-break-inside: auto; }
+        h2, h3 { page-break-after: avoid; }
+        .plan { max-width: 100%; height: auto; page-break-inside: avoid; }
+    }
+`;
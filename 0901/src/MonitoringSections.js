@@ -0,0 +1,160 @@
+import { PitOutline } from './PitOutline.js';
+
+/**
+ * 监测断面（GB50497-2019 5.1.3）
+ * 同一监控区域的不同监测项目宜布置在同一监测断面上，以便监测数据相互印证。
+ * 断面平面为横跨基坑边线的线段 start → end，测点距断面线不大于 tolerance 时归入该断面（就近归入一个断面）。
+ * 未绘制断面时按深层水平位移等墙体测点自动划分，见 infer()
+ */
+
+// 断面上的监测项目及宜同断面布置的配套项目
+export const SECTION_COMPANIONS = {
+    'deep-horizontal': ['horizontal-displacement', 'soil-pressure'],
+    'wall-internal-force': ['deep-horizontal'],
+    'soil-pressure': ['deep-horizontal', 'pore-pressure'],
+    'pore-pressure': ['soil-pressure'],
+    'anchor-force': ['horizontal-displacement'],
+    'layered-settlement': ['ground-settlement']
+};
+
+// 自动划分断面时作为断面位置的项目，按优先顺序
+const SEED_TYPES = ['deep-horizontal', 'wall-internal-force', 'soil-pressure', 'anchor-force'];
+
+// 测点归入断面的距离（m）
+export const SECTION_TOLERANCE = 3;
+
+export class MonitoringSections {
+    /**
+     * @param {Array} sections [{ id, name, start: { x, z }, end: { x, z } }]
+     */
+    constructor(sections = []) {
+        this.sections = [];
+        this.nextId = 1;
+        sections.forEach(section => this.add(section));
+    }
+
+    static fromJSON(data) {
+        return new MonitoringSections(data.sections || []);
+    }
+
+    toJSON() {
+        return {
+            sections: this.sections.map(({ id, name, start, end }) => ({
+                id, name, start: { x: start.x, z: start.z }, end: { x: end.x, z: end.z }
+            }))
+        };
+    }
+
+    /**
+     * 新增断面，未命名时按顺序命名为 1-1、2-2……
+     */
+    add(section) {
+        const id = section.id ?? this.nextId;
+        const index = this.sections.length + 1;
+        const normalized = {
+            id,
+            name: section.name || `${index}-${index}`,
+            start: { x: section.start.x, z: section.start.z },
+            end: { x: section.end.x, z: section.end.z }
+        };
+        this.nextId = Math.max(this.nextId, Number(id) + 1);
+        this.sections.push(normalized);
+        return normalized;
+    }
+
+    update(id, changes) {
+        const section = this.get(id);
+        if (!section) return null;
+        Object.assign(section, changes, { id });
+        return section;
+    }
+
+    remove(id) {
+        this.sections = this.sections.filter(section => section.id !== id);
+    }
+
+    get(id) {
+        return this.sections.find(section => section.id === id) || null;
+    }
+
+    /**
+     * 断面应横跨基坑边线
+     * @param {PitOutline} outline 基坑轮廓
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validate(outline) {
+        for (const section of this.sections) {
+            if (![section.start.x, section.start.z, section.end.x, section.end.z].every(Number.isFinite)) {
+                return `断面${section.name}的位置无效`;
+            }
+            const crosses = outline.edges.some(edge =>
+                PitOutline.segmentsIntersect(section.start, section.end, edge.start, edge.end)
+            );
+            if (!crosses) return `断面${section.name}应横跨基坑边线`;
+        }
+        return null;
+    }
+
+    /**
+     * 按测点自动划分断面：在深层水平位移、围护墙内力等墙体测点处垂直于最近的基坑边设断面，
+     * 已有断面附近的测点不再另设断面
+     * @param {PitOutline} outline 基坑轮廓
+     * @param {Array} sensors 传感器（position 为 { x, z }）
+     * @param {Object} options { inner 伸入坑内的长度, outer 伸出坑外的长度（宜取监测范围）, tolerance }
+     */
+    static infer(outline, sensors, { inner = 3, outer = 20, tolerance = SECTION_TOLERANCE } = {}) {
+        const result = new MonitoringSections();
+        SEED_TYPES.forEach(type => {
+            sensors.filter(sensor => sensor.type === type).forEach(sensor => {
+                const point = { x: sensor.position.x, z: sensor.position.z };
+                const covered = result.sections.some(section =>
+                    MonitoringSections.distanceToSection(point, section) <= tolerance
+                );
+                if (covered) return;
+
+                const edge = outline.edges.reduce((nearest, candidate) =>
+                    outline.distanceToEdge(point, candidate) < outline.distanceToEdge(point, nearest) ? candidate : nearest
+                );
+                const along = Math.min(Math.max(outline.positionAlongEdge(point, edge), 0), edge.length);
+                const station = { x: edge.start.x + edge.direction.x * along, z: edge.start.z + edge.direction.z * along };
+                result.add({
+                    start: { x: station.x - edge.outward.x * inner, z: station.z - edge.outward.z * inner },
+                    end: { x: station.x + edge.outward.x * outer, z: station.z + edge.outward.z * outer }
+                });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * 将测点归入最近的断面
+     * @returns {Map} 断面 id -> 传感器数组；不属于任何断面的测点不出现
+     */
+    assign(sensors, tolerance = SECTION_TOLERANCE) {
+        const assignment = new Map(this.sections.map(section => [section.id, []]));
+        sensors.forEach(sensor => {
+            const point = { x: sensor.position.x, z: sensor.position.z };
+            let nearest = null;
+            let best = tolerance;
+            this.sections.forEach(section => {
+                const distance = MonitoringSections.distanceToSection(point, section);
+                if (distance <= best) {
+                    best = distance;
+                    nearest = section;
+                }
+            });
+            if (nearest) assignment.get(nearest.id).push(sensor);
+        });
+        return assignment;
+    }
+
+    static distanceToSection(point, section) {
+        const dx = section.end.x - section.start.x;
+        const dz = section.end.z - section.start.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, ((point.x - section.start.x) * dx + (point.z - section.start.z) * dz) / lengthSq))
+            : 0;
+        return Math.hypot(point.x - (section.start.x + dx * t), point.z - (section.start.z + dz * t));
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * 基坑平面轮廓
+ * 基坑边线为 x-z 平面上的简单多边形，未指定 config.outline 时取 length × width 的矩形。
+ * 顶点统一为逆时针（俯视时 x 向右、z 向下看为顺时针），边的外法线指向坑外
+ */
+export class PitOutline {
+    /**
+     * @param {Object} config 基坑配置，config.outline 为 [{ x, z }] 顶点列表（可选）
+     */
+    constructor(config) {
+        const vertices = config.outline && config.outline.length >= 3
+            ? config.outline
+            : PitOutline.rectangle(config.dimensions.length, config.dimensions.width);
+        this.vertices = PitOutline.normalize(vertices);
+        this.edges = this.buildEdges();
+        this.corners = this.buildCorners();
+        this.bounds = this.computeBounds();
+    }
+
+    static rectangle(length, width) {
+        return [
+            { x: length / 2, z: -width / 2 },
+            { x: length / 2, z: width / 2 },
+            { x: -length / 2, z: width / 2 },
+            { x: -length / 2, z: -width / 2 }
+        ];
+    }
+
+    /**
+     * 去除重复点和共线点，并统一为逆时针
+     */
+    static normalize(vertices) {
+        let points = vertices.map(v => ({ x: Number(v.x), z: Number(v.z) }));
+        points = points.filter((p, i) => {
+            const next = points[(i + 1) % points.length];
+            return Math.hypot(next.x - p.x, next.z - p.z) > 1e-6;
+        });
+        points = points.filter((p, i) => {
+            const prev = points[(i + points.length - 1) % points.length];
+            const next = points[(i + 1) % points.length];
+            const cross = (p.x - prev.x) * (next.z - p.z) - (p.z - prev.z) * (next.x - p.x);
+            return Math.abs(cross) > 1e-6;
+        });
+        return PitOutline.signedArea(points) < 0 ? points.reverse() : points;
+    }
+
+    static signedArea(points) {
+        let sum = 0;
+        points.forEach((p, i) => {
+            const next = points[(i + 1) % points.length];
+            sum += p.x * next.z - next.x * p.z;
+        });
+        return sum / 2;
+    }
+
+    /**
+     * 检查顶点能否构成基坑边线
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validate(vertices) {
+        if (!Array.isArray(vertices) || vertices.length < 3) return '基坑轮廓至少需要3个顶点';
+        if (!vertices.every(v => Number.isFinite(Number(v.x)) && Number.isFinite(Number(v.z)))) {
+            return '基坑轮廓顶点坐标无效';
+        }
+
+        const points = PitOutline.normalize(vertices);
+        if (points.length < 3 || Math.abs(PitOutline.signedArea(points)) < 1) return '基坑轮廓面积过小';
+
+        // 不相邻的边不得相交
+        const count = points.length;
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                if (j === i + 1 || (i === 0 && j === count - 1)) continue;
+                if (PitOutline.segmentsIntersect(points[i], points[(i + 1) % count], points[j], points[(j + 1) % count])) {
+                    return `基坑轮廓第${i + 1}边与第${j + 1}边相交`;
+                }
+            }
+        }
+        return null;
+    }
+
+    static segmentsIntersect(a, b, c, d) {
+        const orient = (p, q, r) => Math.sign((q.x - p.x) * (r.z - p.z) - (q.z - p.z) * (r.x - p.x));
+        return orient(a, b, c) !== orient(a, b, d) && orient(c, d, a) !== orient(c, d, b);
+    }
+
+    buildEdges() {
+        return this.vertices.map((start, index) => {
+            const end = this.vertices[(index + 1) % this.vertices.length];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const direction = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+            return {
+                index,
+                start,
+                end,
+                length,
+                direction,
+                // 逆时针多边形的外法线为方向向量顺时针旋转90°
+                outward: { x: direction.z, z: -direction.x },
+                midpoint: { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 }
+            };
+        });
+    }
+
+    /**
+     * 角点：convex 为阳角（凸角），否则为阴角
+     */
+    buildCorners() {
+        return this.vertices.map((point, index) => {
+            const previous = this.edges[(index + this.edges.length - 1) % this.edges.length];
+            const next = this.edges[index];
+            const cross = previous.direction.x * next.direction.z - previous.direction.z * next.direction.x;
+            return { index, point, convex: cross > 0, previousEdge: previous.index, nextEdge: next.index };
+        });
+    }
+
+    computeBounds() {
+        const xs = this.vertices.map(v => v.x);
+        const zs = this.vertices.map(v => v.z);
+        const bounds = { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+        bounds.length = bounds.maxX - bounds.minX;
+        bounds.width = bounds.maxZ - bounds.minZ;
+        return bounds;
+    }
+
+    get convexCorners() {
+        return this.corners.filter(corner => corner.convex);
+    }
+
+    /**
+     * 点是否在基坑轮廓内（射线法）
+     */
+    contains(point) {
+        let inside = false;
+        const count = this.vertices.length;
+        for (let i = 0, j = count - 1; i < count; j = i++) {
+            const a = this.vertices[i];
+            const b = this.vertices[j];
+            if ((a.z > point.z) !== (b.z > point.z) &&
+                point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * 点到某条边（线段）的水平距离
+     */
+    distanceToEdge(point, edge) {
+        const dx = point.x - edge.start.x;
+        const dz = point.z - edge.start.z;
+        const t = Math.max(0, Math.min(edge.length, dx * edge.direction.x + dz * edge.direction.z));
+        return Math.hypot(dx - edge.direction.x * t, dz - edge.direction.z * t);
+    }
+
+    /**
+     * 点在边上的投影位置（距起点的长度）
+     */
+    positionAlongEdge(point, edge) {
+        return (point.x - edge.start.x) * edge.direction.x + (point.z - edge.start.z) * edge.direction.z;
+    }
+
+    distanceToOutline(point) {
+        return Math.min(...this.edges.map(edge => this.distanceToEdge(point, edge)));
+    }
+
+    /**
+     * 点到基坑边线的距离，坑内为负
+     */
+    signedDistance(point) {
+        const distance = this.distanceToOutline(point);
+        return this.contains(point) ? -distance : distance;
+    }
+
+    /**
+     * 从点 origin 沿方向 direction 射出，与轮廓的最近交点距离；无交点时返回 null
+     */
+    castRay(origin, direction) {
+        let nearest = null;
+        this.edges.forEach(edge => {
+            const ex = edge.end.x - edge.start.x;
+            const ez = edge.end.z - edge.start.z;
+            const denominator = direction.x * ez - direction.z * ex;
+            if (Math.abs(denominator) < 1e-9) return;
+            const wx = edge.start.x - origin.x;
+            const wz = edge.start.z - origin.z;
+            const t = (wx * ez - wz * ex) / denominator;
+            const u = (wx * direction.z - wz * direction.x) / denominator;
+            if (t > 1e-6 && u >= 0 && u <= 1 && (nearest === null || t < nearest)) nearest = t;
+        });
+        return nearest;
+    }
+
+    /**
+     * 将轮廓向外平移 distance（为负时向内），角点取两侧平移线的交点
+     * @returns {Array} [{ x, z }]，与 vertices 一一对应
+     */
+    offsetVertices(distance) {
+        return this.corners.map(corner => {
+            const a = this.edges[corner.previousEdge].outward;
+            const b = this.edges[corner.nextEdge].outward;
+            const scale = distance / (1 + a.x * b.x + a.z * b.z);
+            return { x: corner.point.x + (a.x + b.x) * scale, z: corner.point.z + (a.z + b.z) * scale };
+        });
+    }
+
+    /**
+     * 面积加权形心
+     */
+    centroid() {
+        let area = 0;
+        let cx = 0;
+        let cz = 0;
+        this.vertices.forEach((p, i) => {
+            const next = this.vertices[(i + 1) % this.vertices.length];
+            const cross = p.x * next.z - next.x * p.z;
+            area += cross;
+            cx += (p.x + next.x) * cross;
+            cz += (p.z + next.z) * cross;
+        });
+        return { x: cx / (3 * area), z: cz / (3 * area) };
+    }
+
+    /**
+     * 坑内代表点：形心在坑内时取形心，否则取最长边中点向坑内的跨中
+     */
+    interiorPoint() {
+        const center = this.centroid();
+        if (this.contains(center)) return center;
+
+        const edge = this.edges.reduce((longest, e) => (e.length > longest.length ? e : longest));
+        const inward = { x: -edge.outward.x, z: -edge.outward.z };
+        const span = this.castRay(edge.midpoint, inward) || 0;
+        return { x: edge.midpoint.x + inward.x * span / 2, z: edge.midpoint.z + inward.z * span / 2 };
+    }
+}
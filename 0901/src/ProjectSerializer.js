@@ -0,0 +1,294 @@
+import { PitOutline } from './PitOutline.js';
+import { Stratigraphy } from './Stratigraphy.js';
+import { RETAINING_SYSTEMS } from './RetainingSystems.js';
+import { GroundAnchors } from './GroundAnchors.js';
+import { ProtectedObjects } from './ProtectedObjects.js';
+import { UndergroundPipelines } from './UndergroundPipelines.js';
+import { parseRulePack } from './RulePacks.js';
+import { SENSOR_TYPES } from './SensorTypes.js';
+
+/**
+ * 监测布置项目文件的序列化与版本迁移
+ * 项目文件保存基坑配置、全部传感器及其元数据、监测数据、预警设置和施工进度，并带有格式版本号；
+ * 测斜数据、监测断面、自行加载的规则包和布置方案为可选数据段，未导入测斜数据、未绘制断面、未选用自行加载的规则包、
+ * 未建立布置方案时不保存；建立布置方案时 sensors 为当前方案的传感器
+ */
+export const PROJECT_FILE_FORMAT = 'excavation-monitoring-project';
+export const PROJECT_SCHEMA_VERSION = 5;
+
+// 仅含传感器数组的早期文件没有基坑配置，按界面的默认基坑（土质、一级、30m×20m、开挖深度10m）导入
+const PIT_TYPES = ['soil', 'rock', 'soil-rock'];
+const SAFETY_LEVELS = [1, 2, 3];
+
+const LEGACY_ARRAY_CONFIG = {
+    type: 'soil',
+    safetyLevel: 1,
+    dimensions: { length: 30, width: 20, depth: 10 }
+};
+
+export class ProjectSerializer {
+    constructor() {
+        // 版本迁移：键为源版本号，每一步将数据升级到下一版本
+        this.migrations = {
+            // 版本0：早期手工导出的 { config, sensors } 或仅含传感器的数组
+            0: (data) => {
+                const legacy = Array.isArray(data)
+                    ? { sensors: data, config: { ...LEGACY_ARRAY_CONFIG, dimensions: { ...LEGACY_ARRAY_CONFIG.dimensions } } }
+                    : data;
+                return {
+                    format: PROJECT_FILE_FORMAT,
+                    version: 1,
+                    savedAt: legacy.savedAt || null,
+                    config: legacy.config || null,
+                    sensors: (legacy.sensors || []).map(sensor => ({
+                        id: sensor.id,
+                        type: sensor.type,
+                        position: sensor.position,
+                        timestamp: sensor.timestamp || null,
+                        metadata: sensor.metadata || {}
+                    }))
+                };
+            },
+            // 版本1 -> 2：增加测点监测数据
+            1: (data) => ({
+                ...data,
+                version: 2,
+                data: { points: [] }
+            }),
+            // 版本2 -> 3：增加预警设置
+            2: (data) => ({
+                ...data,
+                version: 3,
+                warning: { supportCategory: 'rigid', thresholds: {} }
+            }),
+            // 版本3 -> 4：增加施工进度计划
+            3: (data) => ({
+                ...data,
+                version: 4,
+                timeline: { stages: [] }
+            }),
+            // 版本4 -> 5：传感器ID改为从1开始的永久编号，并增加测点编号（导入时自动生成）
+            4: (data) => {
+                const shift = id => Number(id) + 1;
+                return {
+                    ...data,
+                    version: 5,
+                    sensors: data.sensors.map((sensor, index) => ({
+                        ...sensor,
+                        id: shift(sensor.id ?? index),
+                        code: null
+                    })),
+                    data: {
+                        points: ((data.data && data.data.points) || []).map(point => ({
+                            ...point,
+                            id: String(shift(point.id))
+                        }))
+                    }
+                };
+            }
+        };
+    }
+
+    /**
+     * 将当前布置序列化为项目文件对象
+     * @param {Object} config 基坑配置
+     * @param {Array} sensors 传感器列表（getSensors() 的返回值）
+     * @param {Object} data 监测数据（SensorDataStore.toJSON() 的返回值）
+     * @param {Object} warning 预警设置（WarningEngine.getSettings() 的返回值）
+     * @param {Object} timeline 施工进度（ConstructionTimeline.toJSON() 的返回值）
+     * @param {Object|null} profiles 测斜数据（InclinometerProfiles.toJSON() 的返回值）
+     * @param {Object|null} sections 绘制的监测断面（MonitoringSections.toJSON() 的返回值），自动划分时为 null
+     * @param {Array} rulePacks 选用的自行加载的规则包（RulePackRegistry.getCustomPacks() 的返回值）
+     * @param {Object|null} schemes 布置方案（LayoutSchemes.toJSON() 的返回值），未建立方案时为 null
+     * @returns {Object} 项目文件数据
+     */
+    serialize(config, sensors, data = { points: [] }, warning = { supportCategory: 'rigid', thresholds: {} },
+        timeline = { stages: [] }, profiles = null, sections = null, rulePacks = [], schemes = null) {
+        return {
+            format: PROJECT_FILE_FORMAT,
+            version: PROJECT_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            config: {
+                type: config.type,
+                safetyLevel: config.safetyLevel,
+                // 支护形式，旧版本项目文件未保存时按地下连续墙＋内支撑处理
+                ...(config.retainingSystem ? { retainingSystem: config.retainingSystem } : {}),
+                dimensions: { ...config.dimensions },
+                // 多边形基坑的顶点，矩形基坑不保存
+                ...(config.outline ? { outline: config.outline.map(v => ({ x: v.x, z: v.z })) } : {}),
+                // 钻孔资料确定的地层，未导入时不保存
+                ...(config.strata ? { strata: Stratigraphy.fromJSON(config.strata).toJSON() } : {}),
+                // 锚杆参数，未指定时按支护形式取默认锚杆
+                ...(config.anchors ? { anchors: GroundAnchors.fromJSON(config.anchors).toJSON() } : {}),
+                // 周边保护对象，未记录时不保存（按无保护对象处理）
+                ...(config.environment ? { environment: ProtectedObjects.fromJSON(config.environment).toJSON() } : {}),
+                // 地下管线，未绘制时不保存
+                ...(config.pipelines ? { pipelines: UndergroundPipelines.fromJSON(config.pipelines).toJSON() } : {}),
+                // 选用的规则包 id，仅按 GB50497 时不保存
+                ...(config.rulePacks && config.rulePacks.length > 0 ? { rulePacks: [...config.rulePacks] } : {})
+            },
+            sensors: sensors.map(sensor => ({
+                id: sensor.id,
+                code: sensor.code,
+                type: sensor.type,
+                position: this.serializePosition(sensor.position),
+                host: sensor.host ? { ...sensor.host } : null,
+                timestamp: sensor.timestamp || null,
+                metadata: { ...(sensor.metadata || {}) }
+            })),
+            data,
+            warning,
+            timeline,
+            ...(profiles && profiles.points.length > 0 ? { profiles } : {}),
+            ...(sections ? { sections } : {}),
+            ...(rulePacks.length > 0 ? { rulePacks: { packs: rulePacks } } : {}),
+            ...(schemes ? { schemes } : {})
+        };
+    }
+
+    /**
+     * 解析项目文件，必要时迁移到当前版本
+     * @param {string|Object} source JSON 文本或已解析的对象
+     * @returns {Object} 当前版本的项目数据
+     */
+    deserialize(source) {
+        let data = source;
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                throw new Error(`项目文件不是有效的JSON：${error.message}`);
+            }
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('项目文件内容为空或格式错误');
+        }
+        if (data.format && data.format !== PROJECT_FILE_FORMAT) {
+            throw new Error(`不支持的项目文件格式：${data.format}`);
+        }
+
+        const project = this.migrate(data);
+        this.assertValid(project);
+        return project;
+    }
+
+    migrate(data) {
+        let version = Array.isArray(data) ? 0 : (data.version || 0);
+        if (version > PROJECT_SCHEMA_VERSION) {
+            throw new Error(`项目文件版本 v${version} 高于当前支持的 v${PROJECT_SCHEMA_VERSION}，请升级系统`);
+        }
+
+        let project = data;
+        while (version < PROJECT_SCHEMA_VERSION) {
+            const migrate = this.migrations[version];
+            if (!migrate) {
+                throw new Error(`缺少从 v${version} 升级的迁移规则`);
+            }
+            project = migrate(project);
+            version = project.version;
+        }
+        return project;
+    }
+
+    assertValid(project) {
+        const { config, sensors } = project;
+        if (!config || !config.dimensions) {
+            throw new Error('项目文件缺少基坑配置');
+        }
+
+        if (!PIT_TYPES.includes(config.type)) {
+            throw new Error(`项目文件中的基坑类型无效：${config.type}（应为 ${PIT_TYPES.join('、')}）`);
+        }
+        if (!SAFETY_LEVELS.includes(config.safetyLevel)) {
+            throw new Error(`项目文件中的安全等级无效：${config.safetyLevel}（应为1、2、3）`);
+        }
+        const { length, width, depth } = config.dimensions;
+        if (![length, width, depth].every(value => Number.isFinite(value) && value > 0)) {
+            throw new Error('项目文件中的基坑尺寸无效');
+        }
+        if (config.retainingSystem && !RETAINING_SYSTEMS[config.retainingSystem]) {
+            throw new Error('项目文件中的支护形式无效');
+        }
+        if (config.outline) {
+            const error = PitOutline.validate(config.outline);
+            if (error) throw new Error(`项目文件中的${error}`);
+        }
+        if (config.strata) {
+            const error = Array.isArray(config.strata.layers)
+                ? Stratigraphy.fromJSON(config.strata).validate()
+                : '钻孔资料格式错误';
+            if (error) throw new Error(`项目文件中的${error}`);
+        }
+        if (config.anchors) {
+            const error = Array.isArray(config.anchors.rows)
+                ? GroundAnchors.fromJSON(config.anchors).validate(depth)
+                : '锚杆参数格式错误';
+            if (error) throw new Error(`项目文件中的${error}`);
+        }
+        if (config.environment) {
+            const error = Array.isArray(config.environment.objects)
+                ? ProtectedObjects.fromJSON(config.environment).validate()
+                : '周边保护对象格式错误';
+            if (error) throw new Error(`项目文件中的${error}`);
+        }
+        if (config.pipelines) {
+            const error = Array.isArray(config.pipelines.pipes)
+                ? UndergroundPipelines.fromJSON(config.pipelines).validate()
+                : '地下管线格式错误';
+            if (error) throw new Error(`项目文件中的${error}`);
+        }
+        if (config.rulePacks && (!Array.isArray(config.rulePacks) || !config.rulePacks.every(id => typeof id === 'string'))) {
+            throw new Error('项目文件中的规则包列表格式错误');
+        }
+        if (!Array.isArray(sensors)) {
+            throw new Error('项目文件缺少传感器列表');
+        }
+
+        sensors.forEach((sensor, index) => this.assertValidSensor(sensor, `第${index + 1}个传感器`));
+        if (!project.data || !Array.isArray(project.data.points)) {
+            throw new Error('项目文件中的监测数据格式错误');
+        }
+        if (project.profiles && !Array.isArray(project.profiles.points)) {
+            throw new Error('项目文件中的测斜数据格式错误');
+        }
+        if (project.sections && !Array.isArray(project.sections.sections)) {
+            throw new Error('项目文件中的监测断面格式错误');
+        }
+        if (project.schemes) {
+            if (!Array.isArray(project.schemes.schemes) || project.schemes.schemes.length === 0 ||
+                !project.schemes.schemes.every(scheme => Array.isArray(scheme.sensors))) {
+                throw new Error('项目文件中的布置方案格式错误');
+            }
+            project.schemes.schemes.forEach(scheme => scheme.sensors.forEach((sensor, index) =>
+                this.assertValidSensor(sensor, `布置方案"${scheme.name}"中第${index + 1}个传感器`)));
+        }
+        if (project.rulePacks) {
+            if (!Array.isArray(project.rulePacks.packs)) throw new Error('项目文件中的规则包格式错误');
+            project.rulePacks.packs.forEach(pack => {
+                try {
+                    parseRulePack(pack);
+                } catch (error) {
+                    throw new Error(`项目文件中的${error.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {string} label 传感器的描述，用于错误信息
+     */
+    assertValidSensor(sensor, label) {
+        if (!SENSOR_TYPES[sensor.type]) {
+            throw new Error(`${label}的监测项目无效：${sensor.type}`);
+        }
+        const position = sensor.position || {};
+        if (![position.x, position.y, position.z].every(Number.isFinite)) {
+            throw new Error(`${label}的坐标无效`);
+        }
+    }
+
+    serializePosition(position) {
+        return { x: position.x, y: position.y, z: position.z };
+    }
+}
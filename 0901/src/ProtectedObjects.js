@@ -0,0 +1,184 @@
+/**
+ * 基坑周边保护对象（建筑、道路、隧道）
+ * 平面为与坐标轴平行的矩形：中心 (x, z)，length 沿 x 方向、width 沿 z 方向。
+ * 按对象到基坑边线的距离判定是否位于5.3.1规定的监测范围内，供三维模型绘制、验证器和自动布置使用
+ */
+export const PROTECTED_OBJECT_KINDS = {
+    building: '建筑',
+    road: '道路',
+    tunnel: '隧道'
+};
+
+export const FOUNDATION_TYPES = {
+    strip: '条形基础',
+    isolated: '独立基础',
+    raft: '筏板基础',
+    pile: '桩基础'
+};
+
+export const IMPORTANCE_LEVELS = {
+    general: '一般',
+    important: '重要',
+    critical: '特别重要'
+};
+
+// 各类对象新建时的默认属性；height 对建筑为高度、对隧道为断面高度，burialDepth 为隧道顶埋深
+const DEFAULTS = {
+    building: { length: 10, width: 8, height: 12, foundation: 'strip', importance: 'general', cracks: 0 },
+    road: { length: 40, width: 8, height: 0.2, importance: 'general' },
+    tunnel: { length: 60, width: 6, height: 6, burialDepth: 10, importance: 'important' }
+};
+
+export class ProtectedObjects {
+    /**
+     * @param {Array} objects [{ id, kind, name, x, z, length, width, height, foundation, importance, cracks, burialDepth }]
+     */
+    constructor(objects = []) {
+        this.objects = [];
+        this.nextId = 1;
+        objects.forEach(object => this.add(object));
+    }
+
+    /**
+     * 新建项目时界面中的示例对象（三栋建筑和两条道路），可编辑或删除
+     */
+    static createDefault(length, width) {
+        return new ProtectedObjects([
+            { kind: 'building', x: length / 2 + 15, z: width / 2 + 10, length: 8, width: 6, height: 12 },
+            { kind: 'building', x: -length / 2 - 12, z: -width / 2 - 8, length: 6, width: 5, height: 8 },
+            { kind: 'building', x: length / 2 + 20, z: -width / 2 - 15, length: 10, width: 8, height: 16 },
+            { kind: 'road', x: 0, z: width / 2 + 15, length: length + 40, width: 8 },
+            { kind: 'road', x: length / 2 + 15, z: 0, length: 8, width: width + 40 }
+        ]);
+    }
+
+    /**
+     * 基坑配置中的周边环境，config.environment 未指定时为空（不按示例对象确定监测项目）
+     */
+    static forConfig(config) {
+        return config.environment ? ProtectedObjects.fromJSON(config.environment) : new ProtectedObjects();
+    }
+
+    static fromJSON(data) {
+        return new ProtectedObjects(data.objects || []);
+    }
+
+    toJSON() {
+        return { objects: this.objects.map(object => ({ ...object })) };
+    }
+
+    add(object) {
+        const kind = PROTECTED_OBJECT_KINDS[object.kind] ? object.kind : 'building';
+        const id = object.id ?? this.nextId;
+        const count = this.objects.filter(o => o.kind === kind).length + 1;
+        const normalized = {
+            ...DEFAULTS[kind],
+            x: 0,
+            z: 0,
+            ...object,
+            id,
+            kind,
+            name: object.name || `${PROTECTED_OBJECT_KINDS[kind]}${count}`
+        };
+        this.nextId = Math.max(this.nextId, Number(id) + 1);
+        this.objects.push(normalized);
+        return normalized;
+    }
+
+    update(id, changes) {
+        const object = this.get(id);
+        if (!object) return null;
+        Object.assign(object, changes, { id });
+        return object;
+    }
+
+    remove(id) {
+        this.objects = this.objects.filter(object => object.id !== id);
+    }
+
+    get(id) {
+        return this.objects.find(object => object.id === id) || null;
+    }
+
+    /**
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validate() {
+        for (const object of this.objects) {
+            if (![object.x, object.z].every(Number.isFinite)) return `${object.name}的位置无效`;
+            if (!(object.length > 0 && object.width > 0 && object.height > 0)) return `${object.name}的尺寸应大于0`;
+            if (object.kind === 'building' && !FOUNDATION_TYPES[object.foundation]) return `${object.name}的基础形式无效`;
+            if (!IMPORTANCE_LEVELS[object.importance]) return `${object.name}的重要性等级无效`;
+            if (object.kind === 'tunnel' && !(object.burialDepth >= 0)) return `${object.name}的埋深无效`;
+        }
+        return null;
+    }
+
+    /**
+     * 平面角点，逆时针
+     */
+    static footprint(object) {
+        const hx = object.length / 2;
+        const hz = object.width / 2;
+        return [
+            { x: object.x + hx, z: object.z - hz },
+            { x: object.x + hx, z: object.z + hz },
+            { x: object.x - hx, z: object.z + hz },
+            { x: object.x - hx, z: object.z - hz }
+        ];
+    }
+
+    /**
+     * 四侧外墙：{ start, end, length, direction, outward }，顺序为东、北、西、南（与矩形基坑的边一致）
+     */
+    static sides(object) {
+        const corners = ProtectedObjects.footprint(object);
+        return corners.map((start, index) => {
+            const end = corners[(index + 1) % corners.length];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const direction = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+            return { index, start, end, length, direction, outward: { x: direction.z, z: -direction.x } };
+        });
+    }
+
+    static contains(object, point) {
+        return Math.abs(point.x - object.x) <= object.length / 2 && Math.abs(point.z - object.z) <= object.width / 2;
+    }
+
+    /**
+     * 对象平面到基坑边线的最近距离，与基坑重叠时为0
+     * @param {PitOutline} outline 基坑轮廓
+     */
+    static distanceToPit(object, outline) {
+        const corners = ProtectedObjects.footprint(object);
+        if (corners.some(corner => outline.contains(corner)) ||
+            outline.vertices.some(vertex => ProtectedObjects.contains(object, vertex))) {
+            return 0;
+        }
+
+        const fromCorners = Math.min(...corners.map(corner => outline.distanceToOutline(corner)));
+        const fromVertices = Math.min(...outline.vertices.map(vertex =>
+            Math.min(...ProtectedObjects.sides(object).map(side => outline.distanceToEdge(vertex, side)))
+        ));
+        return Math.min(fromCorners, fromVertices);
+    }
+
+    /**
+     * 判定各对象是否位于监测范围内：距基坑边线1倍开挖深度以内为主要影响区，其外至监测范围为次要影响区；
+     * 特别重要的对象监测范围取3倍开挖深度（5.3.1 条文说明：按保护对象的重要性确定）
+     * @param {PitOutline} outline 基坑轮廓
+     * @param {number} depth 开挖深度
+     * @param {number} range 监测范围（m），见 GB50497Validator.getMonitoringRange()
+     * @returns {Array} [{ object, distance, range, inZone, zone }]，zone 为 primary / secondary / null
+     */
+    assess(outline, depth, range) {
+        return this.objects.map(object => {
+            const distance = ProtectedObjects.distanceToPit(object, outline);
+            const limit = object.importance === 'critical' ? Math.max(range, depth * 3) : range;
+            const inZone = distance <= limit;
+            let zone = null;
+            if (inZone) zone = distance <= depth ? 'primary' : 'secondary';
+            return { object, distance, range: limit, inZone, zone };
+        });
+    }
+}
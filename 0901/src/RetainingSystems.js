@@ -0,0 +1,78 @@
+/**
+ * 基坑支护形式
+ * 支护形式决定三维模型中的围护结构，并按表4.2.1调整监测项目：
+ * 无内支撑（及立柱）时不测支撑轴力和立柱竖向位移、内力，无锚杆（土钉）时不测锚杆轴力，
+ * 无围护墙时不测围护墙内力和侧向土压力
+ *
+ * wall: 围护墙形式（continuous 连续墙、smw 型钢水泥土墙、pile 排桩），放坡和土钉墙为 null；
+ * slopeRatio: 坡率（水平:竖向）；supportCategory: 表8.0.4 的支护结构类别，见 WarningEngine
+ */
+export const DEFAULT_RETAINING_SYSTEM = 'diaphragm-wall';
+
+export const RETAINING_SYSTEMS = {
+    'slope': {
+        name: '放坡开挖',
+        supportCategory: 'flexible',
+        wall: null,
+        slopeRatio: 0.5,
+        crownBeam: false,
+        struts: false,
+        anchors: false,
+        soilNails: false
+    },
+    'soil-nailing': {
+        name: '土钉墙',
+        supportCategory: 'flexible',
+        wall: null,
+        slopeRatio: 0.3,
+        crownBeam: false,
+        struts: false,
+        anchors: false,
+        soilNails: true
+    },
+    'soldier-pile': {
+        name: '排桩＋旋喷桩止水帷幕',
+        supportCategory: 'rigid',
+        wall: 'pile',
+        curtain: true,
+        crownBeam: true,
+        struts: true,
+        anchors: false,
+        soilNails: false
+    },
+    'smw': {
+        name: '型钢水泥土搅拌墙（SMW工法）',
+        supportCategory: 'rigid',
+        wall: 'smw',
+        crownBeam: true,
+        struts: true,
+        anchors: false,
+        soilNails: false
+    },
+    'diaphragm-wall': {
+        name: '地下连续墙＋内支撑',
+        supportCategory: 'rigid',
+        wall: 'continuous',
+        crownBeam: true,
+        struts: true,
+        anchors: false,
+        soilNails: false
+    },
+    'anchored-pile': {
+        name: '排桩＋锚杆',
+        supportCategory: 'rigid',
+        wall: 'pile',
+        curtain: false,
+        crownBeam: true,
+        struts: false,
+        anchors: true,
+        soilNails: false
+    }
+};
+
+/**
+ * 基坑配置的支护形式，未指定时为地下连续墙＋内支撑
+ */
+export function getRetainingSystem(config) {
+    return RETAINING_SYSTEMS[config.retainingSystem] || RETAINING_SYSTEMS[DEFAULT_RETAINING_SYSTEM];
+}
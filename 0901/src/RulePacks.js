@@ -0,0 +1,307 @@
+import { SENSOR_TYPES } from './SensorTypes.js';
+import { RETAINING_SYSTEMS, DEFAULT_RETAINING_SYSTEM } from './RetainingSystems.js';
+
+/**
+ * 地方标准、行业标准规则包
+ * GB50497-2019 的规则由验证器和预警引擎内置，规则包以声明式 JSON 补充其他标准的要求，
+ * 项目可选择适用的规则包（config.rulePacks 为规则包 id 列表）。同一规则有多个来源时取较严者：
+ * 监测项目类别取较高者，最少测点数取较大者，最大间距取较小者，监测范围取较大者，预警值取较小者
+ *
+ * 规则包格式：
+ * {
+ *   format: 'excavation-rule-pack', id, name, code 标准编号, note 说明,
+ *   items:     [{ type, category: required|recommended|optional, clause }]   监测项目类别
+ *   minCounts: [{ type, scope: total|side|level, min, clause }]              最少测点数（全部、每边、每道支撑）
+ *   spacings:  [{ type, max, clause }]                                       测点最大间距（m）
+ *   range:     { factor, clause }                                            监测范围（开挖深度的倍数）
+ *   warnings:  [{ type, cumulative, rate, clause }]                          预警值（mm、mm/d）
+ * }
+ * 各条规则可用 pitTypes、safetyLevels、retainingSystems（预警值另有 supportCategories）限定适用范围，未限定时均适用；
+ * clause 为条文号（如 "5.2.1"），或无法给出本标准条文号时注明出处的文字（如 "GB 50497-2019 第5.3.1条条文说明引述"）
+ */
+export const RULE_PACK_FORMAT = 'excavation-rule-pack';
+
+// 内置规则的来源
+export const BASE_STANDARD = 'GB50497-2019';
+
+export const CATEGORY_RANK = { optional: 1, recommended: 2, required: 3 };
+const COUNT_SCOPES = ['total', 'side', 'level'];
+const PIT_TYPES = ['soil', 'rock', 'soil-rock'];
+const SUPPORT_CATEGORIES = ['flexible', 'rigid'];
+
+/**
+ * 解析并校验规则包
+ * @param {string|Object} source JSON 文本或对象
+ * @returns {Object} 规范化的规则包，各条规则带有来源 source（标准编号）
+ */
+export function parseRulePack(source) {
+    let data = source;
+    if (typeof source === 'string') {
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`规则包不是有效的JSON：${error.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || data.format !== RULE_PACK_FORMAT) {
+        throw new Error(`无法识别的规则包格式，format 应为 ${RULE_PACK_FORMAT}`);
+    }
+    if (typeof data.id !== 'string' || !data.id || typeof data.code !== 'string' || !data.code) {
+        throw new Error('规则包缺少 id 或标准编号 code');
+    }
+    const label = data.code;
+    const fail = message => { throw new Error(`规则包${label}：${message}`); };
+    const list = (key) => {
+        if (data[key] === undefined) return [];
+        if (!Array.isArray(data[key])) fail(`${key} 应为数组`);
+        return data[key].map((rule, index) => {
+            if (!rule || typeof rule !== 'object') fail(`${key} 第${index + 1}条格式错误`);
+            checkScope(rule, `${key} 第${index + 1}条`, fail);
+            return rule;
+        });
+    };
+    const knownType = (rule, where) => {
+        if (!SENSOR_TYPES[rule.type]) fail(`${where}的监测项目 ${rule.type} 不存在`);
+    };
+    const positive = (value, where) => {
+        if (!Number.isFinite(value) || value <= 0) fail(`${where}应为正数`);
+    };
+
+    const items = list('items').map((rule, index) => {
+        knownType(rule, `items 第${index + 1}条`);
+        if (!CATEGORY_RANK[rule.category]) fail(`items 第${index + 1}条的类别应为 required、recommended 或 optional`);
+        return rule;
+    });
+    const minCounts = list('minCounts').map((rule, index) => {
+        knownType(rule, `minCounts 第${index + 1}条`);
+        const scope = rule.scope || 'total';
+        if (!COUNT_SCOPES.includes(scope)) fail(`minCounts 第${index + 1}条的 scope 应为 ${COUNT_SCOPES.join('、')}`);
+        positive(rule.min, `minCounts 第${index + 1}条的 min `);
+        return { ...rule, scope };
+    });
+    const spacings = list('spacings').map((rule, index) => {
+        knownType(rule, `spacings 第${index + 1}条`);
+        positive(rule.max, `spacings 第${index + 1}条的 max `);
+        return rule;
+    });
+    const warnings = list('warnings').map((rule, index) => {
+        knownType(rule, `warnings 第${index + 1}条`);
+        ['cumulative', 'rate'].forEach(key => {
+            if (rule[key] !== undefined) positive(rule[key], `warnings 第${index + 1}条的 ${key} `);
+        });
+        if ((rule.supportCategories || []).some(category => !SUPPORT_CATEGORIES.includes(category))) {
+            fail(`warnings 第${index + 1}条的 supportCategories 应为 flexible 或 rigid`);
+        }
+        return rule;
+    });
+    let range = null;
+    if (data.range !== undefined && data.range !== null) {
+        checkScope(data.range, 'range', fail);
+        positive(data.range.factor, 'range.factor ');
+        range = data.range;
+    }
+
+    const tag = rule => ({ ...rule, source: data.code, pack: data.id });
+    return {
+        format: RULE_PACK_FORMAT,
+        id: data.id,
+        name: data.name || data.code,
+        code: data.code,
+        note: data.note || '',
+        items: items.map(tag),
+        minCounts: minCounts.map(tag),
+        spacings: spacings.map(tag),
+        range: range ? tag(range) : null,
+        warnings: warnings.map(tag)
+    };
+}
+
+function checkScope(rule, where, fail) {
+    if ((rule.pitTypes || []).some(type => !PIT_TYPES.includes(type))) {
+        fail(`${where}的 pitTypes 应为 ${PIT_TYPES.join('、')}`);
+    }
+    if ((rule.safetyLevels || []).some(level => ![1, 2, 3].includes(level))) {
+        fail(`${where}的 safetyLevels 应为 1、2、3`);
+    }
+    if ((rule.retainingSystems || []).some(system => !RETAINING_SYSTEMS[system])) {
+        fail(`${where}的 retainingSystems 含未知的支护形式`);
+    }
+}
+
+/**
+ * 规则包的导出形式（去掉解析时附加的来源），供项目文件保存
+ */
+export function serializeRulePack(pack) {
+    const strip = ({ source, pack: id, ...rule }) => rule;
+    return {
+        format: RULE_PACK_FORMAT,
+        id: pack.id,
+        name: pack.name,
+        code: pack.code,
+        ...(pack.note ? { note: pack.note } : {}),
+        items: pack.items.map(strip),
+        minCounts: pack.minCounts.map(strip),
+        spacings: pack.spacings.map(strip),
+        ...(pack.range ? { range: strip(pack.range) } : {}),
+        warnings: pack.warnings.map(strip)
+    };
+}
+
+/**
+ * 已加载的规则包：内置规则包和用户加载的规则包
+ */
+export class RulePackRegistry {
+    /**
+     * @param {Array} packs 规则包（JSON 文本或对象）
+     */
+    constructor(packs = []) {
+        this.packs = new Map();
+        // 用户加载的规则包 id，随项目文件保存
+        this.custom = new Set();
+        packs.forEach(pack => this.register(pack));
+    }
+
+    /**
+     * 加载规则包，id 相同时替换
+     * @param {string|Object} source 规则包
+     * @param {boolean} custom 是否为用户加载的规则包
+     * @returns {Object} 规范化的规则包
+     */
+    register(source, custom = false) {
+        const pack = parseRulePack(source);
+        this.packs.set(pack.id, pack);
+        if (custom) this.custom.add(pack.id);
+        return pack;
+    }
+
+    get(id) {
+        return this.packs.get(id) || null;
+    }
+
+    list() {
+        return [...this.packs.values()];
+    }
+
+    getCustomPacks() {
+        return [...this.custom].map(id => serializeRulePack(this.packs.get(id)));
+    }
+
+    /**
+     * 项目选用的规则包合成的规则集
+     * @param {Array} ids 规则包 id 列表
+     */
+    resolve(ids = []) {
+        const packs = ids.map(id => this.get(id)).filter(Boolean);
+        const missing = ids.filter(id => !this.get(id));
+        return new RuleSet(packs, missing);
+    }
+}
+
+/**
+ * 选用的规则包合成的规则集
+ * 各查询方法传入 GB50497 的取值 base（{ value, clause }），返回较严者 { value, clause, source }
+ */
+export class RuleSet {
+    constructor(packs = [], missing = []) {
+        this.packs = packs;
+        this.missing = missing;
+    }
+
+    isEmpty() {
+        return this.packs.length === 0;
+    }
+
+    /**
+     * 适用于该基坑的某类规则
+     */
+    rules(kind, config) {
+        const system = config.retainingSystem || DEFAULT_RETAINING_SYSTEM;
+        return this.packs.flatMap(pack => (kind === 'range' ? (pack.range ? [pack.range] : []) : pack[kind]))
+            .filter(rule =>
+                (!rule.pitTypes || rule.pitTypes.includes(config.type)) &&
+                (!rule.safetyLevels || rule.safetyLevels.includes(config.safetyLevel)) &&
+                (!rule.retainingSystems || rule.retainingSystems.includes(system))
+            );
+    }
+
+    /**
+     * 规则包对监测项目类别的要求，取各规则包中最高的类别
+     * @returns {Object} 监测项目 -> { category, clause, source }
+     */
+    getItemCategories(config) {
+        const categories = {};
+        this.rules('items', config).forEach(rule => {
+            const current = categories[rule.type];
+            if (!current || CATEGORY_RANK[rule.category] > CATEGORY_RANK[current.category]) {
+                categories[rule.type] = { category: rule.category, clause: rule.clause || null, source: rule.source };
+            }
+        });
+        return categories;
+    }
+
+    /**
+     * 最少测点数
+     * @param {string} scope total 全部、side 每边、level 每道支撑
+     */
+    getMinCount(config, type, scope, base) {
+        return this.stricter(base, this.rules('minCounts', config)
+            .filter(rule => rule.type === type && rule.scope === scope)
+            .map(rule => ({ value: rule.min, clause: rule.clause, source: rule.source })), (a, b) => a > b);
+    }
+
+    /**
+     * 测点最大间距
+     */
+    getMaxSpacing(config, type, base) {
+        return this.stricter(base, this.rules('spacings', config)
+            .filter(rule => rule.type === type)
+            .map(rule => ({ value: rule.max, clause: rule.clause, source: rule.source })), (a, b) => a < b);
+    }
+
+    /**
+     * 监测范围（开挖深度的倍数）
+     */
+    getRangeFactor(config, base) {
+        return this.stricter(base, this.rules('range', config)
+            .map(rule => ({ value: rule.factor, clause: rule.clause, source: rule.source })), (a, b) => a > b);
+    }
+
+    /**
+     * 预警值，累计值和速率分别取较小者
+     * @param {Object} base { cumulative, rate, clause }（GB50497 默认值及其条文号）
+     * @param {string} supportCategory 支护结构类别
+     * @returns {Object} { cumulative: { value, clause, source }, rate: { ... } }
+     */
+    getWarningThreshold(config, type, base, supportCategory) {
+        const rules = this.rules('warnings', config).filter(rule => rule.type === type &&
+            (!rule.supportCategories || rule.supportCategories.includes(supportCategory)));
+        const pick = key => this.stricter({ value: base[key], clause: base.clause },
+            rules.filter(rule => rule[key] !== undefined)
+                .map(rule => ({ value: rule[key], clause: rule.clause, source: rule.source })),
+            (a, b) => a < b);
+        return { cumulative: pick('cumulative'), rate: pick('rate') };
+    }
+
+    /**
+     * 在 GB50497 取值和规则包取值中取较严者，相同时保留 GB50497 的来源
+     * @param {Function} isStricter (a, b) => a 是否比 b 严
+     */
+    stricter(base, candidates, isStricter) {
+        let best = { value: base.value ?? null, clause: base.clause || null, source: BASE_STANDARD };
+        candidates.forEach(candidate => {
+            if (best.value === null || best.value === undefined || isStricter(candidate.value, best.value)) {
+                best = { value: candidate.value, clause: candidate.clause || null, source: candidate.source };
+            }
+        });
+        return best;
+    }
+}
+
+/**
+ * 规则来源的说明，如"DG/TJ 08-2001-2016 第5.2.1条"；clause 不是条文号时附注出处，
+ * 如"DG/TJ 08-2001-2016（GB 50497-2019 第5.3.1条条文说明引述）"
+ */
+export function describeRuleSource(source, clause) {
+    if (!clause) return source;
+    return /^\d+(\.\d+)*$/.test(clause) ? `${source} 第${clause}条` : `${source}（${clause}）`;
+}
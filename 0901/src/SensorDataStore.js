@@ -0,0 +1,271 @@
+/**
+ * 监测数据存储
+ * 按测点保存时序观测值，计算累计变化量和变化速率（GB50497-2019 第8章）
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class SensorDataStore {
+    constructor() {
+        // 测点编号 -> { initialValue, readings: [{ time, value }] }，readings 按时间升序
+        this.points = new Map();
+    }
+
+    /**
+     * 添加观测值
+     * @param {string|number} pointId 测点编号
+     * @param {Array} readings [{ time, value }]，time 可为时间戳、Date 或日期字符串
+     * @returns {number} 实际写入的观测值数量
+     */
+    addReadings(pointId, readings) {
+        const point = this.ensurePoint(pointId);
+        let added = 0;
+
+        readings.forEach(reading => {
+            const time = this.parseTime(reading.time);
+            const value = Number(reading.value);
+            if (time === null || !Number.isFinite(value)) return;
+
+            // 同一时刻的重复观测以最后一次为准
+            const existing = point.readings.find(r => r.time === time);
+            if (existing) {
+                existing.value = value;
+            } else {
+                point.readings.push({ time, value });
+            }
+            added++;
+        });
+
+        point.readings.sort((a, b) => a.time - b.time);
+        return added;
+    }
+
+    /**
+     * 设置测点初始值；未设置时取首次观测值
+     */
+    setInitialValue(pointId, value) {
+        const point = this.ensurePoint(pointId);
+        point.initialValue = value === null || value === '' ? null : Number(value);
+    }
+
+    getInitialValue(pointId) {
+        const point = this.points.get(this.key(pointId));
+        if (!point) return null;
+        if (Number.isFinite(point.initialValue)) return point.initialValue;
+        return point.readings.length > 0 ? point.readings[0].value : null;
+    }
+
+    getReadings(pointId) {
+        const point = this.points.get(this.key(pointId));
+        return point ? point.readings.map(r => ({ ...r })) : [];
+    }
+
+    hasData(pointId) {
+        const point = this.points.get(this.key(pointId));
+        return !!point && point.readings.length > 0;
+    }
+
+    /**
+     * 导出单个测点的数据副本，用于撤销删除
+     * @returns {Object|null} { initialValue, readings }
+     */
+    getPoint(pointId) {
+        const point = this.points.get(this.key(pointId));
+        return point
+            ? { initialValue: point.initialValue, readings: point.readings.map(r => ({ ...r })) }
+            : null;
+    }
+
+    /**
+     * 恢复 getPoint() 导出的测点数据
+     */
+    setPoint(pointId, point) {
+        this.points.set(this.key(pointId), {
+            initialValue: point.initialValue,
+            readings: point.readings.map(r => ({ ...r }))
+        });
+    }
+
+    removePoint(pointId) {
+        this.points.delete(this.key(pointId));
+    }
+
+    clear() {
+        this.points.clear();
+    }
+
+    /**
+     * 计算测点的累计变化量与变化速率
+     * @param {string|number} pointId 测点编号
+     * @returns {Object|null} 统计结果，无观测数据时返回 null
+     */
+    getStatistics(pointId) {
+        const point = this.points.get(this.key(pointId));
+        if (!point || point.readings.length === 0) return null;
+
+        const initialValue = this.getInitialValue(pointId);
+        const series = point.readings.map((reading, index) => {
+            const previous = point.readings[index - 1];
+            let rate = null;
+            if (previous) {
+                const days = (reading.time - previous.time) / MS_PER_DAY;
+                rate = days > 0 ? (reading.value - previous.value) / days : null;
+            }
+            return {
+                time: reading.time,
+                value: reading.value,
+                cumulative: reading.value - initialValue,
+                rate
+            };
+        });
+
+        const latest = series[series.length - 1];
+        const rates = series.map(s => s.rate).filter(r => r !== null);
+
+        return {
+            pointId: this.key(pointId),
+            initialValue,
+            latestValue: latest.value,
+            latestTime: latest.time,
+            cumulativeChange: latest.cumulative,
+            dailyRate: latest.rate,
+            maxCumulativeChange: series.reduce((max, s) =>
+                Math.abs(s.cumulative) > Math.abs(max) ? s.cumulative : max, 0),
+            maxDailyRate: rates.reduce((max, r) => Math.abs(r) > Math.abs(max) ? r : max, 0),
+            readingCount: series.length,
+            series
+        };
+    }
+
+    getAllStatistics() {
+        const results = {};
+        this.points.forEach((point, pointId) => {
+            const stats = this.getStatistics(pointId);
+            if (stats) results[pointId] = stats;
+        });
+        return results;
+    }
+
+    /**
+     * 导入CSV观测数据，列：测点编号,时间,数值（首行可为表头）
+     * @param {string} text CSV文本
+     * @param {Function} resolvePoint 可选，将文件中的测点编号转换为存储键，返回 null 表示无法匹配
+     * @returns {Object} { imported, skipped, points, unmatched }
+     */
+    importCSV(text, resolvePoint = null) {
+        const rows = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const grouped = {};
+        let skipped = 0;
+
+        rows.forEach((line, index) => {
+            const cells = line.split(/[,，;\t]/).map(cell => cell.trim());
+            if (index === 0 && !Number.isFinite(Number(cells[2]))) return; // 表头
+
+            const [pointId, time, value] = cells;
+            if (!pointId || this.parseTime(time) === null || !Number.isFinite(Number(value))) {
+                skipped++;
+                return;
+            }
+            (grouped[pointId] = grouped[pointId] || []).push({ time, value });
+        });
+
+        return this.importGrouped(grouped, skipped, resolvePoint);
+    }
+
+    /**
+     * 导入JSON观测数据
+     * 支持 [{ point, time, value }] 平铺数组，或 { points: [{ id, initialValue, readings }] }
+     * @param {string|Object} source JSON文本或对象
+     * @param {Function} resolvePoint 同 importCSV
+     */
+    importJSON(source, resolvePoint = null) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+        const grouped = {};
+        let skipped = 0;
+
+        if (Array.isArray(data)) {
+            data.forEach(row => {
+                const pointId = row.point ?? row.pointId ?? row.id;
+                if (pointId === undefined || pointId === null) {
+                    skipped++;
+                    return;
+                }
+                (grouped[pointId] = grouped[pointId] || []).push(row);
+            });
+        } else if (data && Array.isArray(data.points)) {
+            data.points.forEach(point => {
+                grouped[point.id] = (grouped[point.id] || []).concat(point.readings || []);
+            });
+        } else {
+            throw new Error('无法识别的监测数据格式');
+        }
+
+        const initialValues = Array.isArray(data) ? [] : data.points
+            .filter(point => point.initialValue !== undefined && point.initialValue !== null);
+        const result = this.importGrouped(grouped, skipped, resolvePoint);
+        initialValues.forEach(point => {
+            const key = resolvePoint ? resolvePoint(point.id) : point.id;
+            if (key !== null && key !== undefined) this.setInitialValue(key, point.initialValue);
+        });
+        return result;
+    }
+
+    importGrouped(grouped, skipped, resolvePoint) {
+        let imported = 0;
+        const points = [];
+        const unmatched = [];
+        Object.entries(grouped).forEach(([pointId, readings]) => {
+            const key = resolvePoint ? resolvePoint(pointId) : pointId;
+            if (key === null || key === undefined) {
+                unmatched.push(pointId);
+                skipped += readings.length;
+                return;
+            }
+            const added = this.addReadings(key, readings);
+            imported += added;
+            skipped += readings.length - added;
+            points.push(this.key(key));
+        });
+        return { imported, skipped, points, unmatched };
+    }
+
+    /**
+     * 序列化为项目文件中的数据段
+     */
+    toJSON() {
+        return {
+            points: Array.from(this.points.entries()).map(([id, point]) => ({
+                id,
+                initialValue: Number.isFinite(point.initialValue) ? point.initialValue : null,
+                readings: point.readings.map(r => ({ time: new Date(r.time).toISOString(), value: r.value }))
+            }))
+        };
+    }
+
+    load(data) {
+        this.clear();
+        if (data && Array.isArray(data.points)) {
+            this.importJSON(data);
+        }
+    }
+
+    ensurePoint(pointId) {
+        const key = this.key(pointId);
+        if (!this.points.has(key)) {
+            this.points.set(key, { initialValue: null, readings: [] });
+        }
+        return this.points.get(key);
+    }
+
+    key(pointId) {
+        return String(pointId);
+    }
+
+    parseTime(time) {
+        if (time instanceof Date) return Number.isNaN(time.getTime()) ? null : time.getTime();
+        if (typeof time === 'number') return Number.isFinite(time) ? time : null;
+        if (typeof time !== 'string' || time.length === 0) return null;
+
+        const parsed = Date.parse(time.replace(/\//g, '-'));
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+}
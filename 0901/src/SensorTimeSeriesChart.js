@@ -0,0 +1,102 @@
+/**
+ * 单测点时程曲线
+ * 在 canvas 上绘制累计变化量随时间的变化
+ */
+export class SensorTimeSeriesChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 16, right: 12, bottom: 28, left: 48 };
+    }
+
+    /**
+     * 绘制曲线
+     * @param {Object|null} stats SensorDataStore.getStatistics() 的结果
+     * @param {Object} options { unit }
+     */
+    render(stats, options = {}) {
+        const { ctx, canvas, padding } = this;
+        const unit = options.unit || 'mm';
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (!stats || stats.series.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '12px Microsoft YaHei, Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('该测点暂无监测数据', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const series = stats.series;
+        const plotWidth = canvas.width - padding.left - padding.right;
+        const plotHeight = canvas.height - padding.top - padding.bottom;
+
+        const times = series.map(s => s.time);
+        const values = series.map(s => s.cumulative);
+        const minTime = Math.min(...times);
+        const maxTime = Math.max(...times);
+        let minValue = Math.min(0, ...values);
+        let maxValue = Math.max(0, ...values);
+        if (maxValue === minValue) {
+            maxValue += 1;
+            minValue -= 1;
+        }
+
+        const toX = time => padding.left + (maxTime === minTime ? plotWidth / 2 :
+            (time - minTime) / (maxTime - minTime) * plotWidth);
+        const toY = value => padding.top + (maxValue - value) / (maxValue - minValue) * plotHeight;
+
+        // 坐标轴
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, padding.top + plotHeight);
+        ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+        ctx.stroke();
+
+        // 零线
+        ctx.strokeStyle = '#ddd';
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(padding.left + plotWidth, toY(0));
+        ctx.stroke();
+
+        // 刻度
+        ctx.fillStyle = '#555';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxValue.toFixed(1), padding.left - 4, padding.top + 8);
+        ctx.fillText(minValue.toFixed(1), padding.left - 4, padding.top + plotHeight);
+        ctx.fillText(unit, padding.left - 4, padding.top + plotHeight / 2);
+
+        ctx.textAlign = 'left';
+        ctx.fillText(this.formatDate(minTime), padding.left, canvas.height - 8);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatDate(maxTime), padding.left + plotWidth, canvas.height - 8);
+
+        // 累计变化量曲线
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        series.forEach((point, index) => {
+            const x = toX(point.time);
+            const y = toY(point.cumulative);
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#764ba2';
+        series.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(toX(point.time), toY(point.cumulative), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    formatDate(time) {
+        const date = new Date(time);
+        return `${date.getMonth() + 1}/${date.getDate()}`;
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * 监测项目（传感器类型）登记表
+ * 每个监测项目在此定义一次：测点编号前缀、中英文名称、三维图标形状与颜色、读数单位、
+ * 可依附的构件、最少测点数、监测精度要求及适用条文（监测项目、布点、监测方法、预警值）；
+ * standardItems 为表4.2.1、4.2.2中对应的监测项目名称（分项写作"周边建筑倾斜"），见 MonitoringItemTables。
+ * 三维模型、传感器类型下拉框、验证器和主界面均从此读取，新增监测项目只需在此登记
+ */
+export const SENSOR_TYPES = {
+    'horizontal-displacement': {
+        code: 'ZQS',
+        name: '围护墙顶部水平位移',
+        nameEn: 'Wall top horizontal displacement',
+        glyph: 'sphere',
+        color: 0xFF0000,
+        unit: 'mm',
+        hosts: ['crown-beam', 'slope-crest'],
+        hostMessage: '围护墙（边坡）顶部水平位移测点应布置在冠梁或坡顶上',
+        minCount: 8,
+        precision: '监测点坐标中误差按水平位移预警值确定（表6.2.4）',
+        clauses: { item: '4.2.1', placement: '5.2.1', method: '6.2', warning: '8.0.4' },
+        standardItems: ['围护墙(边坡)顶部水平位移', '坑顶水平位移']
+    },
+    'vertical-displacement': {
+        code: 'ZQC',
+        name: '围护墙顶部竖向位移',
+        nameEn: 'Wall top vertical displacement',
+        glyph: 'sphere',
+        color: 0x00FF00,
+        unit: 'mm',
+        hosts: ['crown-beam', 'slope-crest'],
+        hostMessage: '围护墙（边坡）顶部竖向位移测点应布置在冠梁或坡顶上',
+        minCount: 8,
+        precision: '监测点测站高差中误差按竖向位移预警值确定（表6.3.4）',
+        clauses: { item: '4.2.1', placement: '5.2.1', method: '6.3', warning: '8.0.4' },
+        standardItems: ['围护墙(边坡)顶部竖向位移', '坑顶竖向位移']
+    },
+    'deep-horizontal': {
+        code: 'CX',
+        name: '深层水平位移',
+        nameEn: 'Deep horizontal displacement (inclinometer)',
+        glyph: 'cylinder',
+        color: 0x0000FF,
+        unit: 'mm',
+        hosts: ['crown-beam', 'slope-crest', 'retaining-wall', 'ground'],
+        hostMessage: '深层水平位移测点应布置在围护墙或基坑外土体中',
+        minCount: 4,
+        precision: '测斜仪系统精度不宜低于0.25mm/m，分辨率不宜低于0.02mm/500mm',
+        clauses: { item: '4.2.1', placement: '5.2.2', method: '6.4', warning: '8.0.4' },
+        standardItems: ['深层水平位移']
+    },
+    'column-settlement': {
+        code: 'LZC',
+        name: '立柱竖向位移',
+        nameEn: 'Column vertical displacement',
+        glyph: 'sphere',
+        color: 0x7FFF00,
+        unit: 'mm',
+        hosts: ['column'],
+        hostMessage: '立柱竖向位移测点应布置在立柱顶部',
+        minCount: 2,
+        precision: '监测点测站高差中误差按竖向位移预警值确定（表6.3.4）',
+        clauses: { item: '4.2.1', placement: '5.2.5', method: '6.3', warning: '8.0.4' },
+        standardItems: ['立柱竖向位移']
+    },
+    'wall-internal-force': {
+        code: 'ZQN',
+        name: '围护墙内力',
+        nameEn: 'Retaining wall internal force',
+        glyph: 'box',
+        color: 0xB8860B,
+        unit: 'kN',
+        hosts: ['retaining-wall'],
+        hostMessage: '围护墙内力测点应布置在围护墙上',
+        minCount: 2,
+        precision: '应力计、应变计量测精度不宜低于0.5%F·S，分辨率不宜低于0.2%F·S',
+        clauses: { item: '4.2.1', placement: '5.2.3', method: '6.7', warning: '8.0.4' },
+        standardItems: ['围护墙内力']
+    },
+    'support-force': {
+        code: 'ZL',
+        name: '支撑轴力',
+        nameEn: 'Strut axial force',
+        glyph: 'box',
+        color: 0xFFFF00,
+        unit: 'kN',
+        hosts: ['support'],
+        hostMessage: '支撑轴力测点应布置在已施工的支撑构件上',
+        minCount: 4,
+        precision: '轴力计、应力计量测精度不宜低于0.5%F·S，分辨率不宜低于0.2%F·S',
+        clauses: { item: '4.2.1', placement: '5.2.4', method: '6.7', warning: '8.0.4' },
+        standardItems: ['支撑轴力']
+    },
+    'column-force': {
+        code: 'LZN',
+        name: '立柱内力',
+        nameEn: 'Column internal force',
+        glyph: 'box',
+        color: 0x9ACD32,
+        unit: 'kN',
+        hosts: ['column'],
+        hostMessage: '立柱内力测点应布置在立柱上',
+        minCount: 2,
+        precision: '应力计、应变计量测精度不宜低于0.5%F·S，分辨率不宜低于0.2%F·S',
+        clauses: { item: '4.2.1', placement: '5.2.5', method: '6.7', warning: '8.0.4' },
+        standardItems: ['立柱内力']
+    },
+    'anchor-force': {
+        code: 'MG',
+        name: '锚杆轴力',
+        nameEn: 'Anchor / soil nail axial force',
+        glyph: 'box',
+        color: 0xFF00FF,
+        unit: 'kN',
+        hosts: ['anchor', 'soil-nail'],
+        hostMessage: '锚杆轴力测点应布置在锚杆或土钉上',
+        minCount: 2,
+        precision: '锚杆轴力计、钢筋应力计量测精度不宜低于0.5%F·S，分辨率不宜低于0.2%F·S',
+        clauses: { item: '4.2.1', placement: '5.2.6', method: '6.11', warning: '8.0.4' },
+        standardItems: ['锚杆轴力']
+    },
+    'pit-heave': {
+        code: 'HD',
+        name: '坑底隆起',
+        nameEn: 'Pit bottom heave',
+        glyph: 'cone',
+        color: 0xDAA520,
+        unit: 'mm',
+        hosts: ['pit-bottom'],
+        hostMessage: '坑底隆起测点应布置在基坑底面',
+        minCount: 3,
+        precision: '坑底隆起（回弹）监测精度见6.13节',
+        clauses: { item: '4.2.1', placement: '5.2.7', method: '6.13', warning: '8.0.4' },
+        standardItems: ['坑底隆起']
+    },
+    'soil-pressure': {
+        code: 'TY',
+        name: '围护墙侧向土压力',
+        nameEn: 'Lateral earth pressure on wall',
+        glyph: 'octahedron',
+        color: 0xCD853F,
+        unit: 'kPa',
+        hosts: ['retaining-wall'],
+        hostMessage: '土压力测点应布置在围护墙迎土面',
+        minCount: 2,
+        precision: '土压力计量测精度不宜低于0.5%F·S，分辨率不宜低于0.2%F·S',
+        clauses: { item: '4.2.1', placement: '5.2.8', method: '6.8', warning: '8.0.4' },
+        standardItems: ['围护墙侧向土压力']
+    },
+    'pore-pressure': {
+        code: 'KY',
+        name: '孔隙水压力',
+        nameEn: 'Pore water pressure',
+        glyph: 'octahedron',
+        color: 0x4682B4,
+        unit: 'kPa',
+        hosts: ['ground', 'road'],
+        outsidePit: true,
+        hostMessage: '孔隙水压力测点应布置在基坑外土体中',
+        minCount: 2,
+        precision: '孔隙水压力计量测精度不宜低于0.5%F·S，分辨率不宜低于0.2%F·S',
+        clauses: { item: '4.2.1', placement: '5.2.9', method: '6.9', warning: '8.0.4' },
+        standardItems: ['孔隙水压力']
+    },
+    'water-level': {
+        code: 'SW',
+        name: '地下水位',
+        nameEn: 'Groundwater level',
+        glyph: 'cone',
+        color: 0x00FFFF,
+        unit: 'mm',
+        hosts: ['ground', 'road'],
+        hostMessage: '地下水位测点应布置在地表',
+        minCount: 2,
+        precision: '水位量测精度不宜低于10mm',
+        clauses: { item: '4.2.1', placement: '5.2.10', method: '6.10', warning: '8.0.4' },
+        standardItems: ['地下水位', '地下水、渗水与降雨关系']
+    },
+    'layered-settlement': {
+        code: 'FC',
+        name: '土体分层竖向位移',
+        nameEn: 'Layered soil settlement',
+        glyph: 'cylinder',
+        color: 0x8FBC8F,
+        unit: 'mm',
+        hosts: ['ground', 'road'],
+        outsidePit: true,
+        hostMessage: '土体分层竖向位移测点应布置在基坑外土体中',
+        minCount: 1,
+        precision: '分层竖向位移量测精度不宜低于1.5mm',
+        clauses: { item: '4.2.1', placement: '5.3.9', method: '6.12', warning: '8.0.4' },
+        standardItems: ['土体分层竖向位移']
+    },
+    'ground-settlement': {
+        code: 'DB',
+        name: '周边地表竖向位移',
+        nameEn: 'Ground surface settlement',
+        glyph: 'sphere',
+        color: 0xFFA500,
+        unit: 'mm',
+        hosts: ['ground', 'road'],
+        outsidePit: true,
+        hostMessage: '周边地表竖向位移测点应布置在基坑外地表',
+        minCount: 6,
+        precision: '监测点测站高差中误差按竖向位移预警值确定（表6.3.4）',
+        clauses: { item: '4.2.1', placement: '5.3.8', method: '6.3', warning: '8.0.4' },
+        standardItems: ['周边地表竖向位移']
+    },
+    'building-settlement': {
+        code: 'JC',
+        name: '周边建筑竖向位移',
+        nameEn: 'Building settlement',
+        glyph: 'sphere',
+        color: 0x8A2BE2,
+        unit: 'mm',
+        hosts: ['building'],
+        hostMessage: '周边建筑竖向位移测点应布置在建筑外墙上',
+        minCount: 4,
+        precision: '监测点测站高差中误差按竖向位移预警值确定（表6.3.4）',
+        clauses: { item: '4.2.1', placement: '5.3.3', method: '6.3', warning: '8.0.5' },
+        standardItems: ['周边建筑整体位移', '周边建筑竖向位移']
+    },
+    'building-horizontal': {
+        code: 'JS',
+        name: '周边建筑水平位移',
+        nameEn: 'Building horizontal displacement',
+        glyph: 'sphere',
+        color: 0xDA70D6,
+        unit: 'mm',
+        hosts: ['building'],
+        hostMessage: '周边建筑水平位移测点应布置在建筑外墙上',
+        minCount: 3,
+        precision: '监测点坐标中误差按水平位移预警值确定（表6.2.4）',
+        clauses: { item: '4.2.1', placement: '5.3.4', method: '6.2', warning: '8.0.5' },
+        standardItems: ['周边建筑水平位移']
+    },
+    'building-tilt': {
+        code: 'QX',
+        name: '周边建筑倾斜',
+        nameEn: 'Building tilt',
+        glyph: 'tetrahedron',
+        color: 0x20B2AA,
+        unit: '‰',
+        hosts: ['building'],
+        hostMessage: '周边建筑倾斜测点应布置在建筑外墙上',
+        minCount: 4,
+        precision: '倾斜观测精度按现行行业标准《建筑变形测量规范》JGJ 8确定',
+        clauses: { item: '4.2.1', placement: '5.3.5', method: '6.5', warning: '8.0.5' },
+        standardItems: ['周边建筑倾斜']
+    },
+    'building-crack': {
+        code: 'LF',
+        name: '周边建筑裂缝',
+        nameEn: 'Building crack',
+        glyph: 'tetrahedron',
+        color: 0xA52A2A,
+        unit: 'mm',
+        hosts: ['building'],
+        hostMessage: '周边建筑裂缝测点应布置在建筑外墙上',
+        minCount: 2,
+        precision: '裂缝宽度量测精度不宜低于0.1mm，长度和深度量测精度不宜低于1mm',
+        clauses: { item: '4.2.1', placement: '5.3.6', method: '6.6', warning: '8.0.5' },
+        standardItems: ['周边建筑裂缝、地表裂缝']
+    },
+    'pipeline-displacement': {
+        code: 'GX',
+        name: '周边管线位移',
+        nameEn: 'Pipeline displacement',
+        glyph: 'sphere',
+        color: 0x2E8B57,
+        unit: 'mm',
+        hosts: ['pipeline'],
+        hostMessage: '管线位移测点应布置在地下管线或其地表投影上',
+        minCount: 3,
+        precision: '监测点测站高差中误差按竖向位移预警值确定（表6.3.4）',
+        clauses: { item: '4.2.1', placement: '5.3.7', method: '6.3', warning: '8.0.5' },
+        standardItems: ['周边管线竖向位移', '周边管线水平位移']
+    }
+};
+
+// 测点依附的构件名称
+export const HOST_NAMES = {
+    'crown-beam': '冠梁',
+    'slope-crest': '坡顶',
+    'retaining-wall': '围护墙',
+    'support': '支撑',
+    'column': '立柱',
+    'anchor': '锚杆',
+    'soil-nail': '土钉',
+    'building': '建筑',
+    'pipeline': '管线',
+    'ground': '地表',
+    'road': '道路',
+    'pit-bottom': '坑底'
+};
+
+/**
+ * 测点依附构件的描述，支撑注明道次和杆件、立柱注明序号、锚杆注明排次
+ * @param {Object|null} host { type, id, level }
+ */
+export function getHostName(host) {
+    if (!host) return '';
+    if (host.type === 'support' && host.level !== null && host.level !== undefined) {
+        return host.id !== null && host.id !== undefined ? `第${host.level + 1}道支撑第${host.id + 1}根` : `第${host.level + 1}道支撑`;
+    }
+    if (host.type === 'column' && host.id !== null && host.id !== undefined) return `第${host.id + 1}根立柱`;
+    if (host.type === 'anchor' && host.level !== null && host.level !== undefined) return `第${host.level + 1}排锚杆`;
+    return HOST_NAMES[host.type] || host.type;
+}
+
+export function getSensorType(type) {
+    return SENSOR_TYPES[type] || null;
+}
+
+export function getSensorTypeName(type) {
+    return SENSOR_TYPES[type]?.name || type;
+}
+
+/**
+ * 表4.2.1、4.2.2中的监测项目名称对应的监测项目，未建模的项目返回 null
+ */
+export function findSensorTypeByStandardItem(item) {
+    return Object.keys(SENSOR_TYPES).find(type => SENSOR_TYPES[type].standardItems.includes(item)) || null;
+}
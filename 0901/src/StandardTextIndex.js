@@ -0,0 +1,99 @@
+/**
+ * GB50497-2019 条文索引
+ * 将随项目附带的规范原文（GB504972019/规范原文）和条文说明（GB504972019/条文说明）
+ * 按条文号切分，供验证结果按条文号查阅
+ */
+const CLAUSE_PATTERN = /^\s*(\d+\.\d+\.\d+)\s+/;
+// 章、节标题，如"5  监测点布置"、"5.2  基坑及支护结构"（顶格书写，条文内的款项有缩进）
+const HEADING_PATTERN = /^\d+(\.\d+)?\s{2,}\S/;
+
+export class StandardTextIndex {
+    /**
+     * @param {Object} sources { original: { 文件路径: 加载函数 }, commentary: { ... } }，
+     *                         加载函数返回 Promise<string>，文件名以章号开头
+     */
+    constructor(sources = {}) {
+        this.sources = {
+            original: sources.original || {},
+            commentary: sources.commentary || {}
+        };
+        // `${kind}:${chapter}` -> Promise<Map<条文号, 文本>>
+        this.chapters = new Map();
+    }
+
+    /**
+     * 查阅条文原文及条文说明
+     * @param {string} clause 条文号，如 5.2.1
+     * @returns {Promise<Object>} { clause, original, commentary }，未找到时对应项为 null
+     */
+    async getClause(clause) {
+        const chapter = String(clause).split('.')[0];
+        const [original, commentary] = await Promise.all([
+            this.loadChapter('original', chapter),
+            this.loadChapter('commentary', chapter)
+        ]);
+        return {
+            clause,
+            original: original.get(clause) || null,
+            commentary: commentary.get(clause) || null
+        };
+    }
+
+    loadChapter(kind, chapter) {
+        const key = `${kind}:${chapter}`;
+        if (!this.chapters.has(key)) {
+            const path = Object.keys(this.sources[kind]).find(file => {
+                const name = file.split('/').pop();
+                return name.match(/^\d+/)?.[0] === chapter;
+            });
+            const loading = path
+                ? this.sources[kind][path]().then(text => this.parse(text))
+                : Promise.resolve(new Map());
+            this.chapters.set(key, loading);
+        }
+        return this.chapters.get(key);
+    }
+
+    /**
+     * 按条文号切分一章的 Markdown 文本，条文内容延续到下一条文或下一章节标题为止
+     * @returns {Map} 条文号 -> 文本
+     */
+    parse(markdown) {
+        const clauses = new Map();
+        let current = null;
+        let lines = [];
+
+        const flush = () => {
+            if (current) clauses.set(current, this.normalize(lines));
+            current = null;
+            lines = [];
+        };
+
+        markdown.split(/\r?\n/).forEach(line => {
+            const match = line.match(CLAUSE_PATTERN);
+            if (match) {
+                flush();
+                current = match[1];
+                lines.push(line);
+            } else if (HEADING_PATTERN.test(line)) {
+                flush();
+            } else if (current) {
+                lines.push(line);
+            }
+        });
+        flush();
+
+        return clauses;
+    }
+
+    normalize(lines) {
+        // 去除公共缩进和首尾空行
+        const indent = Math.min(...lines
+            .filter(line => line.trim().length > 0)
+            .map(line => line.match(/^\s*/)[0].length));
+        return lines
+            .map(line => line.slice(Math.min(indent, line.match(/^\s*/)[0].length)))
+            .join('\n')
+            .trim();
+    }
+}
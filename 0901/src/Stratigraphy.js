@@ -0,0 +1,177 @@
+/**
+ * 场地地层
+ * 由钻孔资料确定的地层序列，标高以地面为0、向上为正（坑底以下为负）。
+ * 供三维模型绘制地层，供验证器判定基坑类型（土质/岩体/土岩组合）和周边环境监测范围
+ */
+
+// 岩土分类，soft 为软弱土层，drainageSensitive 为对降水敏感的土层（5.3.1 条文说明）
+export const SOIL_CLASSES = {
+    fill: { name: '填土', category: 'soil', color: 0xD2691E },
+    soft: { name: '软土', category: 'soil', color: 0x556B2F, soft: true },
+    clay: { name: '黏性土', category: 'soil', color: 0xCD853F },
+    silt: { name: '粉土', category: 'soil', color: 0xDEB887, drainageSensitive: true },
+    sand: { name: '砂土', category: 'soil', color: 0x8B4513, drainageSensitive: true },
+    gravel: { name: '碎石土', category: 'soil', color: 0xA0522D },
+    rock: { name: '岩石', category: 'rock', color: 0x696969 }
+};
+
+export class Stratigraphy {
+    /**
+     * @param {Array} layers [{ name, top, bottom, soilClass }]，soilClass 为 SOIL_CLASSES 的键
+     * @param {number|null} groundwaterLevel 地下水位标高，未测得时为 null
+     */
+    constructor(layers = [], groundwaterLevel = null) {
+        this.layers = layers
+            .map(layer => ({ name: layer.name, top: layer.top, bottom: layer.bottom, soilClass: layer.soilClass }))
+            .sort((a, b) => b.top - a.top);
+        this.groundwaterLevel = groundwaterLevel;
+    }
+
+    /**
+     * 未导入钻孔资料时按基坑类型取的典型地层，地层延伸至坑底以下0.5倍开挖深度
+     */
+    static createDefault(type, depth) {
+        const bottom = -depth * 1.5;
+        switch (type) {
+            case 'rock':
+                return new Stratigraphy([{ name: '岩体', top: 0, bottom, soilClass: 'rock' }]);
+            case 'soil-rock':
+                return new Stratigraphy([
+                    { name: '土层', top: 0, bottom: -depth * 0.6, soilClass: 'clay' },
+                    { name: '岩层', top: -depth * 0.6, bottom, soilClass: 'rock' }
+                ]);
+            default:
+                return new Stratigraphy([
+                    { name: '填土层', top: 0, bottom: -depth * 0.3, soilClass: 'fill' },
+                    { name: '粘土层', top: -depth * 0.3, bottom: -depth * 0.7, soilClass: 'clay' },
+                    { name: '砂土层', top: -depth * 0.7, bottom, soilClass: 'sand' }
+                ]);
+        }
+    }
+
+    /**
+     * 按岩土名称判定分类，如"淤泥质黏土"为软土、"粉质黏土"为黏性土、"中风化砂岩"为岩石
+     * @returns {string|null} SOIL_CLASSES 的键
+     */
+    static classify(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+        if (SOIL_CLASSES[value.toLowerCase()]) return value.toLowerCase();
+        if (value.includes('填土')) return 'fill';
+        if (value.includes('淤泥') || value.includes('软土')) return 'soft';
+        if (value.includes('岩')) return 'rock';
+        if (value.includes('砂')) return 'sand';
+        if (/碎石|卵石|砾/.test(value)) return 'gravel';
+        if (value.includes('粉土')) return 'silt';
+        if (/黏|粘/.test(value)) return 'clay';
+        return null;
+    }
+
+    /**
+     * 导入钻孔CSV，列：地层名称,顶标高,底标高,岩土类别,地下水位（首行可为表头）
+     * 岩土类别可省略，此时按地层名称判定；地下水位取第一个有值的单元格
+     */
+    static fromCSV(text) {
+        const rows = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const layers = [];
+        let groundwaterLevel = null;
+
+        rows.forEach((line, index) => {
+            const cells = line.split(/[,，;\t]/).map(cell => cell.trim());
+            if (index === 0 && !Number.isFinite(parseFloat(cells[1]))) return; // 表头
+
+            const [name, top, bottom, soilClass, water] = cells;
+            const layer = {
+                name,
+                top: Number(top),
+                bottom: Number(bottom),
+                soilClass: Stratigraphy.classify(soilClass) || Stratigraphy.classify(name)
+            };
+            if (!name || !Number.isFinite(layer.top) || !Number.isFinite(layer.bottom)) {
+                throw new Error(`钻孔资料第${index + 1}行格式错误，应为"地层名称,顶标高,底标高,岩土类别,地下水位"`);
+            }
+            if (!layer.soilClass) {
+                throw new Error(`钻孔资料第${index + 1}行无法识别岩土类别：${soilClass || name}`);
+            }
+            layers.push(layer);
+
+            if (groundwaterLevel === null && water && Number.isFinite(Number(water))) {
+                groundwaterLevel = Number(water);
+            }
+        });
+
+        const strata = new Stratigraphy(layers, groundwaterLevel);
+        const error = strata.validate();
+        if (error) throw new Error(error);
+        return strata;
+    }
+
+    static fromJSON(data) {
+        return new Stratigraphy(data.layers || [], data.groundwaterLevel ?? null);
+    }
+
+    toJSON() {
+        return {
+            layers: this.layers.map(layer => ({ ...layer })),
+            groundwaterLevel: this.groundwaterLevel
+        };
+    }
+
+    toCSV() {
+        const rows = this.layers.map((layer, index) => [
+            layer.name, layer.top, layer.bottom, SOIL_CLASSES[layer.soilClass].name,
+            index === 0 && this.groundwaterLevel !== null ? this.groundwaterLevel : ''
+        ].join(','));
+        return ['地层名称,顶标高,底标高,岩土类别,地下水位', ...rows].join('\n');
+    }
+
+    /**
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validate() {
+        if (this.layers.length === 0) return '钻孔资料中没有地层';
+        for (let i = 0; i < this.layers.length; i++) {
+            const layer = this.layers[i];
+            if (!SOIL_CLASSES[layer.soilClass]) return `地层"${layer.name}"的岩土类别无效`;
+            if (!(layer.top > layer.bottom)) return `地层"${layer.name}"的顶标高应高于底标高`;
+            const next = this.layers[i + 1];
+            if (next && next.top > layer.bottom + 0.01) return `地层"${layer.name}"与"${next.name}"重叠`;
+        }
+        return null;
+    }
+
+    getBottom() {
+        return Math.min(...this.layers.map(layer => layer.bottom));
+    }
+
+    /**
+     * 与标高区间 [bottom, top] 有交集的地层
+     */
+    getLayersBetween(top, bottom) {
+        return this.layers.filter(layer => layer.top > bottom && layer.bottom < top);
+    }
+
+    /**
+     * 按开挖深度范围内的地层判定基坑类型
+     * @returns {string|null} soil / rock / soil-rock，地层未覆盖开挖范围时返回 null
+     */
+    classifyPit(depth) {
+        const layers = this.getLayersBetween(0, -depth);
+        if (layers.length === 0) return null;
+        const categories = new Set(layers.map(layer => SOIL_CLASSES[layer.soilClass].category));
+        if (categories.size > 1) return 'soil-rock';
+        return categories.has('rock') ? 'rock' : 'soil';
+    }
+
+    /**
+     * 开挖深度范围内的软弱土层，以及地下水位以下对降水敏感的土层；
+     * 5.3.1 条文说明：此类地层的监测范围宜取1～3倍开挖深度中的较大值
+     */
+    getSensitiveLayers(depth) {
+        return this.getLayersBetween(0, -depth).filter(layer => {
+            const soilClass = SOIL_CLASSES[layer.soilClass];
+            if (soilClass.soft) return true;
+            return soilClass.drainageSensitive && this.groundwaterLevel !== null && layer.bottom < this.groundwaterLevel;
+        });
+    }
+}
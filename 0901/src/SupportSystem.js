@@ -0,0 +1,253 @@
+import { getRetainingSystem } from './RetainingSystems.js';
+import { PitOutline } from './PitOutline.js';
+
+/**
+ * 内支撑体系
+ * 各道支撑的标高、平面布置（对撑、角撑）和立柱位置，各道支撑平面布置相同。
+ * 按朗肯主动土压力和支撑分担的墙长估算各杆件轴力、按交汇支撑数估算立柱受力，
+ * 供三维模型绘制支撑和立柱，供自动布置和验证器按5.2.4、5.2.5选取受力较大的杆件
+ */
+
+// 估算轴力用的土体参数：重度（kN/m³）、主动土压力系数（φ=30°）
+const SOIL_WEIGHT = 18;
+const ACTIVE_COEFFICIENT = 1 / 3;
+
+// 杆件端部距坑边不大于该值（m）时视为支承在围护墙上（对角支撑端部距坑角2m）
+const BEARING_TOLERANCE = 2.5;
+
+// 杆件轴线距立柱不大于该值（m）时视为支承在该立柱上
+const COLUMN_TOLERANCE = 1;
+
+export const SUPPORT_ROLE_NAMES = {
+    'main': '对撑',
+    'corner-brace': '角撑'
+};
+
+export class SupportSystem {
+    /**
+     * @param {Object} config 基坑配置
+     */
+    constructor(config) {
+        this.config = config;
+        this.outline = new PitOutline(config);
+    }
+
+    static forConfig(config) {
+        return new SupportSystem(config);
+    }
+
+    /**
+     * 各道支撑的标高
+     * @returns {Array} [{ level, y }]，y 为支撑中心标高（地面为0，向下为负）
+     */
+    levels() {
+        const config = this.config;
+        // 放坡、土钉墙、锚杆支护没有内支撑
+        if (!getRetainingSystem(config).struts) return [];
+
+        const { depth } = config.dimensions;
+        if (config.safetyLevel === 3 && depth < 8) return []; // 三级基坑较浅时可能不需要支撑
+
+        const supportLevels = Math.min(Math.floor(depth / 4), 3); // 最多3层支撑
+        const levels = [];
+        for (let level = 0; level < supportLevels; level++) {
+            levels.push({ level, y: -2 - level * (depth / (supportLevels + 1)) });
+        }
+        return levels;
+    }
+
+    /**
+     * 支撑平面布置，各道支撑相同
+     * @returns {Array} [{ start: { x, z }, end: { x, z }, role }]，role 为 main（对撑）或 corner-brace（角撑）
+     */
+    layout() {
+        const outline = this.outline;
+        if (!this.config.outline) {
+            const { length, width } = outline.bounds;
+            // 根据基坑大小确定支撑布置
+            if (length > 20 || width > 20) {
+                // 大型基坑：十字形支撑
+                return [
+                    { start: { x: -length/2, z: 0 }, end: { x: length/2, z: 0 }, role: 'main' },
+                    { start: { x: 0, z: -width/2 }, end: { x: 0, z: width/2 }, role: 'main' }
+                ];
+            }
+            // 中小型基坑：对角支撑
+            return [
+                { start: { x: -length/2 + 2, z: -width/2 + 2 }, end: { x: length/2 - 2, z: width/2 - 2 }, role: 'main' },
+                { start: { x: -length/2 + 2, z: width/2 - 2 }, end: { x: length/2 - 2, z: -width/2 + 2 }, role: 'main' }
+            ];
+        }
+
+        // 多边形基坑：自各边中点垂直于坑边设对撑，阳角处设角撑
+        const layout = [];
+        outline.edges.forEach(edge => {
+            if (edge.length < 6) return;
+            const inward = { x: -edge.outward.x, z: -edge.outward.z };
+            const span = outline.castRay(edge.midpoint, inward);
+            if (span === null || span < 4) return;
+
+            const start = edge.midpoint;
+            const end = { x: start.x + inward.x * span, z: start.z + inward.z * span };
+            const duplicate = layout.some(member => this.isSameStrut(member, start, end));
+            if (!duplicate) layout.push({ start, end, role: 'main' });
+        });
+
+        outline.convexCorners.forEach(corner => {
+            const previous = outline.edges[corner.previousEdge];
+            const next = outline.edges[corner.nextEdge];
+            const distance = Math.min(6, previous.length * 0.3, next.length * 0.3);
+            layout.push({
+                start: { x: corner.point.x - previous.direction.x * distance, z: corner.point.z - previous.direction.z * distance },
+                end: { x: corner.point.x + next.direction.x * distance, z: corner.point.z + next.direction.z * distance },
+                role: 'corner-brace'
+            });
+        });
+
+        return layout;
+    }
+
+    /**
+     * 两侧对边互相垂直时会得到同一根对撑，方向平行且中点落在已有支撑上视为重复
+     */
+    isSameStrut(member, start, end) {
+        const length = Math.hypot(end.x - start.x, end.z - start.z);
+        const memberLength = Math.hypot(member.end.x - member.start.x, member.end.z - member.start.z);
+        const parallel = Math.abs(((end.x - start.x) * (member.end.x - member.start.x) +
+            (end.z - start.z) * (member.end.z - member.start.z)) / (length * memberLength)) > 0.95;
+        const midpoint = { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 };
+        return parallel && this.outline.distanceToEdge(midpoint, SupportSystem.segment(member)) < 2;
+    }
+
+    /**
+     * 立柱平面位置
+     * @returns {Array} [{ id, x, z }]
+     */
+    columnPositions(layout = this.layout()) {
+        let positions;
+        if (!this.config.outline) {
+            const { length, width } = this.outline.bounds;
+            positions = [{ x: 0, z: 0 }]; // 中心立柱
+
+            // 根据基坑大小添加更多立柱
+            if (length > 25 || width > 25) {
+                positions.push(
+                    { x: -length/4, z: -width/4 },
+                    { x: length/4, z: -width/4 },
+                    { x: -length/4, z: width/4 },
+                    { x: length/4, z: width/4 }
+                );
+            }
+        } else {
+            // 多边形基坑：跨度较大的对撑在跨中设立柱
+            positions = layout
+                .filter(member => member.role === 'main' &&
+                    Math.hypot(member.end.x - member.start.x, member.end.z - member.start.z) > 15)
+                .map(member => ({ x: (member.start.x + member.end.x) / 2, z: (member.start.z + member.end.z) / 2 }));
+        }
+        return positions.map((position, id) => ({ id, ...position }));
+    }
+
+    /**
+     * 各道支撑的杆件及估算轴力
+     * @returns {Array} [{ id, level, role, start: { x, y, z }, end: { x, y, z }, force }]，
+     *   id 为杆件在平面布置中的序号（各道相同），force 为估算轴力（kN）
+     */
+    members() {
+        const layout = this.layout();
+        const widths = this.tributaryWidths(layout);
+        return this.levels().flatMap(({ level, y }) => {
+            const load = this.levelLoad(level);
+            return layout.map((member, id) => ({
+                id,
+                level,
+                role: member.role,
+                start: { x: member.start.x, y, z: member.start.z },
+                end: { x: member.end.x, y, z: member.end.z },
+                force: Math.round(load * widths[id])
+            }));
+        });
+    }
+
+    /**
+     * 立柱及受力估算：基坑中部、多根支撑交汇处的立柱受力较大（5.2.5）
+     * @returns {Array} [{ id, x, z, crossings, load }]，crossings 为各道支撑中经过该立柱的杆件数，
+     *   load 为排序用的受力指标（交汇杆件数为主，离基坑中心越近越大）
+     */
+    columns() {
+        const layout = this.layout();
+        const levelCount = this.levels().length;
+        const center = this.outline.centroid();
+        const radius = Math.max(this.outline.bounds.length, this.outline.bounds.width) / 2;
+        return this.columnPositions(layout).map(column => {
+            const crossings = layout.filter(member =>
+                this.outline.distanceToEdge(column, SupportSystem.segment(member)) < COLUMN_TOLERANCE
+            ).length * levelCount;
+            const offset = Math.hypot(column.x - center.x, column.z - center.z) / radius;
+            return { ...column, crossings, load: crossings + Math.max(0, 1 - offset) };
+        });
+    }
+
+    /**
+     * 每延米墙长传给该道支撑的土压力（kN/m）：按朗肯主动土压力，取该道支撑上下各半个道间距的墙高
+     */
+    levelLoad(level) {
+        const levels = this.levels();
+        const { depth } = this.config.dimensions;
+        const index = levels.findIndex(item => item.level === level);
+        const depthOf = item => -item.y;
+        const top = index === 0 ? 0 : (depthOf(levels[index - 1]) + depthOf(levels[index])) / 2;
+        const bottom = index === levels.length - 1 ? depth : (depthOf(levels[index]) + depthOf(levels[index + 1])) / 2;
+        return ACTIVE_COEFFICIENT * SOIL_WEIGHT * (bottom * bottom - top * top) / 2;
+    }
+
+    /**
+     * 各杆件分担的墙长：沿坑边每隔1m取一点，归入最近的支承在墙上的杆件端部，
+     * 杆件两端分担的墙长取较大者
+     */
+    tributaryWidths(layout) {
+        const ends = [];
+        layout.forEach((member, id) => {
+            [member.start, member.end].forEach((point, side) => {
+                if (this.outline.distanceToOutline(point) <= BEARING_TOLERANCE) ends.push({ id, side, point });
+            });
+        });
+        const shares = layout.map(() => [0, 0]);
+        if (ends.length === 0) return shares.map(() => 0);
+
+        this.outline.edges.forEach(edge => {
+            const stations = Math.max(1, Math.round(edge.length));
+            const step = edge.length / stations;
+            for (let i = 0; i < stations; i++) {
+                const along = (i + 0.5) * step;
+                const station = { x: edge.start.x + edge.direction.x * along, z: edge.start.z + edge.direction.z * along };
+                const nearest = ends.reduce((best, end) =>
+                    Math.hypot(end.point.x - station.x, end.point.z - station.z)
+                        < Math.hypot(best.point.x - station.x, best.point.z - station.z) ? end : best
+                );
+                shares[nearest.id][nearest.side] += step;
+            }
+        });
+        return shares.map(([start, end]) => Math.max(start, end));
+    }
+
+    /**
+     * 杆件的平面线段，供 PitOutline.distanceToEdge() 计算点到杆件的距离
+     */
+    static segment(member) {
+        const length = Math.hypot(member.end.x - member.start.x, member.end.z - member.start.z);
+        return {
+            start: member.start,
+            length,
+            direction: { x: (member.end.x - member.start.x) / length, z: (member.end.z - member.start.z) / length }
+        };
+    }
+}
+
+/**
+ * 支撑杆件的名称，如"第1道支撑第2根（对撑）"，note 附在括号内
+ */
+export function describeSupportMember(member, note = null) {
+    const details = [SUPPORT_ROLE_NAMES[member.role], note].filter(Boolean);
+    return `第${member.level + 1}道支撑第${member.id + 1}根${details.length > 0 ? `（${details.join('，')}）` : ''}`;
+}
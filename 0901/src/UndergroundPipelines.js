@@ -0,0 +1,266 @@
+/**
+ * 基坑周边地下管线
+ * 管线平面为折线（route），各点为管线轴线的平面位置，埋深为管顶埋深；
+ * 沿线里程（距起点的长度，m）用于定位阀门、接头、转角和监测点。
+ * 供三维模型绘制管线，供验证器和自动布置按5.3.7检查、布置管线监测点
+ */
+export const PIPELINE_USES = {
+    water: '给水',
+    gas: '燃气',
+    heat: '热力',
+    drain: '雨水',
+    sewer: '污水',
+    power: '电力',
+    telecom: '通信'
+};
+
+// 压力管线宜设置直接监测点（5.3.7）
+export const PRESSURE_PIPELINE_USES = ['water', 'gas', 'heat'];
+
+export const PIPELINE_MATERIALS = {
+    steel: '钢管',
+    'ductile-iron': '球墨铸铁管',
+    'cast-iron': '灰口铸铁管',
+    concrete: '钢筋混凝土管',
+    pe: 'PE管',
+    pvc: 'PVC管'
+};
+
+export const JOINT_TYPES = {
+    welded: '焊接',
+    flanged: '法兰',
+    socket: '承插',
+    mechanical: '柔性机械接口'
+};
+
+// 各材质的标准管节长度（m），即非焊接管线的接头间距
+const SEGMENT_LENGTHS = {
+    steel: 12,
+    'ductile-iron': 6,
+    'cast-iron': 4,
+    concrete: 2.5,
+    pe: 12,
+    pvc: 6
+};
+
+const DEFAULT_PIPELINE = { use: 'water', material: 'ductile-iron', diameter: 300, depth: 1.5, joint: 'socket', valves: [] };
+
+// 小于该角度的折点不视为转角（°）
+const BEND_ANGLE = 10;
+
+export class UndergroundPipelines {
+    /**
+     * @param {Array} pipes [{ id, name, use, material, diameter, depth, joint, segmentLength, route: [{ x, z }], valves: [里程] }]
+     *   diameter 为管径（mm），depth 为管顶埋深（m）
+     */
+    constructor(pipes = []) {
+        this.pipes = [];
+        this.nextId = 1;
+        pipes.forEach(pipe => this.add(pipe));
+    }
+
+    /**
+     * 基坑配置中的地下管线，未绘制时为空
+     */
+    static forConfig(config) {
+        return config.pipelines ? UndergroundPipelines.fromJSON(config.pipelines) : new UndergroundPipelines();
+    }
+
+    static fromJSON(data) {
+        return new UndergroundPipelines(data.pipes || []);
+    }
+
+    toJSON() {
+        return {
+            pipes: this.pipes.map(pipe => ({
+                ...pipe,
+                route: pipe.route.map(point => ({ x: point.x, z: point.z })),
+                valves: [...pipe.valves]
+            }))
+        };
+    }
+
+    add(pipe) {
+        const id = pipe.id ?? this.nextId;
+        const material = pipe.material || DEFAULT_PIPELINE.material;
+        const normalized = {
+            ...DEFAULT_PIPELINE,
+            segmentLength: SEGMENT_LENGTHS[material] || 6,
+            ...pipe,
+            id,
+            route: (pipe.route || []).map(point => ({ x: point.x, z: point.z })),
+            valves: [...(pipe.valves || [])],
+            name: pipe.name || `管线${this.pipes.length + 1}`
+        };
+        this.nextId = Math.max(this.nextId, Number(id) + 1);
+        this.pipes.push(normalized);
+        return normalized;
+    }
+
+    update(id, changes) {
+        const pipe = this.get(id);
+        if (!pipe) return null;
+        // 更换材质时管节长度随之改变
+        if (changes.material && changes.segmentLength === undefined && SEGMENT_LENGTHS[changes.material]) {
+            pipe.segmentLength = SEGMENT_LENGTHS[changes.material];
+        }
+        Object.assign(pipe, changes, { id });
+        return pipe;
+    }
+
+    remove(id) {
+        this.pipes = this.pipes.filter(pipe => pipe.id !== id);
+    }
+
+    get(id) {
+        return this.pipes.find(pipe => pipe.id === id) || null;
+    }
+
+    /**
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validate() {
+        for (const pipe of this.pipes) {
+            if (pipe.route.length < 2) return `${pipe.name}至少需要2个折点`;
+            if (!pipe.route.every(point => Number.isFinite(point.x) && Number.isFinite(point.z))) {
+                return `${pipe.name}的折点坐标无效`;
+            }
+            if (UndergroundPipelines.segments(pipe).some(segment => segment.length < 0.1)) {
+                return `${pipe.name}存在重合的折点`;
+            }
+            if (!PIPELINE_USES[pipe.use]) return `${pipe.name}的管线类别无效`;
+            if (!PIPELINE_MATERIALS[pipe.material]) return `${pipe.name}的管材无效`;
+            if (!JOINT_TYPES[pipe.joint]) return `${pipe.name}的接口形式无效`;
+            if (!(pipe.diameter > 0)) return `${pipe.name}的管径应大于0`;
+            if (!(pipe.depth > 0)) return `${pipe.name}的埋深应大于0`;
+            if (pipe.joint !== 'welded' && !(pipe.segmentLength > 0)) return `${pipe.name}的管节长度应大于0`;
+            const length = UndergroundPipelines.length(pipe);
+            if (!pipe.valves.every(chainage => Number.isFinite(chainage) && chainage >= 0 && chainage <= length)) {
+                return `${pipe.name}的阀门位置应在0～${length.toFixed(1)}m之间`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 管线各段：{ start, end, length, direction, from }，from 为该段起点的里程
+     */
+    static segments(pipe) {
+        const segments = [];
+        let from = 0;
+        for (let i = 0; i < pipe.route.length - 1; i++) {
+            const start = pipe.route[i];
+            const end = pipe.route[i + 1];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const direction = length > 0
+                ? { x: (end.x - start.x) / length, z: (end.z - start.z) / length }
+                : { x: 1, z: 0 };
+            segments.push({ index: i, start, end, length, direction, from });
+            from += length;
+        }
+        return segments;
+    }
+
+    static length(pipe) {
+        return UndergroundPipelines.segments(pipe).reduce((sum, segment) => sum + segment.length, 0);
+    }
+
+    /**
+     * 里程处的平面位置
+     */
+    static pointAt(pipe, chainage) {
+        const segments = UndergroundPipelines.segments(pipe);
+        const segment = segments.find(s => chainage <= s.from + s.length) || segments[segments.length - 1];
+        const t = Math.max(0, Math.min(segment.length, chainage - segment.from));
+        return { x: segment.start.x + segment.direction.x * t, z: segment.start.z + segment.direction.z * t };
+    }
+
+    /**
+     * 平面点投影到管线轴线
+     * @returns {Object} { chainage, distance }，distance 为到轴线的水平距离
+     */
+    static project(pipe, point) {
+        let best = { chainage: 0, distance: Infinity };
+        UndergroundPipelines.segments(pipe).forEach(segment => {
+            const dx = point.x - segment.start.x;
+            const dz = point.z - segment.start.z;
+            const t = Math.max(0, Math.min(segment.length, dx * segment.direction.x + dz * segment.direction.z));
+            const distance = Math.hypot(dx - segment.direction.x * t, dz - segment.direction.z * t);
+            if (distance < best.distance) best = { chainage: segment.from + t, distance };
+        });
+        return best;
+    }
+
+    /**
+     * 转角与阀门：[{ kind: 'bend' | 'valve', chainage, x, z }]
+     */
+    static features(pipe) {
+        const segments = UndergroundPipelines.segments(pipe);
+        const features = [];
+        segments.slice(1).forEach((segment, i) => {
+            const previous = segments[i];
+            const cos = previous.direction.x * segment.direction.x + previous.direction.z * segment.direction.z;
+            const angle = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+            if (angle >= BEND_ANGLE) {
+                features.push({ kind: 'bend', chainage: segment.from, ...segment.start });
+            }
+        });
+        pipe.valves.forEach(chainage => {
+            features.push({ kind: 'valve', chainage, ...UndergroundPipelines.pointAt(pipe, chainage) });
+        });
+        return features.sort((a, b) => a.chainage - b.chainage);
+    }
+
+    /**
+     * 接头里程：焊接管线无需单独考虑接头，其他接口按管节长度排列
+     */
+    static joints(pipe) {
+        if (pipe.joint === 'welded') return [];
+        const length = UndergroundPipelines.length(pipe);
+        const joints = [];
+        for (let chainage = pipe.segmentLength; chainage < length; chainage += pipe.segmentLength) {
+            joints.push(chainage);
+        }
+        return joints;
+    }
+
+    static isPressure(pipe) {
+        return PRESSURE_PIPELINE_USES.includes(pipe.use);
+    }
+
+    /**
+     * 判定各管线位于监测范围内的管段：沿轴线每隔0.5m取点计算到基坑边线的距离
+     * @param {PitOutline} outline 基坑轮廓
+     * @param {number} range 监测范围（m），见 GB50497Validator.getMonitoringRange()
+     * @returns {Array} [{ pipe, distance, sections: [{ from, to }], inZone, crossesPit }]
+     */
+    assess(outline, range) {
+        const step = 0.5;
+        return this.pipes.map(pipe => {
+            const length = UndergroundPipelines.length(pipe);
+            const count = Math.max(1, Math.ceil(length / step));
+            const sections = [];
+            let distance = Infinity;
+            let crossesPit = false;
+            let current = null;
+            for (let i = 0; i <= count; i++) {
+                const chainage = Math.min(length, i * step);
+                const point = UndergroundPipelines.pointAt(pipe, chainage);
+                const inside = outline.contains(point);
+                const d = inside ? 0 : outline.distanceToOutline(point);
+                crossesPit = crossesPit || inside;
+                distance = Math.min(distance, d);
+                if (d <= range) {
+                    if (!current) {
+                        current = { from: chainage, to: chainage };
+                        sections.push(current);
+                    }
+                    current.to = chainage;
+                } else {
+                    current = null;
+                }
+            }
+            return { pipe, distance, sections, inZone: sections.length > 0, crossesPit };
+        });
+    }
+}
@@ -0,0 +1,367 @@
+import { BASE_STANDARD } from './RulePacks.js';
+import { SENSOR_TYPES } from './SensorTypes.js';
+
+/**
+ * GB50497-2019 第8章 监测预警引擎
+ * 同时控制累计变化量和变化速率（8.0.3），将测点状态分为正常、异常、危险三种；
+ * 项目选用的规则包规定了更严的预警值时取规则包的值
+ */
+export const WARNING_STATES = {
+    NORMAL: 'normal',
+    ABNORMAL: 'abnormal',
+    DANGER: 'danger',
+    NO_DATA: 'no-data'
+};
+
+// 危险状态的判定倍数：累计变化量或变化速率超过预警值的该倍数时判为危险。
+// 8.0.9 列出的危险报警情况均为定性描述，没有规定超过预警值多少判为危险，默认值1.2为本系统的取值，
+// 应由设计方根据工程情况和当地经验确定，可在"监测预警"面板中修改并随项目保存
+export const DEFAULT_DANGER_FACTOR = 1.2;
+
+export class WarningEngine {
+    /**
+     * @param {Object} options options.rulePacks 为已加载的规则包（RulePackRegistry）
+     */
+    constructor(options = {}) {
+        this.rulePacks = options.rulePacks || null;
+
+        // 表8.0.4 基坑及支护结构监测预警值（无当地经验时的参考值，取区间下限）
+        // cumulative: 累计绝对值(mm)；relative: 相对基坑设计深度H的控制值；rate: 变化速率(mm/d)
+        // 支护结构分为两类：flexible（放坡、土钉墙、复合土钉墙、锚喷支护、水泥土墙）
+        // 与 rigid（灌注桩、地下连续墙、钢板桩、型钢水泥土墙）
+        this.defaultThresholds = {
+            'horizontal-displacement': {
+                flexible: {
+                    1: { cumulative: 30, relative: 0.003, rate: 3 },
+                    2: { cumulative: 50, relative: 0.006, rate: 5 },
+                    3: { cumulative: 70, relative: 0.008, rate: 8 }
+                },
+                rigid: {
+                    1: { cumulative: 20, relative: 0.002, rate: 2 },
+                    2: { cumulative: 30, relative: 0.003, rate: 2 },
+                    3: { cumulative: 40, relative: 0.006, rate: 3 }
+                }
+            },
+            'vertical-displacement': {
+                flexible: {
+                    1: { cumulative: 20, relative: 0.002, rate: 2 },
+                    2: { cumulative: 30, relative: 0.005, rate: 3 },
+                    3: { cumulative: 40, relative: 0.008, rate: 4 }
+                },
+                rigid: {
+                    1: { cumulative: 10, relative: 0.001, rate: 2 },
+                    2: { cumulative: 20, relative: 0.003, rate: 2 },
+                    3: { cumulative: 30, relative: 0.005, rate: 3 }
+                }
+            },
+            'deep-horizontal': {
+                flexible: {
+                    1: { cumulative: 40, relative: 0.004, rate: 3 },
+                    2: { cumulative: 70, relative: 0.007, rate: 4 },
+                    3: { cumulative: 80, relative: 0.009, rate: 6 }
+                },
+                rigid: {
+                    1: { cumulative: 45, relative: 0.004, rate: 2 },
+                    2: { cumulative: 70, relative: 0.006, rate: 4 },
+                    3: { cumulative: 70, relative: 0.008, rate: 8 }
+                }
+            },
+            'column-settlement': {
+                1: { cumulative: 25, rate: 2 },
+                2: { cumulative: 35, rate: 4 },
+                3: { cumulative: 55, rate: 8 }
+            },
+            'pit-heave': {
+                1: { cumulative: 25, rate: 2 },
+                2: { cumulative: 35, rate: 4 },
+                3: { cumulative: 55, rate: 8 }
+            },
+            'ground-settlement': {
+                1: { cumulative: 25, rate: 2 },
+                2: { cumulative: 50, rate: 4 },
+                3: { cumulative: 60, rate: 8 }
+            },
+            'water-level': {
+                1: { cumulative: 1000, rate: 500 },
+                2: { cumulative: 1000, rate: 500 },
+                3: { cumulative: 2000, rate: 500 }
+            },
+            // 内力类项目按构件承载能力设计值的百分比控制，需在测点上给出设计值
+            'support-force': {
+                1: { designRatio: 0.6 },
+                2: { designRatio: 0.7 },
+                3: { designRatio: 0.7 }
+            },
+            'anchor-force': {
+                1: { designRatio: 0.6 },
+                2: { designRatio: 0.7 },
+                3: { designRatio: 0.7 }
+            },
+            'wall-internal-force': {
+                1: { designRatio: 0.6 },
+                2: { designRatio: 0.7 },
+                3: { designRatio: 0.7 }
+            },
+            'column-force': {
+                1: { designRatio: 0.6 },
+                2: { designRatio: 0.7 },
+                3: { designRatio: 0.7 }
+            },
+            // 土压力、孔隙水压力按荷载设计值的百分比控制
+            'soil-pressure': {
+                1: { designRatio: 0.6 },
+                2: { designRatio: 0.7 },
+                3: { designRatio: 0.7 }
+            },
+            'pore-pressure': {
+                1: { designRatio: 0.6 },
+                2: { designRatio: 0.7 },
+                3: { designRatio: 0.7 }
+            },
+            // 周边建筑按表8.0.5取区间下限，与基坑等级无关；倾斜以‰计
+            'building-settlement': {
+                1: { cumulative: 10, rate: 1 },
+                2: { cumulative: 10, rate: 1 },
+                3: { cumulative: 10, rate: 1 }
+            },
+            'building-tilt': {
+                1: { cumulative: 2 },
+                2: { cumulative: 2 },
+                3: { cumulative: 2 }
+            },
+            'building-crack': {
+                1: { cumulative: 1.5 },
+                2: { cumulative: 1.5 },
+                3: { cumulative: 1.5 }
+            },
+            // 周边管线按表8.0.5中压力管线的区间下限取值
+            'pipeline-displacement': {
+                1: { cumulative: 10, rate: 1 },
+                2: { cumulative: 10, rate: 1 },
+                3: { cumulative: 10, rate: 1 }
+            }
+        };
+
+        // 用户自定义预警值，覆盖默认值：type -> { cumulative, rate }
+        this.customThresholds = {};
+
+        // 支护结构类别，决定采用表8.0.4中的哪一组预警值
+        this.supportCategory = 'rigid';
+
+        // 危险状态的判定倍数，见 DEFAULT_DANGER_FACTOR
+        this.dangerFactor = DEFAULT_DANGER_FACTOR;
+    }
+
+    /**
+     * 获取某监测项目的默认预警值
+     * @param {string} type 监测项目
+     * @param {Object} config 基坑配置
+     * @returns {Object|null} { cumulative, rate, designRatio, sources }，cumulative 已按 min(绝对值, 相对值×H) 折算，
+     *   sources 为累计值、速率的来源 { cumulative: { source, clause }, rate: { ... } }
+     */
+    getDefaultThreshold(type, config) {
+        const category = this.getSupportCategory(config);
+        const table = this.defaultThresholds[type];
+        const entry = table ? (table[category] || table)[config.safetyLevel] : null;
+
+        let cumulative = entry ? entry.cumulative ?? null : null;
+        if (cumulative !== null && entry.relative) {
+            // 累计值取绝对值和相对基坑设计深度H控制值两者的较小值
+            cumulative = Math.min(cumulative, entry.relative * config.dimensions.depth * 1000);
+        }
+        // 表8.0.4或表8.0.5
+        const clause = SENSOR_TYPES[type]?.clauses.warning || null;
+        const base = {
+            cumulative,
+            rate: entry ? entry.rate ?? null : null,
+            designRatio: entry ? entry.designRatio ?? null : null,
+            sources: {
+                cumulative: { source: BASE_STANDARD, clause },
+                rate: { source: BASE_STANDARD, clause }
+            }
+        };
+        if (!this.rulePacks || !config.rulePacks || config.rulePacks.length === 0) {
+            return entry ? base : null;
+        }
+
+        // 规则包的预警值与表8.0.4、8.0.5的值取较小者
+        const picked = this.rulePacks.resolve(config.rulePacks).getWarningThreshold(config, type, { ...base, clause }, category);
+        if (!entry && picked.cumulative.value === null && picked.rate.value === null) return null;
+        return {
+            ...base,
+            cumulative: picked.cumulative.value,
+            rate: picked.rate.value,
+            sources: {
+                cumulative: { source: picked.cumulative.source, clause: picked.cumulative.clause },
+                rate: { source: picked.rate.source, clause: picked.rate.clause }
+            }
+        };
+    }
+
+    /**
+     * 获取生效的预警值（自定义值优先）
+     */
+    getThreshold(type, config) {
+        const defaults = this.getDefaultThreshold(type, config) || { cumulative: null, rate: null, designRatio: null, sources: {} };
+        const custom = this.customThresholds[type] || {};
+        const pick = key => (this.isSet(custom[key]) ? custom[key] : defaults[key]);
+        const sourceOf = key => (this.isSet(custom[key]) ? { source: 'custom', clause: null } : defaults.sources[key] || null);
+        return {
+            cumulative: pick('cumulative'),
+            rate: pick('rate'),
+            designRatio: defaults.designRatio,
+            sources: { cumulative: sourceOf('cumulative'), rate: sourceOf('rate') }
+        };
+    }
+
+    setCustomThreshold(type, threshold) {
+        const current = this.customThresholds[type] || {};
+        const next = { ...current };
+        ['cumulative', 'rate'].forEach(key => {
+            if (key in threshold) {
+                const value = threshold[key];
+                next[key] = value === null || value === '' ? null : Number(value);
+            }
+        });
+
+        if (!this.isSet(next.cumulative) && !this.isSet(next.rate)) {
+            delete this.customThresholds[type];
+        } else {
+            this.customThresholds[type] = next;
+        }
+    }
+
+    /**
+     * 导出预警设置，供项目文件保存
+     */
+    getSettings() {
+        return {
+            supportCategory: this.supportCategory,
+            dangerFactor: this.dangerFactor,
+            thresholds: JSON.parse(JSON.stringify(this.customThresholds))
+        };
+    }
+
+    loadSettings(settings = {}) {
+        this.supportCategory = settings.supportCategory || 'rigid';
+        this.setDangerFactor(settings.dangerFactor);
+        this.customThresholds = {};
+        Object.entries(settings.thresholds || {}).forEach(([type, threshold]) => {
+            this.setCustomThreshold(type, threshold);
+        });
+    }
+
+    /**
+     * 设置危险状态的判定倍数，不大于1或无效时取默认值
+     */
+    setDangerFactor(value) {
+        const factor = Number(value);
+        this.dangerFactor = Number.isFinite(factor) && factor > 1 ? factor : DEFAULT_DANGER_FACTOR;
+    }
+
+    /**
+     * 判定单个测点状态
+     * @param {Object} sensor 传感器（含 type、metadata）
+     * @param {Object|null} stats SensorDataStore.getStatistics() 的结果
+     * @param {Object} config 基坑配置
+     * @returns {Object} 判定结果
+     */
+    evaluateSensor(sensor, stats, config) {
+        const threshold = this.getThreshold(sensor.type, config);
+        const result = {
+            sensorId: sensor.id,
+            type: sensor.type,
+            state: WARNING_STATES.NO_DATA,
+            cumulativeChange: null,
+            dailyRate: null,
+            cumulativeLimit: threshold.cumulative,
+            rateLimit: threshold.rate,
+            exceeded: { cumulative: false, rate: false },
+            messages: []
+        };
+
+        if (!stats) return result;
+
+        result.cumulativeChange = stats.cumulativeChange;
+        result.dailyRate = stats.dailyRate;
+
+        // 内力类项目：预警值 = 设计值 × 比例
+        const designValue = sensor.metadata ? Number(sensor.metadata.designValue) : NaN;
+        if (!this.isSet(result.cumulativeLimit) && threshold.designRatio && Number.isFinite(designValue)) {
+            result.cumulativeLimit = designValue * threshold.designRatio;
+        }
+
+        if (!this.isSet(result.cumulativeLimit) && !this.isSet(result.rateLimit)) {
+            result.state = WARNING_STATES.NORMAL;
+            result.messages.push('未设置预警值');
+            return result;
+        }
+
+        const cumulativeRatio = this.isSet(result.cumulativeLimit) && result.cumulativeLimit > 0
+            ? Math.abs(stats.cumulativeChange) / result.cumulativeLimit : 0;
+        const rateRatio = this.isSet(result.rateLimit) && result.rateLimit > 0 && stats.dailyRate !== null
+            ? Math.abs(stats.dailyRate) / result.rateLimit : 0;
+
+        result.exceeded.cumulative = cumulativeRatio >= 1;
+        result.exceeded.rate = rateRatio >= 1;
+
+        if (result.exceeded.cumulative) {
+            result.messages.push(`累计变化量${stats.cumulativeChange.toFixed(2)}超过预警值${result.cumulativeLimit.toFixed(2)}`);
+        }
+        if (result.exceeded.rate) {
+            result.messages.push(`变化速率${stats.dailyRate.toFixed(2)}/d超过预警值${result.rateLimit.toFixed(2)}/d`);
+        }
+
+        if ((result.exceeded.cumulative && result.exceeded.rate) ||
+            Math.max(cumulativeRatio, rateRatio) >= this.dangerFactor) {
+            result.state = WARNING_STATES.DANGER;
+        } else if (result.exceeded.cumulative || result.exceeded.rate) {
+            result.state = WARNING_STATES.ABNORMAL;
+        } else {
+            result.state = WARNING_STATES.NORMAL;
+        }
+
+        return result;
+    }
+
+    /**
+     * 判定全部测点
+     * @param {Object} config 基坑配置
+     * @param {Array} sensors 传感器列表
+     * @param {SensorDataStore} dataStore 监测数据
+     * @returns {Object} { summary, results }
+     */
+    evaluateAll(config, sensors, dataStore) {
+        const results = sensors.map(sensor =>
+            this.evaluateSensor(sensor, dataStore.getStatistics(sensor.id), config)
+        );
+
+        const summary = {
+            [WARNING_STATES.NORMAL]: 0,
+            [WARNING_STATES.ABNORMAL]: 0,
+            [WARNING_STATES.DANGER]: 0,
+            [WARNING_STATES.NO_DATA]: 0
+        };
+        results.forEach(result => summary[result.state]++);
+
+        return { summary, results };
+    }
+
+    getSupportCategory(config) {
+        return config.supportCategory || this.supportCategory;
+    }
+
+    getStateName(state) {
+        const names = {
+            [WARNING_STATES.NORMAL]: '正常',
+            [WARNING_STATES.ABNORMAL]: '异常',
+            [WARNING_STATES.DANGER]: '危险',
+            [WARNING_STATES.NO_DATA]: '无数据'
+        };
+        return names[state] || state;
+    }
+
+    isSet(value) {
+        return value !== null && value !== undefined && Number.isFinite(value);
+    }
+}
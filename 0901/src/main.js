@@ -2,6 +2,39 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { ExcavationMonitoringSystem } from './ExcavationMonitoringSystem.js';
 import { GB50497Validator } from './GB50497Validator.js';
+import { ProjectSerializer } from './ProjectSerializer.js';
+import { SensorDataStore } from './SensorDataStore.js';
+import { SensorTimeSeriesChart } from './SensorTimeSeriesChart.js';
+import { InclinometerProfiles } from './InclinometerProfiles.js';
+import { InclinometerProfileChart } from './InclinometerProfileChart.js';
+import { WarningEngine, WARNING_STATES } from './WarningEngine.js';
+import { ConstructionTimeline, STAGE_TYPES } from './ConstructionTimeline.js';
+import { MonitoringFrequencyPlanner } from './MonitoringFrequencyPlanner.js';
+import { MonitoringSchemeReport } from './MonitoringSchemeReport.js';
+import { CommandHistory } from './CommandHistory.js';
+import { LayoutGenerator } from './LayoutGenerator.js';
+import { StandardTextIndex } from './StandardTextIndex.js';
+import { PitOutline } from './PitOutline.js';
+import { Stratigraphy, SOIL_CLASSES } from './Stratigraphy.js';
+import { RETAINING_SYSTEMS, DEFAULT_RETAINING_SYSTEM, getRetainingSystem } from './RetainingSystems.js';
+import { GroundAnchors, DEFAULT_ANCHOR_ROW } from './GroundAnchors.js';
+import { ProtectedObjects, PROTECTED_OBJECT_KINDS, FOUNDATION_TYPES, IMPORTANCE_LEVELS } from './ProtectedObjects.js';
+import { UndergroundPipelines, PIPELINE_USES, PIPELINE_MATERIALS, JOINT_TYPES } from './UndergroundPipelines.js';
+import { SENSOR_TYPES, getSensorType, getHostName } from './SensorTypes.js';
+import { MonitoringSections } from './MonitoringSections.js';
+import { CATEGORY_NAMES, ITEM_TABLES, EXPLAINED_ISSUE_KINDS } from './MonitoringItemTables.js';
+import { RulePackRegistry, BASE_STANDARD, describeRuleSource } from './RulePacks.js';
+import { LayoutSchemes, SCORE_WEIGHTS, SCORE_ITEM_NAMES } from './LayoutSchemes.js';
+import itemTablesText from '../GB504972019/规范原文/4监测项目.md?raw';
+
+// 随项目附带的规范原文和条文说明，按需加载
+const standardText = new StandardTextIndex({
+    original: import.meta.glob('../GB504972019/规范原文/*', { query: '?raw', import: 'default' }),
+    commentary: import.meta.glob('../GB504972019/条文说明/*', { query: '?raw', import: 'default' })
+});
+
+// 放在 rule-packs/ 目录中的地方标准、行业标准规则包随系统加载（examples/ 中的示例不加载）
+const builtinRulePacks = import.meta.glob('../rule-packs/*.json', { eager: true, import: 'default' });
 
 class App {
     constructor() {
@@ -11,9 +44,53 @@ class App {
         this.controls = null;
         this.monitoringSystem = null;
         this.validator = null;
+        this.projectSerializer = new ProjectSerializer();
+        this.dataStore = new SensorDataStore();
+        this.inclinometerProfiles = new InclinometerProfiles();
+        // 测斜曲线显示：对话框中查看的测斜孔及所选期次、三维变形放大倍数、是否在三维视图中显示
+        this.profileView = { sensorId: null, selectedTime: null, exaggeration: 100, visible: true };
+        // 已加载的规则包及项目选用的规则包 id（GB50497 始终适用）
+        this.rulePacks = new RulePackRegistry(Object.values(builtinRulePacks));
+        this.rulePackIds = [];
+        this.warningEngine = new WarningEngine({ rulePacks: this.rulePacks });
+        this.warningResults = null;
+        this.timeline = new ConstructionTimeline();
+        this.frequencyPlanner = null;
+        this.layoutGenerator = null;
+        this.validationResults = null;
+        // 当前查看的施工阶段序号，null 表示完工后的完整模型
+        this.currentStageIndex = null;
+        this.sensorChart = null;
+        this.selectedSensorId = null;
+        // 撤销/重做历史；generatedConfig 为最近一次生成基坑模型所用的配置
+        this.history = new CommandHistory();
+        this.generatedConfig = null;
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.placingSensor = false;
+        // 正在拖动的传感器 { id, startX, startY, moved, snap }
+        this.dragState = null;
+        // 正在地面上绘制的基坑轮廓 { points }
+        this.outlineDrawing = null;
+        // 钻孔资料确定的地层，未导入时为 null（按基坑类型取典型地层）
+        this.strata = null;
+        // 周边保护对象，未编辑时为 null；sampleEnvironment 为新建项目时是否以示例对象作为周边环境，
+        // 示例对象随基坑尺寸生成，编辑后转为项目自有的周边环境。selectedProtectedObjectId 为编辑中的对象
+        this.environment = null;
+        this.sampleEnvironment = true;
+        this.selectedProtectedObjectId = null;
+        // 地下管线，未绘制时为 null
+        this.pipelines = null;
+        this.selectedPipelineId = null;
+        // 绘制的监测断面，未绘制时为 null（按测点自动划分）；sectionView 为当前显示的断面及测点归属
+        this.sections = null;
+        this.selectedSectionId = null;
+        this.sectionView = null;
+        // 布置方案，未建立方案时为 null（只有当前一套布置）；
+        // comparison 为分屏对比的方案及其三维模型 { schemeId, scene, system, diff }，schemeWeights 为加权得分的权重
+        this.schemes = null;
+        this.comparison = null;
+        this.schemeWeights = { ...SCORE_WEIGHTS };
         this.currentSensorType = 'horizontal-displacement';
         
         this.init();
@@ -57,7 +134,16 @@ class App {
 
         // 创建监测系统
         this.monitoringSystem = new ExcavationMonitoringSystem(this.scene);
-        this.validator = new GB50497Validator();
+        this.validator = new GB50497Validator({ itemTables: itemTablesText, rulePacks: this.rulePacks });
+        this.frequencyPlanner = new MonitoringFrequencyPlanner(this.validator, this.timeline);
+        this.layoutGenerator = new LayoutGenerator(this.validator);
+        this.schemeReport = new MonitoringSchemeReport(this.validator, this.warningEngine, this.frequencyPlanner);
+        this.sensorChart = new SensorTimeSeriesChart(document.getElementById('sensor-chart'));
+        this.profileChart = new InclinometerProfileChart(document.getElementById('profile-chart'));
+        this.renderSensorData();
+        this.populateSelects();
+        this.renderRulePacks();
+        this.renderSchemes();
 
         // 生成默认基坑
         console.log('正在初始化基坑监测系统...');
@@ -69,10 +155,10 @@ class App {
         }
     }
 
-    setupLighting() {
+    setupLighting(scene = this.scene) {
         // 环境光
         const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
-        this.scene.add(ambientLight);
+        scene.add(ambientLight);
 
         // 主光源
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
@@ -86,286 +172,2557 @@ class App {
         directionalLight.shadow.camera.right = 50;
         directionalLight.shadow.camera.top = 50;
         directionalLight.shadow.camera.bottom = -50;
-        this.scene.add(directionalLight);
+        scene.add(directionalLight);
 
         // 辅助光源
         const hemisphereLight = new THREE.HemisphereLight(0x87CEEB, 0x8B4513, 0.3);
-        this.scene.add(hemisphereLight);
+        scene.add(hemisphereLight);
     }
 
     setupEventListeners() {
         // 窗口大小调整
         window.addEventListener('resize', () => this.onWindowResize());
 
+        // 撤销/重做
+        this.history.onChange = () => this.updateHistoryButtons();
+        document.getElementById('undo').addEventListener('click', () => this.undo());
+        document.getElementById('redo').addEventListener('click', () => this.redo());
+        window.addEventListener('keydown', (event) => this.onKeyDown(event));
+        this.updateHistoryButtons();
+
         // 鼠标事件
         this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event));
         this.renderer.domElement.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        this.renderer.domElement.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+        window.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        window.addEventListener('pointerup', (event) => this.onPointerUp(event));
+        this.renderer.domElement.addEventListener('mouseleave', () => this.hideDragFeedback());
 
         // UI控制事件
         document.getElementById('generate-pit').addEventListener('click', () => this.generateExcavation());
         document.getElementById('reset-view').addEventListener('click', () => this.resetView());
+        document.getElementById('draw-outline').addEventListener('click', () => this.toggleOutlineDrawing());
+        document.getElementById('pit-shape').addEventListener('change', () => this.updateOutlineControls());
+        document.getElementById('retaining-system').addEventListener('change', () => {
+            this.syncSupportCategory();
+            this.updateAnchorControls();
+        });
+
+        // 周边保护对象
+        document.getElementById('protected-object-select').addEventListener('change', (e) => {
+            this.selectedProtectedObjectId = Number(e.target.value);
+            this.renderProtectedObjects();
+        });
+        document.querySelectorAll('#protected-object-form [data-field]').forEach(input => {
+            input.addEventListener('change', () => this.updateProtectedObject(input.dataset.field, input.value));
+        });
+        ['building', 'road', 'tunnel'].forEach(kind => {
+            document.getElementById(`add-${kind}`).addEventListener('click', () => this.addProtectedObject(kind));
+        });
+        document.getElementById('remove-protected-object').addEventListener('click', () => this.removeProtectedObject());
+
+        // 地下管线
+        document.getElementById('pipeline-select').addEventListener('change', (e) => {
+            this.selectedPipelineId = Number(e.target.value);
+            this.renderPipelines();
+        });
+        document.querySelectorAll('#pipeline-form [data-field]').forEach(input => {
+            input.addEventListener('change', () => this.updatePipeline(input.dataset.field, input.value));
+        });
+        document.getElementById('draw-pipeline').addEventListener('click', () => this.toggleOutlineDrawing('pipeline'));
+        document.getElementById('remove-pipeline').addEventListener('click', () => this.removePipeline());
+
+        // 地层（钻孔资料）
+        document.getElementById('apply-strata').addEventListener('click', () => this.applyStrata());
+        document.getElementById('clear-strata').addEventListener('click', () => this.clearStrata());
+        document.getElementById('import-strata').addEventListener('click', () => {
+            document.getElementById('strata-file').click();
+        });
+        document.getElementById('strata-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            document.getElementById('strata-csv').value = await file.text();
+            this.applyStrata();
+        });
+        // 规则包
+        document.getElementById('rule-pack-list').addEventListener('change', (e) => {
+            const id = e.target.dataset.pack;
+            this.rulePackIds = e.target.checked
+                ? [...this.rulePackIds, id]
+                : this.rulePackIds.filter(item => item !== id);
+            this.updateExcavationParameters();
+        });
+        document.getElementById('import-rule-pack').addEventListener('click', () => {
+            document.getElementById('rule-pack-file').click();
+        });
+        document.getElementById('rule-pack-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            this.importRulePack(await file.text());
+        });
+        // 布置方案
+        document.getElementById('scheme-select').addEventListener('change', (e) => this.switchScheme(Number(e.target.value)));
+        document.getElementById('scheme-name').addEventListener('change', (e) => this.renameScheme(e.target.value));
+        document.getElementById('copy-scheme').addEventListener('click', () => this.createScheme(true));
+        document.getElementById('new-scheme').addEventListener('click', () => this.createScheme(false));
+        document.getElementById('remove-scheme').addEventListener('click', () => this.removeScheme());
+        document.getElementById('compare-scheme').addEventListener('change', (e) => {
+            this.setComparison(e.target.value ? Number(e.target.value) : null);
+        });
+        document.getElementById('open-scheme-comparison').addEventListener('click', () => this.openSchemeComparison());
+        document.getElementById('close-scheme-dialog').addEventListener('click', () => {
+            document.getElementById('scheme-dialog').classList.remove('open');
+        });
+        document.getElementById('scheme-weights').addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            this.schemeWeights[e.target.dataset.weight] = Number.isFinite(value) && value >= 0 ? value : 0;
+            this.renderSchemeComparison();
+        });
+        // 监测断面
+        document.getElementById('section-select').addEventListener('change', (e) => {
+            this.selectedSectionId = Number(e.target.value);
+            this.refreshSections();
+            this.highlightSection();
+        });
+        document.getElementById('section-name').addEventListener('change', (e) => this.renameSection(e.target.value));
+        document.getElementById('draw-section').addEventListener('click', () => this.toggleOutlineDrawing('section'));
+        document.getElementById('infer-sections').addEventListener('click', () => {
+            this.sections = null;
+            this.refreshSections();
+        });
+        document.getElementById('remove-section').addEventListener('click', () => this.removeSection());
+        document.getElementById('show-sections').addEventListener('change', () => this.refreshSections());
         document.getElementById('place-sensor').addEventListener('click', () => this.toggleSensorPlacement());
         document.getElementById('clear-sensors').addEventListener('click', () => this.clearAllSensors());
+        document.getElementById('auto-layout').addEventListener('click', () => this.generateLayout());
         document.getElementById('validate-layout').addEventListener('click', () => this.validateSensorLayout());
+        document.getElementById('check-item-tables').addEventListener('click', () => this.showConsistencyReport());
+
+        // 项目文件导入导出
+        document.getElementById('export-project').addEventListener('click', () => this.exportProject());
+        document.getElementById('import-project').addEventListener('click', () => {
+            document.getElementById('project-file').click();
+        });
+        document.getElementById('project-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importProject(file);
+            e.target.value = '';
+        });
+        document.getElementById('open-scheme-report').addEventListener('click', () => this.openSchemeReport());
+
+        // 监测数据导入
+        document.getElementById('import-readings').addEventListener('click', () => {
+            document.getElementById('readings-file').click();
+        });
+        document.getElementById('readings-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importReadings(file);
+            e.target.value = '';
+        });
+
+        // 测斜曲线
+        document.getElementById('open-profile').addEventListener('click', () => this.openProfileDialog());
+        document.getElementById('close-profile-dialog').addEventListener('click', () => {
+            document.getElementById('profile-dialog').classList.remove('open');
+        });
+        document.getElementById('import-profiles').addEventListener('click', () => {
+            document.getElementById('profiles-file').click();
+        });
+        document.getElementById('profiles-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importProfiles(file);
+            e.target.value = '';
+        });
+        document.getElementById('profile-epoch').addEventListener('change', (e) => {
+            this.profileView.selectedTime = Number(e.target.value);
+            this.renderProfileDialog();
+            this.refreshInclinometerProfiles();
+        });
+        document.getElementById('profile-exaggeration').addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            if (value > 0) this.profileView.exaggeration = value;
+            e.target.value = this.profileView.exaggeration;
+            this.refreshInclinometerProfiles();
+        });
+        document.getElementById('show-profiles-3d').addEventListener('change', (e) => {
+            this.profileView.visible = e.target.checked;
+            this.refreshInclinometerProfiles();
+        });
+
+        // 测点属性编辑
+        document.getElementById('attr-code').addEventListener('change', (e) => {
+            if (this.selectedSensorId === null) return;
+            const id = this.selectedSensorId;
+            const previous = this.monitoringSystem.getSensorById(id).code;
+            const error = this.monitoringSystem.setSensorCode(id, e.target.value);
+            if (error) {
+                this.showNotification(error, 'error');
+                e.target.value = previous;
+                return;
+            }
+            const code = this.monitoringSystem.getSensorById(id).code;
+            this.history.push({
+                label: `修改测点编号 ${previous} → ${code}`,
+                undo: () => this.monitoringSystem.setSensorCode(id, previous),
+                redo: () => this.monitoringSystem.setSensorCode(id, code)
+            });
+            this.refreshSensorViews();
+        });
+        document.getElementById('sensor-initial-value').addEventListener('change', (e) => {
+            if (this.selectedSensorId === null) return;
+            const id = this.selectedSensorId;
+            const point = this.dataStore.getPoint(id);
+            const previous = point ? point.initialValue : null;
+            const value = e.target.value;
+            this.dataStore.setInitialValue(id, value);
+            this.history.push({
+                label: `修改 ${this.getSensorLabel(id)} 初始值`,
+                undo: () => this.dataStore.setInitialValue(id, previous),
+                redo: () => this.dataStore.setInitialValue(id, value)
+            });
+            this.refreshSensorViews();
+        });
+        document.getElementById('sensor-attributes').addEventListener('change', (e) => {
+            const key = e.target.dataset.attr;
+            if (!key || this.selectedSensorId === null) return;
+            const id = this.selectedSensorId;
+            const previous = this.monitoringSystem.getSensorById(id).metadata[key] ?? null;
+            const value = e.target.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value;
+            this.monitoringSystem.updateSensorMetadata(id, { [key]: value });
+            this.history.push({
+                label: `修改 ${this.getSensorLabel(id)} 属性`,
+                undo: () => this.monitoringSystem.updateSensorMetadata(id, { [key]: previous }),
+                redo: () => this.monitoringSystem.updateSensorMetadata(id, { [key]: value })
+            });
+            this.refreshSensorViews();
+        });
+
+        // 验证结论：查阅条文、高亮涉及的测点
+        document.getElementById('validation-results').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-clause]');
+            if (link) {
+                this.openClause(link.dataset.clause);
+                return;
+            }
+            const finding = e.target.closest('[data-finding]');
+            if (finding) this.highlightFinding(Number(finding.dataset.finding));
+        });
+        document.getElementById('close-clause-dialog').addEventListener('click', () => {
+            document.getElementById('clause-dialog').classList.remove('open');
+        });
+
+        // 监测预警
+        document.getElementById('evaluate-warnings').addEventListener('click', () => this.evaluateWarnings());
+        document.getElementById('clear-warnings').addEventListener('click', () => this.clearWarnings());
+        document.getElementById('support-category').addEventListener('change', (e) => {
+            this.warningEngine.supportCategory = e.target.value;
+            this.renderThresholdTable();
+            this.refreshWarnings();
+        });
+        document.getElementById('danger-factor').addEventListener('change', (e) => {
+            this.warningEngine.setDangerFactor(e.target.value);
+            e.target.value = this.warningEngine.dangerFactor;
+            this.refreshWarnings();
+        });
+        // 监测频率计划
+        document.getElementById('open-frequency-plan').addEventListener('click', () => this.openFrequencyPlan());
+        document.getElementById('close-frequency-dialog').addEventListener('click', () => {
+            document.getElementById('frequency-dialog').classList.remove('open');
+        });
+        document.getElementById('add-stage').addEventListener('click', () => this.addTimelineStage());
+        document.getElementById('reset-timeline').addEventListener('click', () => {
+            this.createDefaultTimeline();
+            this.renderFrequencyPlan();
+            this.updateStageSlider();
+        });
+        document.getElementById('apply-warning-frequency').addEventListener('change', () => this.renderFrequencyPlan());
+        document.getElementById('export-calendar').addEventListener('click', () => this.exportMonitoringCalendar());
+        document.getElementById('timeline-table-body').addEventListener('change', (e) => {
+            const { stageId, field } = e.target.dataset;
+            if (!stageId) return;
+            let value = e.target.value;
+            // 界面上支撑道次从1开始编号
+            if (field === 'supportLevel' && value !== '') value = Number(value) - 1;
+            this.timeline.updateStage(Number(stageId), { [field]: value });
+            this.renderFrequencyPlan();
+            this.updateStageSlider();
+        });
+        document.getElementById('timeline-table-body').addEventListener('click', (e) => {
+            if (e.target.dataset.action !== 'remove-stage') return;
+            this.timeline.removeStage(Number(e.target.dataset.stageId));
+            this.renderFrequencyPlan();
+            this.updateStageSlider();
+        });
+
+        // 施工阶段滑块
+        document.getElementById('stage-slider').addEventListener('input', (e) => {
+            const value = Number(e.target.value);
+            this.setConstructionStage(value >= this.timeline.getStages().length ? null : value);
+        });
+
+        document.getElementById('threshold-table-body').addEventListener('change', (e) => {
+            const { type, field } = e.target.dataset;
+            if (!type) return;
+            this.warningEngine.setCustomThreshold(type, { [field]: e.target.value });
+            this.refreshWarnings();
+        });
         
         // 传感器类型选择
         document.getElementById('sensor-type').addEventListener('change', (e) => {
             this.currentSensorType = e.target.value;
+            document.getElementById('pipeline-method-group').style.display =
+                this.currentSensorType === 'pipeline-displacement' ? 'block' : 'none';
         });
 
         // 基坑参数变化
-        ['pit-type', 'safety-level', 'pit-depth', 'pit-length', 'pit-width'].forEach(id => {
+        ['pit-type', 'safety-level', 'retaining-system', 'pit-depth', 'pit-length', 'pit-width', 'pit-shape', 'pit-outline', 'anchor-rows'].forEach(id => {
             document.getElementById(id).addEventListener('change', () => this.updateExcavationParameters());
         });
     }
 
+    /**
+     * 填充由常量表生成的下拉选项
+     */
+    populateSelects() {
+        const fill = (select, entries) => entries.forEach(([value, text]) => select.add(new Option(text, value)));
+        const sensorType = document.getElementById('sensor-type');
+        Object.entries(SENSOR_TYPES).forEach(([type, definition]) => {
+            const option = new Option(`${definition.name}（${definition.code}）`, type);
+            option.title = `${definition.nameEn}；${definition.precision}`;
+            sensorType.add(option);
+        });
+        sensorType.value = this.currentSensorType;
+        const retainingSystem = document.getElementById('retaining-system');
+        fill(retainingSystem, Object.entries(RETAINING_SYSTEMS).map(([key, system]) => [key, system.name]));
+        retainingSystem.value = DEFAULT_RETAINING_SYSTEM;
+        fill(document.querySelector('#protected-object-form [data-field="foundation"]'), Object.entries(FOUNDATION_TYPES));
+        fill(document.querySelector('#protected-object-form [data-field="importance"]'), Object.entries(IMPORTANCE_LEVELS));
+        fill(document.querySelector('#pipeline-form [data-field="use"]'), Object.entries(PIPELINE_USES));
+        fill(document.querySelector('#pipeline-form [data-field="material"]'), Object.entries(PIPELINE_MATERIALS));
+        fill(document.querySelector('#pipeline-form [data-field="joint"]'), Object.entries(JOINT_TYPES));
+    }
+
     generateExcavation() {
-        const pitType = document.getElementById('pit-type').value;
-        const safetyLevel = parseInt(document.getElementById('safety-level').value);
-        const depth = parseFloat(document.getElementById('pit-depth').value);
-        const length = parseFloat(document.getElementById('pit-length').value);
-        const width = parseFloat(document.getElementById('pit-width').value);
+        const error = this.readOutline().error || this.readAnchors().error ||
+            (this.environment && this.environment.validate()) || (this.pipelines && this.pipelines.validate());
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+        const config = this.getCurrentConfig();
+        // 多边形顶点按规范化、居中后的坐标回填
+        this.applyConfigToForm(config);
 
-        const config = {
-            type: pitType,
-            safetyLevel: safetyLevel,
-            dimensions: { length, width, depth }
-        };
+        // 传感器不随基坑重新生成而清除，重新生成本身也可撤销
+        const previous = this.generatedConfig;
+        this.buildExcavation(config);
+        if (previous && JSON.stringify(previous) !== JSON.stringify(config)) {
+            this.history.push({
+                label: '重新生成基坑模型',
+                undo: () => this.restoreExcavation(previous),
+                redo: () => this.restoreExcavation(config)
+            });
+        }
+    }
 
+    buildExcavation(config) {
+        this.generatedConfig = config;
         this.monitoringSystem.generateExcavation(config);
+        this.refreshProtectedObjects();
+        this.refreshPipelines();
+        this.refreshSections();
+        this.refreshComparison();
         this.resetView();
+        this.renderThresholdTable();
+        this.updateStageSlider();
+    }
+
+    restoreExcavation(config) {
+        this.applyConfigToForm(config);
+        this.buildExcavation(config);
     }
 
     updateExcavationParameters() {
         // 实时更新基坑参数，但不重新生成模型
         const config = this.getCurrentConfig();
         this.monitoringSystem.updateParameters(config);
+        this.updateStrataSummary();
+        this.renderThresholdTable();
+        this.refreshWarnings();
+    }
+
+    /**
+     * 预警采用的支护结构类别（表8.0.4）随支护形式切换
+     */
+    syncSupportCategory() {
+        const { supportCategory } = getRetainingSystem(this.getCurrentConfig());
+        if (this.warningEngine.supportCategory === supportCategory) return;
+        this.warningEngine.supportCategory = supportCategory;
+        document.getElementById('support-category').value = supportCategory;
+        this.renderThresholdTable();
+        this.refreshWarnings();
     }
 
     getCurrentConfig() {
-        return {
+        const config = {
             type: document.getElementById('pit-type').value,
             safetyLevel: parseInt(document.getElementById('safety-level').value),
+            retainingSystem: document.getElementById('retaining-system').value,
             dimensions: {
                 length: parseFloat(document.getElementById('pit-length').value),
                 width: parseFloat(document.getElementById('pit-width').value),
                 depth: parseFloat(document.getElementById('pit-depth').value)
             }
         };
+
+        // 多边形基坑的长度、宽度取外包矩形尺寸；顶点无效时按矩形处理
+        const { vertices } = this.readOutline();
+        if (vertices) {
+            const { bounds } = new PitOutline({ outline: vertices });
+            config.outline = vertices;
+            config.dimensions.length = bounds.length;
+            config.dimensions.width = bounds.width;
+        }
+        if (this.strata) {
+            config.strata = this.strata.toJSON();
+        }
+        if (this.environment) {
+            config.environment = this.environment.toJSON();
+        } else if (this.sampleEnvironment) {
+            config.environment = ProtectedObjects.createDefault(config.dimensions.length, config.dimensions.width).toJSON();
+        }
+        if (this.pipelines) {
+            config.pipelines = this.pipelines.toJSON();
+        }
+        if (this.rulePackIds.length > 0) {
+            config.rulePacks = [...this.rulePackIds];
+        }
+        // 锚杆仅用于有围护墙的支护形式；未填写时按支护形式取默认锚杆
+        const { anchors } = this.readAnchors();
+        if (anchors && getRetainingSystem(config).wall) {
+            config.anchors = anchors.toJSON();
+        }
+        return config;
     }
 
-    resetView() {
-        const config = this.getCurrentConfig();
-        const { length, width } = config.dimensions;
-        const maxDim = Math.max(length, width);
-        
-        this.camera.position.set(maxDim * 0.8, maxDim * 0.6, maxDim * 0.8);
-        this.controls.target.set(0, 0, 0);
-        this.controls.update();
+    applyConfigToForm(config) {
+        document.getElementById('pit-type').value = config.type;
+        document.getElementById('safety-level').value = String(config.safetyLevel);
+        document.getElementById('retaining-system').value = config.retainingSystem || DEFAULT_RETAINING_SYSTEM;
+        document.getElementById('pit-length').value = config.dimensions.length;
+        document.getElementById('pit-width').value = config.dimensions.width;
+        document.getElementById('pit-depth').value = config.dimensions.depth;
+        document.getElementById('pit-shape').value = config.outline ? 'polygon' : 'rectangle';
+        if (config.outline) {
+            document.getElementById('pit-outline').value = this.formatOutline(config.outline);
+        }
+        this.updateOutlineControls();
+        document.getElementById('anchor-rows').value = config.anchors ? GroundAnchors.fromJSON(config.anchors).format() : '';
+        this.updateAnchorControls();
+        this.rulePackIds = config.rulePacks ? [...config.rulePacks] : [];
+        this.renderRulePacks();
+        // 仍取示例对象时不固定为项目自有的周边环境，示例对象继续随基坑尺寸生成
+        if (!this.sampleEnvironment || this.environment) {
+            this.environment = config.environment ? ProtectedObjects.fromJSON(config.environment) : null;
+        }
+        this.pipelines = config.pipelines ? UndergroundPipelines.fromJSON(config.pipelines) : null;
+        this.strata = config.strata ? Stratigraphy.fromJSON(config.strata) : null;
+        document.getElementById('strata-csv').value = this.strata ? this.strata.toCSV() : '';
+        this.updateStrataSummary();
     }
 
-    toggleSensorPlacement() {
-        this.placingSensor = !this.placingSensor;
-        const button = document.getElementById('place-sensor');
-        
-        if (this.placingSensor) {
-            button.textContent = '退出布置模式';
-            button.classList.remove('btn-primary');
-            button.classList.add('btn-danger');
-            this.renderer.domElement.style.cursor = 'crosshair';
-        } else {
-            button.textContent = '布置传感器模式';
-            button.classList.remove('btn-danger');
-            button.classList.add('btn-primary');
-            this.renderer.domElement.style.cursor = 'default';
+    /**
+     * 应用地层编辑框中的钻孔资料，按开挖深度范围内的地层判定基坑类型后重新生成模型
+     */
+    applyStrata() {
+        let strata;
+        try {
+            strata = Stratigraphy.fromCSV(document.getElementById('strata-csv').value);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.strata = strata;
+        const depth = parseFloat(document.getElementById('pit-depth').value);
+        const classification = strata.classifyPit(depth);
+        if (classification) {
+            document.getElementById('pit-type').value = classification;
         }
+        this.generateExcavation();
+        this.updateStrataSummary();
+
+        const typeName = this.validator.getPitTypeName(document.getElementById('pit-type').value);
+        this.showNotification(`已应用${strata.layers.length}个地层，基坑类型：${typeName}`, 'success');
     }
 
-    onMouseClick(event) {
-        if (!this.placingSensor) return;
+    clearStrata() {
+        if (!this.strata) return;
+        this.strata = null;
+        document.getElementById('strata-csv').value = '';
+        this.generateExcavation();
+        this.updateStrataSummary();
+    }
 
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    updateStrataSummary() {
+        const summary = document.getElementById('strata-summary');
+        if (!this.strata) {
+            summary.textContent = '未导入钻孔资料，按基坑类型取典型地层';
+            return;
+        }
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        
-        const intersects = this.raycaster.intersectObjects(this.monitoringSystem.getInteractableObjects());
-        
-        if (intersects.length > 0) {
-            const point = intersects[0].point;
-            const success = this.monitoringSystem.placeSensor(this.currentSensorType, point);
-            
-            if (success) {
-                this.updateSensorList();
-                // 可选：播放成功音效或显示提示
-                this.showNotification('传感器布置成功', 'success');
-            } else {
-                this.showNotification('无法在此位置布置传感器', 'error');
-            }
+        const depth = parseFloat(document.getElementById('pit-depth').value);
+        const classification = this.strata.classifyPit(depth);
+        const sensitive = this.strata.getSensitiveLayers(depth);
+        const parts = [
+            `${this.strata.layers.length}个地层，底标高${this.strata.getBottom()}m`,
+            this.strata.groundwaterLevel !== null ? `地下水位${this.strata.groundwaterLevel}m` : '未测得地下水位'
+        ];
+        if (classification) parts.push(`开挖范围内为${this.validator.getPitTypeName(classification)}`);
+        if (sensitive.length > 0) {
+            parts.push(`含${sensitive.map(layer => SOIL_CLASSES[layer.soilClass].name).filter((name, i, all) => all.indexOf(name) === i).join('、')}，监测范围取3倍开挖深度`);
         }
+        summary.textContent = parts.join('；');
     }
 
-    onMouseMove(event) {
-        if (!this.placingSensor) return;
-
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    /**
+     * 读取表单中的多边形顶点，规范为逆时针并以外包矩形中心为原点
+     * @returns {Object} { vertices, error }，矩形基坑时 vertices 为 null
+     */
+    readOutline() {
+        if (document.getElementById('pit-shape').value !== 'polygon') return { vertices: null, error: null };
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        
-        const intersects = this.raycaster.intersectObjects(this.monitoringSystem.getInteractableObjects());
-        
-        if (intersects.length > 0) {
-            this.renderer.domElement.style.cursor = 'crosshair';
-        } else {
-            this.renderer.domElement.style.cursor = 'not-allowed';
+        const lines = document.getElementById('pit-outline').value.split(/\r?\n/);
+        const vertices = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const values = lines[i].trim().split(/[\s,，]+/).map(Number);
+            if (values.length !== 2 || !values.every(Number.isFinite)) {
+                return { vertices: null, error: `顶点坐标第${i + 1}行格式错误，应为"x, z"` };
+            }
+            vertices.push({ x: values[0], z: values[1] });
         }
+
+        const error = PitOutline.validate(vertices);
+        if (error) return { vertices: null, error };
+
+        const { vertices: normalized, bounds } = new PitOutline({ outline: vertices });
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            vertices: normalized.map(v => ({ x: round(v.x - centerX), z: round(v.z - centerZ) })),
+            error: null
+        };
     }
 
-    clearAllSensors() {
-        this.monitoringSystem.clearAllSensors();
-        this.updateSensorList();
-        this.showNotification('所有传感器已清除', 'info');
+    /**
+     * 按监测范围标出保护对象并刷新编辑器
+     */
+    refreshProtectedObjects() {
+        const config = this.generatedConfig;
+        this.protectedObjectAssessments = this.validator.assessProtectedObjects(config);
+        this.monitoringSystem.markProtectedObjects(this.protectedObjectAssessments, this.validator.getMonitoringRange(config).range);
+        this.renderProtectedObjects();
     }
 
-    updateSensorList() {
-        const sensors = this.monitoringSystem.getSensors();
-        const sensorCount = document.getElementById('sensor-count');
-        const sensorList = document.getElementById('sensor-list');
+    renderProtectedObjects() {
+        const assessments = this.protectedObjectAssessments || [];
+        if (!assessments.some(({ object }) => object.id === this.selectedProtectedObjectId)) {
+            this.selectedProtectedObjectId = assessments.length > 0 ? assessments[0].object.id : null;
+        }
 
-        sensorCount.textContent = `已布置传感器: ${sensors.length} 个`;
+        const select = document.getElementById('protected-object-select');
+        select.innerHTML = '';
+        assessments.forEach(({ object, inZone }) => {
+            const option = new Option(`${object.name}（${PROTECTED_OBJECT_KINDS[object.kind]}）${inZone ? ' ⚠ 监测范围内' : ''}`, object.id);
+            if (inZone) option.className = 'object-zone';
+            select.add(option);
+        });
+        select.value = this.selectedProtectedObjectId ?? '';
 
-        if (sensors.length === 0) {
-            sensorList.innerHTML = '<div class="loading">暂无传感器</div>';
+        const selected = assessments.find(({ object }) => object.id === this.selectedProtectedObjectId);
+        const form = document.getElementById('protected-object-form');
+        form.style.display = selected ? 'grid' : 'none';
+        document.getElementById('remove-protected-object').disabled = !selected;
+        const info = document.getElementById('protected-object-info');
+        if (!selected) {
+            info.textContent = '暂无周边保护对象';
             return;
         }
 
-        const sensorTypeNames = {
-            'horizontal-displacement': '围护墙顶部水平位移',
-            'vertical-displacement': '围护墙顶部竖向位移',
-            'deep-horizontal': '深层水平位移',
-            'support-force': '支撑轴力',
-            'anchor-force': '锚杆轴力',
-            'water-level': '地下水位',
-            'ground-settlement': '周边地表竖向位移'
-        };
+        const { object, distance, range, zone } = selected;
+        const zoneNames = { primary: '主要影响区（1倍开挖深度内）', secondary: '次要影响区' };
+        info.textContent = `距基坑边线 ${distance.toFixed(1)}m，` + (zone
+            ? `位于${zoneNames[zone]}，监测范围 ${range.toFixed(1)}m（5.3.1）`
+            : `位于监测范围（${range.toFixed(1)}m）外`);
+        form.querySelectorAll('[data-field]').forEach(input => {
+            input.value = object[input.dataset.field] ?? '';
+        });
+        form.querySelectorAll('[data-kinds]').forEach(element => {
+            element.style.display = element.dataset.kinds.split(',').includes(object.kind) ? '' : 'none';
+        });
+    }
 
-        sensorList.innerHTML = sensors.map((sensor, index) => `
-            <div class="sensor-item">
-                <span>${sensorTypeNames[sensor.type] || sensor.type}</span>
-                <button onclick="app.removeSensor(${index})" class="btn btn-danger" style="padding: 2px 8px; font-size: 12px;">删除</button>
-            </div>
-        `).join('');
+    /**
+     * 首次编辑时由示例对象（或空的周边环境）转为项目自有的周边环境
+     */
+    editableEnvironment() {
+        if (!this.environment) {
+            this.environment = ProtectedObjects.forConfig(this.generatedConfig || this.getCurrentConfig());
+        }
+        return this.environment;
     }
 
-    removeSensor(index) {
-        this.monitoringSystem.removeSensor(index);
-        this.updateSensorList();
+    updateProtectedObject(field, value) {
+        const id = this.selectedProtectedObjectId;
+        if (id === null) return;
+        const numeric = !['name', 'foundation', 'importance'].includes(field);
+        this.editableEnvironment().update(id, { [field]: numeric ? Number(value) : value });
+        this.generateExcavation();
     }
 
-    validateSensorLayout() {
-        const config = this.getCurrentConfig();
-        const sensors = this.monitoringSystem.getSensors();
-        
-        const validationResults = this.validator.validateLayout(config, sensors);
-        this.displayValidationResults(validationResults);
+    addProtectedObject(kind) {
+        const { bounds } = new PitOutline(this.getCurrentConfig());
+        const object = this.editableEnvironment().add({ kind, x: bounds.maxX + 10, z: 0 });
+        object.x += object.length / 2;
+        this.selectedProtectedObjectId = object.id;
+        this.generateExcavation();
     }
 
-    displayValidationResults(results) {
-        const container = document.getElementById('validation-results');
-        
-        if (results.isValid) {
-            container.innerHTML = `
-                <div class="validation-result validation-success">
-                    <h4>✅ 验证通过</h4>
-                    <p>传感器布置符合 GB50497-2019 标准要求</p>
-                </div>
-            `;
-        } else {
-            const warnings = results.warnings || [];
-            const errors = results.errors || [];
-            
-            let html = '';
-            
-            if (errors.length > 0) {
-                html += `
-                    <div class="validation-result validation-error">
-                        <h4>❌ 不符合规范要求</h4>
-                        <ul>
-                            ${errors.map(error => `<li>${error}</li>`).join('')}
-                        </ul>
-                    </div>
-                `;
-            }
-            
-            if (warnings.length > 0) {
-                html += `
-                    <div class="validation-result validation-warning">
-                        <h4>⚠️ 建议改进</h4>
-                        <ul>
-                            ${warnings.map(warning => `<li>${warning}</li>`).join('')}
-                        </ul>
-                    </div>
-                `;
-            }
-            
-            container.innerHTML = html;
+    removeProtectedObject() {
+        if (this.selectedProtectedObjectId === null) return;
+        this.editableEnvironment().remove(this.selectedProtectedObjectId);
+        this.selectedProtectedObjectId = null;
+        this.generateExcavation();
+    }
+
+    /**
+     * 按监测范围标出地下管线位于范围内的管段并刷新编辑器
+     */
+    refreshPipelines() {
+        this.pipelineAssessments = this.validator.assessPipelines(this.generatedConfig);
+        this.renderPipelines();
+    }
+
+    renderPipelines() {
+        const assessments = this.pipelineAssessments || [];
+        if (!assessments.some(({ pipe }) => pipe.id === this.selectedPipelineId)) {
+            this.selectedPipelineId = assessments.length > 0 ? assessments[0].pipe.id : null;
+        }
+
+        const select = document.getElementById('pipeline-select');
+        select.innerHTML = '';
+        assessments.forEach(({ pipe, inZone }) => {
+            const option = new Option(`${pipe.name}（${PIPELINE_USES[pipe.use]} DN${pipe.diameter}）${inZone ? ' ⚠ 监测范围内' : ''}`, pipe.id);
+            if (inZone) option.className = 'object-zone';
+            select.add(option);
+        });
+        select.value = this.selectedPipelineId ?? '';
+
+        const selected = assessments.find(({ pipe }) => pipe.id === this.selectedPipelineId);
+        const form = document.getElementById('pipeline-form');
+        form.style.display = selected ? 'grid' : 'none';
+        document.getElementById('remove-pipeline').disabled = !selected;
+        if (this.outlineDrawing && this.outlineDrawing.target === 'pipeline') return;
+        const info = document.getElementById('pipeline-info');
+        if (!selected) {
+            info.textContent = '点击"绘制管线"在地面上绘制管线走向';
+            return;
         }
+
+        const { pipe, distance, sections, crossesPit } = selected;
+        const length = UndergroundPipelines.length(pipe);
+        const zone = sections.length > 0
+            ? `监测范围内管段：${sections.map(({ from, to }) => `里程${from.toFixed(1)}～${to.toFixed(1)}m`).join('、')}`
+            : '位于监测范围外';
+        info.textContent = `长${length.toFixed(1)}m，距基坑边线${distance.toFixed(1)}m，${zone}${crossesPit ? '；穿越基坑开挖范围' : ''}`;
+        form.querySelectorAll('[data-field]').forEach(input => {
+            const value = pipe[input.dataset.field];
+            input.value = Array.isArray(value) ? value.join(', ') : value ?? '';
+        });
+        form.querySelector('[data-field="segmentLength"]').disabled = pipe.joint === 'welded';
     }
 
-    showNotification(message, type = 'info') {
-        // 简单的通知系统
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            padding: 12px 24px;
-            border-radius: 8px;
-            color: white;
-            font-weight: bold;
-            z-index: 10000;
-            transition: all 0.3s ease;
-        `;
-        
-        switch (type) {
-            case 'success':
-                notification.style.background = '#28a745';
-                break;
-            case 'error':
-                notification.style.background = '#dc3545';
-                break;
-            case 'warning':
-                notification.style.background = '#ffc107';
-                notification.style.color = '#000';
-                break;
-            default:
-                notification.style.background = '#17a2b8';
+    editablePipelines() {
+        if (!this.pipelines) this.pipelines = new UndergroundPipelines();
+        return this.pipelines;
+    }
+
+    updatePipeline(field, value) {
+        const id = this.selectedPipelineId;
+        if (id === null) return;
+        let parsed = value;
+        if (field === 'valves') {
+            parsed = value.split(/[,，\s]+/).filter(Boolean).map(Number);
+        } else if (['diameter', 'depth', 'segmentLength'].includes(field)) {
+            parsed = Number(value);
         }
-        
-        notification.textContent = message;
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transform = 'translateX(-50%) translateY(-20px)';
-            setTimeout(() => document.body.removeChild(notification), 300);
-        }, 3000);
+        this.editablePipelines().update(id, { [field]: parsed });
+        this.generateExcavation();
     }
 
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    addPipeline(route) {
+        const pipe = this.editablePipelines().add({ route });
+        const error = this.pipelines.validate();
+        if (error) {
+            this.pipelines.remove(pipe.id);
+            this.showNotification(error, 'error');
+            this.renderPipelines();
+            return;
+        }
+        this.selectedPipelineId = pipe.id;
+        this.generateExcavation();
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    removePipeline() {
+        if (this.selectedPipelineId === null) return;
+        this.editablePipelines().remove(this.selectedPipelineId);
+        this.selectedPipelineId = null;
+        this.generateExcavation();
+    }
+
+    /**
+     * 按当前测点更新监测断面及测点归属，刷新断面列表和三维剖切线
+     */
+    refreshSections() {
+        const config = this.generatedConfig || this.getCurrentConfig();
+        const sensors = this.monitoringSystem.getSensors();
+        const { sections, inferred } = this.validator.getSections(config, sensors, this.sections && this.sections.toJSON().sections);
+        const assignment = sections.assign(sensors);
+        const sectionOf = new Map();
+        sections.sections.forEach(section => {
+            assignment.get(section.id).forEach(sensor => sectionOf.set(sensor.id, section));
+        });
+        this.sectionView = { sections, inferred, assignment, sectionOf };
+
+        if (!sections.get(this.selectedSectionId)) {
+            this.selectedSectionId = sections.sections.length > 0 ? sections.sections[0].id : null;
+        }
+        const visible = document.getElementById('show-sections').checked;
+        this.monitoringSystem.setMonitoringSections(visible ? sections.sections : [], {
+            selectedId: this.selectedSectionId,
+            inferred
+        });
+        this.renderSections();
+    }
+
+    renderSections() {
+        const { sections, inferred, assignment } = this.sectionView;
+        const select = document.getElementById('section-select');
+        select.innerHTML = '';
+        sections.sections.forEach(section => {
+            const codes = [...new Set(assignment.get(section.id).map(sensor => getSensorType(sensor.type)?.code || sensor.type))];
+            select.add(new Option(`断面${section.name}（${codes.join('、') || '无测点'}）`, section.id));
+        });
+        select.value = this.selectedSectionId ?? '';
+
+        const selected = sections.get(this.selectedSectionId);
+        const nameInput = document.getElementById('section-name');
+        nameInput.disabled = !selected || inferred;
+        nameInput.value = selected ? selected.name : '';
+        document.getElementById('remove-section').disabled = !selected;
+        document.getElementById('infer-sections').disabled = inferred;
+        if (this.outlineDrawing && this.outlineDrawing.target === 'section') return;
+
+        const info = document.getElementById('section-info');
+        const mode = inferred
+            ? '未绘制断面，按深层水平位移等墙体测点自动划分'
+            : `已绘制${sections.sections.length}个断面`;
+        if (!selected) {
+            info.textContent = `${mode}；暂无监测断面`;
+            return;
+        }
+        const members = assignment.get(selected.id);
+        info.textContent = `${mode}；断面${selected.name}上的测点：${
+            members.length > 0 ? members.map(sensor => sensor.code).join('、') : '无'}`;
+    }
+
+    /**
+     * 高亮所选断面上的测点
+     */
+    highlightSection() {
+        const members = this.sectionView.assignment.get(this.selectedSectionId) || [];
+        this.monitoringSystem.setHighlightedSensors(members.map(sensor => sensor.id));
+    }
+
+    /**
+     * 首次编辑时由自动划分的断面转为项目自有的断面
+     */
+    editableSections() {
+        if (!this.sections) {
+            this.sections = new MonitoringSections(this.sectionView ? this.sectionView.sections.toJSON().sections : []);
+        }
+        return this.sections;
+    }
+
+    addSection(start, end) {
+        const sections = this.editableSections();
+        const section = sections.add({ start, end });
+        const error = sections.validate(new PitOutline(this.generatedConfig || this.getCurrentConfig()));
+        if (error) {
+            sections.remove(section.id);
+            this.showNotification(error, 'error');
+            this.refreshSections();
+            return;
+        }
+        this.selectedSectionId = section.id;
+        this.updateSensorList();
+    }
+
+    renameSection(name) {
+        if (this.selectedSectionId === null || !name.trim()) {
+            this.refreshSections();
+            return;
+        }
+        this.editableSections().update(this.selectedSectionId, { name: name.trim() });
+        this.updateSensorList();
+    }
+
+    removeSection() {
+        if (this.selectedSectionId === null) return;
+        this.editableSections().remove(this.selectedSectionId);
+        this.selectedSectionId = null;
+        this.monitoringSystem.setHighlightedSensors([]);
+        this.updateSensorList();
+    }
+
+    /**
+     * 读取表单中的锚杆参数，未填写时 anchors 为 null
+     * @returns {Object} { anchors, error }
+     */
+    readAnchors() {
+        const text = document.getElementById('anchor-rows').value;
+        if (!text.trim()) return { anchors: null, error: null };
+
+        try {
+            const anchors = GroundAnchors.parse(text);
+            const error = anchors.validate(parseFloat(document.getElementById('pit-depth').value));
+            return error ? { anchors: null, error } : { anchors, error: null };
+        } catch (error) {
+            return { anchors: null, error: error.message };
+        }
+    }
+
+    updateAnchorControls() {
+        const system = RETAINING_SYSTEMS[document.getElementById('retaining-system').value];
+        document.getElementById('anchor-group').style.display = system.wall ? 'block' : 'none';
+        const { spacing, inclination, freeLength, bondedLength } = DEFAULT_ANCHOR_ROW;
+        document.getElementById('anchor-hint').textContent = (system.anchors
+            ? '未填写时自地面下2m起每4m设一排锚杆'
+            : '未填写时不设锚杆') + `；省略的参数取间距${spacing}m、倾角${inclination}°、自由段${freeLength}m、锚固段${bondedLength}m`;
+    }
+
+    formatOutline(vertices) {
+        return vertices.map(v => `${v.x}, ${v.z}`).join('\n');
+    }
+
+    updateOutlineControls() {
+        const polygon = document.getElementById('pit-shape').value === 'polygon';
+        document.getElementById('outline-group').style.display = polygon ? 'block' : 'none';
+        // 多边形基坑的长度、宽度由顶点确定
+        document.getElementById('pit-length').disabled = polygon;
+        document.getElementById('pit-width').disabled = polygon;
+    }
+
+    /**
+     * 开始或结束在地面上绘制；target 为 outline（基坑轮廓）、pipeline（管线走向）或 section（监测断面）
+     */
+    toggleOutlineDrawing(target = 'outline') {
+        if (this.outlineDrawing) {
+            const { points } = this.outlineDrawing;
+            this.finishOutlineDrawing(points.length >= (this.outlineDrawing.target === 'outline' ? 3 : 2));
+            return;
+        }
+        if (this.placingSensor) this.toggleSensorPlacement();
+
+        this.outlineDrawing = { target, points: [] };
+        if (target === 'section') {
+            document.getElementById('draw-section').textContent = '取消绘制';
+            document.getElementById('section-info').textContent = '在地面上单击断面线的两个端点，断面线应横跨基坑边线，Esc 取消';
+        } else if (target === 'pipeline') {
+            document.getElementById('draw-pipeline').textContent = '完成绘制';
+            document.getElementById('pipeline-info').textContent = '在地面上依次单击管线折点，再次单击终点或按 Enter 完成，Esc 取消';
+        } else {
+            document.getElementById('draw-outline').textContent = '完成绘制';
+            document.getElementById('outline-hint').textContent = '在地面上依次单击各顶点，单击起点或按 Enter 完成，Esc 取消';
+        }
+        this.renderer.domElement.style.cursor = 'crosshair';
+    }
+
+    /**
+     * 结束绘制；apply 为 true 时将所绘轮廓填入表单并生成基坑模型，或按所绘走向新增管线、断面
+     */
+    finishOutlineDrawing(apply) {
+        const { target, points } = this.outlineDrawing;
+        this.outlineDrawing = null;
+        this.monitoringSystem.clearOutlinePreview();
+        this.hideDragFeedback();
+        this.renderer.domElement.style.cursor = 'default';
+        if (target === 'section') {
+            document.getElementById('draw-section').textContent = '绘制断面';
+            if (apply) {
+                this.addSection(points[0], points[1]);
+            } else {
+                this.refreshSections();
+            }
+            return;
+        }
+        if (target === 'pipeline') {
+            document.getElementById('draw-pipeline').textContent = '绘制管线';
+            if (apply) {
+                this.addPipeline(points);
+            } else {
+                this.renderPipelines();
+            }
+            return;
+        }
+
+        document.getElementById('draw-outline').textContent = '在地面上绘制';
+        document.getElementById('outline-hint').textContent = '顶点按顺序连成基坑边线，生成时以外包矩形中心为原点';
+        if (!apply) return;
+
+        const error = PitOutline.validate(points);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+        document.getElementById('pit-shape').value = 'polygon';
+        document.getElementById('pit-outline').value = this.formatOutline(points);
+        this.updateOutlineControls();
+        this.generateExcavation();
+    }
+
+    /**
+     * 射线与地面的交点，取整到0.5m
+     */
+    pickGroundPoint(event) {
+        this.updatePointer(event);
+        const hit = this.raycaster.intersectObject(this.monitoringSystem.groundMesh)[0];
+        if (!hit) return null;
+        return { x: Math.round(hit.point.x * 2) / 2, z: Math.round(hit.point.z * 2) / 2 };
+    }
+
+    addOutlineVertex(event) {
+        const point = this.pickGroundPoint(event);
+        if (!point) return;
+
+        const { target, points } = this.outlineDrawing;
+        // 单击起点附近闭合轮廓；管线再次单击终点结束
+        const closing = target === 'pipeline'
+            ? points.length >= 2 && Math.hypot(point.x - points[points.length - 1].x, point.z - points[points.length - 1].z) < 1.5
+            : points.length >= 3 && Math.hypot(point.x - points[0].x, point.z - points[0].z) < 1.5;
+        if (closing) {
+            this.finishOutlineDrawing(true);
+            return;
+        }
+        points.push(point);
+        this.monitoringSystem.showOutlinePreview(points);
+        if (target === 'section' && points.length === 2) this.finishOutlineDrawing(true);
+    }
+
+    previewOutlineVertex(event) {
+        const point = this.pickGroundPoint(event);
+        if (!point) {
+            this.hideDragFeedback();
+            return;
+        }
+        const { target, points } = this.outlineDrawing;
+        this.monitoringSystem.showOutlinePreview([...points, point]);
+        const name = { pipeline: '折点', section: '端点' }[target] || '顶点';
+        this.showDragFeedback(event, `${name} ${points.length + 1}：(${point.x}, ${point.z})`, true);
+    }
+
+    exportProject() {
+        const project = this.projectSerializer.serialize(
+            this.getCurrentConfig(),
+            this.monitoringSystem.getSensors(),
+            this.dataStore.toJSON(),
+            this.warningEngine.getSettings(),
+            this.timeline.toJSON(),
+            this.inclinometerProfiles.toJSON(),
+            this.sections && this.sections.toJSON(),
+            // 选用的自行加载的规则包随项目保存，内置规则包只保存 id
+            this.rulePacks.getCustomPacks().filter(pack => this.rulePackIds.includes(pack.id)),
+            this.schemes && this.syncActiveScheme().toJSON()
+        );
+
+        const date = project.savedAt.slice(0, 10);
+        this.downloadFile(JSON.stringify(project, null, 2), `基坑监测布置_${date}.json`, 'application/json');
+        this.showNotification('项目文件已导出', 'success');
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    async importProject(file) {
+        let project;
+        try {
+            project = this.projectSerializer.deserialize(await file.text());
+        } catch (error) {
+            console.error('项目文件导入失败:', error);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.loadProject(project);
+    }
+
+    loadProject(project) {
+        // 先加载项目附带的规则包，再按项目配置重建基坑，最后逐个恢复传感器
+        ((project.rulePacks && project.rulePacks.packs) || []).forEach(pack => this.rulePacks.register(pack, true));
+        // 项目文件未记录周边环境时按无保护对象处理，不补示例对象
+        this.sampleEnvironment = false;
+        this.environment = null;
+        this.applyConfigToForm(project.config);
+        this.sections = project.sections ? MonitoringSections.fromJSON(project.sections) : null;
+        this.selectedSectionId = null;
+        // 项目文件中的传感器为当前方案的传感器
+        this.setComparison(null);
+        this.schemes = project.schemes ? LayoutSchemes.fromJSON(project.schemes) : null;
+        if (this.schemes) {
+            this.monitoringSystem.reserveSensorIds(Math.max(0,
+                ...this.schemes.schemes.flatMap(scheme => scheme.sensors.map(sensor => Number(sensor.id) || 0))));
+        }
+        this.monitoringSystem.clearAllSensors();
+        this.generateExcavation();
+
+        const rejected = this.placeSensors(project.sensors);
+        this.renderSchemes();
+
+        // 监测数据按传感器永久ID存储
+        this.dataStore.load(project.data);
+        this.inclinometerProfiles.load(project.profiles);
+        this.refreshInclinometerProfiles();
+        this.selectedSensorId = null;
+
+        this.warningEngine.loadSettings(project.warning);
+        document.getElementById('support-category').value = this.warningEngine.supportCategory;
+        document.getElementById('danger-factor').value = this.warningEngine.dangerFactor;
+        this.renderThresholdTable();
+        this.clearWarnings();
+        this.timeline.load(project.timeline);
+        this.currentStageIndex = null;
+        this.updateStageSlider();
+
+        this.updateSensorList();
+        this.renderSensorData();
+        this.history.clear();
+        document.getElementById('validation-results').innerHTML =
+            '<div class="loading">点击验证按钮检查传感器布置是否符合规范要求</div>';
+
+        const missingPacks = this.rulePackIds.filter(id => !this.rulePacks.get(id));
+        if (missingPacks.length > 0) {
+            this.showNotification(`项目已导入，未找到规则包 ${missingPacks.join('、')}，已按其余标准验证`, 'warning');
+        } else if (rejected > 0) {
+            this.showNotification(`项目已导入，${rejected}个传感器位置不合理未能恢复`, 'warning');
+        } else {
+            this.showNotification(`项目已导入，共${project.sensors.length}个传感器`, 'success');
+        }
+    }
+
+    /**
+     * 按保存的传感器数据逐个布置，返回位置不合理未能恢复的个数；force 为 true 时不检查位置，全部恢复
+     */
+    placeSensors(sensors, force = false) {
+        let rejected = 0;
+        sensors.forEach(sensor => {
+            const { x, y, z } = sensor.position;
+            const placed = this.monitoringSystem.placeSensor(sensor.type, new THREE.Vector3(x, y, z), {
+                id: sensor.id,
+                code: sensor.code,
+                host: sensor.host,
+                timestamp: sensor.timestamp,
+                metadata: sensor.metadata,
+                force
+            });
+            if (!placed) rejected++;
+        });
+        return rejected;
+    }
+
+    /**
+     * 建立布置方案：首次建立时当前布置成为第一个方案
+     */
+    ensureSchemes() {
+        if (!this.schemes) {
+            this.schemes = new LayoutSchemes([{ name: '', sensors: this.monitoringSystem.getSensors() }]);
+        }
+        return this.schemes;
+    }
+
+    /**
+     * 当前方案的传感器以三维模型中的为准，切换、导出、对比前写回
+     */
+    syncActiveScheme() {
+        this.schemes.update(this.schemes.activeId, this.monitoringSystem.getSensors());
+        return this.schemes;
+    }
+
+    createScheme(copy) {
+        const schemes = this.ensureSchemes();
+        this.syncActiveScheme();
+        const scheme = schemes.add('', copy ? this.monitoringSystem.getSensors() : []);
+        this.switchScheme(scheme.id);
+        this.showNotification(`已新建${scheme.name}${copy ? '（复制当前布置）' : ''}`, 'success');
+    }
+
+    /**
+     * 切换当前方案：写回当前方案的传感器，再布置目标方案的传感器
+     */
+    switchScheme(id) {
+        if (!this.schemes || id === this.schemes.activeId || !this.schemes.get(id)) return;
+        this.syncActiveScheme();
+        this.schemes.setActive(id);
+        if (this.comparison && this.comparison.schemeId === id) this.setComparison(null);
+        this.loadActiveScheme();
+    }
+
+    /**
+     * 在三维模型中布置当前方案的传感器；切换方案不可撤销，撤销历史清空。
+     * 方案中的传感器按原位置全部恢复（不检查位置），否则下次写回方案时会丢失未能恢复的传感器
+     */
+    loadActiveScheme() {
+        const scheme = this.schemes.getActive();
+        if (this.placingSensor) this.toggleSensorPlacement();
+        this.monitoringSystem.clearAllSensors();
+        this.placeSensors(scheme.sensors, true);
+        this.selectedSensorId = null;
+        this.history.clear();
+        this.clearWarnings();
+        document.getElementById('validation-results').innerHTML =
+            '<div class="loading">点击验证按钮检查传感器布置是否符合规范要求</div>';
+        this.renderSchemes();
+        this.updateSensorList();
+        this.renderSensorData();
+    }
+
+    renameScheme(name) {
+        const schemes = this.ensureSchemes();
+        schemes.rename(schemes.activeId, name);
+        this.renderSchemes();
+    }
+
+    removeScheme() {
+        if (!this.schemes || this.schemes.schemes.length <= 1) return;
+        const { name } = this.schemes.getActive();
+        if (!window.confirm(`删除${name}及其全部测点，是否继续？`)) return;
+        this.schemes.remove(this.schemes.activeId);
+        this.loadActiveScheme();
+        this.showNotification(`已删除${name}`, 'info');
+    }
+
+    renderSchemes() {
+        const schemes = this.schemes ? this.schemes.schemes : [{ id: 0, name: '方案A' }];
+        const activeId = this.schemes ? this.schemes.activeId : 0;
+        const option = (scheme, selected) =>
+            `<option value="${scheme.id}"${selected ? ' selected' : ''}>${this.escapeHtml(scheme.name)}</option>`;
+        document.getElementById('scheme-select').innerHTML = schemes.map(scheme => option(scheme, scheme.id === activeId)).join('');
+        document.getElementById('scheme-name').value = schemes.find(scheme => scheme.id === activeId).name;
+        document.getElementById('remove-scheme').disabled = schemes.length <= 1;
+
+        const others = this.schemes ? schemes.filter(scheme => scheme.id !== activeId) : [];
+        const compareId = this.comparison ? this.comparison.schemeId : null;
+        const compare = document.getElementById('compare-scheme');
+        compare.innerHTML = `<option value="">不对比</option>${others.map(scheme => option(scheme, scheme.id === compareId)).join('')}`;
+        compare.disabled = others.length === 0;
+        document.getElementById('open-scheme-comparison').disabled = others.length === 0;
+        this.updateSchemeDiff();
+    }
+
+    /**
+     * 分屏对比：在独立的场景中布置对比方案的传感器，与当前方案共用相机
+     * @param {number|null} id 对比方案，null 时退出分屏
+     */
+    setComparison(id) {
+        if (id !== null && this.schemes && this.schemes.get(id)) {
+            const scene = new THREE.Scene();
+            scene.background = this.scene.background;
+            scene.fog = this.scene.fog;
+            this.setupLighting(scene);
+            this.comparison = { schemeId: id, scene, system: new ExcavationMonitoringSystem(scene), diff: null };
+            this.refreshComparison();
+        } else {
+            this.comparison = null;
+            this.monitoringSystem.setHighlightedSensors([]);
+        }
+        // 分屏时相机宽高比取半屏
+        this.onWindowResize();
+        document.getElementById('split-labels').style.display = this.comparison ? '' : 'none';
+        this.renderSchemes();
+    }
+
+    /**
+     * 按当前基坑模型重建对比方案的三维模型
+     */
+    refreshComparison() {
+        if (!this.comparison) return;
+        const { system, schemeId } = this.comparison;
+        system.clearAllSensors();
+        system.generateExcavation(this.generatedConfig || this.getCurrentConfig());
+        this.schemes.get(schemeId).sensors.forEach(sensor => {
+            const { x, y, z } = sensor.position;
+            system.placeSensor(sensor.type, new THREE.Vector3(x, y, z), {
+                id: sensor.id,
+                code: sensor.code,
+                host: sensor.host,
+                timestamp: sensor.timestamp,
+                metadata: sensor.metadata,
+                force: true
+            });
+        });
+        this.updateSchemeDiff();
+    }
+
+    /**
+     * 当前方案与对比方案的测点差异；分屏时左侧高亮删除、移动的测点，右侧高亮增加、移动的测点
+     */
+    updateSchemeDiff() {
+        const info = document.getElementById('scheme-diff');
+        if (!this.comparison) {
+            info.textContent = this.schemes
+                ? `共${this.schemes.schemes.length}个方案`
+                : '当前布置即方案A，复制或新建方案后可切换和对比';
+            return;
+        }
+        const active = this.schemes.getActive();
+        const scheme = this.schemes.get(this.comparison.schemeId);
+        const diff = LayoutSchemes.diff(this.monitoringSystem.getSensors(), scheme.sensors);
+        this.comparison.diff = diff;
+        info.textContent = `${scheme.name}相对${active.name}：增加${diff.added.length}个、删除${diff.removed.length}个、` +
+            `移动${diff.moved.length}个测点，${diff.unchanged}个相同`;
+        this.monitoringSystem.setHighlightedSensors([...diff.removed, ...diff.moved.map(move => move.from)].map(sensor => sensor.id));
+        this.comparison.system.setHighlightedSensors([...diff.added, ...diff.moved.map(move => move.to)].map(sensor => sensor.id));
+        document.getElementById('split-label-active').textContent = `${active.name}（高亮：删除、移动的测点）`;
+        document.getElementById('split-label-compare').textContent = `${scheme.name}（高亮：增加、移动的测点）`;
+    }
+
+    openSchemeComparison() {
+        if (!this.schemes) return;
+        this.syncActiveScheme();
+        document.getElementById('scheme-weights').innerHTML = Object.entries(SCORE_ITEM_NAMES).map(([key, name]) => `
+            <label for="weight-${key}">${name}</label>
+            <input type="number" id="weight-${key}" data-weight="${key}" min="0" step="5" value="${this.schemeWeights[key]}" class="control-input">
+        `).join('');
+        this.renderSchemeComparison();
+        document.getElementById('scheme-dialog').classList.add('open');
+    }
+
+    /**
+     * 方案对比表：各方案的验证指标（checkSensorQuantity、checkMonitoringRange 等的结果）、相对当前方案的差异和加权得分
+     */
+    renderSchemeComparison() {
+        const config = this.generatedConfig || this.getCurrentConfig();
+        const { schemes } = this.schemes;
+        const active = this.schemes.getActive();
+        const options = { weights: this.schemeWeights };
+        if (this.sections) options.sections = this.sections.toJSON().sections;
+        const results = LayoutSchemes.compare(this.validator, config, schemes, options);
+        const diffs = schemes.map(scheme => (scheme.id === active.id ? null : LayoutSchemes.diff(active.sensors, scheme.sensors)));
+        const best = Math.max(...results.map(result => result.score));
+        const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 100) : 0);
+
+        const rows = [
+            ['测点总数（个）', ({ metrics }) => metrics.total],
+            ['应测项目满足最少测点数', ({ metrics }) => `${metrics.requiredMet}/${metrics.requiredTotal}`],
+            ['宜测项目已布置', ({ metrics }) => `${metrics.recommendedMet}/${metrics.recommendedTotal}`],
+            ['不符合规范要求（项）', ({ metrics }) => metrics.errors],
+            ['建议改进（项）', ({ metrics }) => metrics.warnings],
+            ['测点密度（个/m）', ({ metrics }) => `${metrics.density.toFixed(2)}（建议 ${metrics.recommendedDensity.toFixed(2)}）`],
+            ['坑外测点（个）', ({ metrics }) => `${metrics.outside}（${percent(metrics.outside, metrics.total)}%）`],
+            ['最远测点距坑边（m）', ({ metrics }) => metrics.maxDistance.toFixed(1)],
+            ['验证结论', result => (result.isValid ? '符合' : '不符合')],
+            [`相对${this.escapeHtml(active.name)}`, (result, index) => (diffs[index]
+                ? `增${diffs[index].added.length} 删${diffs[index].removed.length} 移${diffs[index].moved.length}`
+                : '当前方案')]
+        ];
+        const header = `<tr><th>指标</th>${results.map(result => `<th>${this.escapeHtml(result.name)}</th>`).join('')}</tr>`;
+        const body = rows.map(([label, value]) =>
+            `<tr><td>${label}</td>${results.map((result, index) => `<td>${value(result, index)}</td>`).join('')}</tr>`
+        ).join('');
+        const scores = `<tr><th>加权得分</th>${results.map(result =>
+            `<td class="${result.score === best ? 'best' : ''}">${result.score.toFixed(1)}</td>`).join('')}</tr>`;
+
+        const codes = sensors => {
+            const list = sensors.map(sensor => this.escapeHtml(sensor.code || `#${sensor.id}`));
+            return list.length > 12 ? `${list.slice(0, 12).join('、')} 等${list.length}个` : list.join('、') || '无';
+        };
+        const details = schemes.map((scheme, index) => {
+            const diff = diffs[index];
+            if (!diff) return '';
+            const moved = diff.moved.map(move => `${this.escapeHtml(move.to.code || `#${move.to.id}`)}（${move.distance.toFixed(1)}m）`);
+            return `<p><strong>${this.escapeHtml(scheme.name)}</strong>相对${this.escapeHtml(active.name)}：
+                增加 ${codes(diff.added)}；删除 ${codes(diff.removed)}；
+                移动 ${moved.length > 12 ? `${moved.slice(0, 12).join('、')} 等${moved.length}个` : moved.join('、') || '无'}</p>`;
+        }).join('');
+
+        document.getElementById('scheme-comparison').innerHTML =
+            `<table class="data-table">${header}${body}${scores}</table><div class="outline-hint">${details}</div>`;
+    }
+
+    resetView() {
+        const config = this.getCurrentConfig();
+        const { length, width } = config.dimensions;
+        const maxDim = Math.max(length, width);
+        
+        this.camera.position.set(maxDim * 0.8, maxDim * 0.6, maxDim * 0.8);
+        this.controls.target.set(0, 0, 0);
+        this.controls.update();
+    }
+
+    toggleSensorPlacement() {
+        if (this.outlineDrawing) this.finishOutlineDrawing(false);
+        this.placingSensor = !this.placingSensor;
+        const button = document.getElementById('place-sensor');
+        
+        if (this.placingSensor) {
+            button.textContent = '退出布置模式';
+            button.classList.remove('btn-primary');
+            button.classList.add('btn-danger');
+            this.renderer.domElement.style.cursor = 'crosshair';
+        } else {
+            button.textContent = '布置传感器模式';
+            button.classList.remove('btn-danger');
+            button.classList.add('btn-primary');
+            this.renderer.domElement.style.cursor = 'default';
+            this.hideDragFeedback();
+        }
+    }
+
+    onMouseClick(event) {
+        if (this.outlineDrawing) {
+            this.addOutlineVertex(event);
+            return;
+        }
+        if (!this.placingSensor) return;
+
+        this.updatePointer(event);
+        const intersects = this.raycaster.intersectObjects(this.monitoringSystem.getInteractableObjects());
+        if (intersects.length === 0) return;
+
+        // 吸附到该类测点应依附的构件上
+        const options = this.getPlacementOptions();
+        const snap = this.monitoringSystem.snapSensorPosition(this.currentSensorType, intersects, options);
+        const sensor = snap.valid
+            ? this.monitoringSystem.placeSensor(this.currentSensorType, snap.position, { host: snap.host, metadata: options })
+            : null;
+
+        if (sensor) {
+            const snapshot = this.captureSensor(sensor.id);
+            this.history.push({
+                label: `布置 ${sensor.code}`,
+                undo: () => this.deleteSensor(snapshot.sensor.id),
+                redo: () => this.restoreSensor(snapshot)
+            });
+            this.updateSensorList();
+            // 可选：播放成功音效或显示提示
+            this.showNotification('传感器布置成功', 'success');
+        } else {
+            this.showNotification(snap.message || '无法在此位置布置传感器', 'error');
+        }
+    }
+
+    onMouseMove(event) {
+        if (this.outlineDrawing) {
+            this.previewOutlineVertex(event);
+            return;
+        }
+        if (!this.placingSensor) return;
+
+        this.updatePointer(event);
+        const intersects = this.raycaster.intersectObjects(this.monitoringSystem.getInteractableObjects());
+        const snap = this.monitoringSystem.snapSensorPosition(this.currentSensorType, intersects, this.getPlacementOptions());
+
+        if (snap.valid) {
+            this.renderer.domElement.style.cursor = 'crosshair';
+            this.showDragFeedback(event, this.describeSnap(snap), true);
+        } else {
+            this.renderer.domElement.style.cursor = 'not-allowed';
+            if (intersects.length > 0) {
+                this.showDragFeedback(event, snap.message, false);
+            } else {
+                this.hideDragFeedback();
+            }
+        }
+    }
+
+    updatePointer(event) {
+        // 分屏对比时左半屏为当前方案，右半屏的对比方案只供查看，不拾取任何对象
+        const width = this.comparison ? window.innerWidth / 2 : window.innerWidth;
+        this.mouse.x = (event.clientX / width) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        this.raycaster.far = this.mouse.x > 1 ? 0 : Infinity;
+    }
+
+    /**
+     * 非布置模式下按住传感器开始拖动；未移动即松开视为选中该测点
+     */
+    onPointerDown(event) {
+        if (this.placingSensor || this.outlineDrawing || event.button !== 0) return;
+
+        this.updatePointer(event);
+        const hits = this.raycaster.intersectObjects(this.monitoringSystem.getSensorMeshes());
+        if (hits.length === 0) return;
+
+        this.dragState = {
+            id: hits[0].object.userData.sensorId,
+            startX: event.clientX,
+            startY: event.clientY,
+            moved: false,
+            snap: null
+        };
+        this.controls.enabled = false;
+    }
+
+    onPointerMove(event) {
+        if (!this.dragState) {
+            this.updateHoverCursor(event);
+            return;
+        }
+
+        const drag = this.dragState;
+        if (!drag.moved && Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < 4) return;
+        drag.moved = true;
+        this.renderer.domElement.style.cursor = 'grabbing';
+
+        const sensor = this.monitoringSystem.getSensorById(drag.id);
+        this.updatePointer(event);
+        const intersects = this.raycaster.intersectObjects(this.monitoringSystem.getInteractableObjects());
+        const snap = this.monitoringSystem.snapSensorPosition(sensor.type, intersects, { method: sensor.metadata.method });
+        drag.snap = snap.valid ? snap : null;
+
+        this.monitoringSystem.previewSensorPosition(drag.id, snap.position, snap.valid);
+        if (snap.valid) {
+            this.showDragFeedback(event, `${sensor.code} → ${this.describeSnap(snap)}`, true);
+        } else {
+            this.showDragFeedback(event, snap.message, false);
+        }
+    }
+
+    onPointerUp() {
+        const drag = this.dragState;
+        if (!drag) return;
+        this.dragState = null;
+        this.controls.enabled = true;
+        this.hideDragFeedback();
+        this.renderer.domElement.style.cursor = 'default';
+
+        if (!drag.moved) {
+            this.selectSensor(drag.id);
+            return;
+        }
+
+        const sensor = this.monitoringSystem.getSensorById(drag.id);
+        if (!drag.snap) {
+            this.monitoringSystem.cancelSensorPreview(drag.id);
+            this.showNotification(`${sensor.code} 未移动：不允许布置在该位置`, 'error');
+            return;
+        }
+
+        const from = { position: sensor.position.clone(), host: sensor.host };
+        const to = { position: drag.snap.position.clone(), host: drag.snap.host };
+        this.monitoringSystem.moveSensor(drag.id, to.position, to.host);
+        this.history.push({
+            label: `移动 ${sensor.code}`,
+            undo: () => this.monitoringSystem.moveSensor(drag.id, from.position, from.host),
+            redo: () => this.monitoringSystem.moveSensor(drag.id, to.position, to.host)
+        });
+        this.refreshSensorViews();
+    }
+
+    updateHoverCursor(event) {
+        if (this.placingSensor || this.outlineDrawing || event.target !== this.renderer.domElement) return;
+        this.updatePointer(event);
+        const hits = this.raycaster.intersectObjects(this.monitoringSystem.getSensorMeshes());
+        this.renderer.domElement.style.cursor = hits.length > 0 ? 'grab' : 'default';
+    }
+
+    /**
+     * 新布置测点的附加属性：管线位移测点记录监测方法（直接法/间接法）
+     */
+    getPlacementOptions() {
+        if (this.currentSensorType !== 'pipeline-displacement') return {};
+        return { method: document.getElementById('pipeline-method').value };
+    }
+
+    describeSnap(snap) {
+        const { host, position } = snap;
+        const name = getHostName(host);
+        return `${name} (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`;
+    }
+
+    showDragFeedback(event, text, valid) {
+        const feedback = document.getElementById('drag-feedback');
+        feedback.textContent = text;
+        feedback.className = valid ? 'valid' : 'invalid';
+        feedback.style.left = `${event.clientX + 16}px`;
+        feedback.style.top = `${event.clientY + 16}px`;
+        feedback.style.display = 'block';
+    }
+
+    hideDragFeedback() {
+        document.getElementById('drag-feedback').style.display = 'none';
+    }
+
+    /**
+     * 清除当前方案的全部传感器（可撤销）
+     * 逐个删除测点及其监测数据，与单个删除一致；不属于这些测点的数据（如其他方案的测点）保留
+     */
+    clearAllSensors() {
+        const snapshots = this.monitoringSystem.getSensors().map(sensor => this.captureSensor(sensor.id));
+        if (snapshots.length === 0) return;
+        const withData = snapshots.filter(snapshot => (snapshot.data && snapshot.data.readings.length > 0) || snapshot.profiles).length;
+        const message = withData > 0
+            ? `清除全部${snapshots.length}个传感器，其中${withData}个测点的监测数据将一并删除（可撤销），是否继续？`
+            : `清除全部${snapshots.length}个传感器（可撤销），是否继续？`;
+        if (!window.confirm(message)) return;
+
+        snapshots.forEach(snapshot => this.deleteSensor(snapshot.sensor.id));
+        this.history.push({
+            label: `清除${snapshots.length}个传感器`,
+            undo: () => snapshots.forEach(snapshot => this.restoreSensor(snapshot)),
+            redo: () => snapshots.forEach(snapshot => this.deleteSensor(snapshot.sensor.id))
+        });
+        this.refreshSensorViews();
+        this.showNotification('所有传感器已清除，可撤销', 'info');
+    }
+
+    /**
+     * 按规范自动生成整套布置，替换现有传感器（可撤销）
+     */
+    generateLayout() {
+        const config = this.getCurrentConfig();
+        const existing = this.monitoringSystem.getSensors();
+        if (existing.length > 0 && !window.confirm(`自动布置将替换现有的${existing.length}个传感器，是否继续？`)) {
+            return;
+        }
+
+        let layout;
+        try {
+            layout = this.layoutGenerator.generate(config, this.monitoringSystem.getLayoutGeometry());
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const previous = existing.map(sensor => this.captureSensor(sensor.id));
+        previous.forEach(snapshot => this.deleteSensor(snapshot.sensor.id));
+
+        const report = [];
+        let rejected = 0;
+        layout.points.forEach(point => {
+            const { x, y, z } = point.position;
+            const sensor = this.monitoringSystem.placeSensor(point.type, new THREE.Vector3(x, y, z), {
+                host: point.host,
+                metadata: { ...point.metadata, notes: `自动布置：${point.rules.map(rule => `${rule.clause} ${rule.text}`).join('；')}` }
+            });
+            if (sensor) {
+                report.push({ id: sensor.id, code: sensor.code, type: sensor.type, rules: point.rules });
+            } else {
+                rejected++;
+            }
+        });
+
+        const generated = report.map(entry => this.captureSensor(entry.id));
+        this.history.push({
+            label: `自动布置${generated.length}个测点`,
+            undo: () => {
+                generated.forEach(snapshot => this.deleteSensor(snapshot.sensor.id));
+                previous.forEach(snapshot => this.restoreSensor(snapshot));
+            },
+            redo: () => {
+                previous.forEach(snapshot => this.deleteSensor(snapshot.sensor.id));
+                generated.forEach(snapshot => this.restoreSensor(snapshot));
+            }
+        });
+
+        this.clearWarnings();
+        this.refreshSensorViews();
+        this.displayLayoutReport(report, layout.skipped);
+        this.showNotification(
+            rejected > 0 ? `已生成${report.length}个测点，${rejected}个位置不合理未布置` : `已按规范生成${report.length}个测点`,
+            rejected > 0 ? 'warning' : 'success'
+        );
+    }
+
+    displayLayoutReport(report, skipped) {
+        const rows = report.map(entry => `
+            <tr>
+                <td>${this.escapeHtml(entry.code)}</td>
+                <td>${this.validator.getSensorTypeName(entry.type)}</td>
+                <td>${entry.rules.map(rule => `${this.renderClauseLink(rule.clause)}${this.escapeHtml(rule.text)}`).join('<br>')}</td>
+            </tr>
+        `).join('');
+        const skippedNote = skipped.length > 0
+            ? `<p>以下项目需结合设计文件人工布置：${skipped.map(type => this.validator.getSensorTypeName(type)).join('、')}</p>`
+            : '';
+
+        document.getElementById('validation-results').innerHTML = `
+            <div class="validation-result validation-success">
+                <h4>📐 自动布置方案（${report.length}个测点）</h4>
+                ${skippedNote}
+                <table class="data-table">
+                    <thead><tr><th>测点</th><th>监测项目</th><th>布置依据（GB50497-2019）</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    updateSensorList() {
+        const sensors = this.monitoringSystem.getSensors();
+        const sensorCount = document.getElementById('sensor-count');
+        const sensorList = document.getElementById('sensor-list');
+
+        sensorCount.textContent = `已布置传感器: ${sensors.length} 个`;
+        this.refreshSections();
+        this.updateSchemeDiff();
+
+        if (sensors.length === 0) {
+            sensorList.innerHTML = '<div class="loading">暂无传感器</div>';
+            return;
+        }
+
+        sensorList.innerHTML = sensors.map(sensor => {
+            const stats = this.dataStore.getStatistics(sensor.id);
+            const summary = stats
+                ? ` (${this.formatSigned(stats.cumulativeChange)}${this.getReadingUnit(sensor.type)})`
+                : '';
+            const selected = sensor.id === this.selectedSensorId ? ' selected' : '';
+            const section = this.sectionView.sectionOf.get(sensor.id);
+            const sectionTag = section ? ` <span class="section-tag">${this.escapeHtml(section.name)}</span>` : '';
+            return `
+            <div class="sensor-item${selected}">
+                <span onclick="app.selectSensor(${sensor.id})">${this.escapeHtml(sensor.code)} ${this.validator.getSensorTypeName(sensor.type)}${summary}${sectionTag}</span>
+                <button onclick="app.removeSensor(${sensor.id})" class="btn btn-danger" style="padding: 2px 8px; font-size: 12px;">删除</button>
+            </div>
+        `;
+        }).join('');
+    }
+
+    removeSensor(id) {
+        const snapshot = this.captureSensor(id);
+        if (!snapshot) return;
+
+        this.deleteSensor(id);
+        this.history.push({
+            label: `删除 ${snapshot.sensor.code}`,
+            undo: () => this.restoreSensor(snapshot),
+            redo: () => this.deleteSensor(id)
+        });
+        this.refreshSensorViews();
+    }
+
+    /**
+     * 记录传感器及其监测数据，供撤销时恢复
+     */
+    captureSensor(id) {
+        const sensor = this.monitoringSystem.getSensors().find(s => s.id === id);
+        if (!sensor) return null;
+        const { x, y, z } = sensor.position;
+        return {
+            sensor: { ...sensor, position: { x, y, z }, metadata: { ...sensor.metadata } },
+            data: this.dataStore.getPoint(id),
+            profiles: this.inclinometerProfiles.getPoint(id)
+        };
+    }
+
+    restoreSensor({ sensor, data, profiles }) {
+        const { x, y, z } = sensor.position;
+        this.monitoringSystem.placeSensor(sensor.type, new THREE.Vector3(x, y, z), {
+            id: sensor.id,
+            code: sensor.code,
+            timestamp: sensor.timestamp,
+            metadata: sensor.metadata,
+            host: sensor.host,
+            force: true
+        });
+        if (data) this.dataStore.setPoint(sensor.id, data);
+        if (profiles) this.inclinometerProfiles.setPoint(sensor.id, profiles);
+    }
+
+    deleteSensor(id) {
+        this.monitoringSystem.removeSensor(id);
+        this.dataStore.removePoint(id);
+        this.inclinometerProfiles.removePoint(id);
+        if (this.selectedSensorId === id) {
+            this.selectedSensorId = null;
+        }
+    }
+
+    refreshSensorViews() {
+        this.updateSensorList();
+        this.renderSensorData();
+        this.refreshWarnings();
+        this.refreshInclinometerProfiles();
+    }
+
+    undo() {
+        const command = this.history.undo();
+        if (!command) return;
+        this.refreshSensorViews();
+        this.showNotification(`已撤销：${command.label}`, 'info');
+    }
+
+    redo() {
+        const command = this.history.redo();
+        if (!command) return;
+        this.refreshSensorViews();
+        this.showNotification(`已重做：${command.label}`, 'info');
+    }
+
+    updateHistoryButtons() {
+        const undoButton = document.getElementById('undo');
+        const redoButton = document.getElementById('redo');
+        const nextUndo = this.history.peekUndo();
+        const nextRedo = this.history.peekRedo();
+        undoButton.disabled = !nextUndo;
+        redoButton.disabled = !nextRedo;
+        undoButton.title = nextUndo ? `撤销：${nextUndo.label} (Ctrl+Z)` : '没有可撤销的操作';
+        redoButton.title = nextRedo ? `重做：${nextRedo.label} (Ctrl+Y)` : '没有可重做的操作';
+    }
+
+    onKeyDown(event) {
+        if (this.outlineDrawing && (event.key === 'Escape' || event.key === 'Enter')) {
+            this.finishOutlineDrawing(event.key === 'Enter');
+            return;
+        }
+        if (!(event.ctrlKey || event.metaKey)) return;
+        // 输入框内保留浏览器自身的撤销
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    selectSensor(id) {
+        this.selectedSensorId = id;
+        this.updateSensorList();
+        this.renderSensorData();
+    }
+
+    async importReadings(file) {
+        try {
+            const text = await file.text();
+            const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{') || text.trim().startsWith('[');
+            // 文件中的测点按测点编号匹配
+            const resolvePoint = code => {
+                const sensor = this.monitoringSystem.findSensorByCode(code);
+                return sensor ? sensor.id : null;
+            };
+            const result = isJSON
+                ? this.dataStore.importJSON(text, resolvePoint)
+                : this.dataStore.importCSV(text, resolvePoint);
+            const unknown = result.unmatched;
+
+            this.updateSensorList();
+            this.renderSensorData();
+            this.refreshWarnings();
+
+            let message = `已导入${result.imported}条观测数据，涉及${result.points.length}个测点`;
+            if (result.skipped > 0) message += `，跳过${result.skipped}条无效记录`;
+            if (unknown.length > 0) message += `，未匹配测点：${unknown.join('、')}`;
+            this.showNotification(message, unknown.length > 0 || result.skipped > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error('监测数据导入失败:', error);
+            this.showNotification(`监测数据导入失败：${error.message}`, 'error');
+        }
+    }
+
+    renderSensorData() {
+        const title = document.getElementById('sensor-data-title');
+        const statsContainer = document.getElementById('sensor-stats');
+        const sensor = this.monitoringSystem.getSensors().find(s => s.id === this.selectedSensorId);
+        this.renderSensorAttributes(sensor);
+        document.getElementById('open-profile').style.display =
+            sensor && sensor.type === 'deep-horizontal' ? 'inline-block' : 'none';
+
+        if (!sensor) {
+            title.textContent = '监测数据';
+            statsContainer.textContent = '点击传感器名称查看时程曲线';
+            this.sensorChart.render(null);
+            return;
+        }
+
+        const unit = this.getReadingUnit(sensor.type);
+        const stats = this.dataStore.getStatistics(sensor.id);
+        title.textContent = `监测数据 - ${sensor.code} ${this.validator.getSensorTypeName(sensor.type)}`;
+        this.sensorChart.render(stats, { unit });
+
+        if (!stats) {
+            statsContainer.textContent = '该测点暂无监测数据';
+            return;
+        }
+
+        const rateText = stats.dailyRate === null ? '—' : `${this.formatSigned(stats.dailyRate)} ${unit}/d`;
+        statsContainer.innerHTML = `
+            初始值：${stats.initialValue.toFixed(2)} ${unit}<br>
+            最新值：${stats.latestValue.toFixed(2)} ${unit}（${new Date(stats.latestTime).toLocaleString()}）<br>
+            累计变化量：${this.formatSigned(stats.cumulativeChange)} ${unit}<br>
+            变化速率：${rateText}<br>
+            观测次数：${stats.readingCount}
+        `;
+    }
+
+    /**
+     * 打开所选测斜孔的位移—深度曲线
+     */
+    openProfileDialog() {
+        if (this.selectedSensorId === null) return;
+        this.profileView.sensorId = this.selectedSensorId;
+        this.profileView.selectedTime = null;
+        document.getElementById('profile-dialog').classList.add('open');
+        this.renderProfileDialog();
+        this.refreshInclinometerProfiles();
+    }
+
+    renderProfileDialog() {
+        const sensor = this.monitoringSystem.getSensorById(this.profileView.sensorId);
+        if (!sensor) {
+            document.getElementById('profile-dialog').classList.remove('open');
+            return;
+        }
+
+        const config = this.getCurrentConfig();
+        const epochs = this.inclinometerProfiles.getEpochs(sensor.id);
+        const selected = epochs.find(epoch => epoch.time === this.profileView.selectedTime) || epochs[epochs.length - 1];
+        document.getElementById('profile-dialog-title').textContent =
+            `测斜曲线 - ${sensor.code} ${this.validator.getSensorTypeName(sensor.type)}`;
+
+        const select = document.getElementById('profile-epoch');
+        select.innerHTML = epochs.map(epoch =>
+            `<option value="${epoch.time}">${new Date(epoch.time).toLocaleString()}</option>`
+        ).join('');
+        if (selected) select.value = String(selected.time);
+
+        const state = this.getCurrentStageState();
+        this.profileChart.render(epochs, {
+            selectedTime: selected ? selected.time : null,
+            limit: this.warningEngine.getThreshold('deep-horizontal', config).cumulative,
+            tubeDepth: this.monitoringSystem.getInclinometerDepth(sensor),
+            excavatedDepth: state ? state.excavatedDepth : config.dimensions.depth
+        });
+
+        // 各期最大位移及所在深度
+        const rows = epochs.map((epoch, index) => {
+            const max = InclinometerProfiles.maxDisplacement(epoch);
+            const previous = index > 0 ? InclinometerProfiles.maxDisplacement(epochs[index - 1]) : null;
+            return `
+                <tr class="${epoch === selected ? 'frequency-escalated' : ''}">
+                    <td>${new Date(epoch.time).toLocaleDateString()}</td>
+                    <td>${this.formatSigned(max.displacement)}</td>
+                    <td>${max.depth.toFixed(1)}</td>
+                    <td>${previous ? this.formatSigned(max.displacement - previous.displacement) : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+        document.getElementById('profile-summary').innerHTML = epochs.length > 0 ? `
+            <table class="data-table">
+                <thead><tr><th>观测日期</th><th>最大位移(mm)</th><th>深度(m)</th><th>较上期(mm)</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '<div class="loading">导入测斜数据后显示各期最大位移</div>';
+    }
+
+    /**
+     * 在三维视图中绘制各测斜孔的变形曲线：对话框中查看的测斜孔取所选期次，其余取最新一期
+     */
+    refreshInclinometerProfiles() {
+        const { sensorId, selectedTime, exaggeration, visible } = this.profileView;
+        this.monitoringSystem.getSensors()
+            .filter(sensor => sensor.type === 'deep-horizontal')
+            .forEach(sensor => {
+                const epochs = this.inclinometerProfiles.getEpochs(sensor.id);
+                const epoch = (sensor.id === sensorId && epochs.find(e => e.time === selectedTime))
+                    || epochs[epochs.length - 1] || null;
+                this.monitoringSystem.setInclinometerProfile(sensor.id, visible ? epoch : null, exaggeration);
+            });
+    }
+
+    async importProfiles(file) {
+        try {
+            const text = await file.text();
+            const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{');
+            // 文件中的测点按测点编号匹配，仅接受深层水平位移测点
+            const resolvePoint = code => {
+                const sensor = this.monitoringSystem.findSensorByCode(code);
+                return sensor && sensor.type === 'deep-horizontal' ? sensor.id : null;
+            };
+            const result = isJSON
+                ? this.inclinometerProfiles.importJSON(text, resolvePoint)
+                : this.inclinometerProfiles.importCSV(text, resolvePoint);
+
+            // 各期最大位移作为该测斜孔的时程数据，供时程曲线和预警评估；测斜位移已是相对初测的累计值
+            result.points.forEach(id => {
+                const point = this.dataStore.getPoint(id);
+                this.dataStore.addReadings(id, this.inclinometerProfiles.getMaxSeries(id));
+                if (!point || !Number.isFinite(point.initialValue)) this.dataStore.setInitialValue(id, 0);
+            });
+
+            this.refreshSensorViews();
+            if (document.getElementById('profile-dialog').classList.contains('open')) this.renderProfileDialog();
+
+            let message = `已导入${result.imported}期测斜数据，涉及${result.points.length}个测斜孔`;
+            if (result.skipped > 0) message += `，跳过${result.skipped}条无效记录`;
+            if (result.unmatched.length > 0) message += `，未匹配测斜孔：${result.unmatched.join('、')}`;
+            this.showNotification(message, result.unmatched.length > 0 || result.skipped > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error('测斜数据导入失败:', error);
+            this.showNotification(`测斜数据导入失败：${error.message}`, 'error');
+        }
+    }
+
+    renderThresholdTable() {
+        const config = this.getCurrentConfig();
+        const tbody = document.getElementById('threshold-table-body');
+        const custom = this.warningEngine.getSettings().thresholds;
+
+        tbody.innerHTML = Object.keys(this.warningEngine.defaultThresholds).map(type => {
+            const defaults = this.warningEngine.getDefaultThreshold(type, config) || {};
+            const unit = this.getReadingUnit(type);
+            const values = custom[type] || {};
+            const cumulativeHint = defaults.cumulative !== null && defaults.cumulative !== undefined
+                ? defaults.cumulative.toFixed(1)
+                : (defaults.designRatio ? `设计值×${defaults.designRatio}` : '');
+            const rateHint = defaults.rate !== null && defaults.rate !== undefined ? defaults.rate.toFixed(1) : '';
+            const packSources = [...new Set(Object.values(defaults.sources || {})
+                .filter(item => item && item.source !== BASE_STANDARD)
+                .map(item => item.source))];
+            const basis = [...new Set(Object.values(defaults.sources || {})
+                .filter(Boolean)
+                .map(item => describeRuleSource(item.source, item.clause)))].join('、');
+            return `
+                <tr>
+                    <td title="默认值依据：${this.escapeHtml(basis)}">${this.validator.getSensorTypeName(type)}${packSources.length > 0
+                        ? `<span class="rule-source" title="默认值取自规则包">${this.escapeHtml(packSources.join('、'))}</span>` : ''}</td>
+                    <td><input type="number" step="any" data-type="${type}" data-field="cumulative"
+                        value="${values.cumulative ?? ''}" placeholder="${cumulativeHint}" title="${unit}"></td>
+                    <td><input type="number" step="any" data-type="${type}" data-field="rate"
+                        value="${values.rate ?? ''}" placeholder="${rateHint}" title="${unit}/d"></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    evaluateWarnings() {
+        const config = this.getCurrentConfig();
+        const sensors = this.monitoringSystem.getSensors();
+        this.warningResults = this.warningEngine.evaluateAll(config, sensors, this.dataStore);
+
+        const states = {};
+        this.warningResults.results.forEach(result => {
+            states[result.sensorId] = result.state;
+        });
+        this.monitoringSystem.setSensorStates(states);
+        this.displayWarningResults(this.warningResults);
+
+        if (document.getElementById('frequency-dialog').classList.contains('open')) {
+            this.renderFrequencyPlan();
+        }
+    }
+
+    refreshWarnings() {
+        // 已处于预警显示状态时，数据或预警值变化后重新评估
+        if (this.warningResults) this.evaluateWarnings();
+    }
+
+    clearWarnings() {
+        this.warningResults = null;
+        this.monitoringSystem.clearSensorStates();
+        document.getElementById('warning-results').innerHTML =
+            '<div class="loading">导入监测数据后点击预警评估</div>';
+    }
+
+    displayWarningResults({ summary, results }) {
+        const container = document.getElementById('warning-results');
+        const exceeded = results
+            .filter(r => r.state === WARNING_STATES.ABNORMAL || r.state === WARNING_STATES.DANGER)
+            .sort((a, b) => (a.state === WARNING_STATES.DANGER ? -1 : 0) - (b.state === WARNING_STATES.DANGER ? -1 : 0));
+
+        const counts = [WARNING_STATES.NORMAL, WARNING_STATES.ABNORMAL, WARNING_STATES.DANGER, WARNING_STATES.NO_DATA]
+            .map(state => `<span class="warning-state-${state}">${this.warningEngine.getStateName(state)} ${summary[state]}</span>`)
+            .join('');
+
+        const list = exceeded.length === 0
+            ? '<div class="loading">无超限测点</div>'
+            : exceeded.map(r => `
+                <div class="warning-item" onclick="app.selectSensor(${r.sensorId})">
+                    <span class="warning-state-${r.state}">【${this.warningEngine.getStateName(r.state)}】</span>
+                    ${this.escapeHtml(this.getSensorLabel(r.sensorId))} ${this.validator.getSensorTypeName(r.type)}<br>
+                    ${r.messages.join('；')}
+                </div>
+            `).join('');
+
+        container.innerHTML = `<div class="warning-summary">${counts}</div>${list}`;
+    }
+
+    openFrequencyPlan() {
+        if (this.timeline.getStages().length === 0) {
+            this.createDefaultTimeline();
+            this.updateStageSlider();
+        }
+        document.getElementById('frequency-dialog').classList.add('open');
+        this.renderFrequencyPlan();
+    }
+
+    createDefaultTimeline() {
+        const config = this.getCurrentConfig();
+        const supportLevels = this.monitoringSystem.getSupportLevels(config);
+        this.timeline.createDefault(config, undefined, supportLevels.length);
+    }
+
+    updateStageSlider() {
+        const slider = document.getElementById('stage-slider');
+        const count = this.timeline.getStages().length;
+        if (this.currentStageIndex !== null && this.currentStageIndex >= count) {
+            this.currentStageIndex = null;
+        }
+
+        slider.max = String(count);
+        slider.value = String(this.currentStageIndex ?? count);
+        slider.disabled = count === 0;
+        this.setConstructionStage(this.currentStageIndex);
+    }
+
+    getCurrentStageState() {
+        if (this.currentStageIndex === null) return null;
+        const config = this.getCurrentConfig();
+        return this.timeline.getStageState(
+            this.currentStageIndex, config, this.monitoringSystem.getSupportLevels(config)
+        );
+    }
+
+    setConstructionStage(index) {
+        this.currentStageIndex = index;
+        const state = this.getCurrentStageState();
+        const label = document.getElementById('stage-label');
+
+        this.monitoringSystem.applyConstructionState(state);
+
+        if (!state) {
+            label.textContent = this.timeline.getStages().length === 0
+                ? '暂无施工进度，请在监测频率计划中编辑'
+                : '完工状态（完整模型）';
+            return;
+        }
+
+        const { stage, excavatedDepth, installedLevels } = state;
+        const supports = installedLevels.length > 0
+            ? `已施工支撑：第${installedLevels.map(level => level + 1).join('、')}道`
+            : '无支撑';
+        label.textContent = `${stage.name}（${stage.start}～${stage.end}）开挖深度 ${excavatedDepth.toFixed(1)}m，${supports}`;
+    }
+
+    addTimelineStage() {
+        const stages = this.timeline.getStages();
+        const start = stages.length > 0
+            ? stages[stages.length - 1].end
+            : this.timeline.formatDate(Date.now());
+        this.timeline.addStage({
+            type: 'excavation',
+            name: '新阶段',
+            start,
+            end: this.timeline.addDays(start, 7),
+            depth: this.getCurrentConfig().dimensions.depth
+        });
+        this.renderFrequencyPlan();
+    }
+
+    getFrequencyPlan() {
+        let plan = this.frequencyPlanner.plan(this.getCurrentConfig());
+        const escalate = document.getElementById('apply-warning-frequency').checked;
+        if (escalate && this.warningResults) {
+            plan = this.frequencyPlanner.applyWarnings(plan, this.warningResults);
+        }
+        return plan;
+    }
+
+    renderFrequencyPlan() {
+        const typeOptions = selected => Object.entries(STAGE_TYPES)
+            .map(([value, name]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${name}</option>`)
+            .join('');
+
+        document.getElementById('timeline-table-body').innerHTML = this.timeline.getStages().map(stage => `
+            <tr>
+                <td><input type="text" data-stage-id="${stage.id}" data-field="name" value="${this.escapeHtml(stage.name)}"></td>
+                <td><select data-stage-id="${stage.id}" data-field="type">${typeOptions(stage.type)}</select></td>
+                <td><input type="date" data-stage-id="${stage.id}" data-field="start" value="${stage.start}"></td>
+                <td><input type="date" data-stage-id="${stage.id}" data-field="end" value="${stage.end}"></td>
+                <td><input type="number" step="0.1" data-stage-id="${stage.id}" data-field="depth" value="${stage.depth ?? ''}"></td>
+                <td><input type="number" step="1" min="1" data-stage-id="${stage.id}" data-field="supportLevel"
+                    value="${stage.supportLevel === null ? '' : stage.supportLevel + 1}"
+                    ${stage.type === 'support-removal' ? '' : 'disabled'} placeholder="全部"></td>
+                <td><button class="btn btn-danger" data-action="remove-stage" data-stage-id="${stage.id}"
+                    style="padding: 2px 8px; font-size: 12px;">删除</button></td>
+            </tr>
+        `).join('');
+
+        const container = document.getElementById('frequency-plan');
+        const plan = this.getFrequencyPlan();
+        if (plan.periods.length === 0 || plan.items.length === 0) {
+            container.innerHTML = '<div class="loading">请先添加施工阶段</div>';
+            return;
+        }
+
+        const header = plan.items.map(item =>
+            `<th>${this.validator.getSensorTypeName(item.type)}<br>（${item.label}）</th>`
+        ).join('');
+        const rows = plan.periods.map(period => {
+            const cells = plan.items.map(item => {
+                const frequency = period.frequencies[item.type];
+                const className = frequency.escalated ? ' class="frequency-escalated"' : '';
+                return `<td${className}>${this.frequencyPlanner.formatFrequency(frequency)}</td>`;
+            }).join('');
+            return `
+                <tr>
+                    <td>${this.escapeHtml(period.stageName)}</td>
+                    <td>${period.start} ～ ${period.end}</td>
+                    <td>${period.description}</td>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        let notes = (plan.notes || []).map(note =>
+            `<div class="validation-result validation-info">${this.escapeHtml(note)}</div>`).join('');
+        if (plan.escalations && Object.keys(plan.escalations).length > 0) {
+            notes += `<div class="validation-result validation-warning">因预警提高频率：${
+                Object.entries(plan.escalations).map(([type, e]) =>
+                    `${this.validator.getSensorTypeName(type)}（${this.warningEngine.getStateName(e.state)}，测点 ${e.sensorIds.map(id => this.escapeHtml(this.getSensorLabel(id))).join('、')}）`
+                ).join('；')
+            }</div>`;
+        }
+
+        container.innerHTML = `
+            ${notes}
+            <table class="data-table">
+                <thead><tr><th>施工阶段</th><th>时间</th><th>工况</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * 在新窗口中打开监测方案文档，供打印或另存为PDF
+     */
+    openSchemeReport() {
+        const config = this.getCurrentConfig();
+        if (this.timeline.getStages().length === 0) {
+            this.createDefaultTimeline();
+            this.updateStageSlider();
+        }
+        // 未指定测斜管深度的测斜孔按模型中的默认深度列入一览表
+        const sensors = this.monitoringSystem.getSensors().map(sensor => sensor.type === 'deep-horizontal'
+            ? { ...sensor, metadata: { ...sensor.metadata, tubeDepth: this.monitoringSystem.getInclinometerDepth(sensor) } }
+            : sensor);
+
+        const html = this.schemeReport.build({
+            config,
+            sensors,
+            geometry: this.monitoringSystem.getLayoutGeometry(),
+            sections: this.sections && this.sections.toJSON().sections,
+            plan: this.getFrequencyPlan()
+        });
+        const win = window.open('', '_blank');
+        if (!win) {
+            this.showNotification('浏览器阻止了弹出窗口，请允许后重试', 'warning');
+            return;
+        }
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+    }
+
+    exportMonitoringCalendar() {
+        const plan = this.getFrequencyPlan();
+        const calendar = this.frequencyPlanner.buildCalendar(plan);
+        if (calendar.length === 0) {
+            this.showNotification('监测计划为空，无法导出', 'warning');
+            return;
+        }
+
+        const lines = ['日期,监测项目,监测次数'];
+        calendar.forEach(day => {
+            day.items.forEach(item => {
+                lines.push(`${day.date},${this.validator.getSensorTypeName(item.type)},${item.times}`);
+            });
+        });
+
+        // 加BOM以便Excel正确识别中文
+        this.downloadFile('\uFEFF' + lines.join('\n'), '监测日历.csv', 'text/csv;charset=utf-8');
+        this.showNotification('监测日历已导出', 'success');
+    }
+
+    renderSensorAttributes(sensor) {
+        const container = document.getElementById('sensor-attributes');
+        const title = document.getElementById('sensor-attr-title');
+        const fields = container.querySelectorAll('input, textarea');
+        fields.forEach(field => { field.disabled = !sensor; });
+
+        if (!sensor) {
+            title.textContent = '测点属性';
+            fields.forEach(field => { field.value = ''; });
+            return;
+        }
+
+        title.textContent = `测点属性 - ${this.validator.getSensorTypeName(sensor.type)}`;
+        document.getElementById('attr-code').value = sensor.code;
+        document.getElementById('sensor-initial-value').value = this.dataStore.getInitialValue(sensor.id) ?? '';
+        container.querySelectorAll('[data-attr]').forEach(field => {
+            field.value = sensor.metadata[field.dataset.attr] ?? '';
+        });
+        const inclinometer = sensor.type === 'deep-horizontal';
+        container.querySelectorAll('.inclinometer-only').forEach(field => {
+            field.style.display = inclinometer ? '' : 'none';
+        });
+        if (inclinometer) {
+            const record = this.monitoringSystem.getSensorById(sensor.id);
+            document.getElementById('attr-tube-depth').placeholder =
+                `默认 ${this.monitoringSystem.getInclinometerDepth({ ...record, metadata: {} }).toFixed(1)}m`;
+        }
+    }
+
+    getSensorLabel(id) {
+        const sensor = this.monitoringSystem.getSensorById(id);
+        return sensor ? sensor.code : `#${id}`;
+    }
+
+    getReadingUnit(type) {
+        return getSensorType(type)?.unit || 'mm';
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
+    formatSigned(value) {
+        return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+    }
+
+    validateSensorLayout() {
+        const config = this.getCurrentConfig();
+        const sensors = this.monitoringSystem.getSensors();
+        
+        const options = {};
+        if (this.sections) options.sections = this.sections.toJSON().sections;
+        const state = this.getCurrentStageState();
+        if (state) {
+            options.stage = {
+                name: state.stage.name,
+                excavatedDepth: state.excavatedDepth,
+                installedLevels: state.installedLevels,
+                supportLevels: this.monitoringSystem.getSupportLevels(config)
+            };
+        }
+        
+        const validationResults = this.validator.validateLayout(config, sensors, options);
+        this.displayValidationResults(validationResults);
+    }
+
+    /**
+     * 显示监测项目要求与表4.2.1、4.2.2的核对结果，并列出当前基坑类型的监测项目表
+     */
+    showConsistencyReport() {
+        const config = this.getCurrentConfig();
+        const report = this.validator.getConsistencyReport(config);
+        const drift = report.issues.filter(issue => !EXPLAINED_ISSUE_KINDS.includes(issue.kind));
+        const adjusted = report.issues.filter(issue => issue.kind !== 'unmodelled' && EXPLAINED_ISSUE_KINDS.includes(issue.kind)
+            && issue.pitType === config.type && issue.level === config.safetyLevel);
+        const unmodelled = report.issues.filter(issue => issue.kind === 'unmodelled');
+        const requirements = this.validator.monitoringRequirements[config.type] || {};
+        const categoryOf = (level, type) => {
+            const entry = requirements[level] || {};
+            const category = Object.keys(CATEGORY_NAMES).find(key => (entry[key] || []).includes(type));
+            return category ? CATEGORY_NAMES[category] : '—';
+        };
+        const rows = Object.keys(SENSOR_TYPES)
+            .filter(type => [1, 2, 3].some(level => categoryOf(level, type) !== '—'))
+            .map(type => `
+                <tr>
+                    <td>${this.validator.getSensorTypeName(type)}</td>
+                    ${[1, 2, 3].map(level => `<td>${categoryOf(level, type)}</td>`).join('')}
+                </tr>
+            `).join('');
+        const tables = config.type === 'soil-rock'
+            ? `表${ITEM_TABLES.soil}、${ITEM_TABLES.rock}（4.2.3）`
+            : `表${ITEM_TABLES[config.type]}`;
+
+        document.getElementById('validation-results').innerHTML = `
+            <div class="validation-result ${report.consistent ? 'validation-success' : 'validation-error'}">
+                <h4>${report.consistent ? '✅ 监测项目要求与规范表格一致' : `❌ 监测项目要求与规范表格不一致（${drift.length}处）`}</h4>
+                ${drift.length > 0 ? `<ul>${drift.map(issue => `<li>${this.escapeHtml(issue.message)}</li>`).join('')}</ul>` : ''}
+                <p>${this.validator.getPitTypeName(config.type)}按${tables}：</p>
+                <table class="data-table">
+                    <thead><tr><th>监测项目</th><th>一级</th><th>二级</th><th>三级</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${adjusted.length > 0 ? `
+            <div class="validation-result">
+                <h4>按支护形式、周边环境和规则包调整的项目（${config.safetyLevel}级）</h4>
+                <ul>${adjusted.map(issue => `<li>${this.escapeHtml(issue.message)}</li>`).join('')}</ul>
+            </div>` : ''}
+            ${unmodelled.length > 0 ? `
+            <div class="validation-result validation-warning">
+                <h4>⚠️ 未纳入自动验证的项目</h4>
+                <ul>${unmodelled.map(issue => `<li>${this.escapeHtml(issue.message)}</li>`).join('')}</ul>
+            </div>` : ''}
+        `;
+    }
+
+    displayValidationResults(results) {
+        const container = document.getElementById('validation-results');
+        this.validationResults = results;
+        this.monitoringSystem.setHighlightedSensors([]);
+        const stageNote = results.stage
+            ? `<p>验证阶段：${this.escapeHtml(results.stage.name)}（开挖深度 ${results.stage.excavatedDepth.toFixed(1)}m）</p>`
+            : '';
+
+        const findings = results.findings.map((finding, index) => ({ ...finding, index }));
+        const renderList = severity => findings
+            .filter(finding => finding.severity === severity)
+            .map(finding => this.renderFinding(finding))
+            .join('');
+        const warningItems = renderList('warning');
+        
+        if (results.isValid) {
+            container.innerHTML = `
+                <div class="validation-result validation-success">
+                    <h4>✅ 验证通过</h4>
+                    <p>传感器布置符合 GB50497-2019 标准要求</p>
+                    ${stageNote}
+                </div>
+                ${warningItems ? `
+                <div class="validation-result validation-warning">
+                    <h4>⚠️ 建议改进</h4>
+                    <ul>${warningItems}</ul>
+                </div>` : ''}
+            `;
+        } else {
+            const errorItems = renderList('error');
+            
+            let html = stageNote;
+            
+            if (errorItems) {
+                html += `
+                    <div class="validation-result validation-error">
+                        <h4>❌ 不符合规范要求</h4>
+                        <ul>
+                            ${errorItems}
+                        </ul>
+                    </div>
+                `;
+            }
+            
+            if (warningItems) {
+                html += `
+                    <div class="validation-result validation-warning">
+                        <h4>⚠️ 建议改进</h4>
+                        <ul>
+                            ${warningItems}
+                        </ul>
+                    </div>
+                `;
+            }
+            
+            container.innerHTML = html;
+        }
+    }
+
+    renderFinding(finding) {
+        // 规则包的结论注明标准编号，GB50497 的条文可点击查看原文
+        let clause = finding.clause ? this.renderClauseLink(finding.clause) : '';
+        if (finding.source && finding.source !== BASE_STANDARD) {
+            clause = `<span class="rule-source">${this.escapeHtml(describeRuleSource(finding.source, finding.clause))}</span>`;
+        }
+        const sensors = finding.sensorIds.length > 0
+            ? `<span class="finding-sensors">（${finding.sensorIds.length}个测点，点击高亮）</span>`
+            : '';
+        return `<li data-finding="${finding.index}" class="${finding.sensorIds.length > 0 ? 'has-sensors' : ''}">
+            ${clause}${this.escapeHtml(finding.message)}${sensors}
+        </li>`;
+    }
+
+    /**
+     * 规则包复选框：内置规则包和用户加载的规则包
+     */
+    renderRulePacks() {
+        const list = document.getElementById('rule-pack-list');
+        list.innerHTML = this.rulePacks.list().map(pack => `
+            <label class="rule-pack-option" title="${this.escapeHtml(pack.note)}">
+                <input type="checkbox" data-pack="${this.escapeHtml(pack.id)}" ${this.rulePackIds.includes(pack.id) ? 'checked' : ''}>
+                ${this.escapeHtml(pack.name === pack.code ? pack.code : `${pack.code} ${pack.name}`)}
+            </label>
+        `).join('');
+    }
+
+    importRulePack(text) {
+        let pack;
+        try {
+            pack = this.rulePacks.register(text, true);
+        } catch (error) {
+            console.error('规则包加载失败:', error);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        if (!this.rulePackIds.includes(pack.id)) this.rulePackIds.push(pack.id);
+        this.renderRulePacks();
+        this.updateExcavationParameters();
+        this.showNotification(`已加载并选用规则包 ${pack.code}`, 'success');
+    }
+
+    renderClauseLink(clause) {
+        return `<button class="clause-link" data-clause="${this.escapeHtml(clause)}" title="查看第${this.escapeHtml(clause)}条原文及条文说明">${this.escapeHtml(clause)}</button>`;
+    }
+
+    highlightFinding(index) {
+        const finding = this.validationResults && this.validationResults.findings[index];
+        if (!finding || finding.sensorIds.length === 0) return;
+
+        this.monitoringSystem.setHighlightedSensors(finding.sensorIds);
+        document.querySelectorAll('#validation-results [data-finding]').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.finding) === index);
+        });
+        const codes = finding.sensorIds.map(id => this.getSensorLabel(id));
+        this.showNotification(`已高亮：${codes.slice(0, 8).join('、')}${codes.length > 8 ? ` 等${codes.length}个测点` : ''}`, 'info');
+    }
+
+    /**
+     * 弹出条文原文和条文说明
+     */
+    async openClause(clause) {
+        const dialog = document.getElementById('clause-dialog');
+        const title = document.getElementById('clause-dialog-title');
+        const original = document.getElementById('clause-original');
+        const commentary = document.getElementById('clause-commentary');
+
+        title.textContent = `GB50497-2019 第${clause}条`;
+        original.innerHTML = commentary.innerHTML = '<div class="loading">正在加载…</div>';
+        dialog.classList.add('open');
+
+        try {
+            const text = await standardText.getClause(clause);
+            original.innerHTML = text.original ? this.renderStandardText(text.original) : '<p>未找到该条文原文</p>';
+            commentary.innerHTML = text.commentary ? this.renderStandardText(text.commentary) : '<p>该条无条文说明</p>';
+        } catch (error) {
+            console.error('条文加载失败:', error);
+            original.innerHTML = `<p>条文加载失败：${this.escapeHtml(error.message)}</p>`;
+            commentary.innerHTML = '';
+        }
+    }
+
+    /**
+     * 将条文 Markdown 转为 HTML：段落、表格和加粗
+     */
+    renderStandardText(markdown) {
+        const inline = text => this.escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+        const blocks = markdown.split(/\n\s*\n/);
+
+        return blocks.map(block => {
+            const lines = block.split('\n').filter(line => line.trim().length > 0);
+            if (lines.length > 0 && lines.every(line => line.trim().startsWith('|'))) {
+                const rows = lines
+                    .filter(line => !/^\s*\|(\s*:?-+:?\s*\|)+\s*$/.test(line))
+                    .map(line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => `<td>${inline(cell.trim())}</td>`).join(''));
+                return `<table class="data-table">${rows.map(row => `<tr>${row}</tr>`).join('')}</table>`;
+            }
+            return `<p class="clause-paragraph">${inline(block.trim())}</p>`;
+        }).join('');
+    }
+
+    showNotification(message, type = 'info') {
+        // 简单的通知系统
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 12px 24px;
+            border-radius: 8px;
+            color: white;
+            font-weight: bold;
+            z-index: 10000;
+            transition: all 0.3s ease;
+        `;
+        
+        switch (type) {
+            case 'success':
+                notification.style.background = '#28a745';
+                break;
+            case 'error':
+                notification.style.background = '#dc3545';
+                break;
+            case 'warning':
+                notification.style.background = '#ffc107';
+                notification.style.color = '#000';
+                break;
+            default:
+                notification.style.background = '#17a2b8';
+        }
+        
+        notification.textContent = message;
+        document.body.appendChild(notification);
+        
+        setTimeout(() => {
+            notification.style.opacity = '0';
+            notification.style.transform = 'translateX(-50%) translateY(-20px)';
+            setTimeout(() => document.body.removeChild(notification), 300);
+        }, 3000);
+    }
+
+    onWindowResize() {
+        this.camera.aspect = (this.comparison ? window.innerWidth / 2 : window.innerWidth) / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
         
         this.controls.update();
         this.monitoringSystem.update();
-        this.renderer.render(this.scene, this.camera);
+        if (this.comparison) {
+            this.renderSplitView();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * 分屏对比：左右两半用同一相机分别渲染当前方案和对比方案
+     */
+    renderSplitView() {
+        const width = window.innerWidth / 2;
+        const height = window.innerHeight;
+        this.comparison.system.update();
+        this.renderer.setScissorTest(true);
+        [[this.scene, 0], [this.comparison.scene, width]].forEach(([scene, left]) => {
+            this.renderer.setViewport(left, 0, width, height);
+            this.renderer.setScissor(left, 0, width, height);
+            this.renderer.render(scene, this.camera);
+        });
+        this.renderer.setScissorTest(false);
     }
 }
 